@@ -1,4 +1,4 @@
-const { requireAuth } = require('../../middleware/auth');
+const { requireAuth, allowApiKey, requireAdmin, requirePlanFeature } = require('../../middleware/auth');
 
 // Mock the supabase service
 jest.mock('../../services/supabase-service', () => ({
@@ -16,6 +16,19 @@ jest.mock('../../services/user-cache-service', () => ({
   setCachedUser: jest.fn()
 }));
 
+// Mock the API key service (key format check kept real)
+jest.mock('../../services/api-key-service', () => ({
+  isApiKey: (token) => token.startsWith('sk_'),
+  getRequestApiKey: jest.fn(),
+  touchApiKey: jest.fn()
+}));
+
+// Mock the plan catalog (feature check kept real)
+jest.mock('../../services/plan-service', () => ({
+  getAccountPlan: jest.fn(() => ({ id: 'FREE', name: 'Free', features: { schedules: true, apiKeys: true } })),
+  hasFeature: jest.requireActual('../../services/plan-service').hasFeature
+}));
+
 // Mock the logger to prevent console output
 jest.mock('../../utils/logger', () => ({
   info: jest.fn(),
@@ -25,6 +38,8 @@ jest.mock('../../utils/logger', () => ({
 
 const { supabase } = require('../../services/supabase-service');
 const { getCachedUser, setCachedUser } = require('../../services/user-cache-service');
+const { getRequestApiKey, touchApiKey } = require('../../services/api-key-service');
+const { getAccountPlan } = require('../../services/plan-service');
 
 describe('Auth Middleware - requireAuth', () => {
   let mockReq;
@@ -154,10 +169,36 @@ describe('Auth Middleware - requireAuth', () => {
       expect(mockReq.userId).toBe('user-123');
       expect(mockReq.user).toEqual(mockFullUser);
       expect(mockReq.accessToken).toBe('valid-token');
+      expect(mockReq.organization).toBeNull();
       expect(mockNext).toHaveBeenCalled();
       expect(mockRes.status).not.toHaveBeenCalled();
     });
 
+    it('should attach the active organization with the user\'s role', async () => {
+      const organization = { id: 'org-1', name: 'Acme', usage_this_month: 40 };
+
+      mockReq.headers.authorization = 'Bearer valid-token';
+      supabase.auth.getUser.mockResolvedValue({
+        data: { user: { id: 'user-123', email: 'test@example.com' } },
+        error: null
+      });
+      getCachedUser.mockResolvedValue({ id: 'user-123', plan: 'free', active_organization_id: 'org-1' });
+
+      const membershipQuery = {
+        select: jest.fn().mockReturnThis(),
+        eq: jest.fn().mockReturnThis(),
+        maybeSingle: jest.fn().mockResolvedValue({ data: { role: 'admin', organizations: organization }, error: null })
+      };
+      supabase.from.mockReturnValue(membershipQuery);
+
+      await requireAuth(mockReq, mockRes, mockNext);
+
+      expect(supabase.from).toHaveBeenCalledWith('organization_members');
+      expect(membershipQuery.eq).toHaveBeenCalledWith('user_id', 'user-123');
+      expect(mockReq.organization).toEqual({ ...organization, role: 'admin' });
+      expect(mockNext).toHaveBeenCalled();
+    });
+
     it('should fetch from DB and cache on cache miss', async () => {
       const mockAuthUser = {
         id: 'user-456',
@@ -228,6 +269,65 @@ describe('Auth Middleware - requireAuth', () => {
     });
   });
 
+  describe('API Keys', () => {
+    const apiKey = { id: 'key-1', user_id: 'user-123', scopes: ['scrape'], key_hash: 'hash' };
+
+    beforeEach(() => {
+      mockReq.headers.authorization = 'Bearer sk_test-key';
+    });
+
+    const runWithScope = async (scope) => {
+      await new Promise((resolve) => allowApiKey(scope)(mockReq, mockRes, resolve));
+      await requireAuth(mockReq, mockRes, mockNext);
+    };
+
+    it('should authenticate as the key owner when the key has the scope', async () => {
+      getRequestApiKey.mockResolvedValue(apiKey);
+      getCachedUser.mockResolvedValue({ id: 'user-123', email: 'test@example.com', plan: 'free' });
+
+      await runWithScope('scrape');
+
+      expect(supabase.auth.getUser).not.toHaveBeenCalled();
+      expect(touchApiKey).toHaveBeenCalledWith(apiKey);
+      expect(mockReq.userId).toBe('user-123');
+      expect(mockReq.userEmail).toBe('test@example.com');
+      expect(mockReq.apiKey).toBe(apiKey);
+      expect(mockNext).toHaveBeenCalled();
+    });
+
+    it('should return 403 when the key lacks the scope', async () => {
+      getRequestApiKey.mockResolvedValue(apiKey);
+
+      await runWithScope('export');
+
+      expect(mockRes.status).toHaveBeenCalledWith(403);
+      expect(mockNext).not.toHaveBeenCalled();
+    });
+
+    it('should return 403 on endpoints that do not accept API keys', async () => {
+      getRequestApiKey.mockResolvedValue(apiKey);
+
+      await requireAuth(mockReq, mockRes, mockNext);
+
+      expect(mockRes.status).toHaveBeenCalledWith(403);
+      expect(mockRes.json).toHaveBeenCalledWith({
+        success: false,
+        error: 'This endpoint does not accept API keys'
+      });
+      expect(mockNext).not.toHaveBeenCalled();
+    });
+
+    it('should return 401 for unknown, revoked or expired keys', async () => {
+      getRequestApiKey.mockResolvedValue(null);
+
+      await runWithScope('scrape');
+
+      expect(mockRes.status).toHaveBeenCalledWith(401);
+      expect(touchApiKey).not.toHaveBeenCalled();
+      expect(mockNext).not.toHaveBeenCalled();
+    });
+  });
+
   describe('Error Handling', () => {
     it('should return 500 when an unexpected error occurs', async () => {
       mockReq.headers.authorization = 'Bearer some-token';
@@ -245,3 +345,76 @@ describe('Auth Middleware - requireAuth', () => {
     });
   });
 });
+
+describe('Auth Middleware - requireAdmin', () => {
+  const originalAdmins = process.env.ADMIN_USER_IDS;
+  let mockRes;
+  let mockNext;
+
+  beforeEach(() => {
+    process.env.ADMIN_USER_IDS = 'admin-1, admin-2';
+    mockRes = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn().mockReturnThis()
+    };
+    mockNext = jest.fn();
+  });
+
+  afterAll(() => {
+    if (originalAdmins === undefined) delete process.env.ADMIN_USER_IDS;
+    else process.env.ADMIN_USER_IDS = originalAdmins;
+  });
+
+  it('should allow users listed in ADMIN_USER_IDS', () => {
+    requireAdmin({ userId: 'admin-2' }, mockRes, mockNext);
+
+    expect(mockNext).toHaveBeenCalled();
+  });
+
+  it('should return 403 for other users', () => {
+    requireAdmin({ userId: 'user-123' }, mockRes, mockNext);
+
+    expect(mockRes.status).toHaveBeenCalledWith(403);
+    expect(mockNext).not.toHaveBeenCalled();
+  });
+});
+
+describe('Auth Middleware - requirePlanFeature', () => {
+  let mockRes;
+  let mockNext;
+
+  beforeEach(() => {
+    mockRes = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn().mockReturnThis()
+    };
+    mockNext = jest.fn();
+  });
+
+  it('should allow features the plan turns on', () => {
+    requirePlanFeature('schedules')({ userId: 'user-123', user: { plan: 'FREE' } }, mockRes, mockNext);
+
+    expect(mockNext).toHaveBeenCalled();
+  });
+
+  it('should deny features the plan does not mention', () => {
+    requirePlanFeature('webhooks')({ userId: 'user-123', user: { plan: 'FREE' } }, mockRes, mockNext);
+
+    expect(mockRes.status).toHaveBeenCalledWith(403);
+    expect(mockNext).not.toHaveBeenCalled();
+  });
+
+  it('should judge the plan of the active organization', () => {
+    const organization = { id: 'org-1', plan: 'PRO' };
+    getAccountPlan.mockReturnValueOnce({ id: 'PRO', name: 'Pro', features: { webhooks: false } });
+
+    requirePlanFeature('webhooks')({ userId: 'user-123', user: { plan: 'FREE' }, organization }, mockRes, mockNext);
+
+    expect(getAccountPlan).toHaveBeenCalledWith(organization);
+    expect(mockRes.status).toHaveBeenCalledWith(403);
+    expect(mockRes.json).toHaveBeenCalledWith(expect.objectContaining({
+      error: 'Your Pro plan does not include this feature. Please upgrade to use it.'
+    }));
+    expect(mockNext).not.toHaveBeenCalled();
+  });
+});
@@ -5,7 +5,13 @@ jest.mock('../../utils/logger', () => ({
   error: jest.fn()
 }));
 
+jest.mock('../../services/api-key-service', () => ({
+  getRequestApiKey: jest.fn()
+}));
+
+const { getRequestApiKey } = require('../../services/api-key-service');
 const {
+  keyGenerator,
   generalLimiter,
   authLimiter,
   scrapeLimiter,
@@ -19,6 +25,7 @@ describe('Rate Limiting Middleware', () => {
 
   beforeEach(() => {
     jest.clearAllMocks();
+    getRequestApiKey.mockResolvedValue(null);
 
     mockReq = {
       ip: '127.0.0.1',
@@ -128,6 +135,26 @@ describe('Rate Limiting Middleware', () => {
     });
   });
 
+  describe('API Key Requests', () => {
+    it('should limit requests per API key', async () => {
+      getRequestApiKey.mockResolvedValue({ id: 'key-1', user_id: 'user-123' });
+
+      await expect(keyGenerator(mockReq)).resolves.toBe('key:key-1');
+    });
+
+    it('should count unknown keys against the IP', async () => {
+      mockReq.headers.authorization = 'Bearer sk_made-up';
+
+      await expect(keyGenerator(mockReq)).resolves.toBe('ip:127.0.0.1');
+    });
+
+    it('should fall back to the IP when the key lookup fails', async () => {
+      getRequestApiKey.mockRejectedValue(new Error('Failed to verify API key'));
+
+      await expect(keyGenerator(mockReq)).resolves.toBe('ip:127.0.0.1');
+    });
+  });
+
   describe('Rate Limit Response Format', () => {
     it('should return proper error format when limit exceeded', () => {
       // Test the message configuration
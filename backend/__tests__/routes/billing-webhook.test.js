@@ -0,0 +1,235 @@
+process.env.STRIPE_SECRET_KEY = 'sk_test_key';
+process.env.STRIPE_STARTER_PRICE_ID = 'price_starter_test';
+process.env.STRIPE_WEBHOOK_SECRET = 'whsec_test';
+
+const mockStripe = {
+  webhooks: { constructEvent: jest.fn() },
+  subscriptions: { retrieve: jest.fn() }
+};
+jest.mock('stripe', () => jest.fn(() => mockStripe));
+jest.mock('../../services/supabase-service', () => ({
+  supabase: { from: jest.fn() }
+}));
+jest.mock('../../services/stripe-event-service', () => ({
+  claimStripeEvent: jest.fn(),
+  finishStripeEvent: jest.fn(),
+  getStripeEvent: jest.fn(),
+  listStripeEvents: jest.fn(),
+  toStripeEventResponse: jest.requireActual('../../services/stripe-event-service').toStripeEventResponse
+}));
+jest.mock('../../services/webhook-service', () => ({
+  emitEvent: jest.fn()
+}));
+jest.mock('../../services/user-cache-service', () => ({
+  invalidateUserCache: jest.fn()
+}));
+jest.mock('../../utils/logger', () => ({
+  debug: jest.fn(),
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+
+const express = require('express');
+const request = require('supertest');
+const { supabase } = require('../../services/supabase-service');
+const { claimStripeEvent, finishStripeEvent } = require('../../services/stripe-event-service');
+const { emitEvent } = require('../../services/webhook-service');
+const billingRouter = require('../../routes/billing');
+
+const app = express();
+app.use('/api/billing/webhook', express.raw({ type: 'application/json' }));
+app.use('/api/billing', billingRouter);
+
+// Supabase query builder stub: records calls; updates return the rows in `updatedRows`, or none
+// for updates guarded by the event time when `newerEventApplied`; lookups return `foundRow`
+let queries;
+let updatedRows;
+let newerEventApplied;
+let foundRow;
+function mockTables() {
+  queries = [];
+  updatedRows = [{ id: 'user-1' }];
+  newerEventApplied = false;
+  foundRow = null;
+  supabase.from.mockImplementation((table) => {
+    const query = { table, calls: [] };
+    ['select', 'eq', 'or', 'update'].forEach(method => {
+      query[method] = (...args) => { query.calls.push([method, ...args]); return query; };
+    });
+    query.maybeSingle = async () => ({ data: foundRow, error: null });
+    query.then = (resolve, reject) => {
+      const guarded = query.calls.some(call => call[0] === 'or');
+      const data = newerEventApplied && guarded ? [] : updatedRows;
+      return Promise.resolve({ data, error: null }).then(resolve, reject);
+    };
+    queries.push(query);
+    return query;
+  });
+}
+
+const subscriptionUpdated = {
+  id: 'evt_1',
+  type: 'customer.subscription.updated',
+  created: 1790000000,
+  data: {
+    object: {
+      status: 'active',
+      metadata: { supabase_user_id: 'user-1' },
+      items: { data: [{ price: { id: 'price_starter_test' } }] }
+    }
+  }
+};
+
+const sendWebhook = () => request(app)
+  .post('/api/billing/webhook')
+  .set('stripe-signature', 't=1,v1=sig')
+  .set('content-type', 'application/json')
+  .send(JSON.stringify(subscriptionUpdated));
+
+const checkoutCompleted = {
+  id: 'evt_0',
+  type: 'checkout.session.completed',
+  created: 1789999990,
+  data: {
+    object: {
+      customer: 'cus_1',
+      subscription: 'sub_1',
+      metadata: { supabase_user_id: 'user-1' }
+    }
+  }
+};
+
+const invoicePaid = {
+  id: 'evt_2',
+  type: 'invoice.paid',
+  created: 1790000000,
+  data: { object: { subscription: 'sub_1', billing_reason: 'subscription_cycle' } }
+};
+
+const userUpdates = () => queries.filter(q => q.table === 'users' && q.calls.some(call => call[0] === 'update'));
+const isGuarded = query => query.calls.some(call => call[0] === 'or');
+
+describe('Billing Webhook', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockTables();
+    mockStripe.webhooks.constructEvent.mockReturnValue(subscriptionUpdated);
+    claimStripeEvent.mockResolvedValue('claimed');
+  });
+
+  it('should apply the event only if no newer event was applied, and log it as processed', async () => {
+    const res = await sendWebhook();
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ received: true });
+    const update = queries.find(q => q.table === 'users');
+    const eventTime = new Date(1790000000 * 1000).toISOString();
+    expect(update.calls[0][1]).toMatchObject({ plan: 'STARTER', subscription_status: 'active', stripe_event_at: eventTime });
+    expect(update.calls).toContainEqual(['or', `stripe_event_at.is.null,stripe_event_at.lte."${eventTime}"`]);
+    expect(finishStripeEvent).toHaveBeenCalledWith('evt_1', 'processed');
+    expect(emitEvent).toHaveBeenCalledWith('user-1', 'subscription.changed', expect.objectContaining({ plan: 'STARTER' }));
+  });
+
+  it('should skip events older than the last applied change', async () => {
+    updatedRows = [];
+
+    const res = await sendWebhook();
+
+    expect(res.status).toBe(200);
+    expect(finishStripeEvent).toHaveBeenCalledWith('evt_1', 'skipped');
+    expect(emitEvent).not.toHaveBeenCalled();
+  });
+
+  it('should link the subscription when checkout completes after a newer subscription event', async () => {
+    mockStripe.webhooks.constructEvent.mockReturnValue(checkoutCompleted);
+    mockStripe.subscriptions.retrieve.mockResolvedValue({ items: { data: [{ price: { id: 'price_starter_test' } }] } });
+    newerEventApplied = true;
+
+    const res = await sendWebhook();
+
+    expect(res.status).toBe(200);
+    const [link, planUpdate] = userUpdates();
+    expect(isGuarded(link)).toBe(false);
+    expect(link.calls[0][1]).toMatchObject({ stripe_customer_id: 'cus_1', stripe_subscription_id: 'sub_1' });
+    expect(isGuarded(planUpdate)).toBe(true);
+    expect(planUpdate.calls[0][1]).not.toHaveProperty('stripe_subscription_id');
+    expect(finishStripeEvent).toHaveBeenCalledWith('evt_0', 'processed');
+    expect(emitEvent).not.toHaveBeenCalled();
+  });
+
+  it('should reset usage on renewal in the update guarded by the event time', async () => {
+    mockStripe.webhooks.constructEvent.mockReturnValue(invoicePaid);
+    foundRow = { id: 'user-1' };
+
+    await sendWebhook();
+
+    const updates = userUpdates();
+    expect(updates).toHaveLength(1);
+    expect(isGuarded(updates[0])).toBe(true);
+    expect(updates[0].calls[0][1]).toMatchObject({ usage_this_month: 0, subscription_status: 'active' });
+    expect(finishStripeEvent).toHaveBeenCalledWith('evt_2', 'processed');
+  });
+
+  it('should not reset usage for invoices older than the last applied event', async () => {
+    mockStripe.webhooks.constructEvent.mockReturnValue(invoicePaid);
+    foundRow = { id: 'user-1' };
+    newerEventApplied = true;
+
+    await sendWebhook();
+
+    expect(userUpdates().every(isGuarded)).toBe(true);
+    expect(finishStripeEvent).toHaveBeenCalledWith('evt_2', 'skipped');
+  });
+
+  it('should acknowledge redeliveries of applied events without applying them again', async () => {
+    claimStripeEvent.mockResolvedValue('duplicate');
+
+    const res = await sendWebhook();
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ received: true, duplicate: true });
+    expect(supabase.from).not.toHaveBeenCalled();
+  });
+
+  it('should ask Stripe to retry while the event is being processed', async () => {
+    claimStripeEvent.mockResolvedValue('in_progress');
+
+    const res = await sendWebhook();
+
+    expect(res.status).toBe(409);
+  });
+
+  it('should record the failure and return 500 so Stripe retries', async () => {
+    supabase.from.mockImplementation(() => {
+      const query = {};
+      ['select', 'eq', 'or', 'update'].forEach(method => { query[method] = () => query; });
+      query.then = (resolve) => resolve({ data: null, error: { message: 'connection reset' } });
+      return query;
+    });
+
+    const res = await sendWebhook();
+
+    expect(res.status).toBe(500);
+    expect(finishStripeEvent).toHaveBeenCalledWith('evt_1', 'failed', expect.stringContaining('connection reset'));
+  });
+
+  it('should reject requests with an invalid signature', async () => {
+    mockStripe.webhooks.constructEvent.mockImplementation(() => { throw new Error('No signatures found'); });
+
+    const res = await sendWebhook();
+
+    expect(res.status).toBe(400);
+    expect(claimStripeEvent).not.toHaveBeenCalled();
+  });
+});
+
+describe('Plan Catalog', () => {
+  it('should list the offered plans without authentication', async () => {
+    const res = await request(app).get('/api/billing/plans');
+
+    expect(res.status).toBe(200);
+    expect(res.body.plans.map(plan => plan.id)).toEqual(['FREE', 'STARTER', 'PRO']);
+    expect(res.body.plans[1]).toMatchObject({ scrapesPerMonth: 250, intervals: ['monthly'] });
+  });
+});
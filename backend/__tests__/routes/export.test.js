@@ -0,0 +1,77 @@
+jest.mock('../../middleware/auth', () => ({
+  allowApiKey: () => (_req, _res, next) => next(),
+  requireAuth: (req, _res, next) => {
+    req.userId = 'user-1';
+    req.user = { id: 'user-1', plan: 'FREE' };
+    req.organization = null;
+    next();
+  }
+}));
+jest.mock('../../services/supabase-service', () => ({
+  supabase: { from: jest.fn(() => ({ insert: async () => ({ error: null }) })) }
+}));
+jest.mock('../../services/sheets-service', () => ({
+  generateSheetName: jest.fn(),
+  generateSmartFormatting: jest.fn()
+}));
+jest.mock('../../services/template-service', () => ({
+  getTemplateForUser: jest.fn(),
+  applyTemplate: jest.requireActual('../../services/template-service').applyTemplate
+}));
+jest.mock('../../utils/usage', () => ({
+  usageAccount: jest.requireActual('../../utils/usage').usageAccount,
+  incrementUsageIfAllowed: jest.fn(async () => ({ usage: { current: 1, limit: 5 } }))
+}));
+jest.mock('../../services/token-usage-service', () => ({
+  recordModelUsage: jest.fn()
+}));
+jest.mock('../../services/webhook-service', () => ({
+  emitEvent: jest.fn()
+}));
+jest.mock('../../utils/logger', () => ({
+  debug: jest.fn(),
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+
+const express = require('express');
+const request = require('supertest');
+const { generateSheetName } = require('../../services/sheets-service');
+const { getTemplateForUser } = require('../../services/template-service');
+const exportRouter = require('../../routes/export');
+
+const app = express();
+app.use(express.json());
+app.use('/api/export', exportRouter);
+
+const data = [{ name: 'Red Shoe', price: 49 }];
+
+describe('File Export Route', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should name the file after the instruction and export time without calling the model', async () => {
+    const res = await request(app)
+      .post('/api/export/file')
+      .send({ data, instruction: 'Shoes: name & price' });
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-disposition']).toMatch(/filename="Shoes name price \d{4}-\d{2}-\d{2} \d{4}\.csv"/);
+    expect(generateSheetName).not.toHaveBeenCalled();
+  });
+
+  it('should prefer the requested file name, then the template name', async () => {
+    const named = await request(app)
+      .post('/api/export/file')
+      .send({ data, instruction: 'Shoes', fileName: 'weekly/report', format: 'json' });
+    expect(named.headers['content-disposition']).toContain('filename="weeklyreport.json"');
+
+    getTemplateForUser.mockResolvedValue({ id: 'tpl-1', name: 'Shoe prices', instruction: 'Extract shoes' });
+    const templated = await request(app)
+      .post('/api/export/file')
+      .send({ data, templateId: '8c0f3f4e-4a8e-4f55-9d5a-0b5c2f1e7a10' });
+    expect(templated.headers['content-disposition']).toMatch(/filename="Shoe prices [\d -]+\.csv"/);
+  });
+});
@@ -0,0 +1,129 @@
+jest.mock('../../middleware/auth', () => ({
+  requirePlanFeature: () => (_req, _res, next) => next()
+}));
+jest.mock('../../services/supabase-service', () => ({
+  supabase: { from: jest.fn() }
+}));
+jest.mock('../../services/schedule-service', () => ({
+  ...jest.requireActual('../../services/schedule-service'),
+  SCHEDULE_MIN_INTERVAL_MINUTES: 15,
+  getScheduleForUser: jest.fn()
+}));
+jest.mock('../../utils/logger', () => ({
+  debug: jest.fn(),
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+
+const express = require('express');
+const request = require('supertest');
+const { supabase } = require('../../services/supabase-service');
+const { getScheduleForUser } = require('../../services/schedule-service');
+const schedulesRouter = require('../../routes/schedules');
+
+const app = express();
+app.use(express.json());
+app.use((req, _res, next) => { req.userId = 'user-1'; next(); });
+app.use('/api/user/schedules', schedulesRouter);
+
+const scheduleId = '8c0f3f4e-4a8e-4f55-9d5a-0b5c2f1e7a10';
+const schedule = {
+  id: scheduleId,
+  user_id: 'user-1',
+  enabled: true,
+  cron: '0 * * * *',
+  last_status: 'completed',
+  last_run_at: null
+};
+
+// Supabase query builder stub recording the calls of the trigger update
+let calls;
+function mockUpdate(row) {
+  calls = [];
+  supabase.from.mockImplementation(() => {
+    const query = {};
+    ['update', 'eq', 'or', 'select'].forEach(method => {
+      query[method] = (...args) => { calls.push([method, ...args]); return query; };
+    });
+    query.maybeSingle = async () => ({ data: row, error: null });
+    return query;
+  });
+}
+
+const runSchedule = () => request(app).post(`/api/user/schedules/${scheduleId}/run`);
+
+describe('Schedules Route - manual runs', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockUpdate(schedule);
+  });
+
+  it('should queue the schedule when its last run is older than the minimum interval', async () => {
+    getScheduleForUser.mockResolvedValue({ ...schedule, last_run_at: new Date(Date.now() - 20 * 60 * 1000).toISOString() });
+
+    const res = await runSchedule();
+
+    expect(res.status).toBe(202);
+    expect(calls).toContainEqual(['or', expect.stringMatching(/^last_run_at\.is\.null,last_run_at\.lt\."/)]);
+  });
+
+  it('should refuse runs within the minimum interval of the last one', async () => {
+    getScheduleForUser.mockResolvedValue({ ...schedule, last_run_at: new Date(Date.now() - 5 * 60 * 1000).toISOString() });
+
+    const res = await runSchedule();
+
+    expect(res.status).toBe(429);
+    expect(Number(res.headers['retry-after'])).toBeGreaterThan(9 * 60);
+    expect(supabase.from).not.toHaveBeenCalled();
+  });
+
+  it('should refuse runs while the schedule is running', async () => {
+    getScheduleForUser.mockResolvedValue({ ...schedule, last_status: 'running' });
+
+    const res = await runSchedule();
+
+    expect(res.status).toBe(409);
+    expect(supabase.from).not.toHaveBeenCalled();
+  });
+
+  it('should report disabled schedules as not found', async () => {
+    getScheduleForUser.mockResolvedValue({ ...schedule, enabled: false });
+
+    expect((await runSchedule()).status).toBe(404);
+  });
+});
+
+describe('Schedules Route - webhook destinations', () => {
+  let inserted;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    inserted = null;
+    supabase.from.mockImplementation(() => {
+      const query = {};
+      ['select', 'eq'].forEach(method => { query[method] = () => query; });
+      query.insert = (row) => { inserted = row; return query; };
+      query.single = async () => ({ data: { ...inserted, id: scheduleId }, error: null });
+      query.then = (resolve, reject) => Promise.resolve({ count: 0, error: null }).then(resolve, reject);
+      return query;
+    });
+  });
+
+  it('should generate a signing secret and only return it on creation', async () => {
+    const res = await request(app)
+      .post('/api/user/schedules')
+      .send({
+        name: 'Prices',
+        url: 'https://shop.example.com/prices',
+        instruction: 'Extract prices',
+        cron: '0 8 * * *',
+        destination: { type: 'webhook', url: 'https://hooks.example.com/in' }
+      });
+
+    expect(res.status).toBe(201);
+    expect(res.body.secret).toMatch(/^whsec_/);
+    expect(inserted.webhook_secret).toBe(res.body.secret);
+    expect(JSON.stringify(res.body.schedule)).not.toContain(res.body.secret);
+  });
+});
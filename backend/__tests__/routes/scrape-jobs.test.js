@@ -0,0 +1,65 @@
+jest.mock('../../middleware/auth', () => ({
+  allowApiKey: () => (_req, _res, next) => next(),
+  requireAuth: (req, _res, next) => {
+    req.userId = 'user-1';
+    next();
+  }
+}));
+jest.mock('../../services/supabase-service', () => ({
+  supabase: { from: jest.fn() }
+}));
+jest.mock('../../services/redis-service', () => ({
+  redisClient: null,
+  isRedisConnected: jest.fn()
+}));
+jest.mock('../../services/scrape-jobs', () => ({
+  createJob: jest.fn(),
+  getJob: jest.fn()
+}));
+jest.mock('../../utils/logger', () => ({
+  debug: jest.fn(),
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+
+const express = require('express');
+const request = require('supertest');
+const { isRedisConnected } = require('../../services/redis-service');
+const { getJob } = require('../../services/scrape-jobs');
+const scrapeRouter = require('../../routes/scrape');
+
+const app = express();
+app.use(express.json());
+app.use('/api/scrape', scrapeRouter);
+
+describe('Scrape Jobs Route - GET /jobs/:id', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    isRedisConnected.mockReturnValue(true);
+  });
+
+  it('should return the job of the user without its owner', async () => {
+    getJob.mockResolvedValue({ id: 'job-1', userId: 'user-1', status: 'running' });
+
+    const res = await request(app).get('/api/scrape/jobs/job-1');
+
+    expect(res.status).toBe(200);
+    expect(res.body.job).toEqual({ id: 'job-1', status: 'running' });
+  });
+
+  it('should hide jobs of other users', async () => {
+    getJob.mockResolvedValue({ id: 'job-1', userId: 'user-2', status: 'running' });
+
+    expect((await request(app).get('/api/scrape/jobs/job-1')).status).toBe(404);
+  });
+
+  it('should return 503 rather than 404 while Redis is unavailable', async () => {
+    isRedisConnected.mockReturnValue(false);
+
+    const res = await request(app).get('/api/scrape/jobs/job-1');
+
+    expect(res.status).toBe(503);
+    expect(getJob).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,102 @@
+jest.mock('../../services/llm-providers', () => {
+  const provider = { name: 'test', generate: jest.fn() };
+  return {
+    provider,
+    resolveModel: jest.fn(() => ({ provider, model: 'test-model' })),
+    listConfiguredModels: jest.fn(() => ['test-model'])
+  };
+});
+jest.mock('../../utils/logger', () => ({
+  debug: jest.fn(),
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+
+const { provider } = require('../../services/llm-providers');
+const { extractData } = require('../../services/ai-extractor');
+
+const respond = (...texts) => {
+  texts.forEach(text => provider.generate.mockResolvedValueOnce({ text }));
+};
+
+const schema = [
+  { name: 'name', type: 'string', required: true },
+  { name: 'price', type: 'number', required: false }
+];
+
+describe('AI Extractor', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    provider.generate.mockReset();
+    // The API timeout timer is never needed: responses resolve immediately
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('should keep the complete rows of a truncated response without asking again', async () => {
+    respond('[{"name": "A", "price": 1}, {"name": "B", "price": 2}, {"name": "C", "pri');
+
+    const result = await extractData({ html: '# Shop', instruction: 'products', schema });
+
+    expect(result.data).toEqual([{ name: 'A', price: 1 }, { name: 'B', price: 2 }]);
+    expect(result.repair).toEqual({ repaired: 0, dropped: 0, rounds: 0 });
+    expect(provider.generate).toHaveBeenCalledTimes(1);
+  });
+
+  it('should re-prompt with validation errors and put repaired rows back in place', async () => {
+    respond(
+      '[{"name": "A", "price": 1}, {"name": null, "price": 2}, {"name": "C", "price": 3}]',
+      '[{"name": "B", "price": 2}]'
+    );
+
+    const result = await extractData({ html: '# Shop', instruction: 'products', schema });
+
+    expect(result.data.map(row => row.name)).toEqual(['A', 'B', 'C']);
+    expect(result.repair).toEqual({ repaired: 1, dropped: 0, rounds: 1 });
+    const repairPrompt = provider.generate.mock.calls[1][0].prompt;
+    expect(repairPrompt).toContain('failed validation');
+    expect(repairPrompt).toContain('{"name":null,"price":2}');
+  });
+
+  it('should drop rows that are still invalid after the repair rounds', async () => {
+    respond('[{"name": "A"}, {"price": 2}]', '[null]');
+
+    const result = await extractData({ html: '# Shop', instruction: 'products', schema });
+
+    expect(result.data).toEqual([{ name: 'A', price: null }]);
+    expect(result.repair).toEqual({ repaired: 0, dropped: 1, rounds: 1 });
+  });
+
+  it('should validate rows against the schema inferred from the response when none is given', async () => {
+    respond(
+      '[{"title": "A", "year": 2001}, {"title": "B", "year": 2002}, {"title": "C", "year": "unknown"}, {"title": "D", "year": 2004}]',
+      '[{"title": "C", "year": 2003}]'
+    );
+
+    const result = await extractData({ html: '# Films', instruction: 'films' });
+
+    expect(result.data[2]).toEqual({ title: 'C', year: 2003 });
+    expect(result.repair.repaired).toBe(1);
+  });
+
+  it('should ask again when the response cannot be parsed', async () => {
+    respond('Sorry, I cannot help with that.', '[{"name": "A", "price": 1}]');
+
+    const result = await extractData({ html: '# Shop', instruction: 'products', schema });
+
+    expect(result.data).toEqual([{ name: 'A', price: 1 }]);
+    expect(result.repair.rounds).toBe(1);
+    expect(provider.generate.mock.calls[1][0].prompt).toContain('could not be parsed as JSON');
+  });
+
+  it('should fail when the response is still unparseable after the repair rounds', async () => {
+    respond('not json', 'still not json');
+
+    await expect(extractData({ html: '# Shop', instruction: 'products', schema }))
+      .rejects.toThrow('Failed to parse AI response');
+  });
+});
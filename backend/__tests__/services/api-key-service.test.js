@@ -0,0 +1,185 @@
+jest.mock('../../services/supabase-service', () => ({
+  supabase: { from: jest.fn() }
+}));
+jest.mock('../../services/redis-service', () => ({
+  redisClient: { get: jest.fn(), set: jest.fn(), del: jest.fn() },
+  isRedisConnected: jest.fn()
+}));
+jest.mock('../../utils/logger', () => ({
+  debug: jest.fn(),
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+
+const crypto = require('crypto');
+const { supabase } = require('../../services/supabase-service');
+const { redisClient, isRedisConnected } = require('../../services/redis-service');
+const {
+  isApiKey,
+  findApiKey,
+  getRequestApiKey,
+  touchApiKey,
+  createApiKey,
+  revokeApiKey,
+  toApiKeyResponse
+} = require('../../services/api-key-service');
+
+// Supabase query builder stub: every call chains; each awaited query takes the next queued
+// result (default { data: null, error: null })
+let results;
+let queries;
+function mockTable() {
+  results = [];
+  queries = [];
+  supabase.from.mockImplementation((table) => {
+    const query = { table, calls: [] };
+    ['select', 'eq', 'is', 'order', 'insert', 'update'].forEach(method => {
+      query[method] = (...args) => { query.calls.push([method, ...args]); return query; };
+    });
+    const next = async () => results.shift() || { data: null, error: null };
+    query.maybeSingle = next;
+    query.single = next;
+    query.then = (resolve, reject) => next().then(resolve, reject);
+    queries.push(query);
+    return query;
+  });
+}
+
+const key = 'sk_test-key';
+const keyHash = crypto.createHash('sha256').update(key).digest('hex');
+const row = {
+  id: 'key-1',
+  user_id: 'user-1',
+  name: 'CI',
+  key_prefix: 'sk_test-k',
+  key_hash: keyHash,
+  scopes: ['scrape'],
+  last_used_at: null,
+  expires_at: null,
+  revoked_at: null,
+  created_at: '2026-10-01T00:00:00Z'
+};
+
+describe('API Key Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockTable();
+    isRedisConnected.mockReturnValue(false);
+  });
+
+  describe('isApiKey', () => {
+    it('should tell API keys from session tokens', () => {
+      expect(isApiKey(key)).toBe(true);
+      expect(isApiKey('eyJhbGciOiJIUzI1NiJ9.payload.sig')).toBe(false);
+      expect(isApiKey(undefined)).toBe(false);
+    });
+  });
+
+  describe('createApiKey', () => {
+    it('should store only the hash and return the key once', async () => {
+      results.push({ count: 0, error: null }, { data: row, error: null });
+
+      const { apiKey, key: created } = await createApiKey('user-1', { name: 'CI', scopes: ['scrape', 'scrape'] });
+
+      expect(created).toMatch(/^sk_[A-Za-z0-9_-]{43}$/);
+      const insert = queries[1].calls.find(call => call[0] === 'insert')[1];
+      expect(insert).toMatchObject({
+        user_id: 'user-1',
+        name: 'CI',
+        key_prefix: created.substring(0, 9),
+        key_hash: crypto.createHash('sha256').update(created).digest('hex'),
+        scopes: ['scrape'],
+        expires_at: null
+      });
+      expect(JSON.stringify(insert)).not.toContain(created);
+      expect(apiKey).toBe(row);
+    });
+
+    it('should refuse more than the active key limit', async () => {
+      results.push({ count: 20, error: null });
+
+      await expect(createApiKey('user-1', { name: 'CI', scopes: ['scrape'] })).rejects.toMatchObject({ status: 409 });
+      expect(queries).toHaveLength(1);
+    });
+  });
+
+  describe('findApiKey', () => {
+    it('should look keys up by hash', async () => {
+      results.push({ data: row, error: null });
+
+      await expect(findApiKey(key)).resolves.toBe(row);
+      expect(queries[0].calls).toContainEqual(['eq', 'key_hash', keyHash]);
+    });
+
+    it('should use the cached key without querying the database', async () => {
+      isRedisConnected.mockReturnValue(true);
+      redisClient.get.mockResolvedValue(JSON.stringify(row));
+
+      await expect(findApiKey(key)).resolves.toEqual(row);
+      expect(redisClient.get).toHaveBeenCalledWith(`apikey:${keyHash}`);
+      expect(supabase.from).not.toHaveBeenCalled();
+    });
+
+    it('should reject revoked and expired keys', async () => {
+      results.push(
+        { data: { ...row, revoked_at: '2026-10-02T00:00:00Z' }, error: null },
+        { data: { ...row, expires_at: new Date(Date.now() - 1000).toISOString() }, error: null }
+      );
+
+      await expect(findApiKey(key)).resolves.toBeNull();
+      await expect(findApiKey(key)).resolves.toBeNull();
+    });
+  });
+
+  describe('getRequestApiKey', () => {
+    it('should look the key up once per request', async () => {
+      results.push({ data: row, error: null });
+      const req = { headers: { authorization: `Bearer ${key}` } };
+
+      await getRequestApiKey(req);
+      await expect(getRequestApiKey(req)).resolves.toBe(row);
+      expect(supabase.from).toHaveBeenCalledTimes(1);
+    });
+
+    it('should not query for session tokens', async () => {
+      const req = { headers: { authorization: 'Bearer session-token' } };
+
+      await expect(getRequestApiKey(req)).resolves.toBeNull();
+      expect(supabase.from).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('touchApiKey', () => {
+    it('should only record use once per minute', async () => {
+      await touchApiKey({ ...row, last_used_at: new Date(Date.now() - 10000).toISOString() });
+      expect(supabase.from).not.toHaveBeenCalled();
+
+      await touchApiKey(row);
+      expect(queries[0].calls[0][0]).toBe('update');
+      expect(queries[0].calls).toContainEqual(['eq', 'id', 'key-1']);
+    });
+  });
+
+  describe('revokeApiKey', () => {
+    it('should revoke the key and drop it from the cache', async () => {
+      isRedisConnected.mockReturnValue(true);
+      results.push({ data: [{ id: 'key-1', key_hash: keyHash }], error: null });
+
+      await expect(revokeApiKey('user-1', 'key-1')).resolves.toBe(true);
+      expect(queries[0].calls).toContainEqual(['eq', 'user_id', 'user-1']);
+      expect(redisClient.del).toHaveBeenCalledWith(`apikey:${keyHash}`);
+    });
+
+    it('should return false for keys of other users', async () => {
+      results.push({ data: [], error: null });
+
+      await expect(revokeApiKey('user-2', 'key-1')).resolves.toBe(false);
+    });
+  });
+
+  it('should never expose the hash in responses', () => {
+    expect(toApiKeyResponse(row)).not.toHaveProperty('keyHash');
+    expect(JSON.stringify(toApiKeyResponse(row))).not.toContain(keyHash);
+  });
+});
@@ -0,0 +1,61 @@
+const ExcelJS = require('exceljs');
+
+jest.mock('../../utils/logger', () => ({
+  debug: jest.fn(),
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+
+const { buildExportFile } = require('../../services/file-export');
+
+const data = [
+  { name: 'Laptop', price: '$1,299.99', released: '2024-03-05', discount: '12.5%', link: 'https://shop.test/laptop' },
+  { name: 'Mouse', price: 'N/A', extra: 'wireless' }
+];
+
+describe('File Export', () => {
+  it('should build CSV with a BOM and every column', async () => {
+    const file = await buildExportFile(data, 'csv');
+
+    expect(file.contentType).toBe('text/csv; charset=utf-8');
+    expect(file.extension).toBe('csv');
+    expect(file.body.startsWith('\uFEFFname,price,released,discount,link,extra\n')).toBe(true);
+  });
+
+  it('should build NDJSON with one row per line', async () => {
+    const file = await buildExportFile(data, 'ndjson');
+
+    expect(file.body.trim().split('\n').map(line => JSON.parse(line))).toEqual(data);
+  });
+
+  it('should apply smart formatting column types as XLSX number formats', async () => {
+    const formatting = {
+      columnTypes: { price: 'currency', released: 'date', discount: 'percentage', link: 'url' },
+      freezeColumns: 1
+    };
+    const file = await buildExportFile(data, 'xlsx', { formatting });
+
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(file.body);
+    const sheet = workbook.getWorksheet('Data');
+
+    expect(sheet.getRow(1).values.slice(1)).toEqual(['name', 'price', 'released', 'discount', 'link', 'extra']);
+
+    const price = sheet.getCell('B2');
+    expect(price.value).toBe(1299.99);
+    expect(price.numFmt).toBe('$#,##0.00');
+    expect(sheet.getCell('C2').value).toEqual(new Date('2024-03-05T00:00:00Z'));
+    expect(sheet.getCell('C2').numFmt).toBe('mmm dd, yyyy');
+    expect(sheet.getCell('D2').value).toBe(0.125);
+    expect(sheet.getCell('E2').value).toMatchObject({ hyperlink: 'https://shop.test/laptop' });
+
+    // Values that don't parse as the column type stay text
+    expect(sheet.getCell('B3').value).toBe('N/A');
+    expect(sheet.getCell('F3').value).toBe('wireless');
+  });
+
+  it('should reject unknown formats', async () => {
+    await expect(buildExportFile(data, 'pdf')).rejects.toThrow('Unsupported export format: pdf');
+  });
+});
@@ -0,0 +1,140 @@
+// Mock logger before requiring the module
+jest.mock('../../utils/logger', () => ({
+  debug: jest.fn(),
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+
+const { resolveModel, listConfiguredModels, geminiUsage } = require('../../services/llm-providers');
+
+describe('LLM Providers', () => {
+  const originalEnv = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+  });
+
+  describe('resolveModel', () => {
+    it('should default to the Gemini provider', () => {
+      const { provider, model } = resolveModel();
+
+      expect(provider.name).toBe('google');
+      expect(model).toBe('gemini-2.5-flash');
+    });
+
+    it('should route gemini-* models to Google', () => {
+      expect(resolveModel('gemini-2.5-pro').provider.name).toBe('google');
+    });
+
+    it('should route models listed in OPENAI_MODELS to the OpenAI-compatible provider', () => {
+      process.env.OPENAI_BASE_URL = 'http://localhost:11434/v1';
+      process.env.OPENAI_MODELS = 'llama3.1:8b,qwen2.5';
+
+      const { provider, model } = resolveModel('llama3.1:8b');
+
+      expect(provider.name).toBe('openai');
+      expect(model).toBe('llama3.1:8b');
+    });
+
+    it('should honour an explicit provider prefix', () => {
+      process.env.OPENAI_BASE_URL = 'http://localhost:8080/v1';
+
+      const { provider, model } = resolveModel('openai:mistral:7b');
+
+      expect(provider.name).toBe('openai');
+      expect(model).toBe('mistral:7b');
+    });
+
+    it('should route claude-* models to Anthropic when configured', () => {
+      process.env.ANTHROPIC_API_KEY = 'sk-ant-test';
+
+      expect(resolveModel('claude-3-5-haiku-latest').provider.name).toBe('anthropic');
+    });
+
+    it('should reject a model whose provider is not configured', () => {
+      delete process.env.ANTHROPIC_API_KEY;
+
+      expect(() => resolveModel('claude-3-5-haiku-latest')).toThrow('not configured');
+      try {
+        resolveModel('claude-3-5-haiku-latest');
+      } catch (err) {
+        expect(err.status).toBe(400);
+      }
+    });
+
+    it('should reject unknown models', () => {
+      expect(() => resolveModel('some-unknown-model')).toThrow('Unsupported model');
+    });
+  });
+
+  describe('listConfiguredModels', () => {
+    it('should only list models from configured providers', () => {
+      delete process.env.OPENAI_API_KEY;
+      delete process.env.OPENAI_BASE_URL;
+      delete process.env.ANTHROPIC_API_KEY;
+
+      const models = listConfiguredModels();
+
+      expect(models.length).toBeGreaterThan(0);
+      expect(models.every(m => m.provider === 'google')).toBe(true);
+      expect(models.find(m => m.isDefault).name).toBe('gemini-2.5-flash');
+    });
+
+    it('should include self-hosted models when an OpenAI-compatible endpoint is set', () => {
+      process.env.OPENAI_BASE_URL = 'http://localhost:11434/v1';
+      process.env.OPENAI_MODELS = 'llama3.1:8b';
+
+      const models = listConfiguredModels();
+
+      expect(models).toContainEqual({ name: 'llama3.1:8b', provider: 'openai' });
+    });
+  });
+
+  describe('token usage', () => {
+    const originalFetch = global.fetch;
+
+    const respondWith = (json) => {
+      global.fetch = jest.fn().mockResolvedValue({ ok: true, json: async () => json });
+    };
+
+    afterEach(() => {
+      global.fetch = originalFetch;
+    });
+
+    it('should count Gemini thinking tokens as output', () => {
+      expect(geminiUsage({ promptTokenCount: 1200, candidatesTokenCount: 300, thoughtsTokenCount: 50 }))
+        .toEqual({ inputTokens: 1200, outputTokens: 350 });
+      expect(geminiUsage(undefined)).toBeNull();
+    });
+
+    it('should return the OpenAI-compatible usage with the text', async () => {
+      process.env.OPENAI_BASE_URL = 'http://localhost:11434/v1';
+      respondWith({ choices: [{ message: { content: '[]' } }], usage: { prompt_tokens: 900, completion_tokens: 40 } });
+
+      const { provider, model } = resolveModel('openai:llama3.1:8b');
+      const result = await provider.generate({ prompt: 'p', model });
+
+      expect(result).toEqual({ text: '[]', usage: { inputTokens: 900, outputTokens: 40 } });
+    });
+
+    it('should return null usage when a server does not report it', async () => {
+      process.env.OPENAI_BASE_URL = 'http://localhost:11434/v1';
+      respondWith({ choices: [{ message: { content: '[]' } }] });
+
+      const { provider, model } = resolveModel('openai:llama3.1:8b');
+
+      expect((await provider.generate({ prompt: 'p', model })).usage).toBeNull();
+    });
+
+    it('should return the Anthropic usage with the text', async () => {
+      process.env.ANTHROPIC_API_KEY = 'sk-ant-test';
+      respondWith({ content: [{ type: 'text', text: '[]' }], usage: { input_tokens: 700, output_tokens: 25 } });
+
+      const { provider, model } = resolveModel('claude-3-5-haiku-latest');
+      const result = await provider.generate({ prompt: 'p', model });
+
+      expect(result).toEqual({ text: '[]', usage: { inputTokens: 700, outputTokens: 25 } });
+    });
+  });
+});
@@ -0,0 +1,97 @@
+jest.mock('../../services/ai-extractor', () => ({
+  extractData: jest.fn(),
+  rowKey: jest.requireActual('../../services/ai-extractor').rowKey
+}));
+jest.mock('../../services/scrape-pipeline', () => ({
+  extractFromContent: jest.fn(async (content, options) => ({
+    data: await jest.requireMock('../../services/ai-extractor').extractData({ html: content, ...options }),
+    strategy: 'llm'
+  }))
+}));
+jest.mock('../../services/page-fetcher', () => ({
+  fetchPage: jest.fn()
+}));
+jest.mock('../../services/supabase-service', () => ({
+  supabase: {}
+}));
+jest.mock('../../utils/usage', () => ({
+  multiPageUsageCost: jest.requireActual('../../utils/usage').multiPageUsageCost,
+  incrementUsageIfAllowed: jest.fn()
+}));
+jest.mock('../../services/token-usage-service', () => ({
+  recordModelUsage: jest.fn()
+}));
+jest.mock('../../utils/logger', () => ({
+  debug: jest.fn(),
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+
+const { extractData } = require('../../services/ai-extractor');
+const { fetchPage } = require('../../services/page-fetcher');
+const { incrementUsageIfAllowed } = require('../../utils/usage');
+const { runMultiPageScrape } = require('../../services/multi-page-scrape');
+
+const instruction = 'Extract job titles';
+
+describe('Multi-Page Scrape', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    incrementUsageIfAllowed.mockResolvedValue({ usage: { current: 7, limit: 250 } });
+  });
+
+  it('should tag rows with source_page, drop duplicates and charge the extra pages', async () => {
+    extractData
+      .mockResolvedValueOnce([{ title: 'Engineer' }, { title: 'Designer' }])
+      .mockResolvedValueOnce([{ title: 'Designer' }, { title: 'Analyst' }])
+      .mockResolvedValueOnce([{ title: 'Manager' }]);
+
+    const result = await runMultiPageScrape({ pages: ['# p1', '# p2', '# p3'], instruction, userId: 'user-1' });
+
+    expect(result.data).toEqual([
+      { title: 'Engineer', source_page: 1 },
+      { title: 'Designer', source_page: 1 },
+      { title: 'Analyst', source_page: 2 },
+      { title: 'Manager', source_page: 3 }
+    ]);
+    expect(result.pages.map(p => p.itemCount)).toEqual([2, 1, 1]);
+    expect(incrementUsageIfAllowed).toHaveBeenCalledWith(expect.anything(), 'user-1', 2);
+    expect(result.usage).toEqual({ current: 7, limit: 250 });
+  });
+
+  it('should follow next-page links up to maxPages without revisiting pages', async () => {
+    const pagesByUrl = {
+      'https://jobs.example.com/?p=1': '<a rel="next" href="/?p=2">Next</a>',
+      'https://jobs.example.com/?p=2': '<a rel="next" href="/?p=1">Next</a>'
+    };
+    fetchPage.mockImplementation(async (url) => ({ html: pagesByUrl[url], finalUrl: url }));
+    extractData.mockImplementation(async ({ html }) => [{ page: html.includes('p=2') ? 'first' : 'second' }]);
+
+    const result = await runMultiPageScrape({ url: 'https://jobs.example.com/?p=1', maxPages: 5, instruction, userId: 'user-1' });
+
+    expect(fetchPage).toHaveBeenCalledTimes(2);
+    expect(result.pages).toEqual([
+      { page: 1, url: 'https://jobs.example.com/?p=1', itemCount: 1, strategy: 'llm' },
+      { page: 2, url: 'https://jobs.example.com/?p=2', itemCount: 1, strategy: 'llm' }
+    ]);
+  });
+
+  it('should stop once maxItems rows are collected', async () => {
+    extractData.mockResolvedValue([{ title: 'A' }, { title: 'B' }]);
+
+    const result = await runMultiPageScrape({ pages: ['1', '2', '3'], maxItems: 2, instruction, userId: 'user-1' });
+
+    expect(extractData).toHaveBeenCalledTimes(1);
+    expect(result.data).toHaveLength(2);
+    expect(incrementUsageIfAllowed).not.toHaveBeenCalled();
+  });
+
+  it('should fail with 403 when the extra pages exceed the remaining scrapes', async () => {
+    extractData.mockResolvedValue([{ title: 'A' }]);
+    incrementUsageIfAllowed.mockResolvedValue({ status: 403, error: 'Monthly limit reached.' });
+
+    await expect(runMultiPageScrape({ pages: ['1', '2'], instruction, userId: 'user-1' }))
+      .rejects.toMatchObject({ status: 403 });
+  });
+});
@@ -0,0 +1,184 @@
+jest.mock('../../services/supabase-service', () => ({
+  supabase: { from: jest.fn() }
+}));
+jest.mock('../../services/user-cache-service', () => ({
+  invalidateUserCache: jest.fn()
+}));
+jest.mock('../../utils/logger', () => ({
+  debug: jest.fn(),
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+
+const crypto = require('crypto');
+const { supabase } = require('../../services/supabase-service');
+const { invalidateUserCache } = require('../../services/user-cache-service');
+const {
+  hasRole,
+  createOrganization,
+  acceptInvitation,
+  updateMemberRole,
+  removeMember
+} = require('../../services/organization-service');
+
+// Supabase query builder stub: every call chains; each awaited query takes the next queued
+// result for its table (default { data: null, error: null })
+let results;
+let queries;
+function mockTables() {
+  results = {};
+  queries = [];
+  supabase.from.mockImplementation((table) => {
+    const query = { table, calls: [] };
+    ['select', 'eq', 'is', 'gt', 'order', 'insert', 'update', 'delete'].forEach(method => {
+      query[method] = (...args) => { query.calls.push([method, ...args]); return query; };
+    });
+    const next = async () => (results[table] && results[table].shift()) || { data: null, error: null };
+    query.maybeSingle = next;
+    query.single = next;
+    query.then = (resolve, reject) => next().then(resolve, reject);
+    queries.push(query);
+    return query;
+  });
+}
+
+const queue = (table, ...responses) => {
+  results[table] = [...(results[table] || []), ...responses];
+};
+
+const organization = { id: 'org-1', name: 'Acme', plan: 'STARTER', usage_this_month: 12, plan_limits_scrapes: 250 };
+const token = 'invitation-token';
+const invitation = {
+  id: 'inv-1',
+  organization_id: 'org-1',
+  email: 'sam@example.com',
+  role: 'member',
+  token_hash: crypto.createHash('sha256').update(token).digest('hex'),
+  expires_at: new Date(Date.now() + 60000).toISOString(),
+  accepted_at: null
+};
+
+describe('Organization Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockTables();
+  });
+
+  describe('hasRole', () => {
+    it('should rank owner above admin above member', () => {
+      expect(hasRole('owner', 'admin')).toBe(true);
+      expect(hasRole('admin', 'admin')).toBe(true);
+      expect(hasRole('member', 'admin')).toBe(false);
+      expect(hasRole(undefined, 'member')).toBe(false);
+    });
+  });
+
+  describe('createOrganization', () => {
+    it('should create the organization on the default plan with the user as owner', async () => {
+      queue('organization_members', { data: [{ organizations: { stripe_subscription_id: 'sub_1' } }], error: null }, { error: null }, {
+        data: { role: 'owner', organizations: organization },
+        error: null
+      });
+      queue('organizations', { data: { ...organization, id: 'org-2' }, error: null });
+
+      const result = await createOrganization('user-1', 'Acme');
+
+      expect(result).toMatchObject({ id: 'org-2', role: 'owner' });
+      const memberInsert = queries.find(q => q.table === 'organization_members' && q.calls[0][0] === 'insert');
+      expect(memberInsert.calls[0][1]).toEqual({ organization_id: 'org-2', user_id: 'user-1', role: 'owner' });
+    });
+
+    it('should reject a second organization without a subscription', async () => {
+      queue('organization_members', { data: [{ organizations: { stripe_subscription_id: null } }], error: null });
+
+      await expect(createOrganization('user-1', 'Acme 2')).rejects.toMatchObject({ status: 403 });
+      expect(queries.some(q => q.table === 'organizations')).toBe(false);
+    });
+  });
+
+  describe('acceptInvitation', () => {
+    it('should add the member with the invited role and switch to the organization', async () => {
+      queue('organization_invitations', { data: invitation, error: null }, { data: [{ id: 'inv-1' }], error: null });
+      queue('organization_members', { data: null, error: null }, { error: null }, {
+        data: { role: 'member', organizations: organization },
+        error: null
+      });
+
+      const result = await acceptInvitation('user-2', 'Sam@Example.com', token);
+
+      expect(result).toEqual({ ...organization, role: 'member' });
+      const memberInsert = queries.find(q => q.table === 'organization_members' && q.calls[0][0] === 'insert');
+      expect(memberInsert.calls[0][1]).toEqual({ organization_id: 'org-1', user_id: 'user-2', role: 'member' });
+      const userUpdate = queries.find(q => q.table === 'users');
+      expect(userUpdate.calls[0][1]).toMatchObject({ active_organization_id: 'org-1' });
+      expect(invalidateUserCache).toHaveBeenCalledWith('user-2');
+    });
+
+    it('should reject expired invitations', async () => {
+      queue('organization_invitations', {
+        data: { ...invitation, expires_at: new Date(Date.now() - 1000).toISOString() },
+        error: null
+      });
+
+      await expect(acceptInvitation('user-2', 'sam@example.com', token)).rejects.toMatchObject({ status: 404 });
+    });
+
+    it('should reject invitations sent to another email address', async () => {
+      queue('organization_invitations', { data: invitation, error: null });
+
+      await expect(acceptInvitation('user-2', 'alex@example.com', token)).rejects.toMatchObject({ status: 403 });
+    });
+
+    it('should not add the member when the invitation was claimed concurrently', async () => {
+      queue('organization_invitations', { data: invitation, error: null }, { data: [], error: null });
+
+      await expect(acceptInvitation('user-2', 'sam@example.com', token)).rejects.toMatchObject({ status: 404 });
+      expect(queries.some(q => q.table === 'organization_members' && q.calls[0][0] === 'insert')).toBe(false);
+    });
+
+    it('should release the invitation when the member cannot be added', async () => {
+      queue('organization_invitations', { data: invitation, error: null }, { data: [{ id: 'inv-1' }], error: null });
+      queue('organization_members', { data: null, error: null }, { error: { message: 'connection reset' } });
+
+      await expect(acceptInvitation('user-2', 'sam@example.com', token)).rejects.toThrow('Failed to accept invitation');
+
+      const [claim, release] = queries.filter(q => q.table === 'organization_invitations' && q.calls[0][0] === 'update');
+      expect(release.calls[0][1]).toEqual({ accepted_at: null });
+      expect(release.calls).toContainEqual(['eq', 'accepted_at', claim.calls[0][1].accepted_at]);
+    });
+  });
+
+  describe('member management', () => {
+    const asAdmin = { ...organization, role: 'admin' };
+
+    it('should only let the owner grant the admin role', async () => {
+      queue('organization_members', { data: { role: 'member', organizations: organization }, error: null });
+
+      await expect(updateMemberRole(asAdmin, 'user-3', 'admin')).rejects.toMatchObject({ status: 403 });
+    });
+
+    it('should not let admins remove other admins', async () => {
+      queue('organization_members', { data: { role: 'admin', organizations: organization }, error: null });
+
+      await expect(removeMember(asAdmin, 'user-1', 'user-3')).rejects.toMatchObject({ status: 403 });
+    });
+
+    it('should let members leave and fall back to their personal workspace', async () => {
+      queue('organization_members', { data: { role: 'member', organizations: organization }, error: null });
+
+      await removeMember({ ...organization, role: 'member' }, 'user-3', 'user-3');
+
+      const userUpdate = queries.find(q => q.table === 'users');
+      expect(userUpdate.calls).toContainEqual(['update', { active_organization_id: null }]);
+      expect(userUpdate.calls).toContainEqual(['eq', 'active_organization_id', 'org-1']);
+      expect(invalidateUserCache).toHaveBeenCalledWith('user-3');
+    });
+
+    it('should never remove the owner', async () => {
+      queue('organization_members', { data: { role: 'owner', organizations: organization }, error: null });
+
+      await expect(removeMember({ ...organization, role: 'owner' }, 'user-1', 'user-1')).rejects.toMatchObject({ status: 403 });
+    });
+  });
+});
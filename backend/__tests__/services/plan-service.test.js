@@ -0,0 +1,131 @@
+process.env.STRIPE_STARTER_PRICE_ID = 'price_starter_env';
+
+jest.mock('../../services/supabase-service', () => ({
+  supabase: { from: jest.fn() }
+}));
+jest.mock('../../utils/logger', () => ({
+  debug: jest.fn(),
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+
+const { supabase } = require('../../services/supabase-service');
+const {
+  loadPlans,
+  listPlans,
+  getPlan,
+  getDefaultPlan,
+  getPlanByPriceId,
+  getAccountPlan,
+  getScrapeLimit,
+  hasFeature,
+  resolvePlanModel,
+  toPlanResponse
+} = require('../../services/plan-service');
+
+// Supabase query builder stub resolving to the given result
+function mockPlansTable(result) {
+  supabase.from.mockImplementation(() => {
+    const query = {};
+    ['select', 'order'].forEach(method => { query[method] = () => query; });
+    query.then = (resolve, reject) => Promise.resolve(result).then(resolve, reject);
+    return query;
+  });
+}
+
+const catalog = [
+  { id: 'FREE', name: 'Free', scrapes_per_month: 10, is_default: true, features: { schedules: false, webhooks: true }, sort_order: 0 },
+  {
+    id: 'STARTER',
+    name: 'Starter',
+    scrapes_per_month: 300,
+    stripe_price_annual: 'price_starter_annual',
+    max_export_rows: 500,
+    allowed_models: ['gemini-2.5-flash'],
+    features: {},
+    sort_order: 1
+  },
+  { id: 'LEGACY', name: 'Legacy', scrapes_per_month: 100, active: false, stripe_price_monthly: 'price_legacy', sort_order: 2 }
+];
+
+describe('Plan Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should use the built-in plans until the catalog is loaded', () => {
+    expect(getDefaultPlan()).toMatchObject({ id: 'FREE', scrapes_per_month: 5 });
+    expect(getPlan('STARTER')).toMatchObject({ scrapes_per_month: 250, stripe_price_monthly: 'price_starter_env' });
+  });
+
+  describe('loadPlans', () => {
+    beforeAll(async () => {
+      mockPlansTable({ data: catalog, error: null });
+      await loadPlans();
+    });
+
+    it('should replace the cached catalog and only list active plans', () => {
+      expect(getDefaultPlan()).toMatchObject({ id: 'FREE', scrapes_per_month: 10 });
+      expect(listPlans().map(plan => plan.id)).toEqual(['FREE', 'STARTER']);
+      expect(getPlan('LEGACY')).toMatchObject({ active: false });
+    });
+
+    it('should find plans by their monthly or annual Stripe price', () => {
+      expect(getPlanByPriceId('price_starter_env')).toMatchObject({ plan: { id: 'STARTER' }, interval: 'monthly' });
+      expect(getPlanByPriceId('price_starter_annual')).toMatchObject({ plan: { id: 'STARTER' }, interval: 'annual' });
+      expect(getPlanByPriceId('price_legacy')).toMatchObject({ plan: { id: 'LEGACY' } });
+      expect(getPlanByPriceId('price_unknown')).toBeNull();
+    });
+
+    it('should keep the cached catalog when loading fails', async () => {
+      mockPlansTable({ data: null, error: { message: 'relation "plans" does not exist' } });
+      await expect(loadPlans()).rejects.toThrow('Failed to load plans');
+
+      mockPlansTable({ data: catalog.filter(plan => !plan.is_default), error: null });
+      await expect(loadPlans()).rejects.toThrow('no default plan');
+
+      expect(getDefaultPlan().scrapes_per_month).toBe(10);
+    });
+
+    it('should read the scrape limit from the plan of the account', () => {
+      expect(getScrapeLimit({ plan: 'STARTER', plan_limits_scrapes: 250 })).toBe(300);
+      expect(getScrapeLimit({ plan: 'STARTER', plan_limits_scrapes: 250, subscription_status: 'past_due' })).toBe(10);
+      expect(getScrapeLimit({ plan: 'CUSTOM', plan_limits_scrapes: 5000 })).toBe(5000);
+      expect(getAccountPlan({ plan: 'CUSTOM' }).id).toBe('FREE');
+    });
+
+    it('should only run models the plan includes', () => {
+      const starter = getPlan('STARTER');
+
+      expect(resolvePlanModel(starter, 'gemini-2.5-flash', 'gemini-2.5-flash')).toBe('gemini-2.5-flash');
+      expect(resolvePlanModel(starter, undefined, 'gpt-4o')).toBe('gemini-2.5-flash');
+      expect(resolvePlanModel(getDefaultPlan(), 'gpt-4o', 'gemini-2.5-flash')).toBe('gpt-4o');
+      expect(() => resolvePlanModel(starter, 'gpt-4o', 'gemini-2.5-flash')).toThrow(
+        expect.objectContaining({ status: 403, message: 'The Starter plan does not include the model gpt-4o' })
+      );
+    });
+
+    it('should only include features the plan turns on', () => {
+      expect(hasFeature(getDefaultPlan(), 'webhooks')).toBe(true);
+      expect(hasFeature(getDefaultPlan(), 'schedules')).toBe(false);
+      expect(hasFeature(getDefaultPlan(), 'apiKeys')).toBe(false);
+      expect(hasFeature(getPlan('STARTER'), 'schedules')).toBe(false);
+    });
+
+    it('should expose plans without their Stripe price ids', () => {
+      const response = toPlanResponse(getPlan('STARTER'));
+
+      expect(response).toMatchObject({
+        id: 'STARTER',
+        scrapesPerMonth: 300,
+        maxExportRows: 500,
+        allowedModels: ['gemini-2.5-flash'],
+        intervals: ['monthly', 'annual'],
+        isDefault: false
+      });
+      expect(toPlanResponse(getDefaultPlan()).features).toEqual({ schedules: false, webhooks: true, apiKeys: false });
+      expect(JSON.stringify(response)).not.toContain('price_');
+    });
+  });
+});
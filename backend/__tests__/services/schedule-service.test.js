@@ -0,0 +1,64 @@
+jest.mock('../../services/supabase-service', () => ({
+  supabase: { from: jest.fn() }
+}));
+
+jest.mock('../../utils/logger', () => ({
+  debug: jest.fn(),
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+
+const { computeNextRun, validateCron, toScheduleResponse } = require('../../services/schedule-service');
+
+describe('Schedule Service', () => {
+  describe('computeNextRun', () => {
+    it('should return the next matching time after the given date', () => {
+      const next = computeNextRun('0 8 * * *', 'UTC', new Date('2026-03-10T09:00:00Z'));
+      expect(next.toISOString()).toBe('2026-03-11T08:00:00.000Z');
+    });
+
+    it('should evaluate the expression in the schedule timezone', () => {
+      const next = computeNextRun('0 8 * * *', 'Europe/Paris', new Date('2026-03-10T00:00:00Z'));
+      expect(next.toISOString()).toBe('2026-03-10T07:00:00.000Z');
+    });
+  });
+
+  describe('validateCron', () => {
+    it('should accept a valid expression', () => {
+      expect(validateCron('30 6 * * 1-5', 'America/New_York')).toBeNull();
+    });
+
+    it('should reject malformed expressions', () => {
+      expect(validateCron('every day')).toMatch(/5 fields/);
+      expect(validateCron('61 * * * *')).toMatch(/Invalid cron expression/);
+    });
+
+    it('should reject unknown timezones', () => {
+      expect(validateCron('0 8 * * *', 'Mars/Olympus')).toBe('Unknown timezone: Mars/Olympus');
+    });
+
+    it('should reject schedules more frequent than the minimum interval', () => {
+      expect(validateCron('*/5 * * * *')).toMatch(/more often than every 15 minutes/);
+      expect(validateCron('0,5 9 * * *')).toMatch(/more often/);
+      expect(validateCron('*/15 * * * *')).toBeNull();
+    });
+  });
+
+  describe('toScheduleResponse', () => {
+    it('should expose the destination as a nested object', () => {
+      const response = toScheduleResponse({
+        id: 's1',
+        user_id: 'u1',
+        name: 'Daily prices',
+        destination_type: 'append_sheet',
+        spreadsheet_id: 'sheet-1',
+        tab_name: null,
+        webhook_url: null
+      });
+
+      expect(response.destination).toEqual({ type: 'append_sheet', spreadsheetId: 'sheet-1' });
+      expect(response).not.toHaveProperty('user_id');
+    });
+  });
+});
@@ -0,0 +1,152 @@
+jest.mock('../../services/supabase-service', () => ({
+  supabase: { from: jest.fn() }
+}));
+jest.mock('../../services/page-fetcher', () => ({
+  fetchPage: jest.fn(),
+  postJson: jest.fn()
+}));
+jest.mock('../../services/scrape-pipeline', () => ({
+  runScrape: jest.fn()
+}));
+jest.mock('../../services/sheets-service', () => ({
+  createSpreadsheet: jest.fn(),
+  appendToSpreadsheet: jest.fn(),
+  generateSheetName: jest.fn()
+}));
+jest.mock('../../services/organization-service', () => ({
+  getActiveOrganization: jest.fn(async () => null)
+}));
+jest.mock('../../services/template-service', () => ({
+  getTemplateForUser: jest.fn(),
+  applyTemplate: jest.requireActual('../../services/template-service').applyTemplate
+}));
+jest.mock('../../utils/usage', () => ({
+  usageAccount: jest.requireActual('../../utils/usage').usageAccount,
+  resetMonthlyUsageIfNeeded: jest.fn(),
+  incrementUsageIfAllowed: jest.fn()
+}));
+jest.mock('../../services/token-usage-service', () => ({
+  recordModelUsage: jest.fn()
+}));
+jest.mock('../../utils/logger', () => ({
+  debug: jest.fn(),
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+
+const { supabase } = require('../../services/supabase-service');
+const { fetchPage, postJson } = require('../../services/page-fetcher');
+const { runScrape } = require('../../services/scrape-pipeline');
+const { appendToSpreadsheet } = require('../../services/sheets-service');
+const { incrementUsageIfAllowed } = require('../../utils/usage');
+const { runSchedule } = require('../../services/scheduler');
+const { signPayload } = require('../../services/webhook-service');
+const { createTokenUsage, recordTokens } = require('../../utils/token-cost');
+
+const user = { id: 'user-1', plan: 'STARTER', usage_this_month: 3, google_provider_token: 'google-token' };
+
+// Supabase query builder stub: every call chains, awaiting resolves to { data, error }
+let updates;
+let activities;
+function mockTables() {
+  updates = [];
+  activities = [];
+  supabase.from.mockImplementation((table) => {
+    const query = {
+      select: () => query,
+      eq: () => query,
+      single: async () => ({ data: table === 'users' ? user : null, error: null }),
+      update: (changes) => { updates.push(changes); return query; },
+      insert: async (row) => { activities.push(row); return { error: null }; },
+      then: (resolve) => resolve({ data: null, error: null })
+    };
+    return query;
+  });
+}
+
+const schedule = {
+  id: 'schedule-1',
+  user_id: 'user-1',
+  name: 'Daily prices',
+  url: 'https://shop.example.com/deals',
+  instruction: 'Extract product names and prices',
+  destination_type: 'append_sheet',
+  spreadsheet_id: 'sheet-1',
+  tab_name: 'Prices',
+  failure_count: 2
+};
+
+describe('Scheduler', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockTables();
+    fetchPage.mockResolvedValue({ html: '<html><body><ul><li>A $1</li></ul></body></html>' });
+    runScrape.mockResolvedValue({ data: [{ name: 'A', price: 1 }], strategy: 'llm' });
+    incrementUsageIfAllowed.mockResolvedValue({ usage: { current: 4, limit: 250 } });
+    appendToSpreadsheet.mockResolvedValue({
+      spreadsheetId: 'sheet-1',
+      spreadsheetUrl: 'https://docs.google.com/spreadsheets/d/sheet-1',
+      title: 'Prices'
+    });
+  });
+
+  it('should fetch, extract, append and log the activity', async () => {
+    await runSchedule(schedule);
+
+    expect(fetchPage).toHaveBeenCalledWith('https://shop.example.com/deals');
+    expect(runScrape).toHaveBeenCalledWith(expect.objectContaining({ isHtml: true, instruction: schedule.instruction }));
+    expect(appendToSpreadsheet).toHaveBeenCalledWith('google-token', 'sheet-1', 'Prices', [{ name: 'A', price: 1 }]);
+    expect(activities).toEqual([expect.objectContaining({ scheduled_scrape_id: 'schedule-1', item_count: 1 })]);
+    expect(updates.at(-1)).toMatchObject({ last_status: 'completed', last_item_count: 1, failure_count: 0 });
+  });
+
+  it('should store the scrape tokens and cost on the activity', async () => {
+    const tokenUsage = recordTokens(createTokenUsage(), 'gemini-2.5-flash', { inputTokens: 4000, outputTokens: 800 });
+    runScrape.mockResolvedValue({ data: [{ name: 'A', price: 1 }], strategy: 'llm', tokenUsage });
+
+    await runSchedule(schedule);
+
+    expect(activities[0]).toMatchObject({ input_tokens: 4000, output_tokens: 800, cost_usd: 0.0032 });
+  });
+
+  it('should post signed rows to webhook destinations', async () => {
+    await runSchedule({
+      ...schedule,
+      destination_type: 'webhook',
+      webhook_url: 'https://hooks.example.com/in',
+      webhook_secret: 'whsec_test'
+    });
+
+    expect(postJson).toHaveBeenCalledWith('https://hooks.example.com/in', expect.objectContaining({
+      scheduleId: 'schedule-1',
+      itemCount: 1,
+      data: [{ name: 'A', price: 1 }]
+    }), expect.anything());
+    const [, payload, { headers }] = postJson.mock.calls[0];
+    const timestamp = headers['x-webhook-signature'].match(/^t=(\d+),/)[1];
+    expect(headers['x-webhook-signature']).toBe(signPayload('whsec_test', JSON.stringify(payload), Number(timestamp)));
+    expect(activities[0]).toMatchObject({ spreadsheet_url: null });
+  });
+
+  it('should skip delivery when the usage limit is reached', async () => {
+    incrementUsageIfAllowed.mockResolvedValue({ status: 403, error: 'Monthly limit reached. Limit resets next billing cycle.' });
+
+    await runSchedule(schedule);
+
+    expect(appendToSpreadsheet).not.toHaveBeenCalled();
+    expect(activities).toEqual([]);
+    expect(updates.at(-1)).toMatchObject({ last_status: 'skipped' });
+  });
+
+  it('should record failures and disable the schedule after too many in a row', async () => {
+    fetchPage.mockRejectedValue(new Error('Page returned HTTP 503'));
+
+    await runSchedule(schedule);
+    expect(updates.at(-1)).toMatchObject({ last_status: 'failed', last_error: 'Page returned HTTP 503', failure_count: 3 });
+    expect(updates.at(-1)).not.toHaveProperty('enabled');
+
+    await runSchedule({ ...schedule, failure_count: 4 });
+    expect(updates.at(-1)).toMatchObject({ failure_count: 5, enabled: false });
+  });
+});
@@ -0,0 +1,159 @@
+// Minimal in-memory stand-in for the node-redis commands used by the job queue
+jest.mock('../../services/redis-service', () => {
+  const store = new Map();
+  const lists = new Map();
+  const list = (key) => {
+    if (!lists.has(key)) lists.set(key, []);
+    return lists.get(key);
+  };
+
+  const client = {
+    store,
+    lists,
+    get: jest.fn(async (key) => store.get(key) ?? null),
+    set: jest.fn(async (key, value) => { store.set(key, value); return 'OK'; }),
+    del: jest.fn(async (key) => (store.delete(key) ? 1 : 0)),
+    exists: jest.fn(async (key) => (store.has(key) ? 1 : 0)),
+    expire: jest.fn(async () => 1),
+    lPush: jest.fn(async (key, value) => list(key).unshift(value)),
+    rPush: jest.fn(async (key, value) => list(key).push(value)),
+    lRange: jest.fn(async (key) => [...list(key)]),
+    lRem: jest.fn(async (key, _count, value) => {
+      const items = list(key);
+      const index = items.indexOf(value);
+      if (index >= 0) items.splice(index, 1);
+      return index >= 0 ? 1 : 0;
+    }),
+    lMove: jest.fn(async (source, destination) => {
+      const value = list(source).pop();
+      if (value === undefined) return null;
+      list(destination).unshift(value);
+      return value;
+    }),
+    multi: jest.fn(() => {
+      const queued = [];
+      const chain = new Proxy({}, {
+        get: (_target, prop) => {
+          if (prop === 'exec') return async () => Promise.all(queued.map(fn => fn()));
+          return (...args) => { queued.push(() => client[prop](...args)); return chain; };
+        }
+      });
+      return chain;
+    })
+  };
+
+  return {
+    redisClient: client,
+    isRedisConnected: jest.fn(() => true)
+  };
+});
+
+jest.mock('../../services/scrape-pipeline', () => ({
+  runScrape: jest.fn()
+}));
+
+jest.mock('../../services/webhook-service', () => ({
+  emitEvent: jest.fn()
+}));
+
+jest.mock('../../utils/logger', () => ({
+  debug: jest.fn(),
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+
+const { redisClient, isRedisConnected } = require('../../services/redis-service');
+const { runScrape } = require('../../services/scrape-pipeline');
+const { emitEvent } = require('../../services/webhook-service');
+const { createJob, getJob, startWorker, stopWorker } = require('../../services/scrape-jobs');
+
+const payload = { html: '# Products\n- A\n- B', instruction: 'Extract products' };
+
+async function waitForStatus(id, status) {
+  for (let i = 0; i < 100; i++) {
+    const job = await getJob(id);
+    if (job && job.status === status) return job;
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+  throw new Error(`Job ${id} never reached ${status}`);
+}
+
+describe('Scrape Jobs', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    redisClient.store.clear();
+    redisClient.lists.clear();
+    isRedisConnected.mockReturnValue(true);
+  });
+
+  afterEach(async () => {
+    await stopWorker(100);
+  });
+
+  describe('createJob', () => {
+    it('should store the job and payload and enqueue it', async () => {
+      const job = await createJob('user-1', payload);
+
+      expect(job.status).toBe('queued');
+      expect(await getJob(job.id)).toMatchObject({ id: job.id, userId: 'user-1', status: 'queued' });
+      expect(JSON.parse(redisClient.store.get(`scrape:job:${job.id}:payload`))).toEqual(payload);
+      expect(redisClient.lists.get('scrape:jobs:queue')).toEqual([job.id]);
+    });
+
+    it('should fail with 503 when Redis is unavailable', async () => {
+      isRedisConnected.mockReturnValue(false);
+
+      await expect(createJob('user-1', payload)).rejects.toMatchObject({ status: 503 });
+    });
+  });
+
+  describe('worker', () => {
+    it('should process a queued job and store the rows', async () => {
+      runScrape.mockImplementation(async ({ onProgress }) => {
+        onProgress({ completedChunks: 1, totalChunks: 1 });
+        return { data: [{ name: 'A' }, { name: 'B' }], strategy: 'llm' };
+      });
+
+      const job = await createJob('user-1', payload);
+      startWorker();
+      const done = await waitForStatus(job.id, 'completed');
+
+      expect(done.itemCount).toBe(2);
+      expect(done.data).toEqual([{ name: 'A' }, { name: 'B' }]);
+      expect(done.strategy).toBe('llm');
+      expect(runScrape).toHaveBeenCalledWith(expect.objectContaining({ ...payload, userId: 'user-1' }));
+      expect(redisClient.store.has(`scrape:job:${job.id}:payload`)).toBe(false);
+      expect(redisClient.lists.get('scrape:jobs:processing')).toEqual([]);
+      expect(emitEvent).toHaveBeenCalledWith('user-1', 'scrape.completed', expect.objectContaining({
+        mode: 'job',
+        jobId: job.id,
+        itemCount: 2
+      }));
+    });
+
+    it('should mark the job failed when extraction throws', async () => {
+      runScrape.mockRejectedValue(new Error('Failed to parse AI response'));
+
+      const job = await createJob('user-1', payload);
+      startWorker();
+      const failed = await waitForStatus(job.id, 'failed');
+
+      expect(failed.error).toBe('Failed to parse AI response');
+      expect(emitEvent).not.toHaveBeenCalled();
+    });
+
+    it('should requeue jobs still running at shutdown', async () => {
+      runScrape.mockImplementation(() => new Promise(() => {}));
+
+      const job = await createJob('user-1', payload);
+      startWorker();
+      await waitForStatus(job.id, 'running');
+      await stopWorker(50);
+
+      expect((await getJob(job.id)).status).toBe('queued');
+      expect(redisClient.lists.get('scrape:jobs:queue')).toEqual([job.id]);
+      expect(redisClient.lists.get('scrape:jobs:processing')).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,133 @@
+jest.mock('../../services/ai-extractor', () => ({
+  extractData: jest.fn()
+}));
+jest.mock('../../services/page-fetcher', () => ({
+  fetchPage: jest.fn()
+}));
+jest.mock('../../services/result-cache', () => {
+  const store = new Map();
+  return {
+    store,
+    resultCacheKey: jest.requireActual('../../services/result-cache').resultCacheKey,
+    getCachedResult: jest.fn(async (key) => store.get(key) ?? null),
+    setCachedResult: jest.fn(async (key, data) => { store.set(key, data); })
+  };
+});
+jest.mock('../../services/token-usage-service', () => ({
+  recordModelUsage: jest.fn()
+}));
+jest.mock('../../utils/logger', () => ({
+  debug: jest.fn(),
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+
+const { extractData } = require('../../services/ai-extractor');
+const { runScrape } = require('../../services/scrape-pipeline');
+const resultCache = require('../../services/result-cache');
+const { recordModelUsage } = require('../../services/token-usage-service');
+const { createTokenUsage, recordTokens } = require('../../utils/token-cost');
+
+const repair = { repaired: 1, dropped: 0, rounds: 1 };
+const tableHtml = '<table><tr><th>Name</th><th>Price</th></tr><tr><td>Widget</td><td>$1,299.00</td></tr></table>';
+
+describe('Scrape Pipeline', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    resultCache.store.clear();
+    extractData.mockResolvedValue({ data: [{ summary: 'from model' }], repair });
+  });
+
+  it('should read rows from a table that covers the schema without calling the model', async () => {
+    const result = await runScrape({
+      html: tableHtml,
+      instruction: 'Extract products',
+      schema: [{ name: 'name', type: 'string' }, { name: 'price', type: 'number' }]
+    });
+
+    expect(result).toEqual({ data: [{ name: 'Widget', price: 1299 }], strategy: 'table', cached: false, repair: null, tokenUsage: createTokenUsage() });
+    expect(extractData).not.toHaveBeenCalled();
+  });
+
+  it('should fall back to the model when no table answers the instruction', async () => {
+    const result = await runScrape({ html: tableHtml, instruction: 'Summarize the page tone' });
+
+    expect(result).toEqual({ data: [{ summary: 'from model' }], strategy: 'llm', cached: false, repair, tokenUsage: createTokenUsage() });
+    expect(extractData).toHaveBeenCalledTimes(1);
+  });
+
+  it('should record the tokens of the model calls for the user', async () => {
+    extractData.mockImplementation(async ({ tokenUsage }) => {
+      recordTokens(tokenUsage, 'gemini-2.5-flash', { inputTokens: 1000, outputTokens: 200 });
+      return { data: [{ summary: 'from model' }], repair };
+    });
+
+    const result = await runScrape({ html: '# Page', instruction: 'Summarize the page tone', userId: 'user-1' });
+
+    expect(result.tokenUsage).toMatchObject({ calls: 1, inputTokens: 1000, outputTokens: 200, costUsd: 0.0008 });
+    expect(recordModelUsage).toHaveBeenCalledWith('user-1', 'scrape', result.tokenUsage);
+  });
+
+  it('should record the tokens of a failed extraction', async () => {
+    extractData.mockImplementation(async ({ tokenUsage }) => {
+      recordTokens(tokenUsage, 'gemini-2.5-flash', { inputTokens: 1000, outputTokens: 0 });
+      throw new Error('Failed to parse AI response');
+    });
+
+    await expect(runScrape({ html: '# Page', instruction: 'Summarize', userId: 'user-1' })).rejects.toThrow('Failed to parse');
+    expect(recordModelUsage).toHaveBeenCalledWith('user-1', 'scrape', expect.objectContaining({ inputTokens: 1000 }));
+  });
+
+  it('should return cached rows for the same content and instruction unless noCache is set', async () => {
+    const request = { html: '# Page\n\nSome prose', instruction: 'Summarize the page tone', userId: 'user-1' };
+
+    const first = await runScrape(request);
+    const second = await runScrape({ ...request, html: '# Page\n\nSome   prose\n' });
+    const third = await runScrape({ ...request, noCache: true });
+
+    expect(first.cached).toBe(false);
+    expect(second).toEqual({ data: [{ summary: 'from model' }], strategy: 'llm', cached: true, repair: null, tokenUsage: createTokenUsage() });
+    expect(third.cached).toBe(false);
+    expect(extractData).toHaveBeenCalledTimes(2);
+  });
+
+  it('should not share cached rows between users', async () => {
+    const request = { html: '# Page\n\nSome prose', instruction: 'Summarize the page tone' };
+
+    await runScrape({ ...request, userId: 'user-1' });
+    const other = await runScrape({ ...request, userId: 'user-2' });
+
+    expect(other.cached).toBe(false);
+    expect(extractData).toHaveBeenCalledTimes(2);
+  });
+
+  it('should skip table detection with the llm strategy', async () => {
+    const result = await runScrape({ html: tableHtml, instruction: 'Extract the table', strategy: 'llm' });
+
+    expect(result.strategy).toBe('llm');
+  });
+
+  it('should extract with selectors after removing boilerplate', async () => {
+    const html = '<nav><div class="item"><b>Menu</b></div></nav><div class="item"><b>Widget</b><i>$5</i></div>';
+
+    const result = await runScrape({
+      html,
+      selectors: { type: 'css', rows: '.item', columns: { name: 'b', price: 'i' } },
+      schema: [{ name: 'name', type: 'string' }, { name: 'price', type: 'number' }]
+    });
+
+    expect(result).toEqual({ data: [{ name: 'Widget', price: 5 }], strategy: 'selector', cached: false, repair: null, tokenUsage: createTokenUsage() });
+    expect(extractData).not.toHaveBeenCalled();
+  });
+
+  it('should reject selectors on Markdown content', async () => {
+    await expect(runScrape({ html: '# Title\n\n* item', selectors: { type: 'css', rows: 'li', columns: { a: 'b' } } }))
+      .rejects.toMatchObject({ status: 422 });
+  });
+
+  it('should fail with 422 when the table strategy finds no table', async () => {
+    await expect(runScrape({ html: '# No tables here\n\nJust text', instruction: 'Extract rows', strategy: 'table' }))
+      .rejects.toMatchObject({ status: 422 });
+  });
+});
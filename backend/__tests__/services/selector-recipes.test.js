@@ -0,0 +1,96 @@
+jest.mock('../../services/redis-service', () => {
+  const store = new Map();
+  return {
+    redisClient: {
+      store,
+      get: jest.fn(async (key) => store.get(key) ?? null),
+      set: jest.fn(async (key, value) => { store.set(key, value); }),
+      del: jest.fn(async (key) => { store.delete(key); })
+    },
+    isRedisConnected: () => true
+  };
+});
+jest.mock('../../services/ai-extractor', () => ({
+  generateSelectorRecipe: jest.fn()
+}));
+jest.mock('../../utils/logger', () => ({
+  debug: jest.fn(),
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+
+const { redisClient } = require('../../services/redis-service');
+const { generateSelectorRecipe } = require('../../services/ai-extractor');
+const { extractWithRecipe, recipeKey, recipeDomain } = require('../../services/selector-recipes');
+
+const pageUrl = 'https://www.shop.example.com/search?q=shoes';
+const html = `
+  <div class="results">
+    <div class="card"><h3 class="title">Runner</h3><a class="link" href="/p/1">View</a></div>
+    <div class="card"><h3 class="title">Trail</h3><a class="link" href="/p/2">View</a></div>
+  </div>`;
+const recipe = { rows: '.card', columns: { name: '.title', link: { selector: 'a.link', attribute: 'href' } } };
+const options = { pageUrl, userId: 'user-1', instruction: 'Extract product names and links' };
+
+describe('Selector Recipes', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    redisClient.store.clear();
+  });
+
+  it('should key recipes by user, domain and normalized instruction', () => {
+    expect(recipeDomain(pageUrl)).toBe('shop.example.com');
+    expect(recipeKey('user-1', 'shop.example.com', 'Extract  NAMES')).toBe(recipeKey('user-1', 'shop.example.com', 'extract names'));
+    expect(recipeKey('user-1', 'shop.example.com', 'names')).not.toBe(recipeKey('user-1', 'other.example.com', 'names'));
+    expect(recipeKey('user-1', 'shop.example.com', 'names')).not.toBe(recipeKey('user-2', 'shop.example.com', 'names'));
+  });
+
+  it('should generate, validate and cache a recipe, then reuse it', async () => {
+    generateSelectorRecipe.mockResolvedValue(recipe);
+
+    const first = await extractWithRecipe(html, options);
+    const second = await extractWithRecipe(html, options);
+
+    expect(first).toEqual({
+      data: [
+        { name: 'Runner', link: 'https://www.shop.example.com/p/1' },
+        { name: 'Trail', link: 'https://www.shop.example.com/p/2' }
+      ],
+      cached: false
+    });
+    expect(second).toEqual({ ...first, cached: true });
+    expect(generateSelectorRecipe).toHaveBeenCalledTimes(1);
+    expect(redisClient.set).toHaveBeenCalledWith(expect.stringMatching(/^scrape:recipe:user-1:shop\.example\.com:/), expect.any(String), { EX: 604800 });
+  });
+
+  it('should not reuse recipes cached by another user', async () => {
+    redisClient.store.set(recipeKey('user-2', 'shop.example.com', options.instruction), JSON.stringify({ ...recipe, columns: { name: 'a.link' } }));
+    generateSelectorRecipe.mockResolvedValue(recipe);
+
+    const result = await extractWithRecipe(html, options);
+
+    expect(result.cached).toBe(false);
+    expect(result.data[0]).toEqual({ name: 'Runner', link: 'https://www.shop.example.com/p/1' });
+  });
+
+  it('should replace a cached recipe that no longer matches the page', async () => {
+    redisClient.store.set(recipeKey('user-1', 'shop.example.com', options.instruction), JSON.stringify({ ...recipe, rows: '.old-card' }));
+    generateSelectorRecipe.mockResolvedValue(recipe);
+
+    const result = await extractWithRecipe(html, options);
+
+    expect(result.cached).toBe(false);
+    expect(JSON.parse(redisClient.store.get(recipeKey('user-1', 'shop.example.com', options.instruction))).rows).toBe('.card');
+  });
+
+  it('should return null when the recipe misses a column or the model fails', async () => {
+    generateSelectorRecipe.mockResolvedValueOnce({ rows: '.card', columns: { name: '.title', price: '.price' } });
+    expect(await extractWithRecipe(html, options)).toBeNull();
+
+    generateSelectorRecipe.mockRejectedValueOnce(new Error('Failed to parse selector recipe'));
+    expect(await extractWithRecipe(html, options)).toBeNull();
+
+    expect(redisClient.set).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,215 @@
+const mockSheets = {
+  spreadsheets: {
+    get: jest.fn(),
+    batchUpdate: jest.fn(),
+    values: {
+      get: jest.fn(),
+      update: jest.fn(),
+      append: jest.fn(),
+      batchUpdate: jest.fn()
+    }
+  }
+};
+
+jest.mock('googleapis', () => ({
+  google: {
+    auth: { OAuth2: jest.fn(() => ({ setCredentials: jest.fn() })) },
+    sheets: jest.fn(() => mockSheets)
+  }
+}));
+
+jest.mock('../../utils/logger', () => ({
+  debug: jest.fn(),
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+
+const {
+  appendToSpreadsheet,
+  upsertToSpreadsheet,
+  columnLetter,
+  quoteTabName,
+  alignRowsToHeaders
+} = require('../../services/sheets-service');
+
+const spreadsheet = {
+  spreadsheetId: 'sheet-1',
+  spreadsheetUrl: 'https://docs.google.com/spreadsheets/d/sheet-1',
+  properties: { title: 'Products' },
+  sheets: [{ properties: { sheetId: 0, title: 'Sheet1' } }]
+};
+
+// Ranges and values written through values.batchUpdate, flattened
+function updatedCells() {
+  return mockSheets.spreadsheets.values.batchUpdate.mock.calls
+    .flatMap(([request]) => request.requestBody.data)
+    .map(({ range, values }) => [range, values[0][0]]);
+}
+
+describe('Sheets Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockSheets.spreadsheets.get.mockResolvedValue({ data: spreadsheet });
+    mockSheets.spreadsheets.values.get.mockResolvedValue({
+      data: {
+        values: [
+          ['sku', 'name', 'price'],
+          ['A1', 'Laptop', '999'],
+          ['B2', 'Mouse', '25'],
+          ['C3', 'Cable', '5']
+        ]
+      }
+    });
+  });
+
+  describe('columnLetter', () => {
+    it('should convert 0-based indexes to A1 column letters past Z', () => {
+      expect(columnLetter(0)).toBe('A');
+      expect(columnLetter(25)).toBe('Z');
+      expect(columnLetter(26)).toBe('AA');
+      expect(columnLetter(701)).toBe('ZZ');
+      expect(columnLetter(702)).toBe('AAA');
+    });
+  });
+
+  describe('quoteTabName', () => {
+    it('should quote tab names and double the quotes inside', () => {
+      expect(quoteTabName('Sheet1')).toBe("'Sheet1'");
+      expect(quoteTabName("Q1 'Data'")).toBe("'Q1 ''Data'''");
+    });
+  });
+
+  describe('alignRowsToHeaders', () => {
+    it('should place values under existing headers by name and add new keys as columns', () => {
+      const result = alignRowsToHeaders(['price', 'name'], [
+        { name: 'Laptop', price: 999 },
+        { name: 'Mouse', color: 'black' }
+      ]);
+
+      expect(result).toEqual({
+        headers: ['price', 'name', 'color'],
+        addedColumns: ['color'],
+        rows: [['999', 'Laptop', ''], ['', 'Mouse', 'black']]
+      });
+    });
+  });
+
+  describe('appendToSpreadsheet', () => {
+    it('should append rows in the order of the existing header row', async () => {
+      mockSheets.spreadsheets.values.get.mockResolvedValue({ data: { values: [['price', 'sku', 'name']] } });
+
+      const result = await appendToSpreadsheet('token', 'sheet-1', undefined, [
+        { sku: 'D4', name: 'Monitor', price: 199 }
+      ]);
+
+      expect(result).toMatchObject({ tabName: 'Sheet1', appendedRows: 1, addedColumns: [] });
+      expect(mockSheets.spreadsheets.values.update).not.toHaveBeenCalled();
+      expect(mockSheets.spreadsheets.values.append).toHaveBeenCalledWith(expect.objectContaining({
+        range: "'Sheet1'!A1",
+        requestBody: { values: [['199', 'D4', 'Monitor']] }
+      }));
+    });
+
+    it('should extend the header row with new keys', async () => {
+      const result = await appendToSpreadsheet('token', 'sheet-1', 'Sheet1', [
+        { sku: 'D4', name: 'Monitor', price: 199, rating: 4.5 }
+      ]);
+
+      expect(result.addedColumns).toEqual(['rating']);
+      expect(mockSheets.spreadsheets.values.update).toHaveBeenCalledWith(expect.objectContaining({
+        range: "'Sheet1'!A1:D1",
+        requestBody: { values: [['sku', 'name', 'price', 'rating']] }
+      }));
+      expect(mockSheets.spreadsheets.values.append.mock.calls[0][0].requestBody.values)
+        .toEqual([['D4', 'Monitor', '199', '4.5']]);
+    });
+
+    it('should create a missing tab, quoting its name in ranges', async () => {
+      mockSheets.spreadsheets.batchUpdate.mockResolvedValue({
+        data: { replies: [{ addSheet: { properties: { sheetId: 7, title: "Bob's list" } } }] }
+      });
+      mockSheets.spreadsheets.values.get.mockResolvedValue({ data: {} });
+
+      const result = await appendToSpreadsheet('token', 'sheet-1', "Bob's list", [{ sku: 'A1', name: 'Laptop' }]);
+
+      const addSheet = mockSheets.spreadsheets.batchUpdate.mock.calls[0][0].requestBody.requests[0].addSheet;
+      expect(addSheet.properties.title).toBe("Bob's list");
+      expect(mockSheets.spreadsheets.values.get).toHaveBeenCalledWith(expect.objectContaining({ range: "'Bob''s list'!1:1" }));
+      expect(mockSheets.spreadsheets.values.update).toHaveBeenCalledWith(expect.objectContaining({
+        range: "'Bob''s list'!A1:B1",
+        requestBody: { values: [['sku', 'name']] }
+      }));
+      expect(result).toMatchObject({ tabName: "Bob's list", appendedRows: 1 });
+    });
+  });
+
+  describe('upsertToSpreadsheet', () => {
+    it('should update changed cells, append new rows and count unchanged rows', async () => {
+      const result = await upsertToSpreadsheet('token', 'sheet-1', undefined, [
+        { sku: 'A1', name: 'Laptop', price: 899 },
+        { sku: 'B2', name: 'Mouse', price: 25 },
+        { sku: 'D4', name: 'Monitor', price: 199 }
+      ], { keyColumns: ['sku'] });
+
+      expect(result).toMatchObject({ inserted: 1, updated: 1, unchanged: 1, markedMissing: 0, addedColumns: [] });
+      expect(updatedCells()).toEqual([["'Sheet1'!C2", '899']]);
+      expect(mockSheets.spreadsheets.values.append).toHaveBeenCalledWith(expect.objectContaining({
+        requestBody: { values: [['D4', 'Monitor', '199']] }
+      }));
+      expect(mockSheets.spreadsheets.values.update).not.toHaveBeenCalled();
+    });
+
+    it('should add a Missing Since column and date rows absent from the data', async () => {
+      const result = await upsertToSpreadsheet('token', 'sheet-1', 'Sheet1', [
+        { sku: 'A1', name: 'Laptop', price: 999 }
+      ], { keyColumns: ['sku'], markMissing: true });
+
+      const today = new Date().toISOString().slice(0, 10);
+      expect(result).toMatchObject({ inserted: 0, updated: 0, unchanged: 1, markedMissing: 2, addedColumns: ['Missing Since'] });
+      expect(mockSheets.spreadsheets.values.update).toHaveBeenCalledWith(expect.objectContaining({
+        range: "'Sheet1'!A1:D1",
+        requestBody: { values: [['sku', 'name', 'price', 'Missing Since']] }
+      }));
+      expect(updatedCells()).toEqual([["'Sheet1'!D3", today], ["'Sheet1'!D4", today]]);
+    });
+
+    it('should clear Missing Since when a row reappears', async () => {
+      mockSheets.spreadsheets.values.get.mockResolvedValue({
+        data: {
+          values: [
+            ['sku', 'name', 'Missing Since'],
+            ['A1', 'Laptop', '2026-01-01']
+          ]
+        }
+      });
+
+      const result = await upsertToSpreadsheet('token', 'sheet-1', undefined, [
+        { sku: 'A1', name: 'Laptop' }
+      ], { keyColumns: ['sku'], markMissing: true });
+
+      expect(result).toMatchObject({ updated: 1, markedMissing: 0 });
+      expect(updatedCells()).toEqual([["'Sheet1'!C2", '']]);
+    });
+
+    it('should match on multiple key columns and keep the first of duplicate rows', async () => {
+      mockSheets.spreadsheets.values.get.mockResolvedValue({
+        data: {
+          values: [
+            ['store', 'sku', 'stock'],
+            ['north', 'A1', '3'],
+            ['south', 'A1', '7']
+          ]
+        }
+      });
+
+      const result = await upsertToSpreadsheet('token', 'sheet-1', undefined, [
+        { store: 'south', sku: 'A1', stock: 6 },
+        { store: 'south', sku: 'A1', stock: 1 }
+      ], { keyColumns: ['store', 'sku'] });
+
+      expect(result).toMatchObject({ inserted: 0, updated: 1, unchanged: 0 });
+      expect(updatedCells()).toEqual([["'Sheet1'!C3", '6']]);
+    });
+  });
+});
@@ -0,0 +1,108 @@
+jest.mock('../../services/supabase-service', () => ({
+  supabase: { from: jest.fn() }
+}));
+jest.mock('../../utils/logger', () => ({
+  debug: jest.fn(),
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+
+const { supabase } = require('../../services/supabase-service');
+const { claimStripeEvent, finishStripeEvent } = require('../../services/stripe-event-service');
+
+// Supabase query builder stub: every call chains; each awaited query takes the next queued result
+let results;
+let queries;
+function mockTable() {
+  results = [];
+  queries = [];
+  supabase.from.mockImplementation((table) => {
+    const query = { table, calls: [] };
+    ['select', 'eq', 'insert', 'update', 'order', 'limit'].forEach(method => {
+      query[method] = (...args) => { query.calls.push([method, ...args]); return query; };
+    });
+    const next = async () => results.shift() || { data: null, error: null };
+    query.maybeSingle = next;
+    query.single = next;
+    query.then = (resolve, reject) => next().then(resolve, reject);
+    queries.push(query);
+    return query;
+  });
+}
+
+const event = { id: 'evt_1', type: 'invoice.paid', created: 1790000000, data: { object: {} } };
+const duplicateKey = { error: { code: '23505', message: 'duplicate key value violates unique constraint' } };
+const logged = (changes) => ({
+  data: { id: 'evt_1', status: 'failed', attempts: 1, updated_at: new Date().toISOString(), ...changes },
+  error: null
+});
+
+describe('Stripe Event Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockTable();
+  });
+
+  describe('claimStripeEvent', () => {
+    it('should claim new events by inserting them', async () => {
+      await expect(claimStripeEvent(event)).resolves.toBe('claimed');
+
+      expect(queries[0].calls[0][1]).toMatchObject({
+        id: 'evt_1',
+        type: 'invoice.paid',
+        status: 'processing',
+        payload: event,
+        stripe_created_at: new Date(1790000000 * 1000).toISOString()
+      });
+    });
+
+    it('should report processed and skipped events as duplicates', async () => {
+      results.push(duplicateKey, logged({ status: 'processed' }));
+      await expect(claimStripeEvent(event)).resolves.toBe('duplicate');
+
+      results.push(duplicateKey, logged({ status: 'skipped' }));
+      await expect(claimStripeEvent(event)).resolves.toBe('duplicate');
+
+      expect(queries.some(q => q.calls[0][0] === 'update')).toBe(false);
+    });
+
+    it('should not claim events another request is processing', async () => {
+      results.push(duplicateKey, logged({ status: 'processing' }));
+
+      await expect(claimStripeEvent(event)).resolves.toBe('in_progress');
+    });
+
+    it('should take over failed and abandoned events', async () => {
+      const stale = new Date(Date.now() - 10 * 60 * 1000).toISOString();
+      results.push(duplicateKey, logged({ status: 'processing', updated_at: stale }), { data: { id: 'evt_1' }, error: null });
+
+      await expect(claimStripeEvent(event)).resolves.toBe('claimed');
+
+      const claim = queries[2];
+      expect(claim.calls[0]).toEqual(['update', expect.objectContaining({ status: 'processing', attempts: 2 })]);
+      expect(claim.calls).toContainEqual(['eq', 'status', 'processing']);
+      expect(claim.calls).toContainEqual(['eq', 'updated_at', stale]);
+    });
+
+    it('should lose the claim when a concurrent redelivery took it first', async () => {
+      results.push(duplicateKey, logged({ status: 'failed' }), { data: null, error: null });
+
+      await expect(claimStripeEvent(event)).resolves.toBe('in_progress');
+    });
+
+    it('should throw when the event log is unavailable', async () => {
+      results.push({ error: { code: '08006', message: 'connection failure' } });
+
+      await expect(claimStripeEvent(event)).rejects.toThrow('Failed to record Stripe event');
+    });
+  });
+
+  describe('finishStripeEvent', () => {
+    it('should record failures without a processed time', async () => {
+      await finishStripeEvent('evt_1', 'failed', 'Stripe API unavailable');
+
+      expect(queries[0].calls[0][1]).toMatchObject({ status: 'failed', last_error: 'Stripe API unavailable', processed_at: null });
+    });
+  });
+});
@@ -0,0 +1,112 @@
+jest.mock('../../services/supabase-service', () => ({
+  supabase: {
+    from: jest.fn().mockReturnThis(),
+    select: jest.fn().mockReturnThis(),
+    eq: jest.fn().mockReturnThis(),
+    or: jest.fn().mockReturnThis(),
+    maybeSingle: jest.fn()
+  }
+}));
+
+jest.mock('../../utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+
+const { supabase } = require('../../services/supabase-service');
+const { getTemplateForUser, applyTemplate, toTemplateResponse } = require('../../services/template-service');
+
+const templateRow = {
+  id: '7d3c2a4e-5b1f-4c7e-9a2d-1e8f6b0c3d5a',
+  user_id: 'user-123',
+  name: 'Weekly prices',
+  instruction: 'Extract product names and prices',
+  schema: [{ name: 'name', type: 'string', required: true }, { name: 'price', type: 'number', required: false }],
+  model: 'gemini-2.5-pro',
+  max_items: 100,
+  smart_formatting: false,
+  created_at: '2026-01-01T00:00:00.000Z',
+  updated_at: '2026-01-02T00:00:00.000Z'
+};
+
+describe('Template Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('getTemplateForUser', () => {
+    it('should scope the lookup to the requesting user', async () => {
+      supabase.maybeSingle.mockResolvedValue({ data: templateRow, error: null });
+
+      const template = await getTemplateForUser('user-123', templateRow.id);
+
+      expect(template).toBe(templateRow);
+      expect(supabase.from).toHaveBeenCalledWith('templates');
+      expect(supabase.eq).toHaveBeenCalledWith('id', templateRow.id);
+      expect(supabase.or).toHaveBeenCalledWith('and(user_id.eq.user-123,organization_id.is.null)');
+    });
+
+    it('should include templates shared with the active organization', async () => {
+      supabase.maybeSingle.mockResolvedValue({ data: templateRow, error: null });
+
+      await getTemplateForUser('user-123', templateRow.id, 'org-1');
+
+      expect(supabase.or).toHaveBeenCalledWith('and(user_id.eq.user-123,organization_id.is.null),organization_id.eq.org-1');
+    });
+
+    it('should return null when the template does not exist', async () => {
+      supabase.maybeSingle.mockResolvedValue({ data: null, error: null });
+
+      expect(await getTemplateForUser('user-123', templateRow.id)).toBeNull();
+    });
+
+    it('should throw on database errors', async () => {
+      supabase.maybeSingle.mockResolvedValue({ data: null, error: { message: 'boom' } });
+
+      await expect(getTemplateForUser('user-123', templateRow.id)).rejects.toThrow('Failed to load template');
+    });
+  });
+
+  describe('applyTemplate', () => {
+    it('should fill missing fields from the template', () => {
+      const options = applyTemplate({ html: '<p>x</p>', templateId: templateRow.id }, templateRow);
+
+      expect(options).toEqual({
+        html: '<p>x</p>',
+        templateId: templateRow.id,
+        instruction: templateRow.instruction,
+        schema: templateRow.schema,
+        model: 'gemini-2.5-pro',
+        maxItems: 100,
+        smartFormatting: false
+      });
+    });
+
+    it('should let explicit request fields override the template', () => {
+      const options = applyTemplate({ instruction: 'Only titles', maxItems: 5, smartFormatting: true }, templateRow);
+
+      expect(options.instruction).toBe('Only titles');
+      expect(options.maxItems).toBe(5);
+      expect(options.smartFormatting).toBe(true);
+      expect(options.model).toBe('gemini-2.5-pro');
+    });
+
+    it('should leave cleared template fields undefined', () => {
+      const options = applyTemplate({}, { ...templateRow, schema: null, model: null });
+
+      expect(options.schema).toBeUndefined();
+      expect(options.model).toBeUndefined();
+    });
+  });
+
+  describe('toTemplateResponse', () => {
+    it('should expose camelCase fields without the owner id', () => {
+      const response = toTemplateResponse(templateRow);
+
+      expect(response.maxItems).toBe(100);
+      expect(response.smartFormatting).toBe(false);
+      expect(response.user_id).toBeUndefined();
+    });
+  });
+});
@@ -0,0 +1,251 @@
+jest.mock('../../services/supabase-service', () => ({
+  supabase: { from: jest.fn() }
+}));
+jest.mock('../../services/redis-service', () => ({
+  redisClient: { zAdd: jest.fn(), zRangeByScore: jest.fn(), zRem: jest.fn(), eval: jest.fn() },
+  isRedisConnected: jest.fn()
+}));
+jest.mock('../../services/page-fetcher', () => ({
+  postJson: jest.fn()
+}));
+jest.mock('../../utils/logger', () => ({
+  debug: jest.fn(),
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+
+const crypto = require('crypto');
+const { supabase } = require('../../services/supabase-service');
+const { redisClient, isRedisConnected } = require('../../services/redis-service');
+const { postJson } = require('../../services/page-fetcher');
+const {
+  signPayload,
+  retryDelayMs,
+  emitEvent,
+  sendTestEvent,
+  startWebhookWorker,
+  stopWebhookWorker
+} = require('../../services/webhook-service');
+
+// Supabase query builder stub: every call chains; each awaited query takes the next queued
+// result for its table (inserts and updates echo their row by default)
+let results;
+let queries;
+function mockTables() {
+  results = {};
+  queries = [];
+  supabase.from.mockImplementation((table) => {
+    const query = { table, calls: [] };
+    ['select', 'eq', 'contains', 'insert', 'update'].forEach(method => {
+      query[method] = (...args) => { query.calls.push([method, ...args]); return query; };
+    });
+    const next = async () => {
+      if (results[table] && results[table].length) return results[table].shift();
+      const write = query.calls.find(call => call[0] === 'insert' || call[0] === 'update');
+      return { data: write ? { id: 'delivery-1', ...write[1] } : null, error: null };
+    };
+    query.maybeSingle = next;
+    query.single = next;
+    query.then = (resolve, reject) => next().then(resolve, reject);
+    queries.push(query);
+    return query;
+  });
+}
+
+const queue = (table, ...responses) => {
+  results[table] = [...(results[table] || []), ...responses];
+};
+
+const updatesOf = (table) => queries
+  .filter(q => q.table === table && q.calls[0][0] === 'update')
+  .map(q => q.calls[0][1]);
+
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+async function waitFor(mock) {
+  for (let i = 0; i < 100 && mock.mock.calls.length === 0; i++) await flush();
+}
+
+const endpoint = {
+  id: 'endpoint-1',
+  user_id: 'user-1',
+  url: 'https://hooks.example.com/in',
+  events: ['scrape.completed'],
+  secret: 'whsec_test',
+  enabled: true
+};
+
+describe('Webhook Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockTables();
+    isRedisConnected.mockReturnValue(true);
+  });
+
+  describe('signPayload', () => {
+    it('should sign the timestamp and raw body with the endpoint secret', () => {
+      const body = JSON.stringify({ type: 'scrape.completed' });
+      const expected = crypto.createHmac('sha256', 'whsec_test').update(`1700000000.${body}`).digest('hex');
+
+      expect(signPayload('whsec_test', body, 1700000000)).toBe(`t=1700000000,v1=${expected}`);
+    });
+  });
+
+  it('should double the retry delay after every attempt', () => {
+    expect(retryDelayMs(1)).toBe(30000);
+    expect(retryDelayMs(2)).toBe(60000);
+    expect(retryDelayMs(4)).toBe(240000);
+  });
+
+  describe('emitEvent', () => {
+    it('should log a delivery per subscribed endpoint and send it signed', async () => {
+      queue('webhook_endpoints', { data: [endpoint], error: null });
+      postJson.mockResolvedValue({ status: 200 });
+
+      await expect(emitEvent('user-1', 'scrape.completed', { itemCount: 3 })).resolves.toBe(1);
+      await flush();
+
+      const lookup = queries.find(q => q.table === 'webhook_endpoints');
+      expect(lookup.calls).toContainEqual(['contains', 'events', ['scrape.completed']]);
+      expect(lookup.calls).toContainEqual(['eq', 'enabled', true]);
+
+      const [url, payload, { headers }] = postJson.mock.calls[0];
+      expect(url).toBe(endpoint.url);
+      expect(payload).toMatchObject({ type: 'scrape.completed', data: { itemCount: 3 } });
+      expect(headers['x-webhook-event']).toBe('scrape.completed');
+      expect(headers['x-webhook-delivery']).toBe('delivery-1');
+      const [, timestamp] = headers['x-webhook-signature'].match(/^t=(\d+),/);
+      expect(headers['x-webhook-signature']).toBe(signPayload('whsec_test', JSON.stringify(payload), Number(timestamp)));
+
+      expect(updatesOf('webhook_deliveries')[0]).toMatchObject({ status: 'succeeded', attempts: 1, response_status: 200 });
+    });
+
+    it('should do nothing when no endpoint subscribes to the event', async () => {
+      queue('webhook_endpoints', { data: [], error: null });
+
+      await expect(emitEvent('user-1', 'export.completed', {})).resolves.toBe(0);
+      expect(postJson).not.toHaveBeenCalled();
+    });
+
+    it('should schedule a retry in Redis when an attempt fails', async () => {
+      queue('webhook_endpoints', { data: [endpoint], error: null });
+      postJson.mockRejectedValue(new Error('Webhook returned HTTP 500'));
+
+      const before = Date.now();
+      await emitEvent('user-1', 'scrape.completed', {});
+      await flush();
+
+      const [key, { score, value }] = redisClient.zAdd.mock.calls[0];
+      expect(key).toBe('webhooks:retry');
+      expect(value).toBe('delivery-1');
+      expect(score).toBeGreaterThanOrEqual(before + 30000);
+      expect(updatesOf('webhook_deliveries')[0]).toMatchObject({
+        status: 'retrying',
+        attempts: 1,
+        last_error: 'Webhook returned HTTP 500'
+      });
+    });
+
+    it('should give up without Redis', async () => {
+      isRedisConnected.mockReturnValue(false);
+      queue('webhook_endpoints', { data: [endpoint], error: null });
+      postJson.mockRejectedValue(new Error('Webhook request timed out'));
+
+      await emitEvent('user-1', 'scrape.completed', {});
+      await flush();
+
+      expect(redisClient.zAdd).not.toHaveBeenCalled();
+      expect(updatesOf('webhook_deliveries')[0]).toMatchObject({ status: 'failed', attempts: 1 });
+    });
+
+    it('should never throw', async () => {
+      supabase.from.mockImplementation(() => { throw new Error('connection reset'); });
+
+      await expect(emitEvent('user-1', 'scrape.completed', {})).resolves.toBe(0);
+    });
+  });
+
+  describe('sendTestEvent', () => {
+    it('should attempt once without scheduling a retry', async () => {
+      postJson.mockRejectedValue(new Error('Webhook returned HTTP 404'));
+
+      const delivery = await sendTestEvent(endpoint);
+
+      expect(postJson.mock.calls[0][1]).toMatchObject({ type: 'webhook.test' });
+      expect(delivery).toMatchObject({ status: 'failed', last_error: 'Webhook returned HTTP 404' });
+      expect(redisClient.zAdd).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('retry worker', () => {
+    afterEach(async () => {
+      await stopWebhookWorker(100);
+    });
+
+    it('should lease due retries, send them again and remove them once delivered', async () => {
+      redisClient.zRangeByScore.mockResolvedValueOnce(['delivery-7']).mockResolvedValue([]);
+      redisClient.eval.mockResolvedValue(1);
+      queue('webhook_deliveries', {
+        data: {
+          id: 'delivery-7',
+          event_type: 'scrape.completed',
+          payload: { type: 'scrape.completed' },
+          status: 'retrying',
+          attempts: 2,
+          webhook_endpoints: endpoint
+        },
+        error: null
+      });
+      postJson.mockResolvedValue({ status: 204 });
+
+      startWebhookWorker();
+      await waitFor(redisClient.zRem);
+      await stopWebhookWorker(100);
+
+      const [, { keys, arguments: [id, now, leaseUntil] }] = redisClient.eval.mock.calls[0];
+      expect(keys).toEqual(['webhooks:retry']);
+      expect(id).toBe('delivery-7');
+      expect(Number(leaseUntil) - Number(now)).toBe(2 * 60 * 1000);
+      expect(postJson).toHaveBeenCalledTimes(1);
+      expect(updatesOf('webhook_deliveries')[0]).toMatchObject({ status: 'succeeded', attempts: 3 });
+      expect(redisClient.zRem).toHaveBeenCalledWith('webhooks:retry', 'delivery-7');
+    });
+
+    it('should keep a leased retry scheduled when the attempt fails again', async () => {
+      redisClient.zRangeByScore.mockResolvedValueOnce(['delivery-7']).mockResolvedValue([]);
+      redisClient.eval.mockResolvedValue(1);
+      queue('webhook_deliveries', {
+        data: {
+          id: 'delivery-7',
+          event_type: 'scrape.completed',
+          payload: { type: 'scrape.completed' },
+          status: 'retrying',
+          attempts: 2,
+          webhook_endpoints: endpoint
+        },
+        error: null
+      });
+      postJson.mockRejectedValue(new Error('Webhook returned HTTP 503'));
+
+      startWebhookWorker();
+      await waitFor(redisClient.zAdd);
+      await stopWebhookWorker(100);
+
+      expect(redisClient.zAdd.mock.calls[0][1]).toMatchObject({ value: 'delivery-7' });
+      expect(redisClient.zRem).not.toHaveBeenCalled();
+    });
+
+    it('should skip retries claimed by another instance', async () => {
+      redisClient.zRangeByScore.mockResolvedValueOnce(['delivery-7']).mockResolvedValue([]);
+      redisClient.eval.mockResolvedValue(0);
+
+      startWebhookWorker();
+      await waitFor(redisClient.eval);
+      await stopWebhookWorker(100);
+
+      expect(supabase.from).not.toHaveBeenCalled();
+      expect(postJson).not.toHaveBeenCalled();
+    });
+  });
+});
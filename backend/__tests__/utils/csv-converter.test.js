@@ -0,0 +1,50 @@
+const { convertToCSV, collectHeaders } = require('../../utils/csv-converter');
+
+describe('CSV Converter', () => {
+  it('should use the union of keys across all rows', () => {
+    const data = [
+      { name: 'Laptop', price: 999 },
+      { name: 'Mouse', color: 'black' }
+    ];
+
+    expect(collectHeaders(data)).toEqual(['name', 'price', 'color']);
+    expect(convertToCSV(data)).toBe('name,price,color\nLaptop,999,\nMouse,,black');
+  });
+
+  it('should keep falsy values and serialize objects', () => {
+    const data = [{ count: 0, inStock: false, tags: ['a', 'b'] }];
+
+    expect(convertToCSV(data)).toBe('count,inStock,tags\n0,false,"[""a"",""b""]"');
+  });
+
+  it('should quote fields with commas, quotes and newlines', () => {
+    const data = [{ text: 'a, "b"\nc' }];
+
+    expect(convertToCSV(data)).toBe('text\n"a, ""b""\nc"');
+  });
+
+  it('should neutralize values that spreadsheet apps would run as formulas', () => {
+    const data = [{
+      link: '=HYPERLINK("http://evil.example","Click")',
+      cmd: "+cmd|' /C calc'!A0",
+      minus: '-2+3',
+      at: '@SUM(A1)',
+      tab: '\t=1',
+      price: -5
+    }];
+
+    expect(convertToCSV(data).split('\n')[1]).toBe(
+      '"\'=HYPERLINK(""http://evil.example"",""Click"")","\'+cmd|\' /C calc\'!A0","\'-2+3","\'@SUM(A1)","\'\t=1",-5'
+    );
+  });
+
+  it('should keep negative numbers in text fields as numbers', () => {
+    const data = [{ change: '-12.5', delta: '-3', price: -5, range: '-5-10' }];
+
+    expect(convertToCSV(data).split('\n')[1]).toBe('-12.5,-3,-5,"\'-5-10"');
+  });
+
+  it('should return an empty string for no data', () => {
+    expect(convertToCSV([])).toBe('');
+  });
+});
@@ -0,0 +1,103 @@
+const {
+  createQuoteVerifier,
+  splitEvidence,
+  verifyEvidence,
+  separateEvidence,
+  flaggedCells,
+} = require('../../utils/evidence');
+
+describe('Evidence', () => {
+  describe('createQuoteVerifier', () => {
+    const verifyQuote = createQuoteVerifier('## Red   Shoe\n\nPrice: **$19.99**\n\nIn stock');
+
+    it('should find quotes regardless of whitespace, case and emphasis', () => {
+      expect(verifyQuote('red shoe')).toBe(true);
+      expect(verifyQuote('Price: $19.99')).toBe(true);
+    });
+
+    it('should reject quotes that are not in the content', () => {
+      expect(verifyQuote('Blue Shoe')).toBe(false);
+      expect(verifyQuote('   ')).toBe(false);
+    });
+  });
+
+  describe('splitEvidence', () => {
+    it('should separate the evidence key from the values', () => {
+      const { row, evidence } = splitEvidence({ name: 'Hat', _evidence: { name: { quote: 'Hat', confidence: 1 } } });
+
+      expect(row).toEqual({ name: 'Hat' });
+      expect(evidence).toEqual({ name: { quote: 'Hat', confidence: 1 } });
+    });
+
+    it('should return empty evidence when the model omitted it', () => {
+      expect(splitEvidence({ name: 'Hat' })).toEqual({ row: { name: 'Hat' }, evidence: {} });
+    });
+  });
+
+  describe('verifyEvidence', () => {
+    const verifyQuote = createQuoteVerifier('Red Shoe costs $19.99');
+
+    it('should verify quotes and flag unverified or low-confidence fields', () => {
+      const checked = verifyEvidence(
+        { name: 'Red Shoe', price: 19.99, color: 'blue' },
+        {
+          name: { quote: 'Red Shoe', confidence: 0.95 },
+          price: { quote: '$19.99', confidence: 0.2 },
+          color: { quote: 'blue', confidence: 0.9 },
+        },
+        verifyQuote
+      );
+
+      expect(checked.name).toEqual({ quote: 'Red Shoe', confidence: 0.95, verified: true, flagged: false });
+      expect(checked.price).toMatchObject({ verified: true, flagged: true });
+      expect(checked.color).toMatchObject({ verified: false, flagged: true });
+    });
+
+    it('should match evidence keys to renamed schema columns and skip empty fields', () => {
+      const checked = verifyEvidence(
+        { product_name: 'Red Shoe', rating: null },
+        { 'Product Name': { quote: 'Red Shoe', confidence: 2 } },
+        verifyQuote
+      );
+
+      expect(checked).toEqual({
+        product_name: { quote: 'Red Shoe', confidence: 1, verified: true, flagged: false },
+      });
+    });
+
+    it('should flag fields without evidence', () => {
+      const checked = verifyEvidence({ name: 'Red Shoe' }, {}, verifyQuote);
+
+      expect(checked.name).toEqual({ quote: null, confidence: null, verified: false, flagged: true });
+    });
+  });
+
+  describe('separateEvidence', () => {
+    it('should split rows into data and evidence and count flagged fields', () => {
+      const result = separateEvidence([
+        { name: 'A', _evidence: { name: { flagged: false } } },
+        { name: 'B', _evidence: { name: { flagged: true } } },
+      ]);
+
+      expect(result.data).toEqual([{ name: 'A' }, { name: 'B' }]);
+      expect(result.evidence).toEqual([{ name: { flagged: false } }, { name: { flagged: true } }]);
+      expect(result.flaggedFields).toBe(1);
+    });
+  });
+
+  describe('flaggedCells', () => {
+    it('should list flagged cells by row index and column', () => {
+      const cells = flaggedCells([
+        { name: { flagged: false }, price: { flagged: true } },
+        null,
+        { name: { flagged: true } },
+      ]);
+
+      expect(cells).toEqual([{ row: 0, column: 'price' }, { row: 2, column: 'name' }]);
+    });
+
+    it('should handle missing evidence', () => {
+      expect(flaggedCells(undefined)).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,41 @@
+const { parseJsonLenient } = require('../../utils/json-repair');
+
+describe('JSON Repair', () => {
+  it('should parse valid JSON strictly', () => {
+    expect(parseJsonLenient('[{"a": 1}]')).toEqual({ value: [{ a: 1 }], repaired: false, truncated: false });
+  });
+
+  it('should remove trailing commas', () => {
+    expect(parseJsonLenient('[{"a": 1, "b": [1, 2,],}, ]').value).toEqual([{ a: 1, b: [1, 2] }]);
+  });
+
+  it('should quote bare and single-quoted keys and strings', () => {
+    const { value, repaired } = parseJsonLenient("[{name: 'Bob\\'s \"best\"', price: 1e3, inStock: True, rating: None}]");
+
+    expect(repaired).toBe(true);
+    expect(value).toEqual([{ name: 'Bob\'s "best"', price: 1000, inStock: true, rating: null }]);
+  });
+
+  it('should keep the complete rows of a truncated array', () => {
+    const { value, truncated } = parseJsonLenient('[{"a": "x"}, {"a": "y", "tags": ["p", "q"]}, {"a": "cut of');
+
+    expect(truncated).toBe(true);
+    expect(value).toEqual([{ a: 'x' }, { a: 'y', tags: ['p', 'q'] }]);
+  });
+
+  it('should recover a truncated data wrapper', () => {
+    expect(parseJsonLenient('{"data": [{"a": 1}, {"a": 2}, {"a"').value).toEqual({ data: [{ a: 1 }, { a: 2 }] });
+  });
+
+  it('should not touch brackets and commas inside strings', () => {
+    expect(parseJsonLenient('[{"a": "x, } ] y",}]').value).toEqual([{ a: 'x, } ] y' }]);
+  });
+
+  it('should skip text before the JSON', () => {
+    expect(parseJsonLenient('Here are the rows: [{"a": 1},]').value).toEqual([{ a: 1 }]);
+  });
+
+  it('should throw the strict parse error when nothing can be recovered', () => {
+    expect(() => parseJsonLenient('no json here')).toThrow(SyntaxError);
+  });
+});
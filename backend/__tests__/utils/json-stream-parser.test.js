@@ -0,0 +1,50 @@
+const { createJsonArrayStreamParser } = require('../../utils/json-stream-parser');
+
+// Feed text to a parser in fixed-size pieces and collect every emitted row
+function feed(text, pieceSize) {
+  const parser = createJsonArrayStreamParser();
+  const rows = [];
+  for (let i = 0; i < text.length; i += pieceSize) {
+    rows.push(...parser.push(text.slice(i, i + pieceSize)));
+  }
+  return rows;
+}
+
+describe('JSON Stream Parser', () => {
+  const data = [
+    { name: 'Laptop', price: 999, tags: ['new', 'sale'] },
+    { name: 'Quote "inside" {braces}', price: null, nested: { a: [1, 2] } },
+    { name: 'Escaped \\ backslash', price: 5 }
+  ];
+
+  it('should emit every object when given the whole array at once', () => {
+    expect(feed(JSON.stringify(data), 10000)).toEqual(data);
+  });
+
+  it('should emit the same objects when fed one character at a time', () => {
+    expect(feed(JSON.stringify(data, null, 2), 1)).toEqual(data);
+  });
+
+  it('should emit an object as soon as it is closed', () => {
+    const parser = createJsonArrayStreamParser();
+
+    expect(parser.push('[{"a": 1}, {"b"')).toEqual([{ a: 1 }]);
+    expect(parser.push(': 2}')).toEqual([{ b: 2 }]);
+  });
+
+  it('should skip a leading code fence', () => {
+    const text = '```json\n' + JSON.stringify(data) + '\n```';
+    expect(feed(text, 7)).toEqual(data);
+  });
+
+  it('should ignore text after the array is closed', () => {
+    const parser = createJsonArrayStreamParser();
+
+    expect(parser.push('[{"a": 1}] trailing {"b": 2}')).toEqual([{ a: 1 }]);
+    expect(parser.push('{"c": 3}')).toEqual([]);
+  });
+
+  it('should return nothing for an empty array', () => {
+    expect(feed('[]', 1)).toEqual([]);
+  });
+});
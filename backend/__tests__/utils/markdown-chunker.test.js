@@ -0,0 +1,74 @@
+const { chunkMarkdown } = require('../../utils/markdown-chunker');
+
+describe('Markdown Chunker - chunkMarkdown', () => {
+  describe('Basic Functionality', () => {
+    it('should return empty array for empty input', () => {
+      expect(chunkMarkdown('', 100)).toEqual([]);
+      expect(chunkMarkdown(null, 100)).toEqual([]);
+    });
+
+    it('should return content as a single chunk when it fits', () => {
+      const markdown = '# Title\n\nSome text';
+      expect(chunkMarkdown(markdown, 1000)).toEqual([markdown]);
+    });
+
+    it('should keep every chunk within the size limit', () => {
+      const markdown = Array.from({ length: 200 }, (_, i) => `- Item number ${i}`).join('\n');
+      const chunks = chunkMarkdown(markdown, 500);
+
+      expect(chunks.length).toBeGreaterThan(1);
+      chunks.forEach(chunk => expect(chunk.length).toBeLessThanOrEqual(500));
+    });
+  });
+
+  describe('Structural Boundaries', () => {
+    it('should never split a list item across chunks', () => {
+      const items = Array.from({ length: 50 }, (_, i) => `- Product ${i}\n  Price: $${i}.99`);
+      const chunks = chunkMarkdown(items.join('\n'), 300);
+
+      items.forEach(item => {
+        expect(chunks.some(chunk => chunk.includes(item))).toBe(true);
+      });
+    });
+
+    it('should preserve page order across chunks', () => {
+      const items = Array.from({ length: 100 }, (_, i) => `- Row ${i}`);
+      const chunks = chunkMarkdown(items.join('\n'), 200);
+      const joined = chunks.join('\n');
+
+      let lastIndex = -1;
+      items.forEach(item => {
+        const index = joined.indexOf(item);
+        expect(index).toBeGreaterThan(lastIndex);
+        lastIndex = index;
+      });
+    });
+
+    it('should repeat the table header in chunks that start mid-table', () => {
+      const header = '| Name | Price |\n| --- | --- |';
+      const rows = Array.from({ length: 60 }, (_, i) => `| Item ${i} | ${i} |`);
+      const chunks = chunkMarkdown(`${header}\n${rows.join('\n')}`, 300);
+
+      expect(chunks.length).toBeGreaterThan(1);
+      chunks.forEach(chunk => expect(chunk.startsWith(header)).toBe(true));
+    });
+
+    it('should prefer starting a new chunk at a heading', () => {
+      const section = (n) => `## Section ${n}\n\n${'Lorem ipsum dolor sit amet. '.repeat(4)}`;
+      const markdown = [1, 2, 3, 4].map(section).join('\n\n');
+      const chunks = chunkMarkdown(markdown, 300);
+
+      chunks.forEach(chunk => expect(chunk.trimStart().startsWith('## Section')).toBe(true));
+    });
+  });
+
+  describe('Oversized Blocks', () => {
+    it('should hard-split a single block larger than the limit', () => {
+      const markdown = 'x'.repeat(1000);
+      const chunks = chunkMarkdown(markdown, 300);
+
+      expect(chunks.join('')).toBe(markdown);
+      chunks.forEach(chunk => expect(chunk.length).toBeLessThanOrEqual(300));
+    });
+  });
+});
@@ -0,0 +1,111 @@
+const { outputSchemaDefinition, applyOutputSchema, inferOutputSchema } = require('../../utils/output-schema');
+
+describe('Output Schema', () => {
+  describe('outputSchemaDefinition', () => {
+    it('should accept a valid column list and apply defaults', () => {
+      const result = outputSchemaDefinition.safeParse([
+        { name: 'title' },
+        { name: 'price', type: 'number', required: true, description: 'Price in USD' }
+      ]);
+
+      expect(result.success).toBe(true);
+      expect(result.data[0]).toEqual({ name: 'title', type: 'string', required: false });
+    });
+
+    it('should reject an empty column list', () => {
+      expect(outputSchemaDefinition.safeParse([]).success).toBe(false);
+    });
+
+    it('should reject unknown column types', () => {
+      expect(outputSchemaDefinition.safeParse([{ name: 'x', type: 'currency' }]).success).toBe(false);
+    });
+
+    it('should reject duplicate column names', () => {
+      const result = outputSchemaDefinition.safeParse([{ name: 'Price' }, { name: 'price' }]);
+      expect(result.success).toBe(false);
+    });
+  });
+
+  describe('applyOutputSchema', () => {
+    const columns = outputSchemaDefinition.parse([
+      { name: 'title', type: 'string', required: true },
+      { name: 'price', type: 'number' },
+      { name: 'released', type: 'date' },
+      { name: 'link', type: 'url' },
+      { name: 'inStock', type: 'boolean' }
+    ]);
+
+    it('should align drifting keys to the schema column names', () => {
+      const { rows } = applyOutputSchema([{ Title: 'Laptop', 'Price': 999, 'in_stock': true }], columns);
+
+      expect(Object.keys(rows[0])).toEqual(['title', 'price', 'released', 'link', 'inStock']);
+      expect(rows[0].title).toBe('Laptop');
+      expect(rows[0].inStock).toBe(true);
+    });
+
+    it('should coerce values to the column types', () => {
+      const { rows } = applyOutputSchema([{
+        title: 'Phone',
+        price: '$1,299.99',
+        released: 'March 5, 2024',
+        link: 'https://example.com/phone',
+        inStock: 'Yes'
+      }], columns);
+
+      expect(rows[0]).toEqual({
+        title: 'Phone',
+        price: 1299.99,
+        released: '2024-03-05',
+        link: 'https://example.com/phone',
+        inStock: true
+      });
+    });
+
+    it('should drop unknown keys and fill missing optional columns with null', () => {
+      const { rows } = applyOutputSchema([{ title: 'Tablet', color: 'red' }], columns);
+
+      expect(rows[0]).toEqual({ title: 'Tablet', price: null, released: null, link: null, inStock: null });
+    });
+
+    it('should report rows missing a required column', () => {
+      const { rows, invalid } = applyOutputSchema([{ price: 5 }], columns);
+
+      expect(rows).toHaveLength(0);
+      expect(invalid).toHaveLength(1);
+      expect(invalid[0].issues[0]).toContain('title');
+    });
+
+    it('should report values that cannot be coerced', () => {
+      const { invalid } = applyOutputSchema([{ title: 'x', price: 'call for price' }], columns);
+
+      expect(invalid).toHaveLength(1);
+      expect(invalid[0].issues[0]).toContain('price');
+    });
+
+    it('should report non-object rows', () => {
+      const { invalid } = applyOutputSchema(['just a string'], columns);
+      expect(invalid[0].issues).toEqual(['Row is not an object']);
+    });
+  });
+
+  describe('inferOutputSchema', () => {
+    it('should use keys shared by most rows and type mostly-numeric columns', () => {
+      const columns = inferOutputSchema([
+        { name: 'A', price: 1 },
+        { name: 'B', price: 2 },
+        { name: 'C', price: 3, note: 'rare' },
+        { name: 'D', price: 4 },
+      ]);
+
+      expect(columns).toEqual([
+        { name: 'name', type: 'string', required: false },
+        { name: 'price', type: 'number', required: false },
+      ]);
+    });
+
+    it('should return null when the rows share no keys', () => {
+      expect(inferOutputSchema([{ a: 1 }, { b: 2 }, { c: 3 }])).toBeNull();
+      expect(inferOutputSchema(['text'])).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,59 @@
+const { findNextPageUrl, extractLinks } = require('../../utils/pagination');
+
+const base = 'https://shop.example.com/products?page=2';
+
+describe('Pagination', () => {
+  describe('extractLinks', () => {
+    it('should resolve relative links and read their text', () => {
+      const links = extractLinks('<a href="/p/1?x=1&amp;y=2"><span>Laptop</span> Pro</a>', base);
+
+      expect(links).toEqual([{ url: 'https://shop.example.com/p/1?x=1&y=2', text: 'Laptop Pro', rel: '' }]);
+    });
+
+    it('should skip fragments and non-http links', () => {
+      const html = '<a href="#top">Top</a><a href="javascript:void(0)">JS</a><a href="mailto:a@b.c">Mail</a>';
+      expect(extractLinks(html, base)).toEqual([]);
+    });
+  });
+
+  describe('findNextPageUrl', () => {
+    const html = `
+      <head><link rel="next" href="/products?page=3"></head>
+      <nav>
+        <a href="/products?page=1">1</a>
+        <a href="/products?page=2">2</a>
+        <a href="/products?page=3" aria-label="Next page">›</a>
+        <a href="/products?page=10">Last</a>
+      </nav>`;
+
+    it('should use rel="next" by default', () => {
+      expect(findNextPageUrl(html, base)).toBe('https://shop.example.com/products?page=3');
+    });
+
+    it('should match link text, falling back to aria-label', () => {
+      expect(findNextPageUrl(html, base, { nextText: 'last' })).toBe('https://shop.example.com/products?page=10');
+      expect(findNextPageUrl('<a href="?page=3" aria-label="Next page"></a>', base, { nextText: 'next' }))
+        .toBe('https://shop.example.com/products?page=3');
+    });
+
+    it('should match a URL substring, ignoring the current page', () => {
+      expect(findNextPageUrl(html, base, { nextPattern: 'PAGE=10' })).toBe('https://shop.example.com/products?page=10');
+      expect(findNextPageUrl('<a href="/products?page=2">again</a>', base, { nextPattern: 'page=2' })).toBeNull();
+    });
+
+    it('should match the pattern literally rather than as a regex', () => {
+      expect(findNextPageUrl(html, base, { nextPattern: 'page=1\\d' })).toBeNull();
+      expect(findNextPageUrl(`<a href="/${'a'.repeat(1500)}!">x</a>`, base, { nextPattern: '(a+)+$' })).toBeNull();
+    });
+
+    it('should use a CSS selector when given', () => {
+      expect(findNextPageUrl(html, base, { nextSelector: 'nav a[aria-label="Next page"]' }))
+        .toBe('https://shop.example.com/products?page=3');
+      expect(findNextPageUrl(html, base, { nextSelector: 'a.missing' })).toBeNull();
+    });
+
+    it('should return null when there is no next page', () => {
+      expect(findNextPageUrl('<a href="/about">About</a>', base)).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,57 @@
+const { extractWithSelectors, selectorsDefinition } = require('../../utils/selector-extractor');
+
+const html = `
+  <ul>
+    <li class="product"><a href="/p/1"><h2>Laptop</h2></a><span class="price">$999</span></li>
+    <li class="product"><a href="/p/2"><h2>Phone</h2></a></li>
+    <li class="product"></li>
+  </ul>`;
+
+describe('Selector Extractor', () => {
+  it('should read text and attributes with CSS selectors', () => {
+    const rows = extractWithSelectors(html, {
+      type: 'css',
+      rows: 'li.product',
+      columns: { name: 'h2', price: '.price', link: { selector: 'a', attribute: 'href' } }
+    }, { baseUrl: 'https://shop.example.com/search?q=x' });
+
+    expect(rows).toEqual([
+      { name: 'Laptop', price: '$999', link: 'https://shop.example.com/p/1' },
+      { name: 'Phone', price: null, link: 'https://shop.example.com/p/2' }
+    ]);
+  });
+
+  it('should evaluate XPath relative to each row, including attribute nodes', () => {
+    const rows = extractWithSelectors(html, {
+      type: 'xpath',
+      rows: '//li[@class="product"]',
+      columns: { name: './/h2', link: './a/@href' }
+    });
+
+    expect(rows).toEqual([{ name: 'Laptop', link: '/p/1' }, { name: 'Phone', link: '/p/2' }]);
+  });
+
+  it('should stop at maxItems', () => {
+    const rows = extractWithSelectors(html, { rows: 'li.product', columns: { name: 'h2' } }, { maxItems: 1 });
+    expect(rows).toEqual([{ name: 'Laptop' }]);
+  });
+
+  describe('selectorsDefinition', () => {
+    it('should default to CSS and accept column objects', () => {
+      const parsed = selectorsDefinition.parse({ rows: 'li', columns: { link: { selector: 'a', attribute: 'href' } } });
+      expect(parsed.type).toBe('css');
+    });
+
+    it('should reject selectors that do not parse', () => {
+      const css = selectorsDefinition.safeParse({ rows: 'li[', columns: { name: 'h2' } });
+      const xpath = selectorsDefinition.safeParse({ type: 'xpath', rows: '//li', columns: { name: './/h2[' } });
+
+      expect(css.error.issues[0].path).toEqual(['rows']);
+      expect(xpath.error.issues[0].path).toEqual(['columns', 'name']);
+    });
+
+    it('should require at least one column', () => {
+      expect(selectorsDefinition.safeParse({ rows: 'li', columns: {} }).success).toBe(false);
+    });
+  });
+});
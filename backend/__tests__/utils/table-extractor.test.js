@@ -0,0 +1,86 @@
+const { parseHtmlTables, parseMarkdownTables, findTables, selectTable } = require('../../utils/table-extractor');
+
+describe('Table Extractor', () => {
+  describe('parseHtmlTables', () => {
+    it('should expand colspan and rowspan and join stacked headers', () => {
+      const html = `
+        <table>
+          <thead>
+            <tr><th rowspan="2">Name</th><th colspan="2">Price</th></tr>
+            <tr><th>Min</th><th>Max</th></tr>
+          </thead>
+          <tbody>
+            <tr><td rowspan="2">Widget</td><td>1</td><td>2</td></tr>
+            <tr><td colspan="2">3</td></tr>
+          </tbody>
+        </table>`;
+
+      expect(parseHtmlTables(html)).toEqual([{
+        headers: ['Name', 'Price Min', 'Price Max'],
+        rows: [
+          { Name: 'Widget', 'Price Min': '1', 'Price Max': '2' },
+          { Name: 'Widget', 'Price Min': '3', 'Price Max': '3' }
+        ]
+      }]);
+    });
+
+    it('should use the first row as headers when there is no <thead>', () => {
+      const html = '<table><tr><td>City</td><td>Population</td></tr><tr><td>Paris</td><td>2,100,000</td></tr></table>';
+
+      expect(parseHtmlTables(html)[0].rows).toEqual([{ City: 'Paris', Population: '2,100,000' }]);
+    });
+
+    it('should ignore layout tables', () => {
+      const nested = '<table><tr><td><table><tr><th>A</th><th>B</th></tr><tr><td>1</td><td>2</td></tr></table></td></tr></table>';
+      const singleColumn = '<table><tr><th>A</th></tr><tr><td>1</td></tr></table>';
+
+      expect(parseHtmlTables(nested)).toHaveLength(1);
+      expect(parseHtmlTables(singleColumn)).toEqual([]);
+    });
+
+    it('should name empty and duplicate headers', () => {
+      const html = '<table><tr><th>Score</th><th></th><th>Score</th></tr><tr><td>1</td><td>x</td><td>2</td></tr></table>';
+
+      expect(parseHtmlTables(html)[0].headers).toEqual(['Score', 'Column 2', 'Score 2']);
+    });
+  });
+
+  describe('parseMarkdownTables', () => {
+    it('should parse pipe tables with escaped pipes', () => {
+      const markdown = '# Prices\n\n| Name | Price |\n|:-----|------:|\n| A \\| B | $1 |\n| C | $2 |\n\nFooter';
+
+      expect(parseMarkdownTables(markdown)).toEqual([{
+        headers: ['Name', 'Price'],
+        rows: [{ Name: 'A | B', Price: '$1' }, { Name: 'C', Price: '$2' }]
+      }]);
+    });
+  });
+
+  describe('findTables', () => {
+    it('should merge tables with the same headers', () => {
+      const html = '<table><tr><th>A</th><th>B</th></tr><tr><td>1</td><td>2</td></tr></table>'
+        + '<p>Ad</p><table><tr><th>A</th><th>B</th></tr><tr><td>3</td><td>4</td></tr></table>';
+
+      expect(findTables(html)).toEqual([{ headers: ['A', 'B'], rows: [{ A: '1', B: '2' }, { A: '3', B: '4' }] }]);
+    });
+  });
+
+  describe('selectTable', () => {
+    const tables = [
+      { headers: ['Team', 'Wins', 'Losses'], rows: [{ Team: 'A', Wins: '3', Losses: '1' }] },
+      { headers: ['Date', 'Headline'], rows: [{ Date: '2026-01-01', Headline: 'x' }, { Date: '2026-01-02', Headline: 'y' }] }
+    ];
+
+    it('should pick the table whose headers cover the schema', () => {
+      const schema = [{ name: 'team', type: 'string' }, { name: 'Wins', type: 'number' }];
+      expect(selectTable(tables, { instruction: 'Extract standings', schema })).toBe(tables[0]);
+      expect(selectTable(tables, { instruction: 'Extract standings', schema: [{ name: 'Coach' }] })).toBeNull();
+    });
+
+    it('should match instructions that name the columns or the table', () => {
+      expect(selectTable(tables, { instruction: 'Get each team with wins and losses' })).toBe(tables[0]);
+      expect(selectTable(tables, { instruction: 'Extract the table' })).toBe(tables[1]);
+      expect(selectTable(tables, { instruction: 'Summarize the sentiment of the page' })).toBeNull();
+    });
+  });
+});
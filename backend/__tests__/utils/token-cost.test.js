@@ -0,0 +1,56 @@
+jest.mock('../../utils/logger', () => ({
+  debug: jest.fn(),
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+
+const {
+  estimateCost,
+  createTokenUsage,
+  recordTokens,
+  mergeTokenUsage,
+  activityTokenFields
+} = require('../../utils/token-cost');
+
+describe('Token Cost', () => {
+  it('should price input and output tokens per million', () => {
+    expect(estimateCost('gemini-2.5-flash', { inputTokens: 1000000, outputTokens: 100000 })).toBe(0.55);
+  });
+
+  it('should count models without a price as free', () => {
+    expect(estimateCost('llama3.1:8b', { inputTokens: 5000, outputTokens: 5000 })).toBe(0);
+  });
+
+  it('should sum calls per model and overall', () => {
+    const usage = createTokenUsage();
+    recordTokens(usage, 'gemini-2.5-flash', { inputTokens: 1000, outputTokens: 200 });
+    recordTokens(usage, 'gemini-2.5-flash', { inputTokens: 500, outputTokens: 100 });
+    recordTokens(usage, 'gpt-4o-mini', { inputTokens: 2000, outputTokens: 0 });
+
+    expect(usage).toMatchObject({ calls: 3, inputTokens: 3500, outputTokens: 300, costUsd: 0.0015 });
+    expect(usage.models['gemini-2.5-flash']).toEqual({ calls: 2, inputTokens: 1500, outputTokens: 300, costUsd: 0.0012 });
+  });
+
+  it('should count calls without reported usage', () => {
+    const usage = recordTokens(createTokenUsage(), 'gemini-2.5-flash', null);
+
+    expect(usage).toMatchObject({ calls: 1, inputTokens: 0, costUsd: 0 });
+  });
+
+  it('should merge usage records', () => {
+    const scrape = recordTokens(createTokenUsage(), 'gemini-2.5-flash', { inputTokens: 1000, outputTokens: 200 });
+    const exported = recordTokens(createTokenUsage(), 'gemini-2.5-flash', { inputTokens: 300, outputTokens: 10 });
+    recordTokens(exported, 'gemini-2.5-flash', null);
+
+    const merged = mergeTokenUsage(mergeTokenUsage(createTokenUsage(), scrape), exported);
+
+    expect(merged.models['gemini-2.5-flash']).toMatchObject({ calls: 3, inputTokens: 1300, outputTokens: 210 });
+  });
+
+  it('should only fill activity columns when a model was called', () => {
+    expect(activityTokenFields(createTokenUsage())).toEqual({});
+    expect(activityTokenFields(recordTokens(createTokenUsage(), 'gpt-4o-mini', { inputTokens: 1000, outputTokens: 1000 })))
+      .toEqual({ input_tokens: 1000, output_tokens: 1000, cost_usd: 0.00075 });
+  });
+});
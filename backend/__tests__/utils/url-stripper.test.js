@@ -0,0 +1,73 @@
+const { stripUrls, tokenizeUrls, expandLinkTokens } = require('../../utils/url-stripper');
+
+describe('URL Stripper', () => {
+  describe('stripUrls', () => {
+    it('should keep link text and drop images and plain URLs', () => {
+      const markdown = '![Logo](/logo.png) [Red Shoe](/item/1) see https://example.com/a';
+      expect(stripUrls(markdown)).toBe('Red Shoe see');
+    });
+  });
+
+  describe('tokenizeUrls', () => {
+    it('should replace Markdown links and images with tokens', () => {
+      const { content, links } = tokenizeUrls('[![Shoe](/i/1.jpg)](/item/1)\n\n## [Red Shoe](/item/1 "Details")');
+
+      expect(content).toBe('Shoe [I1] [L1]\n\n## Red Shoe [L1]');
+      expect(Object.fromEntries(links)).toEqual({ I1: '/i/1.jpg', L1: '/item/1' });
+    });
+
+    it('should reuse the token of a URL seen before', () => {
+      const { content, links } = tokenizeUrls('See https://example.com/a and <https://example.com/a>');
+
+      expect(content).toBe('See [L1] and [L1]');
+      expect(links.size).toBe(1);
+    });
+
+    it('should tokenize href and src attributes in HTML', () => {
+      const { content, links } = tokenizeUrls('<a href="/p?x=1&amp;y=2"><img src="/i/2.png" alt="Hat"></a>');
+
+      expect(content).toBe('<a href="[L1]"><img src="[I1]" alt="Hat"></a>');
+      expect(links.get('L1')).toBe('/p?x=1&y=2');
+      expect(links.get('I1')).toBe('/i/2.png');
+    });
+
+    it('should not tokenize fragment and javascript links', () => {
+      const { content, links } = tokenizeUrls('[Top](#top) [Open](javascript:void(0))');
+
+      expect(content).not.toMatch(/\[L\d+\]/);
+      expect(links.size).toBe(0);
+    });
+  });
+
+  describe('expandLinkTokens', () => {
+    const links = new Map([['L1', '/item/1'], ['I1', 'https://cdn.example.com/1.jpg']]);
+    const base = 'https://shop.example.com/category/shoes';
+
+    it('should expand tokens to absolute URLs', () => {
+      const row = expandLinkTokens({ name: 'Red Shoe', link: '[L1]', image: ' [I1] ' }, links, base);
+
+      expect(row).toEqual({
+        name: 'Red Shoe',
+        link: 'https://shop.example.com/item/1',
+        image: 'https://cdn.example.com/1.jpg'
+      });
+    });
+
+    it('should expand tokens inside text and drop unknown tokens', () => {
+      const row = expandLinkTokens({ note: 'More at [L1] or [L7]', link: '[L7]' }, links, base);
+
+      expect(row).toEqual({ note: 'More at https://shop.example.com/item/1 or', link: '[L7]' });
+    });
+
+    it('should leave values that look like tokens without brackets unchanged', () => {
+      const { links: pageLinks } = tokenizeUrls('[Shop](https://x.com/a) size L1');
+
+      expect(expandLinkTokens({ size: 'L1', code: 'I2', cache: 'L2 cache' }, pageLinks))
+        .toEqual({ size: 'L1', code: 'I2', cache: 'L2 cache' });
+    });
+
+    it('should leave relative URLs as-is without a base URL', () => {
+      expect(expandLinkTokens({ link: '[L1]' }, links)).toEqual({ link: '/item/1' });
+    });
+  });
+});
@@ -1,10 +1,26 @@
 const { supabase } = require('../services/supabase-service');
 const logger = require('../utils/logger');
+const { isApiKey, getRequestApiKey, touchApiKey } = require('../services/api-key-service');
+const { getAccountPlan, hasFeature } = require('../services/plan-service');
+
+/**
+ * Let the following requireAuth accept personal API keys that carry the given scope.
+ * Without it, requireAuth only accepts Supabase session tokens.
+ * @param {string} scope - One of API_KEY_SCOPES
+ */
+function allowApiKey(scope) {
+  return (req, _res, next) => {
+    req.apiKeyScope = scope;
+    next();
+  };
+}
 
 /**
  * Middleware to require authentication
- * Verifies Supabase session token from Authorization header
- * Sets req.userId and req.user for downstream handlers
+ * Verifies the Supabase session token, or a personal API key where allowApiKey permits it,
+ * from the Authorization header
+ * Sets req.userId, req.user and req.organization (the active organization with the user's
+ * role, null for the personal workspace) for downstream handlers; req.apiKey for API key requests
  */
 async function requireAuth(req, res, next) {
   try {
@@ -29,6 +45,10 @@ async function requireAuth(req, res, next) {
       });
     }
     
+    if (isApiKey(token)) {
+      return await authenticateApiKey(req, res, next, token);
+    }
+
     // Verify token with Supabase Auth
     const { data: { user: authUser }, error } = await supabase.auth.getUser(token);
     
@@ -48,37 +68,7 @@ async function requireAuth(req, res, next) {
       });
     }
 
-    // Try to get full user profile from cache
-    const { getCachedUser, setCachedUser } = require('../services/user-cache-service');
-    let fullUser = await getCachedUser(authUser.id);
-
-    if (!fullUser) {
-      // Cache miss: Get user profile from Supabase 'users' table
-      const { data: dbUser, error: dbError } = await supabase
-        .from('users')
-        .select('*')
-        .eq('id', authUser.id)
-        .single();
-
-      if (dbError || !dbUser) {
-        logger.error('[Auth] User profile not found in DB:', dbError);
-        return res.status(404).json({
-          success: false,
-          error: 'User profile not found. Please try signing in again.'
-        });
-      }
-
-      fullUser = dbUser;
-      // Cache the profile for future requests
-      await setCachedUser(authUser.id, fullUser);
-    }
-    
-    // Set user info on request object
-    req.userId = authUser.id;
-    req.user = fullUser; // Now contains full profile (plan, usage, etc.)
-    req.accessToken = token;
-    
-    next();
+    return await attachUser(req, res, next, authUser, token);
   } catch (error) {
     logger.error('[Auth] Authentication error:', error);
     return res.status(500).json({
@@ -88,6 +78,130 @@ async function requireAuth(req, res, next) {
   }
 }
 
+/**
+ * Authenticate with a personal API key (scope checked against req.apiKeyScope)
+ */
+async function authenticateApiKey(req, res, next, token) {
+  const apiKey = await getRequestApiKey(req);
+
+  if (!apiKey) {
+    logger.warn('[Auth] Invalid API key');
+    return res.status(401).json({
+      success: false,
+      error: 'Unauthorized: Invalid, revoked or expired API key'
+    });
+  }
+
+  if (!req.apiKeyScope) {
+    return res.status(403).json({
+      success: false,
+      error: 'This endpoint does not accept API keys'
+    });
+  }
+
+  if (!apiKey.scopes.includes(req.apiKeyScope)) {
+    logger.warn('[Auth] API key missing scope', { keyId: apiKey.id, scope: req.apiKeyScope });
+    return res.status(403).json({
+      success: false,
+      error: `This API key does not have the '${req.apiKeyScope}' scope`
+    });
+  }
+
+  await touchApiKey(apiKey);
+  req.apiKey = apiKey;
+
+  // Keys stop working while the account's plan does not include API keys
+  return attachUser(req, res, () => requirePlanFeature('apiKeys')(req, res, next), { id: apiKey.user_id }, token);
+}
+
+/**
+ * Load the user profile and active organization onto req and continue
+ */
+async function attachUser(req, res, next, authUser, token) {
+  // Try to get full user profile from cache
+  const { getCachedUser, setCachedUser } = require('../services/user-cache-service');
+  let fullUser = await getCachedUser(authUser.id);
+
+  if (!fullUser) {
+    // Cache miss: Get user profile from Supabase 'users' table
+    const { data: dbUser, error: dbError } = await supabase
+      .from('users')
+      .select('*')
+      .eq('id', authUser.id)
+      .single();
+
+    if (dbError || !dbUser) {
+      logger.error('[Auth] User profile not found in DB:', dbError);
+      return res.status(404).json({
+        success: false,
+        error: 'User profile not found. Please try signing in again.'
+      });
+    }
+
+    fullUser = dbUser;
+    // Cache the profile for future requests
+    await setCachedUser(authUser.id, fullUser);
+  }
+  
+  // Organization rows hold the pooled usage counter, so they are not cached with the profile
+  const { getActiveOrganization } = require('../services/organization-service');
+  const organization = await getActiveOrganization(fullUser);
+
+  // Set user info on request object
+  req.userId = authUser.id;
+  req.user = fullUser; // Now contains full profile (plan, usage, etc.)
+  req.userEmail = authUser.email || fullUser.email;
+  req.organization = organization;
+  req.accessToken = token;
+  
+  next();
+}
+
+/**
+ * Middleware to restrict a route to operators listed in ADMIN_USER_IDS (comma-separated user ids)
+ * Use after requireAuth
+ */
+function requireAdmin(req, res, next) {
+  const adminIds = (process.env.ADMIN_USER_IDS || '')
+    .split(',')
+    .map(id => id.trim())
+    .filter(Boolean);
+
+  if (!req.userId || !adminIds.includes(req.userId)) {
+    logger.warn('[Auth] Admin route denied', { userId: req.userId, path: req.originalUrl });
+    return res.status(403).json({
+      success: false,
+      error: 'Forbidden: Admin access required'
+    });
+  }
+
+  next();
+}
+
+/**
+ * Middleware to restrict a route to plans that include a feature (plans.features), judged by the
+ * plan of the active organization or the user
+ * Use after requireAuth
+ * @param {string} feature - One of PLAN_FEATURES
+ */
+function requirePlanFeature(feature) {
+  return (req, res, next) => {
+    const plan = getAccountPlan(req.organization || req.user);
+    if (!hasFeature(plan, feature)) {
+      logger.warn('[Auth] Feature not included in plan', { userId: req.userId, plan: plan.id, feature });
+      return res.status(403).json({
+        success: false,
+        error: `Your ${plan.name} plan does not include this feature. Please upgrade to use it.`
+      });
+    }
+
+    next();
+  };
+}
+
 module.exports = {
-  requireAuth
+  requireAuth,
+  allowApiKey,
+  requireAdmin,
+  requirePlanFeature
 };
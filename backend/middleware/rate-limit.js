@@ -2,6 +2,7 @@ const rateLimit = require('express-rate-limit');
 const RedisStore = require('rate-limit-redis').default;
 const logger = require('../utils/logger');
 const { redisClient, isRedisConnected } = require('../services/redis-service');
+const { getRequestApiKey } = require('../services/api-key-service');
 
 /**
  * Rate Limiting Middleware
@@ -58,12 +59,21 @@ const getClientIp = (req) => {
   return req.ip || req.connection.remoteAddress || 'unknown';
 };
 
-// Custom key generator - use user ID if authenticated, otherwise IP (with IPv6 support)
-const keyGenerator = (req) => {
+// Custom key generator - use user ID if authenticated, the key ID for a valid personal API key
+// (limited per key), otherwise IP (with IPv6 support). Unknown keys count against the IP.
+const keyGenerator = async (req) => {
   // If user is authenticated, use their ID
   if (req.user?.id) {
     return `user:${req.user.id}`;
   }
+  try {
+    const apiKey = await getRequestApiKey(req);
+    if (apiKey) {
+      return `key:${apiKey.id}`;
+    }
+  } catch (error) {
+    logger.error('[RateLimit] API key lookup failed:', error);
+  }
   // Otherwise use IP with proper IPv6 handling
   return `ip:${getClientIp(req)}`;
 };
@@ -140,7 +150,11 @@ const scrapeLimiter = rateLimit({
       retryAfter: res.getHeader('Retry-After')
     });
   },
-  keyGenerator
+  keyGenerator,
+  skip: (req) => {
+    // Reads (model list, job polling) don't start scrapes; the general limiter still applies
+    return req.method === 'GET';
+  }
 });
 
 // Sheets endpoint - Google allows ~100/100sec, we allow 60/min
@@ -169,6 +183,7 @@ const sheetsLimiter = rateLimit({
 });
 
 module.exports = {
+  keyGenerator,
   generalLimiter,
   authLimiter,
   scrapeLimiter,
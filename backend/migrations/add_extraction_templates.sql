@@ -0,0 +1,25 @@
+-- Migration: Add Saved Extraction Templates
+-- Date: 2026-10-19
+-- Purpose: Let users save instruction/schema/model presets and reuse them by templateId
+
+CREATE TABLE IF NOT EXISTS templates (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  instruction TEXT NOT NULL,
+  schema JSONB,
+  model TEXT,
+  max_items INT,
+  smart_formatting BOOLEAN,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  UNIQUE (user_id, name)
+);
+
+CREATE INDEX IF NOT EXISTS idx_templates_user_id ON templates(user_id);
+
+-- Record which template produced an export
+ALTER TABLE activities ADD COLUMN IF NOT EXISTS template_id UUID REFERENCES templates(id) ON DELETE SET NULL;
+
+COMMENT ON TABLE templates IS 'Saved extraction presets (instruction, column schema, model, maxItems, smart formatting) per user';
+COMMENT ON COLUMN templates.schema IS 'Output column schema: [{ name, type, required, description }]';
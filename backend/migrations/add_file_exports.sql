@@ -0,0 +1,9 @@
+-- Migration: File exports (CSV / XLSX / JSON / NDJSON downloads)
+-- Date: 2026-10-19
+-- Purpose: Record file downloads in activities, which have no spreadsheet
+
+ALTER TABLE activities ALTER COLUMN spreadsheet_url DROP NOT NULL;
+ALTER TABLE activities ALTER COLUMN spreadsheet_id DROP NOT NULL;
+ALTER TABLE activities ADD COLUMN IF NOT EXISTS export_format TEXT;
+
+COMMENT ON COLUMN activities.export_format IS 'File format for downloads (csv, xlsx, json, ndjson); NULL for Google Sheets exports';
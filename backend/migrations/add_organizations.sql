@@ -0,0 +1,140 @@
+-- Migration: Organizations
+-- Date: 2026-10-19
+-- Purpose: Team workspaces with members and roles, invitations, one subscription and a pooled
+-- usage counter per organization, and shared templates and activity history
+
+CREATE TABLE IF NOT EXISTS organizations (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  name TEXT NOT NULL,
+  plan TEXT NOT NULL DEFAULT 'FREE',
+  plan_limits_scrapes INT NOT NULL DEFAULT 5,
+  plan_limits_period TEXT NOT NULL DEFAULT 'monthly',
+  usage_this_month INT NOT NULL DEFAULT 0,
+  billing_date TIMESTAMPTZ NOT NULL DEFAULT now(),
+  subscription_status TEXT NOT NULL DEFAULT 'none',
+  stripe_customer_id TEXT,
+  stripe_subscription_id TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_organizations_stripe_subscription ON organizations(stripe_subscription_id);
+
+CREATE TABLE IF NOT EXISTS organization_members (
+  organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  role TEXT NOT NULL CHECK (role IN ('owner', 'admin', 'member')),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  PRIMARY KEY (organization_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_organization_members_user_id ON organization_members(user_id);
+
+CREATE TABLE IF NOT EXISTS organization_invitations (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+  email TEXT NOT NULL,
+  role TEXT NOT NULL CHECK (role IN ('admin', 'member')),
+  token_hash TEXT NOT NULL UNIQUE,
+  invited_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  expires_at TIMESTAMPTZ NOT NULL,
+  accepted_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_organization_invitations_org ON organization_invitations(organization_id);
+
+-- Workspace the user works in (NULL: personal); requests and usage are counted against it
+ALTER TABLE users ADD COLUMN IF NOT EXISTS active_organization_id UUID REFERENCES organizations(id) ON DELETE SET NULL;
+
+-- Shared templates and activity history
+ALTER TABLE templates ADD COLUMN IF NOT EXISTS organization_id UUID REFERENCES organizations(id) ON DELETE CASCADE;
+ALTER TABLE activities ADD COLUMN IF NOT EXISTS organization_id UUID REFERENCES organizations(id) ON DELETE SET NULL;
+CREATE INDEX IF NOT EXISTS idx_templates_organization_id ON templates(organization_id);
+CREATE INDEX IF NOT EXISTS idx_activities_organization_id ON activities(organization_id);
+
+-- Count usage against the user's active organization when they are still a member of it,
+-- otherwise against the user
+DROP FUNCTION IF EXISTS increment_usage_if_allowed(uuid, int);
+
+CREATE OR REPLACE FUNCTION increment_usage_if_allowed(p_user_id uuid, p_amount int DEFAULT 1)
+RETURNS TABLE(
+  allowed boolean,
+  new_usage int,
+  effective_limit int,
+  plan text,
+  subscription_status text
+)
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_org_id uuid;
+  v_usage int;
+  v_limit int;
+  v_plan text;
+  v_status text;
+BEGIN
+  SELECT m.organization_id
+  INTO v_org_id
+  FROM users u
+  JOIN organization_members m ON m.organization_id = u.active_organization_id AND m.user_id = u.id
+  WHERE u.id = p_user_id;
+
+  -- Row-level lock so concurrent requests can't both pass the check
+  IF v_org_id IS NOT NULL THEN
+    SELECT o.usage_this_month, o.plan_limits_scrapes, o.plan, o.subscription_status
+    INTO v_usage, v_limit, v_plan, v_status
+    FROM organizations o
+    WHERE o.id = v_org_id
+    FOR UPDATE;
+  ELSE
+    SELECT u.usage_this_month, u.plan_limits_scrapes, u.plan, u.subscription_status
+    INTO v_usage, v_limit, v_plan, v_status
+    FROM users u
+    WHERE u.id = p_user_id
+    FOR UPDATE;
+  END IF;
+
+  IF NOT FOUND THEN
+    RETURN QUERY SELECT false, 0, 0, 'FREE'::text, 'none'::text;
+    RETURN;
+  END IF;
+
+  -- Apply past_due enforcement (downgrade to FREE limits)
+  IF v_status = 'past_due' THEN
+    v_limit := 5;
+  END IF;
+
+  -- The whole amount must fit under the limit
+  IF v_usage + p_amount > v_limit THEN
+    RETURN QUERY SELECT false, v_usage, v_limit, v_plan, v_status;
+    RETURN;
+  END IF;
+
+  IF v_org_id IS NOT NULL THEN
+    UPDATE organizations o
+    SET
+      usage_this_month = usage_this_month + p_amount,
+      updated_at = now()
+    WHERE o.id = v_org_id
+    RETURNING o.usage_this_month INTO v_usage;
+  ELSE
+    UPDATE users u
+    SET
+      usage_this_month = usage_this_month + p_amount,
+      updated_at = now()
+    WHERE u.id = p_user_id
+    RETURNING u.usage_this_month INTO v_usage;
+  END IF;
+
+  RETURN QUERY SELECT true, v_usage, v_limit, v_plan, v_status;
+END;
+$$;
+
+COMMENT ON FUNCTION increment_usage_if_allowed(uuid, int) IS
+'Atomically add p_amount to the usage counter of the user''s active organization (or the user) if the result stays within the limit. Returns whether operation was allowed and current usage state. Uses row-level locking to prevent race conditions.';
+
+COMMENT ON TABLE organizations IS 'Team workspaces: one plan, subscription and pooled monthly usage counter shared by all members';
+COMMENT ON COLUMN organization_members.role IS 'owner (billing, deletion), admin (members, invitations) or member';
+COMMENT ON COLUMN organization_invitations.token_hash IS 'SHA-256 of the invitation token; the token itself is only returned when the invitation is created';
+COMMENT ON COLUMN users.active_organization_id IS 'Active workspace; NULL for the personal workspace';
@@ -0,0 +1,119 @@
+-- Migration: Plan catalog
+-- Date: 2026-10-19
+-- Purpose: Move plan quotas, Stripe prices, export row limits, allowed models and feature flags
+-- from code into a plans table, and read the scrape quota from it in the usage check
+
+CREATE TABLE IF NOT EXISTS plans (
+  id TEXT PRIMARY KEY, -- Stored in users.plan and organizations.plan
+  name TEXT NOT NULL,
+  description TEXT,
+  stripe_price_monthly TEXT UNIQUE,
+  stripe_price_annual TEXT UNIQUE,
+  scrapes_per_month INT NOT NULL CHECK (scrapes_per_month >= 0),
+  max_export_rows INT CHECK (max_export_rows > 0),
+  allowed_models TEXT[],
+  features JSONB NOT NULL DEFAULT '{}'::jsonb,
+  is_default BOOLEAN NOT NULL DEFAULT false,
+  active BOOLEAN NOT NULL DEFAULT true,
+  sort_order INT NOT NULL DEFAULT 0,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+-- Exactly one plan for new accounts, canceled subscriptions and past-due accounts
+CREATE UNIQUE INDEX IF NOT EXISTS idx_plans_default ON plans(is_default) WHERE is_default;
+
+-- The plans that were hardcoded; Stripe prices are set per environment, e.g.
+-- UPDATE plans SET stripe_price_monthly = 'price_...', stripe_price_annual = 'price_...' WHERE id = 'STARTER';
+INSERT INTO plans (id, name, description, scrapes_per_month, is_default, features, sort_order) VALUES
+  ('FREE', 'Free', 'Try it out', 5, true, '{"schedules": true, "webhooks": true, "apiKeys": true}', 0),
+  ('STARTER', 'Starter', 'For regular scraping', 250, false, '{"schedules": true, "webhooks": true, "apiKeys": true}', 1),
+  ('PRO', 'Pro', 'Unlimited scraping', 999999, false, '{"schedules": true, "webhooks": true, "apiKeys": true}', 2)
+ON CONFLICT (id) DO NOTHING;
+
+-- Same as add_organizations.sql, with the limit taken from the account's plan (the copy in
+-- plan_limits_scrapes applies to plans missing from the catalog) and the default plan's limit
+-- for past-due accounts
+CREATE OR REPLACE FUNCTION increment_usage_if_allowed(p_user_id uuid, p_amount int DEFAULT 1)
+RETURNS TABLE(
+  allowed boolean,
+  new_usage int,
+  effective_limit int,
+  plan text,
+  subscription_status text
+)
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_org_id uuid;
+  v_usage int;
+  v_limit int;
+  v_plan text;
+  v_status text;
+BEGIN
+  SELECT m.organization_id
+  INTO v_org_id
+  FROM users u
+  JOIN organization_members m ON m.organization_id = u.active_organization_id AND m.user_id = u.id
+  WHERE u.id = p_user_id;
+
+  -- Row-level lock so concurrent requests can't both pass the check
+  IF v_org_id IS NOT NULL THEN
+    SELECT o.usage_this_month, o.plan_limits_scrapes, o.plan, o.subscription_status
+    INTO v_usage, v_limit, v_plan, v_status
+    FROM organizations o
+    WHERE o.id = v_org_id
+    FOR UPDATE;
+  ELSE
+    SELECT u.usage_this_month, u.plan_limits_scrapes, u.plan, u.subscription_status
+    INTO v_usage, v_limit, v_plan, v_status
+    FROM users u
+    WHERE u.id = p_user_id
+    FOR UPDATE;
+  END IF;
+
+  IF NOT FOUND THEN
+    RETURN QUERY SELECT false, 0, 0, (SELECT p.id FROM plans p WHERE p.is_default), 'none'::text;
+    RETURN;
+  END IF;
+
+  -- Past-due accounts are held to the default plan's limit
+  IF v_status = 'past_due' THEN
+    SELECT COALESCE((SELECT p.scrapes_per_month FROM plans p WHERE p.is_default), 5) INTO v_limit;
+  ELSE
+    SELECT COALESCE((SELECT p.scrapes_per_month FROM plans p WHERE p.id = v_plan), v_limit) INTO v_limit;
+  END IF;
+
+  -- The whole amount must fit under the limit
+  IF v_usage + p_amount > v_limit THEN
+    RETURN QUERY SELECT false, v_usage, v_limit, v_plan, v_status;
+    RETURN;
+  END IF;
+
+  IF v_org_id IS NOT NULL THEN
+    UPDATE organizations o
+    SET
+      usage_this_month = usage_this_month + p_amount,
+      updated_at = now()
+    WHERE o.id = v_org_id
+    RETURNING o.usage_this_month INTO v_usage;
+  ELSE
+    UPDATE users u
+    SET
+      usage_this_month = usage_this_month + p_amount,
+      updated_at = now()
+    WHERE u.id = p_user_id
+    RETURNING u.usage_this_month INTO v_usage;
+  END IF;
+
+  RETURN QUERY SELECT true, v_usage, v_limit, v_plan, v_status;
+END;
+$$;
+
+COMMENT ON FUNCTION increment_usage_if_allowed(uuid, int) IS
+'Atomically add p_amount to the usage counter of the user''s active organization (or the user) if the result stays within the limit of its plan. Returns whether operation was allowed and current usage state. Uses row-level locking to prevent race conditions.';
+
+COMMENT ON TABLE plans IS 'Plan catalog, cached by the API (PLANS_REFRESH_INTERVAL_MS); inactive plans keep applying to their accounts but are not offered';
+COMMENT ON COLUMN plans.max_export_rows IS 'Most rows per sheet or file export; NULL for no limit';
+COMMENT ON COLUMN plans.allowed_models IS 'Models the plan may request; NULL for all';
+COMMENT ON COLUMN plans.features IS 'Feature flags such as {"schedules": true}; features are only included when set to true';
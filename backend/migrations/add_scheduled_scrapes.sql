@@ -0,0 +1,42 @@
+-- Migration: Scheduled Recurring Scrapes
+-- Date: 2026-10-19
+-- Purpose: Let users register URLs that are fetched, extracted and exported on a cron schedule
+
+CREATE TABLE IF NOT EXISTS scheduled_scrapes (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  url TEXT NOT NULL,
+  instruction TEXT,
+  template_id UUID REFERENCES templates(id) ON DELETE SET NULL,
+  model TEXT,
+  max_items INT,
+  cron TEXT NOT NULL,
+  timezone TEXT NOT NULL DEFAULT 'UTC',
+  destination_type TEXT NOT NULL CHECK (destination_type IN ('new_sheet', 'append_sheet', 'webhook')),
+  spreadsheet_id TEXT,
+  tab_name TEXT,
+  webhook_url TEXT,
+  webhook_secret TEXT,
+  enabled BOOLEAN NOT NULL DEFAULT true,
+  next_run_at TIMESTAMPTZ NOT NULL,
+  last_run_at TIMESTAMPTZ,
+  last_status TEXT,
+  last_error TEXT,
+  last_item_count INT,
+  failure_count INT NOT NULL DEFAULT 0,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_scheduled_scrapes_user_id ON scheduled_scrapes(user_id);
+-- Scheduler poll: enabled schedules that are due
+CREATE INDEX IF NOT EXISTS idx_scheduled_scrapes_due ON scheduled_scrapes(next_run_at) WHERE enabled;
+
+-- Record which schedule produced an export
+ALTER TABLE activities ADD COLUMN IF NOT EXISTS scheduled_scrape_id UUID REFERENCES scheduled_scrapes(id) ON DELETE SET NULL;
+
+COMMENT ON TABLE scheduled_scrapes IS 'Recurring server-side scrapes: URL + instruction/template + cron + destination';
+COMMENT ON COLUMN scheduled_scrapes.last_status IS 'running, completed, skipped (usage limit) or failed';
+COMMENT ON COLUMN scheduled_scrapes.webhook_secret IS 'Signs webhook destination requests (X-Webhook-Signature); only returned when it is generated';
+COMMENT ON COLUMN scheduled_scrapes.failure_count IS 'Consecutive failed runs; the schedule is disabled after SCHEDULE_MAX_FAILURES';
@@ -0,0 +1,26 @@
+-- Migration: Stripe event log
+-- Date: 2026-10-19
+-- Purpose: Process every Stripe webhook event once (keyed by event id), keep failed events for
+-- replay, and ignore subscription changes that arrive after a newer one was applied
+
+CREATE TABLE IF NOT EXISTS stripe_events (
+  id TEXT PRIMARY KEY, -- Stripe event id (evt_...)
+  type TEXT NOT NULL,
+  status TEXT NOT NULL CHECK (status IN ('processing', 'processed', 'skipped', 'failed')),
+  payload JSONB NOT NULL,
+  attempts INT NOT NULL DEFAULT 1,
+  last_error TEXT,
+  stripe_created_at TIMESTAMPTZ NOT NULL,
+  received_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  processed_at TIMESTAMPTZ,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+-- Admin listing of failed events
+CREATE INDEX IF NOT EXISTS idx_stripe_events_status ON stripe_events(status, received_at DESC);
+
+-- Creation time of the last Stripe event applied to the account's subscription state
+ALTER TABLE users ADD COLUMN IF NOT EXISTS stripe_event_at TIMESTAMPTZ;
+ALTER TABLE organizations ADD COLUMN IF NOT EXISTS stripe_event_at TIMESTAMPTZ;
+
+COMMENT ON COLUMN stripe_events.status IS 'processing, processed, skipped (nothing to apply) or failed (Stripe retries; admins can replay)';
@@ -0,0 +1,68 @@
+-- Migration: Token Usage and Cost Tracking
+-- Date: 2026-10-19
+-- Purpose: Record model token counts and estimated cost per operation for usage and finance reports
+
+CREATE TABLE IF NOT EXISTS token_usage (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  operation TEXT NOT NULL CHECK (operation IN ('scrape', 'export')),
+  model TEXT NOT NULL,
+  calls INT NOT NULL DEFAULT 1,
+  input_tokens BIGINT NOT NULL DEFAULT 0,
+  output_tokens BIGINT NOT NULL DEFAULT 0,
+  cost_usd NUMERIC(12, 6) NOT NULL DEFAULT 0,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_token_usage_user_created ON token_usage(user_id, created_at);
+
+-- Tokens and cost of the model calls behind an export (scheduled runs include the scrape)
+ALTER TABLE activities ADD COLUMN IF NOT EXISTS input_tokens BIGINT;
+ALTER TABLE activities ADD COLUMN IF NOT EXISTS output_tokens BIGINT;
+ALTER TABLE activities ADD COLUMN IF NOT EXISTS cost_usd NUMERIC(12, 6);
+
+-- Per-user totals by operation and model for GET /api/user/usage
+DROP FUNCTION IF EXISTS token_usage_summary(uuid, timestamptz, timestamptz);
+
+CREATE OR REPLACE FUNCTION token_usage_summary(p_user_id uuid, p_from timestamptz, p_to timestamptz)
+RETURNS TABLE(
+  operation text,
+  model text,
+  calls bigint,
+  input_tokens bigint,
+  output_tokens bigint,
+  cost_usd numeric
+)
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT
+    t.operation,
+    t.model,
+    SUM(t.calls)::bigint,
+    SUM(t.input_tokens)::bigint,
+    SUM(t.output_tokens)::bigint,
+    SUM(t.cost_usd)
+  FROM token_usage t
+  WHERE t.user_id = p_user_id
+    AND t.created_at >= p_from
+    AND t.created_at < p_to
+  GROUP BY t.operation, t.model;
+$$;
+
+-- Finance reporting: cost per customer per month
+CREATE OR REPLACE VIEW token_usage_monthly AS
+SELECT
+  t.user_id,
+  date_trunc('month', t.created_at) AS month,
+  t.model,
+  SUM(t.calls) AS calls,
+  SUM(t.input_tokens) AS input_tokens,
+  SUM(t.output_tokens) AS output_tokens,
+  SUM(t.cost_usd) AS cost_usd
+FROM token_usage t
+GROUP BY t.user_id, date_trunc('month', t.created_at), t.model;
+
+COMMENT ON TABLE token_usage IS 'Model tokens and estimated cost (MODEL_PRICES) per operation and model';
+COMMENT ON COLUMN token_usage.operation IS 'scrape (extraction, recipes, repair rounds) or export (sheet naming and smart formatting)';
+COMMENT ON VIEW token_usage_monthly IS 'Per-customer monthly model cost for finance reports';
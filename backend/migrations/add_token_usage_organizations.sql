@@ -0,0 +1,79 @@
+-- Migration: Token Usage per Organization
+-- Date: 2026-10-19
+-- Purpose: Attribute model token usage to the workspace it was charged to, so GET /api/user/usage
+-- matches the pooled quota of organization members
+-- Requires: add_token_usage.sql, add_organizations.sql
+
+ALTER TABLE token_usage ADD COLUMN IF NOT EXISTS organization_id UUID REFERENCES organizations(id) ON DELETE SET NULL;
+CREATE INDEX IF NOT EXISTS idx_token_usage_organization_created ON token_usage(organization_id, created_at);
+
+-- Rows belong to the user's active organization, resolved like increment_usage_if_allowed
+CREATE OR REPLACE FUNCTION set_token_usage_organization()
+RETURNS trigger
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  IF NEW.organization_id IS NULL THEN
+    SELECT m.organization_id
+    INTO NEW.organization_id
+    FROM users u
+    JOIN organization_members m ON m.organization_id = u.active_organization_id AND m.user_id = u.id
+    WHERE u.id = NEW.user_id;
+  END IF;
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS token_usage_set_organization ON token_usage;
+CREATE TRIGGER token_usage_set_organization
+  BEFORE INSERT ON token_usage
+  FOR EACH ROW EXECUTE FUNCTION set_token_usage_organization();
+
+-- Totals of a workspace: the organization's rows (all members), or the user's personal rows
+DROP FUNCTION IF EXISTS token_usage_summary(uuid, timestamptz, timestamptz);
+DROP FUNCTION IF EXISTS token_usage_summary(uuid, uuid, timestamptz, timestamptz);
+
+CREATE OR REPLACE FUNCTION token_usage_summary(p_user_id uuid, p_organization_id uuid, p_from timestamptz, p_to timestamptz)
+RETURNS TABLE(
+  operation text,
+  model text,
+  calls bigint,
+  input_tokens bigint,
+  output_tokens bigint,
+  cost_usd numeric
+)
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT
+    t.operation,
+    t.model,
+    SUM(t.calls)::bigint,
+    SUM(t.input_tokens)::bigint,
+    SUM(t.output_tokens)::bigint,
+    SUM(t.cost_usd)
+  FROM token_usage t
+  WHERE (
+      (p_organization_id IS NOT NULL AND t.organization_id = p_organization_id)
+      OR (p_organization_id IS NULL AND t.user_id = p_user_id AND t.organization_id IS NULL)
+    )
+    AND t.created_at >= p_from
+    AND t.created_at < p_to
+  GROUP BY t.operation, t.model;
+$$;
+
+-- Finance reporting: organizations are billed as one customer
+CREATE OR REPLACE VIEW token_usage_monthly AS
+SELECT
+  t.user_id,
+  date_trunc('month', t.created_at) AS month,
+  t.model,
+  SUM(t.calls) AS calls,
+  SUM(t.input_tokens) AS input_tokens,
+  SUM(t.output_tokens) AS output_tokens,
+  SUM(t.cost_usd) AS cost_usd,
+  t.organization_id
+FROM token_usage t
+GROUP BY t.user_id, t.organization_id, date_trunc('month', t.created_at), t.model;
+
+COMMENT ON COLUMN token_usage.organization_id IS 'Organization the usage was charged to; NULL for the personal workspace';
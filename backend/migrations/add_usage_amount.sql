@@ -0,0 +1,64 @@
+-- Migration: Usage Increment Amount
+-- Date: 2026-10-19
+-- Purpose: Let increment_usage_if_allowed count more than one scrape at a time
+-- (multi-page scrapes count one scrape per additional page)
+
+DROP FUNCTION IF EXISTS increment_usage_if_allowed(uuid);
+DROP FUNCTION IF EXISTS increment_usage_if_allowed(uuid, int);
+
+CREATE OR REPLACE FUNCTION increment_usage_if_allowed(p_user_id uuid, p_amount int DEFAULT 1)
+RETURNS TABLE(
+  allowed boolean,
+  new_usage int,
+  effective_limit int,
+  plan text,
+  subscription_status text
+)
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_usage int;
+  v_limit int;
+  v_plan text;
+  v_status text;
+BEGIN
+  -- Row-level lock so concurrent requests can't both pass the check
+  SELECT
+    u.usage_this_month,
+    u.plan_limits_scrapes,
+    u.plan,
+    u.subscription_status
+  INTO v_usage, v_limit, v_plan, v_status
+  FROM users u
+  WHERE u.id = p_user_id
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RETURN QUERY SELECT false, 0, 0, 'FREE'::text, 'none'::text;
+    RETURN;
+  END IF;
+
+  -- Apply past_due enforcement (downgrade to FREE limits)
+  IF v_status = 'past_due' THEN
+    v_limit := 5;
+  END IF;
+
+  -- The whole amount must fit under the limit
+  IF v_usage + p_amount > v_limit THEN
+    RETURN QUERY SELECT false, v_usage, v_limit, v_plan, v_status;
+    RETURN;
+  END IF;
+
+  UPDATE users u
+  SET
+    usage_this_month = usage_this_month + p_amount,
+    updated_at = now()
+  WHERE u.id = p_user_id
+  RETURNING u.usage_this_month INTO v_usage;
+
+  RETURN QUERY SELECT true, v_usage, v_limit, v_plan, v_status;
+END;
+$$;
+
+COMMENT ON FUNCTION increment_usage_if_allowed(uuid, int) IS
+'Atomically add p_amount to the usage counter if the result stays within the limit. Returns whether operation was allowed and current usage state. Uses row-level locking to prevent race conditions.';
@@ -0,0 +1,107 @@
+const express = require('express');
+const { z } = require('zod');
+const {
+  API_KEY_SCOPES,
+  createApiKey,
+  listApiKeys,
+  revokeApiKey,
+  toApiKeyResponse,
+} = require('../services/api-key-service');
+const { requirePlanFeature } = require('../middleware/auth');
+const logger = require('../utils/logger');
+
+// Mounted under /api/user/api-keys by routes/user.js (authentication already applied; API keys
+// can't manage keys)
+const router = express.Router();
+
+const createApiKeySchema = z.object({
+  name: z.string().trim().min(1).max(100),
+  scopes: z.array(z.enum(API_KEY_SCOPES)).min(1),
+  expiresAt: z.iso.datetime({ offset: true }).nullable().optional(),
+});
+
+const keyIdSchema = z.uuid();
+
+/**
+ * GET /api/user/api-keys
+ * List the user's active API keys (the keys themselves are never returned again)
+ *
+ * Response: { success, apiKeys: [{ id, name, prefix, scopes, lastUsedAt, expiresAt, createdAt }], scopes }
+ */
+router.get('/', async (req, res) => {
+  try {
+    const apiKeys = await listApiKeys(req.userId);
+
+    res.json({
+      success: true,
+      apiKeys: apiKeys.map(toApiKeyResponse),
+      scopes: API_KEY_SCOPES
+    });
+  } catch (error) {
+    logger.error('[ApiKeys] Exception listing keys:', error);
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+});
+
+/**
+ * POST /api/user/api-keys
+ * Create an API key. The key is only returned in this response; send it as
+ * `Authorization: Bearer <key>`.
+ *
+ * Body: { name: string, scopes: Array<'scrape'|'export'|'templates'|'schedules'|'usage'>, expiresAt?: ISO datetime | null }
+ *
+ * Response (201): { success, apiKey: { id, name, prefix, scopes, lastUsedAt, expiresAt, createdAt }, key }
+ */
+router.post('/', requirePlanFeature('apiKeys'), async (req, res) => {
+  try {
+    const parsed = createApiKeySchema.safeParse(req.body);
+    if (!parsed.success) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid request body',
+        details: parsed.error.flatten(),
+      });
+    }
+    if (parsed.data.expiresAt && new Date(parsed.data.expiresAt) <= new Date()) {
+      return res.status(400).json({ success: false, error: 'expiresAt must be in the future' });
+    }
+
+    const { apiKey, key } = await createApiKey(req.userId, parsed.data);
+
+    res.status(201).json({
+      success: true,
+      apiKey: toApiKeyResponse(apiKey),
+      key
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ success: false, error: error.message });
+    }
+    logger.error('[ApiKeys] Exception creating key:', error);
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+});
+
+/**
+ * DELETE /api/user/api-keys/:id
+ * Revoke an API key; requests using it fail from now on
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const revoked = keyIdSchema.safeParse(req.params.id).success
+      && await revokeApiKey(req.userId, req.params.id);
+    if (!revoked) {
+      return res.status(404).json({ success: false, error: 'API key not found' });
+    }
+
+    res.json({
+      success: true,
+      message: 'API key revoked'
+    });
+  } catch (error) {
+    logger.error('[ApiKeys] Exception revoking key:', error);
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
@@ -1,6 +1,7 @@
 const express = require('express');
 const { supabase } = require('../services/supabase-service');
 const { requireAuth } = require('../middleware/auth');
+const { getDefaultPlan, getScrapeLimit } = require('../services/plan-service');
 const logger = require('../utils/logger');
 
 const router = express.Router();
@@ -124,9 +125,9 @@ router.post('/callback', async (req, res) => {
         .from('users')
         .insert({
           id: user.id,
-          plan: 'FREE',
+          plan: getDefaultPlan().id,
           usage_this_month: 0,
-          plan_limits_scrapes: 5,
+          plan_limits_scrapes: getDefaultPlan().scrapes_per_month,
           plan_limits_period: 'monthly',
           subscription_status: 'none',
           smart_formatting: true,
@@ -196,7 +197,7 @@ router.post('/callback', async (req, res) => {
         picture: user.user_metadata?.avatar_url,
         plan: dbUser.plan,
         usage_this_month: dbUser.usage_this_month,
-        plan_limits_scrapes: dbUser.plan_limits_scrapes,
+        plan_limits_scrapes: getScrapeLimit(dbUser),
         plan_limits_period: dbUser.plan_limits_period,
         subscription_status: dbUser.subscription_status,
         smart_formatting: dbUser.smart_formatting
@@ -1,7 +1,27 @@
 const express = require('express');
 const Stripe = require('stripe');
-const { requireAuth } = require('../middleware/auth');
+const { z } = require('zod');
+const { requireAuth, requireAdmin } = require('../middleware/auth');
 const { supabase } = require('../services/supabase-service');
+const { hasRole } = require('../services/organization-service');
+const { usageAccount } = require('../utils/usage');
+const { emitEvent } = require('../services/webhook-service');
+const {
+  BILLING_INTERVALS,
+  listPlans,
+  getDefaultPlan,
+  getPlanByPriceId,
+  getPriceId,
+  getScrapeLimit,
+  toPlanResponse,
+} = require('../services/plan-service');
+const {
+  claimStripeEvent,
+  finishStripeEvent,
+  getStripeEvent,
+  listStripeEvents,
+  toStripeEventResponse,
+} = require('../services/stripe-event-service');
 const logger = require('../utils/logger');
 
 const router = express.Router();
@@ -19,44 +39,136 @@ if (process.env.STRIPE_SECRET_KEY) {
   logger.error('[Billing] STRIPE_SECRET_KEY environment variable is missing - billing features will be disabled');
 }
 
-// Plan configuration mapping Stripe price IDs to plan details
-// Filter out undefined values to prevent issues with missing env vars
-const PLAN_CONFIG = {};
+// Log configuration status on startup (plans and their Stripe prices come from the plan catalog)
+logger.info('[Billing] Stripe configuration loaded', {
+  hasSecretKey: !!process.env.STRIPE_SECRET_KEY
+});
 
-if (process.env.STRIPE_STARTER_PRICE_ID) {
-  PLAN_CONFIG[process.env.STRIPE_STARTER_PRICE_ID] = {
-    plan: 'STARTER',
-    scrapes: 250,
-    period: 'monthly'
+/**
+ * Billing account of a request: the active organization (one subscription for all members) or
+ * the user. Stripe metadata carries organization_id or supabase_user_id accordingly.
+ * @param {Object} req - Authenticated request
+ * @returns {{ table: 'users'|'organizations', id: string, row: Object, metadata: Object }}
+ */
+function billingAccount(req) {
+  const account = usageAccount(req.user, req.organization);
+  return {
+    ...account,
+    metadata: req.organization ? { organization_id: req.organization.id } : { supabase_user_id: req.userId },
   };
-} else {
-  logger.warn('[Billing] STRIPE_STARTER_PRICE_ID environment variable is missing');
 }
 
-if (process.env.STRIPE_PRO_PRICE_ID) {
-  PLAN_CONFIG[process.env.STRIPE_PRO_PRICE_ID] = {
-    plan: 'PRO',
-    scrapes: 999999,
-    period: 'monthly'
-  };
-} else {
-  logger.warn('[Billing] STRIPE_PRO_PRICE_ID environment variable is missing');
+/**
+ * The user or organization a Stripe object's metadata refers to
+ * @param {Object} [metadata]
+ * @returns {{ table: 'users'|'organizations', id: string }|null}
+ */
+function billingTarget(metadata) {
+  if (metadata?.organization_id) return { table: 'organizations', id: metadata.organization_id };
+  if (metadata?.supabase_user_id) return { table: 'users', id: metadata.supabase_user_id };
+  return null;
 }
 
-// Log configuration status on startup
-logger.info('[Billing] Stripe configuration loaded', {
-  hasSecretKey: !!process.env.STRIPE_SECRET_KEY,
-  hasStarterPriceId: !!process.env.STRIPE_STARTER_PRICE_ID,
-  hasProPriceId: !!process.env.STRIPE_PRO_PRICE_ID,
-  configuredPlans: Object.keys(PLAN_CONFIG).length,
-  starterPriceId: process.env.STRIPE_STARTER_PRICE_ID ? process.env.STRIPE_STARTER_PRICE_ID.substring(0, 20) + '...' : 'not set',
-  proPriceId: process.env.STRIPE_PRO_PRICE_ID ? process.env.STRIPE_PRO_PRICE_ID.substring(0, 20) + '...' : 'not set',
-  configuredPriceIds: Object.keys(PLAN_CONFIG).map(id => id.substring(0, 20) + '...')
+/**
+ * Find the user or organization holding a subscription
+ * @param {string} subscriptionId
+ * @returns {Promise<{ table: 'users'|'organizations', id: string }|null>}
+ */
+async function findSubscriptionOwner(subscriptionId) {
+  for (const table of ['users', 'organizations']) {
+    const { data, error } = await supabase
+      .from(table)
+      .select('id')
+      .eq('stripe_subscription_id', subscriptionId)
+      .maybeSingle();
+    if (error) throw new Error(`Failed to look up subscription owner: ${error.message}`);
+    if (data) return { table, id: data.id };
+  }
+  return null;
+}
+
+/**
+ * Update a user's or organization's billing columns (user profiles are cached, so invalidate them)
+ * @param {{ table: string, id: string }} target
+ * @param {Object} changes
+ * @param {Object} [options]
+ * @param {string} [options.eventTime] - Creation time of the Stripe event making the change: it is
+ *   only applied when no newer event was applied to the account (and recorded in stripe_event_at)
+ * @returns {Promise<boolean>} False when nothing was updated (unknown account or older event)
+ * @throws {Error} when the update fails
+ */
+async function updateBillingTarget(target, changes, { eventTime } = {}) {
+  let query = supabase
+    .from(target.table)
+    .update(eventTime ? { ...changes, stripe_event_at: eventTime } : changes)
+    .eq('id', target.id);
+  if (eventTime) {
+    query = query.or(`stripe_event_at.is.null,stripe_event_at.lte."${eventTime}"`);
+  }
+
+  const { data, error } = await query.select('id');
+  if (error) {
+    throw new Error(`Failed to update billing for ${target.table} ${target.id}: ${error.message}`);
+  }
+
+  if (target.table === 'users') {
+    const { invalidateUserCache } = require('../services/user-cache-service');
+    await invalidateUserCache(target.id);
+  }
+
+  if (!data || data.length === 0) {
+    logger.warn('[Billing] Billing update not applied (unknown account or out-of-order event)', { ...target, eventTime });
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Raise the subscription.changed webhook event for a billing target (organizations: for their owner)
+ * @param {{ table: string, id: string }} target
+ * @param {Object} details - { stripeEvent, plan?, subscriptionStatus }
+ */
+async function notifySubscriptionChanged(target, details) {
+  let userId = target.id;
+  if (target.table === 'organizations') {
+    const { data: owner } = await supabase
+      .from('organization_members')
+      .select('user_id')
+      .eq('organization_id', target.id)
+      .eq('role', 'owner')
+      .maybeSingle();
+    if (!owner) return;
+    userId = owner.user_id;
+  }
+
+  emitEvent(userId, 'subscription.changed', {
+    organizationId: target.table === 'organizations' ? target.id : null,
+    ...details,
+  });
+}
+
+/**
+ * Only the owner manages an organization's subscription
+ * @returns {boolean} False when a 403 response was sent
+ */
+function requireBillingOwner(req, res) {
+  if (req.organization && !hasRole(req.organization.role, 'owner')) {
+    res.status(403).json({ success: false, error: 'Only the organization owner can manage billing' });
+    return false;
+  }
+  return true;
+}
+
+const eventsQuerySchema = z.object({
+  status: z.enum(['processing', 'processed', 'skipped', 'failed']).optional(),
+  limit: z.coerce.number().int().positive().max(200).default(50),
 });
 
 /**
  * POST /api/billing/checkout
  * Create a Stripe Checkout Session for upgrading to a paid plan
+ * (for the active organization when there is one; owner only)
+ * Body: { targetPlan: plan id from GET /plans, interval?: 'monthly' | 'annual' (default monthly) }
  */
 router.post('/checkout', requireAuth, async (req, res) => {
   try {
@@ -69,19 +181,15 @@ router.post('/checkout', requireAuth, async (req, res) => {
       });
     }
 
-    if (Object.keys(PLAN_CONFIG).length === 0) {
-      logger.error('[Billing] No price IDs configured');
-      return res.status(503).json({
-        success: false,
-        error: 'Billing plans are not configured. Please contact support.'
-      });
-    }
+    if (!requireBillingOwner(req, res)) return;
 
-    const { targetPlan } = req.body;
+    const { targetPlan, interval = 'monthly' } = req.body;
 
     logger.info('[Billing] Checkout request received', {
       userId: req.userId,
-      targetPlan
+      organizationId: req.organization?.id,
+      targetPlan,
+      interval
     });
 
     if (!targetPlan) {
@@ -89,44 +197,31 @@ router.post('/checkout', requireAuth, async (req, res) => {
       return res.status(400).json({ success: false, error: 'Missing targetPlan' });
     }
 
-    let priceId;
-    switch (targetPlan.toLowerCase()) {
-      case 'starter':
-        priceId = process.env.STRIPE_STARTER_PRICE_ID;
-        break;
-      case 'pro':
-        priceId = process.env.STRIPE_PRO_PRICE_ID;
-        break;
-      default:
-        logger.warn('[Billing] Invalid targetPlan received', { targetPlan });
-        return res.status(400).json({ success: false, error: 'Invalid plan selected' });
+    if (!BILLING_INTERVALS.includes(interval)) {
+      return res.status(400).json({ success: false, error: `interval must be one of: ${BILLING_INTERVALS.join(', ')}` });
     }
 
-    if (!priceId) {
-      logger.error('[Billing] Price ID not configured for plan', { targetPlan });
-      return res.status(503).json({
-        success: false,
-        error: 'The selected plan is not currently available. Please contact support.'
-      });
+    // Plans offered for checkout: active paid plans of the catalog (GET /api/billing/plans)
+    const plan = listPlans().find(offered => offered.id.toLowerCase() === String(targetPlan).toLowerCase());
+    if (!plan || plan.is_default) {
+      logger.warn('[Billing] Invalid targetPlan received', { targetPlan });
+      return res.status(400).json({ success: false, error: 'Invalid plan selected' });
     }
 
-    // Validate priceId exists in PLAN_CONFIG
-    if (!PLAN_CONFIG[priceId]) {
-      logger.warn('[Billing] Price ID not found in PLAN_CONFIG', {
-        priceId: priceId.substring(0, 20) + '...',
-        targetPlan
-      });
+    const priceId = getPriceId(plan, interval);
+    if (!priceId) {
+      logger.error('[Billing] Price ID not configured for plan', { plan: plan.id, interval });
       return res.status(503).json({
         success: false,
-        error: 'Billing configuration error. Please contact support.'
+        error: 'The selected plan is not currently available. Please contact support.'
       });
     }
 
-    // User is already attached to req (full profile from cache/DB)
-    const user = req.user;
+    // User and active organization are already attached to req (full profile from cache/DB)
+    const account = billingAccount(req);
 
     // Get or create Stripe customer
-    let customerId = user.stripe_customer_id;
+    let customerId = account.row.stripe_customer_id;
 
     if (!customerId) {
       // Get user email from Supabase auth
@@ -134,14 +229,15 @@ router.post('/checkout', requireAuth, async (req, res) => {
 
       const customer = await stripe.customers.create({
         email: authUser?.email,
-        metadata: { supabase_user_id: req.userId }
+        ...(req.organization && { name: req.organization.name }),
+        metadata: account.metadata
       });
       customerId = customer.id;
 
       await supabase
-        .from('users')
+        .from(account.table)
         .update({ stripe_customer_id: customerId })
-        .eq('id', req.userId);
+        .eq('id', account.id);
     } else {
       // Verify customer exists in Stripe, if not, create a new one
       try {
@@ -153,15 +249,16 @@ router.post('/checkout', requireAuth, async (req, res) => {
         const { data: { user: authUser } } = await supabase.auth.admin.getUserById(req.userId);
         const customer = await stripe.customers.create({
           email: authUser?.email,
-          metadata: { supabase_user_id: req.userId }
+          ...(req.organization && { name: req.organization.name }),
+          metadata: account.metadata
         });
         customerId = customer.id;
 
         // Update database with new customer ID
         await supabase
-          .from('users')
+          .from(account.table)
           .update({ stripe_customer_id: customerId })
-          .eq('id', req.userId);
+          .eq('id', account.id);
       }
     }
 
@@ -172,9 +269,9 @@ router.post('/checkout', requireAuth, async (req, res) => {
       line_items: [{ price: priceId, quantity: 1 }],
       success_url: `${process.env.FRONTEND_URL}/?checkout=success`,
       cancel_url: `${process.env.FRONTEND_URL}/?checkout=cancelled`,
-      metadata: { supabase_user_id: req.userId },
+      metadata: account.metadata,
       subscription_data: {
-        metadata: { supabase_user_id: req.userId }
+        metadata: account.metadata
       }
     });
 
@@ -237,6 +334,7 @@ router.post('/checkout', requireAuth, async (req, res) => {
 /**
  * POST /api/billing/portal
  * Create a Stripe Customer Portal session for managing subscription
+ * (the active organization's when there is one; owner only)
  */
 router.post('/portal', requireAuth, async (req, res) => {
   try {
@@ -249,14 +347,16 @@ router.post('/portal', requireAuth, async (req, res) => {
       });
     }
 
-    const user = req.user;
+    if (!requireBillingOwner(req, res)) return;
+
+    const { row: account } = billingAccount(req);
 
-    if (!user?.stripe_customer_id) {
+    if (!account?.stripe_customer_id) {
       return res.status(400).json({ success: false, error: 'No billing account found. Please subscribe first.' });
     }
 
     const session = await stripe.billingPortal.sessions.create({
-      customer: user.stripe_customer_id,
+      customer: account.stripe_customer_id,
       return_url: `${process.env.FRONTEND_URL}/`
     });
 
@@ -271,18 +371,19 @@ router.post('/portal', requireAuth, async (req, res) => {
 
 /**
  * GET /api/billing/status
- * Return current plan, usage, and subscription status
+ * Return current plan, usage, and subscription status (pooled for the active organization)
  */
 router.get('/status', requireAuth, async (req, res) => {
   try {
-    const user = req.user;
+    const { row: user } = billingAccount(req);
 
     res.json({
       success: true,
       billing: {
+        organizationId: req.organization?.id || null,
         plan: user.plan,
         usage: user.usage_this_month,
-        limit: user.plan_limits_scrapes,
+        limit: getScrapeLimit(user),
         period: user.plan_limits_period,
         subscriptionStatus: user.subscription_status,
         billingDate: user.billing_date
@@ -294,25 +395,37 @@ router.get('/status', requireAuth, async (req, res) => {
   }
 });
 
+/**
+ * GET /api/billing/plans
+ * Public plan catalog: quotas, limits, features and the billing intervals available for checkout
+ */
+router.get('/plans', (_req, res) => {
+  try {
+    res.json({ success: true, plans: listPlans().map(toPlanResponse) });
+  } catch (error) {
+    logger.error('[Billing] Plans error:', error);
+    res.status(500).json({ success: false, error: 'Failed to get plans' });
+  }
+});
+
 /**
  * GET /api/billing/config
  * Return configured Stripe price IDs (for debugging - shows partial IDs only)
  */
 router.get('/config', requireAuth, async (req, res) => {
   try {
-    const configuredPriceIds = Object.keys(PLAN_CONFIG);
+    const pricePrefix = (priceId) => (priceId ? priceId.substring(0, 20) + '...' : 'not set');
+    const paidPlans = listPlans().filter(plan => !plan.is_default);
     res.json({
       success: true,
       config: {
         hasStripeClient: !!stripe,
-        configuredPlansCount: configuredPriceIds.length,
-        starterPriceIdPrefix: process.env.STRIPE_STARTER_PRICE_ID 
-          ? process.env.STRIPE_STARTER_PRICE_ID.substring(0, 20) + '...' 
-          : 'not set',
-        proPriceIdPrefix: process.env.STRIPE_PRO_PRICE_ID 
-          ? process.env.STRIPE_PRO_PRICE_ID.substring(0, 20) + '...' 
-          : 'not set',
-        configuredPriceIdsPrefix: configuredPriceIds.map(id => id.substring(0, 20) + '...')
+        configuredPlansCount: paidPlans.filter(plan => plan.stripe_price_monthly || plan.stripe_price_annual).length,
+        plans: paidPlans.map(plan => ({
+          id: plan.id,
+          monthlyPriceIdPrefix: pricePrefix(plan.stripe_price_monthly),
+          annualPriceIdPrefix: pricePrefix(plan.stripe_price_annual)
+        }))
       }
     });
   } catch (error) {
@@ -321,10 +434,195 @@ router.get('/config', requireAuth, async (req, res) => {
   }
 });
 
+/**
+ * Apply a verified Stripe event to the billing columns of its user or organization.
+ * Subscription state only moves forward: a change is skipped when a newer event was already
+ * applied to the account (stripe_event_at). Only the customer and subscription a checkout links
+ * are written regardless of order.
+ * @param {Object} event - Stripe event
+ * @returns {Promise<'processed'|'skipped'>} skipped: nothing to apply
+ * @throws {Error} on failures worth retrying (database or Stripe API errors)
+ */
+async function handleStripeEvent(event) {
+  const eventTime = new Date(event.created * 1000).toISOString();
+
+  switch (event.type) {
+    case 'checkout.session.completed': {
+      const session = event.data.object;
+      const target = billingTarget(session.metadata);
+      const subscriptionId = session.subscription;
+
+      if (!target || !subscriptionId) return 'skipped';
+
+      // Get subscription to find the price
+      const subscription = await stripe.subscriptions.retrieve(subscriptionId);
+      const priceId = subscription.items.data[0]?.price?.id;
+      const { plan } = getPlanByPriceId(priceId) || {};
+
+      if (!plan) {
+        logger.warn('[Billing] Unknown price ID in checkout:', priceId);
+        return 'skipped';
+      }
+
+      // Link the customer and subscription regardless of event order: invoice events find the
+      // account by its subscription, also when a newer subscription event was applied first
+      const linked = await updateBillingTarget(target, {
+        ...(session.customer && { stripe_customer_id: session.customer }),
+        stripe_subscription_id: subscriptionId,
+        updated_at: new Date().toISOString()
+      });
+      if (!linked) return 'skipped';
+
+      const applied = await updateBillingTarget(target, {
+        plan: plan.id,
+        plan_limits_scrapes: plan.scrapes_per_month,
+        plan_limits_period: 'monthly',
+        subscription_status: 'active',
+        usage_this_month: 0,
+        billing_date: new Date().toISOString(),
+        updated_at: new Date().toISOString()
+      }, { eventTime });
+      if (!applied) {
+        logger.info('[Billing] Subscription linked, plan already set by a newer event', { ...target, subscriptionId });
+        return 'processed';
+      }
+
+      logger.info('[Billing] Account upgraded', { ...target, plan: plan.id });
+      await notifySubscriptionChanged(target, { stripeEvent: event.type, plan: plan.id, subscriptionStatus: 'active' });
+      return 'processed';
+    }
+
+    case 'customer.subscription.updated': {
+      const subscription = event.data.object;
+      const target = billingTarget(subscription.metadata);
+      if (!target) return 'skipped';
+
+      const priceId = subscription.items.data[0]?.price?.id;
+      const { plan } = getPlanByPriceId(priceId) || {};
+
+      const updateData = {
+        subscription_status: subscription.status,
+        updated_at: new Date().toISOString()
+      };
+
+      // If plan changed (upgrade/downgrade)
+      if (plan) {
+        updateData.plan = plan.id;
+        updateData.plan_limits_scrapes = plan.scrapes_per_month;
+        updateData.plan_limits_period = 'monthly';
+      }
+
+      if (!(await updateBillingTarget(target, updateData, { eventTime }))) return 'skipped';
+      logger.info('[Billing] Subscription updated', { ...target, status: subscription.status });
+      await notifySubscriptionChanged(target, {
+        stripeEvent: event.type,
+        ...(plan && { plan: plan.id }),
+        subscriptionStatus: subscription.status
+      });
+      return 'processed';
+    }
+
+    case 'customer.subscription.deleted': {
+      const subscription = event.data.object;
+      const target = billingTarget(subscription.metadata);
+      if (!target) return 'skipped';
+
+      const defaultPlan = getDefaultPlan();
+      const applied = await updateBillingTarget(target, {
+        plan: defaultPlan.id,
+        plan_limits_scrapes: defaultPlan.scrapes_per_month,
+        plan_limits_period: 'monthly',
+        stripe_subscription_id: null,
+        subscription_status: 'canceled',
+        updated_at: new Date().toISOString()
+      }, { eventTime });
+      if (!applied) return 'skipped';
+
+      logger.info('[Billing] Subscription canceled and downgraded', target);
+      await notifySubscriptionChanged(target, { stripeEvent: event.type, plan: defaultPlan.id, subscriptionStatus: 'canceled' });
+      return 'processed';
+    }
+
+    case 'invoice.payment_failed': {
+      const invoice = event.data.object;
+      const subscriptionId = invoice.subscription;
+      if (!subscriptionId) return 'skipped';
+
+      // Find the user or organization by subscription ID
+      const target = await findSubscriptionOwner(subscriptionId);
+      if (!target) return 'skipped';
+
+      const applied = await updateBillingTarget(target, {
+        subscription_status: 'past_due',
+        updated_at: new Date().toISOString()
+      }, { eventTime });
+      if (!applied) return 'skipped';
+
+      logger.warn('[Billing] Payment failed', target);
+      await notifySubscriptionChanged(target, { stripeEvent: event.type, subscriptionStatus: 'past_due' });
+      return 'processed';
+    }
+
+    case 'invoice.paid': {
+      const invoice = event.data.object;
+      const subscriptionId = invoice.subscription;
+
+      // Only reset usage on renewal invoices (not the first one)
+      if (!subscriptionId || invoice.billing_reason !== 'subscription_cycle') return 'skipped';
+
+      const target = await findSubscriptionOwner(subscriptionId);
+      if (!target) return 'skipped';
+
+      // Reset usage and reactivate in one guarded update, so a retried or older invoice
+      // can't reset usage after a newer event was applied
+      const applied = await updateBillingTarget(target, {
+        subscription_status: 'active',
+        usage_this_month: 0,
+        billing_date: new Date().toISOString(),
+        updated_at: new Date().toISOString()
+      }, { eventTime });
+      if (!applied) return 'skipped';
+
+      logger.info('[Billing] Invoice paid, usage reset', target);
+      return 'processed';
+    }
+
+    default:
+      return 'skipped';
+  }
+}
+
+/**
+ * Process an event at most once: claim it in the event log, apply it and record the outcome
+ * @param {Object} event - Verified Stripe event
+ * @returns {Promise<'processed'|'skipped'|'duplicate'|'in_progress'>}
+ * @throws {Error} when the event could not be applied (recorded as failed)
+ */
+async function processStripeEvent(event) {
+  const claim = await claimStripeEvent(event);
+  if (claim !== 'claimed') {
+    logger.info('[Billing] Webhook event not processed again', { eventId: event.id, type: event.type, reason: claim });
+    return claim;
+  }
+
+  try {
+    const status = await handleStripeEvent(event);
+    await finishStripeEvent(event.id, status);
+    return status;
+  } catch (error) {
+    await finishStripeEvent(event.id, 'failed', error.message);
+    throw error;
+  }
+}
+
 /**
  * POST /api/billing/webhook
  * Handle Stripe webhook events
  * NOTE: This route uses raw body parsing (configured in server.js)
+ *
+ * Events are logged by id and applied once; redeliveries of applied events are acknowledged
+ * without changes. Failures return 500 so Stripe retries, and a redelivery that arrives while
+ * the event is still being processed gets a 409.
  */
 router.post('/webhook', async (req, res) => {
   // Check if Stripe is properly configured
@@ -343,164 +641,91 @@ router.post('/webhook', async (req, res) => {
     return res.status(400).send(`Webhook Error: ${err.message}`);
   }
 
-  logger.info('[Billing] Webhook received:', { type: event.type });
-
-  const { invalidateUserCache } = require('../services/user-cache-service');
+  logger.info('[Billing] Webhook received:', { type: event.type, eventId: event.id });
 
   try {
-    switch (event.type) {
-      case 'checkout.session.completed': {
-        const session = event.data.object;
-        const userId = session.metadata?.supabase_user_id;
-        const subscriptionId = session.subscription;
-
-        if (!userId || !subscriptionId) break;
-
-        // Get subscription to find the price
-        const subscription = await stripe.subscriptions.retrieve(subscriptionId);
-        const priceId = subscription.items.data[0]?.price?.id;
-        const planConfig = PLAN_CONFIG[priceId];
-
-        if (!planConfig) {
-          logger.warn('[Billing] Unknown price ID in checkout:', priceId);
-          break;
-        }
-
-        await supabase
-          .from('users')
-          .update({
-            plan: planConfig.plan,
-            plan_limits_scrapes: planConfig.scrapes,
-            plan_limits_period: planConfig.period,
-            stripe_subscription_id: subscriptionId,
-            subscription_status: 'active',
-            usage_this_month: 0,
-            billing_date: new Date().toISOString(),
-            updated_at: new Date().toISOString()
-          })
-          .eq('id', userId);
-
-        await invalidateUserCache(userId);
-        logger.info('[Billing] User upgraded and cache invalidated', { userId, plan: planConfig.plan });
-        break;
-      }
-
-      case 'customer.subscription.updated': {
-        const subscription = event.data.object;
-        const userId = subscription.metadata?.supabase_user_id;
-        if (!userId) break;
-
-        const priceId = subscription.items.data[0]?.price?.id;
-        const planConfig = PLAN_CONFIG[priceId];
+    const result = await processStripeEvent(event);
+    if (result === 'in_progress') {
+      return res.status(409).json({ received: false, error: 'Event is already being processed' });
+    }
 
-        const updateData = {
-          subscription_status: subscription.status,
-          updated_at: new Date().toISOString()
-        };
+    res.json({ received: true, ...(result === 'duplicate' && { duplicate: true }) });
+  } catch (error) {
+    logger.error('[Billing] Webhook handler error:', { eventId: event.id, type: event.type, error: error.message });
+    res.status(500).json({ received: false, error: 'Webhook processing failed' });
+  }
+});
 
-        // If plan changed (upgrade/downgrade)
-        if (planConfig) {
-          updateData.plan = planConfig.plan;
-          updateData.plan_limits_scrapes = planConfig.scrapes;
-          updateData.plan_limits_period = planConfig.period;
-        }
+/**
+ * GET /api/billing/events
+ * Stripe event log (admins)
+ *
+ * Query: { status?: 'processing'|'processed'|'skipped'|'failed', limit?: number (default 50, max 200) }
+ *
+ * Response: { success, events: [{ id, type, status, attempts, lastError, stripeCreatedAt, receivedAt, processedAt }] }
+ */
+router.get('/events', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const parsed = eventsQuerySchema.safeParse(req.query);
+    if (!parsed.success) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid query parameters',
+        details: parsed.error.flatten(),
+      });
+    }
 
-        await supabase
-          .from('users')
-          .update(updateData)
-          .eq('id', userId);
+    const events = await listStripeEvents(parsed.data);
 
-        await invalidateUserCache(userId);
-        logger.info('[Billing] Subscription updated and cache invalidated', { userId, status: subscription.status });
-        break;
-      }
+    res.json({
+      success: true,
+      events: events.map(toStripeEventResponse)
+    });
+  } catch (error) {
+    logger.error('[Billing] Event list error:', error);
+    res.status(500).json({ success: false, error: 'Failed to list Stripe events' });
+  }
+});
 
-      case 'customer.subscription.deleted': {
-        const subscription = event.data.object;
-        const userId = subscription.metadata?.supabase_user_id;
-        if (!userId) break;
+/**
+ * POST /api/billing/events/:id/replay
+ * Process a failed Stripe event again from its logged payload (admins)
+ *
+ * Response: { success, event: { id, type, status, ... } }
+ */
+router.post('/events/:id/replay', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    if (!stripe) {
+      return res.status(503).json({ success: false, error: 'Billing service is not configured' });
+    }
 
-        await supabase
-          .from('users')
-          .update({
-            plan: 'FREE',
-            plan_limits_scrapes: 5,
-            plan_limits_period: 'monthly',
-            stripe_subscription_id: null,
-            subscription_status: 'canceled',
-            updated_at: new Date().toISOString()
-          })
-          .eq('id', userId);
-
-        await invalidateUserCache(userId);
-        logger.info('[Billing] Subscription canceled, downgraded and cache invalidated', { userId });
-        break;
-      }
+    const logged = await getStripeEvent(req.params.id);
+    if (!logged) {
+      return res.status(404).json({ success: false, error: 'Stripe event not found' });
+    }
+    if (logged.status !== 'failed') {
+      return res.status(409).json({ success: false, error: `Only failed events can be replayed (this one is ${logged.status})` });
+    }
 
-      case 'invoice.payment_failed': {
-        const invoice = event.data.object;
-        const subscriptionId = invoice.subscription;
-        if (!subscriptionId) break;
-
-        // Find user by subscription ID
-        const { data: user } = await supabase
-          .from('users')
-          .select('id')
-          .eq('stripe_subscription_id', subscriptionId)
-          .single();
-
-        if (user) {
-          await supabase
-            .from('users')
-            .update({
-              subscription_status: 'past_due',
-              updated_at: new Date().toISOString()
-            })
-            .eq('id', user.id);
-
-          await invalidateUserCache(user.id);
-          logger.warn('[Billing] Payment failed and cache invalidated', { userId: user.id });
-        }
-        break;
-      }
+    logger.info('[Billing] Replaying Stripe event', { eventId: logged.id, type: logged.type, userId: req.userId });
 
-      case 'invoice.paid': {
-        const invoice = event.data.object;
-        const subscriptionId = invoice.subscription;
-        if (!subscriptionId) break;
-
-        // Only reset usage on renewal invoices (not the first one)
-        if (invoice.billing_reason === 'subscription_cycle') {
-          const { data: user } = await supabase
-            .from('users')
-            .select('id')
-            .eq('stripe_subscription_id', subscriptionId)
-            .single();
-
-          if (user) {
-            await supabase
-              .from('users')
-              .update({
-                usage_this_month: 0,
-                subscription_status: 'active',
-                billing_date: new Date().toISOString(),
-                updated_at: new Date().toISOString()
-              })
-              .eq('id', user.id);
-
-            await invalidateUserCache(user.id);
-            logger.info('[Billing] Invoice paid, usage reset and cache invalidated', { userId: user.id });
-          }
-        }
-        break;
-      }
+    let replayError = null;
+    try {
+      await processStripeEvent(logged.payload);
+    } catch (error) {
+      replayError = error;
     }
+
+    const event = await getStripeEvent(logged.id);
+    res.status(replayError ? 502 : 200).json({
+      success: !replayError,
+      ...(replayError && { error: `Replay failed: ${replayError.message}` }),
+      event: toStripeEventResponse(event)
+    });
   } catch (error) {
-    logger.error('[Billing] Webhook handler error:', error);
-    // Return 200 anyway to prevent Stripe from retrying
+    logger.error('[Billing] Event replay error:', error);
+    res.status(500).json({ success: false, error: 'Failed to replay Stripe event' });
   }
-
-  res.json({ received: true });
 });
 
 module.exports = router;
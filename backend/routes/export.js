@@ -0,0 +1,183 @@
+const express = require('express');
+const { z } = require('zod');
+const logger = require('../utils/logger');
+const { generateSmartFormatting } = require('../services/sheets-service');
+const { FILE_FORMATS, buildExportFile } = require('../services/file-export');
+const { requireAuth, allowApiKey } = require('../middleware/auth');
+const { supabase } = require('../services/supabase-service');
+const { getTemplateForUser, applyTemplate } = require('../services/template-service');
+const { usageAccount, incrementUsageIfAllowed } = require('../utils/usage');
+const { getAccountPlan } = require('../services/plan-service');
+const { collectHeaders } = require('../utils/csv-converter');
+const { createTokenUsage, activityTokenFields } = require('../utils/token-cost');
+const { recordModelUsage } = require('../services/token-usage-service');
+const { emitEvent } = require('../services/webhook-service');
+
+const router = express.Router();
+
+// Apply authentication to all routes (session, or API key with the export scope)
+router.use(allowApiKey('export'), requireAuth);
+
+// Same body as POST /api/sheets/export plus the file format (sheet-only fields are ignored)
+const fileExportSchema = z.object({
+  data: z.array(z.record(z.string(), z.any())).min(1, 'Data array must contain at least 1 item'),
+  instruction: z.string().min(1).max(500).optional(),
+  smartFormatting: z.boolean().optional(),
+  templateId: z.uuid().optional(),
+  format: z.enum(Object.keys(FILE_FORMATS)).default('csv'),
+  fileName: z.string().trim().min(1).max(100).optional(),
+}).refine((body) => body.instruction || body.templateId, {
+  message: 'Either instruction or templateId is required',
+  path: ['instruction'],
+});
+
+/**
+ * Safe download file name: the requested name, else the template name (or instruction) with the
+ * export time. Deterministic, so downloads don't wait on a model call for a title.
+ * @param {Object} names
+ * @param {string} [names.fileName] - Requested file name (without extension)
+ * @param {string} [names.templateName]
+ * @param {string} [names.instruction]
+ * @param {string} extension
+ * @returns {string}
+ */
+function toFileName({ fileName, templateName, instruction }, extension) {
+  const clean = (name) => String(name || '')
+    .replace(/[^\w\s.-]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  let base = clean(fileName).slice(0, 100);
+  if (!base) {
+    const timestamp = new Date().toISOString().slice(0, 16).replace('T', ' ').replace(':', '');
+    base = `${clean(templateName || instruction).slice(0, 80) || 'export'} ${timestamp}`;
+  }
+  return `${base}.${extension}`;
+}
+
+/**
+ * POST /api/export/file
+ *
+ * Download extracted data as a file instead of exporting to Google Sheets
+ *
+ * Headers:
+ *   Authorization: Bearer <access_token>
+ *
+ * Body:
+ *   {
+ *     data: Array<Object>,      // Extracted data to export
+ *     instruction: string,       // Original user instruction (file name when fileName is not given)
+ *     smartFormatting?: boolean, // XLSX: AI-detected column types as number formats (default: true)
+ *     templateId?: string,       // Saved template filling instruction/smartFormatting
+ *     format?: 'csv' | 'xlsx' | 'json' | 'ndjson', // Default: csv
+ *     fileName?: string          // Download name without extension (default: template name or instruction with the time)
+ *   }
+ *
+ * Response: the file as an attachment (Content-Disposition), with X-Usage-Current / X-Usage-Limit headers
+ */
+router.post('/file', async (req, res, next) => {
+  try {
+    const parsed = fileExportSchema.safeParse(req.body);
+    if (!parsed.success) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid request body',
+        details: parsed.error.flatten(),
+      });
+    }
+
+    let options = parsed.data;
+    let templateName = null;
+    if (options.templateId) {
+      const template = await getTemplateForUser(req.userId, options.templateId, req.organization?.id);
+      if (!template) {
+        return res.status(404).json({ success: false, error: 'Template not found' });
+      }
+      options = applyTemplate(options, template);
+      templateName = template.name;
+    }
+
+    const { data, instruction, templateId, format } = options;
+    const smartFormatting = options.smartFormatting ?? true;
+
+    // Rows per export are limited by the plan of the user (or of their active organization)
+    const plan = getAccountPlan(usageAccount(req.user, req.organization).row);
+    if (plan.max_export_rows && data.length > plan.max_export_rows) {
+      return res.status(403).json({
+        success: false,
+        error: `The ${plan.name} plan exports up to ${plan.max_export_rows} rows at a time`,
+      });
+    }
+
+    logger.info('[Export API] File export request', {
+      userId: req.userId,
+      format,
+      dataRows: data.length,
+    });
+
+    // File downloads count against the plan limit like sheet exports
+    const usageCheck = await incrementUsageIfAllowed(supabase, req.userId);
+    if (usageCheck.error) {
+      return res.status(usageCheck.status).json({
+        success: false,
+        error: usageCheck.error,
+        ...(usageCheck.usage && { usage: usageCheck.usage }),
+      });
+    }
+    const { usage } = usageCheck;
+
+    const tokenUsage = createTokenUsage();
+    const formatting = format === 'xlsx' && smartFormatting
+      ? await generateSmartFormatting(data, collectHeaders(data), tokenUsage)
+      : null;
+
+    const file = await buildExportFile(data, format, { formatting });
+    const fileName = toFileName({ fileName: options.fileName, templateName, instruction }, file.extension);
+
+    const { error: activityError } = await supabase
+      .from('activities')
+      .insert({
+        user_id: req.userId,
+        organization_id: req.organization?.id || null,
+        sheet_name: fileName,
+        spreadsheet_url: null,
+        spreadsheet_id: null,
+        export_format: format,
+        item_count: data.length,
+        instruction: instruction,
+        template_id: templateId || null,
+        ...activityTokenFields(tokenUsage),
+        timestamp: new Date().toISOString(),
+      });
+
+    if (activityError) {
+      logger.error('[Export API] Failed to save activity:', activityError);
+      // Continue anyway - don't fail the request for activity logging
+    }
+    await recordModelUsage(req.userId, 'export', tokenUsage);
+
+    logger.info('[Export API] File export complete', { userId: req.userId, fileName, format });
+    emitEvent(req.userId, 'export.completed', {
+      destination: 'file',
+      format,
+      fileName,
+      itemCount: data.length,
+      templateId: templateId || null,
+    });
+
+    res.attachment(fileName);
+    res.type(file.contentType);
+    res.set('X-Usage-Current', String(usage.current));
+    res.set('X-Usage-Limit', String(usage.limit));
+    return res.send(file.body);
+
+  } catch (error) {
+    logger.error('[Export API] File export failed', {
+      error: error.message,
+      stack: error.stack,
+    });
+    return next(error);
+  }
+});
+
+module.exports = router;
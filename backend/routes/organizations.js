@@ -0,0 +1,379 @@
+const express = require('express');
+const { z } = require('zod');
+const { requireAuth } = require('../middleware/auth');
+const {
+  hasRole,
+  getMembership,
+  listOrganizations,
+  setActiveOrganization,
+  createOrganization,
+  renameOrganization,
+  listMembers,
+  updateMemberRole,
+  removeMember,
+  createInvitation,
+  listPendingInvitations,
+  revokeInvitation,
+  acceptInvitation,
+  deleteOrganization,
+  toOrganizationResponse,
+} = require('../services/organization-service');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(requireAuth);
+
+const nameSchema = z.object({
+  name: z.string().trim().min(1).max(100),
+});
+
+const activeSchema = z.object({
+  organizationId: z.uuid().nullable(),
+});
+
+const invitationSchema = z.object({
+  email: z.email(),
+  role: z.enum(['admin', 'member']).default('member'),
+});
+
+const acceptSchema = z.object({
+  token: z.string().min(1).max(200),
+});
+
+const memberRoleSchema = z.object({
+  role: z.enum(['admin', 'member']),
+});
+
+const idSchema = z.uuid();
+
+function invalidBody(res, error) {
+  return res.status(400).json({
+    success: false,
+    error: 'Invalid request body',
+    details: error.flatten(),
+  });
+}
+
+/**
+ * Send the response for a service error: its status and message when it has one, otherwise a 500
+ */
+function sendError(res, error, context) {
+  if (error.status) {
+    return res.status(error.status).json({ success: false, error: error.message });
+  }
+  logger.error(`[Organizations] Exception ${context}:`, error);
+  return res.status(500).json({ success: false, error: 'Internal server error' });
+}
+
+/**
+ * Load the organization in :id for a member with at least the given role (req.membership:
+ * organization row with the user's role). Non-members get a 404.
+ * @param {'member'|'admin'|'owner'} minimumRole
+ */
+function requireOrganizationRole(minimumRole) {
+  return async (req, res, next) => {
+    try {
+      const organization = idSchema.safeParse(req.params.id).success
+        ? await getMembership(req.userId, req.params.id)
+        : null;
+      if (!organization) {
+        return res.status(404).json({ success: false, error: 'Organization not found' });
+      }
+      if (!hasRole(organization.role, minimumRole)) {
+        return res.status(403).json({
+          success: false,
+          error: `This action requires the ${minimumRole} role`
+        });
+      }
+
+      req.membership = organization;
+      next();
+    } catch (error) {
+      return sendError(res, error, 'loading organization');
+    }
+  };
+}
+
+function toInvitationResponse(row) {
+  return {
+    id: row.id,
+    email: row.email,
+    role: row.role,
+    expiresAt: row.expires_at,
+    createdAt: row.created_at,
+  };
+}
+
+/**
+ * GET /api/organizations
+ * List the user's organizations and the active one
+ *
+ * Response: { success, organizations: [{ id, name, role, plan, usage, limit, subscriptionStatus, createdAt }], activeOrganizationId }
+ */
+router.get('/', async (req, res) => {
+  try {
+    const organizations = await listOrganizations(req.userId);
+
+    res.json({
+      success: true,
+      organizations: organizations.map(toOrganizationResponse),
+      activeOrganizationId: req.organization?.id || null
+    });
+  } catch (error) {
+    return sendError(res, error, 'listing organizations');
+  }
+});
+
+/**
+ * POST /api/organizations
+ * Create an organization owned by the user and switch to it. A user owns one organization
+ * without a subscription at most (403 beyond that).
+ *
+ * Body: { name: string }
+ */
+router.post('/', async (req, res) => {
+  try {
+    const parsed = nameSchema.safeParse(req.body);
+    if (!parsed.success) {
+      return invalidBody(res, parsed.error);
+    }
+
+    const organization = await createOrganization(req.userId, parsed.data.name);
+
+    res.status(201).json({
+      success: true,
+      organization: toOrganizationResponse(organization)
+    });
+  } catch (error) {
+    return sendError(res, error, 'creating organization');
+  }
+});
+
+/**
+ * PUT /api/organizations/active
+ * Switch workspace: usage, billing, templates and activities follow the active organization
+ *
+ * Body: { organizationId: string | null }   // null: personal workspace
+ */
+router.put('/active', async (req, res) => {
+  try {
+    const parsed = activeSchema.safeParse(req.body);
+    if (!parsed.success) {
+      return invalidBody(res, parsed.error);
+    }
+
+    const organization = await setActiveOrganization(req.userId, parsed.data.organizationId);
+    logger.info('[Organizations] Workspace switched', { userId: req.userId, organizationId: parsed.data.organizationId });
+
+    res.json({
+      success: true,
+      organization: organization ? toOrganizationResponse(organization) : null
+    });
+  } catch (error) {
+    return sendError(res, error, 'switching organization');
+  }
+});
+
+/**
+ * POST /api/organizations/invitations/accept
+ * Join an organization with an invitation token (the invitation email must match the user's)
+ *
+ * Body: { token: string }
+ */
+router.post('/invitations/accept', async (req, res) => {
+  try {
+    const parsed = acceptSchema.safeParse(req.body);
+    if (!parsed.success) {
+      return invalidBody(res, parsed.error);
+    }
+
+    const organization = await acceptInvitation(req.userId, req.userEmail, parsed.data.token);
+
+    res.json({
+      success: true,
+      organization: toOrganizationResponse(organization)
+    });
+  } catch (error) {
+    return sendError(res, error, 'accepting invitation');
+  }
+});
+
+/**
+ * GET /api/organizations/:id
+ * Organization details and members
+ */
+router.get('/:id', requireOrganizationRole('member'), async (req, res) => {
+  try {
+    const members = await listMembers(req.membership.id);
+
+    res.json({
+      success: true,
+      organization: toOrganizationResponse(req.membership),
+      members
+    });
+  } catch (error) {
+    return sendError(res, error, 'fetching organization');
+  }
+});
+
+/**
+ * PATCH /api/organizations/:id
+ * Rename an organization (admins)
+ *
+ * Body: { name: string }
+ */
+router.patch('/:id', requireOrganizationRole('admin'), async (req, res) => {
+  try {
+    const parsed = nameSchema.safeParse(req.body);
+    if (!parsed.success) {
+      return invalidBody(res, parsed.error);
+    }
+
+    const organization = await renameOrganization(req.membership, parsed.data.name);
+
+    res.json({
+      success: true,
+      organization: toOrganizationResponse(organization)
+    });
+  } catch (error) {
+    return sendError(res, error, 'updating organization');
+  }
+});
+
+/**
+ * DELETE /api/organizations/:id
+ * Delete an organization (owner; its subscription must be canceled first)
+ */
+router.delete('/:id', requireOrganizationRole('owner'), async (req, res) => {
+  try {
+    await deleteOrganization(req.membership);
+
+    res.json({
+      success: true,
+      message: 'Organization deleted successfully'
+    });
+  } catch (error) {
+    return sendError(res, error, 'deleting organization');
+  }
+});
+
+/**
+ * GET /api/organizations/:id/invitations
+ * Pending invitations (admins)
+ */
+router.get('/:id/invitations', requireOrganizationRole('admin'), async (req, res) => {
+  try {
+    const invitations = await listPendingInvitations(req.membership.id);
+
+    res.json({
+      success: true,
+      invitations: invitations.map(toInvitationResponse)
+    });
+  } catch (error) {
+    return sendError(res, error, 'listing invitations');
+  }
+});
+
+/**
+ * POST /api/organizations/:id/invitations
+ * Invite someone by email (admins). The token is only returned once, as part of acceptUrl.
+ *
+ * Body: { email: string, role?: 'admin' | 'member' }
+ *
+ * Response (201): { success, invitation: { id, email, role, expiresAt, createdAt }, token, acceptUrl }
+ */
+router.post('/:id/invitations', requireOrganizationRole('admin'), async (req, res) => {
+  try {
+    const parsed = invitationSchema.safeParse(req.body);
+    if (!parsed.success) {
+      return invalidBody(res, parsed.error);
+    }
+    if (parsed.data.role === 'admin' && req.membership.role !== 'owner') {
+      return res.status(403).json({ success: false, error: 'Only the owner can invite admins' });
+    }
+
+    const { invitation, token } = await createInvitation(req.membership.id, req.userId, parsed.data);
+
+    res.status(201).json({
+      success: true,
+      invitation: toInvitationResponse(invitation),
+      token,
+      acceptUrl: `${process.env.FRONTEND_URL}/?invitation=${token}`
+    });
+  } catch (error) {
+    return sendError(res, error, 'creating invitation');
+  }
+});
+
+/**
+ * DELETE /api/organizations/:id/invitations/:invitationId
+ * Revoke a pending invitation (admins)
+ */
+router.delete('/:id/invitations/:invitationId', requireOrganizationRole('admin'), async (req, res) => {
+  try {
+    const revoked = idSchema.safeParse(req.params.invitationId).success
+      && await revokeInvitation(req.membership.id, req.params.invitationId);
+    if (!revoked) {
+      return res.status(404).json({ success: false, error: 'Invitation not found' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Invitation revoked'
+    });
+  } catch (error) {
+    return sendError(res, error, 'revoking invitation');
+  }
+});
+
+/**
+ * PATCH /api/organizations/:id/members/:userId
+ * Change a member's role (admins; only the owner grants or revokes admin)
+ *
+ * Body: { role: 'admin' | 'member' }
+ */
+router.patch('/:id/members/:userId', requireOrganizationRole('admin'), async (req, res) => {
+  try {
+    const parsed = memberRoleSchema.safeParse(req.body);
+    if (!parsed.success) {
+      return invalidBody(res, parsed.error);
+    }
+    if (!idSchema.safeParse(req.params.userId).success) {
+      return res.status(404).json({ success: false, error: 'Member not found' });
+    }
+
+    await updateMemberRole(req.membership, req.params.userId, parsed.data.role);
+
+    res.json({
+      success: true,
+      member: { userId: req.params.userId, role: parsed.data.role }
+    });
+  } catch (error) {
+    return sendError(res, error, 'updating member');
+  }
+});
+
+/**
+ * DELETE /api/organizations/:id/members/:userId
+ * Remove a member (admins), or leave the organization (own user id)
+ */
+router.delete('/:id/members/:userId', requireOrganizationRole('member'), async (req, res) => {
+  try {
+    if (!idSchema.safeParse(req.params.userId).success) {
+      return res.status(404).json({ success: false, error: 'Member not found' });
+    }
+
+    await removeMember(req.membership, req.userId, req.params.userId);
+
+    res.json({
+      success: true,
+      message: req.params.userId === req.userId ? 'You left the organization' : 'Member removed'
+    });
+  } catch (error) {
+    return sendError(res, error, 'removing member');
+  }
+});
+
+module.exports = router;
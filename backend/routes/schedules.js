@@ -0,0 +1,480 @@
+const express = require('express');
+const { z } = require('zod');
+const { supabase } = require('../services/supabase-service');
+const {
+  SCHEDULE_MIN_INTERVAL_MINUTES,
+  computeNextRun,
+  validateCron,
+  getScheduleForUser,
+  toScheduleResponse,
+} = require('../services/schedule-service');
+const { getTemplateForUser } = require('../services/template-service');
+const { assertPublicUrl } = require('../services/page-fetcher');
+const { generateSecret } = require('../services/webhook-service');
+const { requirePlanFeature } = require('../middleware/auth');
+const logger = require('../utils/logger');
+
+// Mounted under /api/user/schedules by routes/user.js (authentication already applied)
+const router = express.Router();
+
+const MAX_SCHEDULES_PER_USER = parseInt(process.env.MAX_SCHEDULES_PER_USER || '20', 10);
+
+const destinationSchema = z.discriminatedUnion('type', [
+  z.object({ type: z.literal('new_sheet') }),
+  z.object({
+    type: z.literal('append_sheet'),
+    spreadsheetId: z.string().trim().min(1).max(200),
+    tabName: z.string().trim().min(1).max(100).optional(),
+  }),
+  z.object({ type: z.literal('webhook'), url: z.url({ protocol: /^https?$/ }) }),
+]);
+
+const scheduleFields = {
+  name: z.string().trim().min(1).max(100),
+  url: z.url({ protocol: /^https?$/ }),
+  instruction: z.string().min(3).max(500).nullable().optional(),
+  templateId: z.uuid().nullable().optional(),
+  model: z.string().nullable().optional(),
+  maxItems: z.number().int().positive().max(500).nullable().optional(),
+  cron: z.string().trim().min(1).max(100),
+  timezone: z.string().trim().min(1).max(64).optional(),
+  destination: destinationSchema,
+  enabled: z.boolean().optional(),
+};
+
+const createScheduleSchema = z.object(scheduleFields).refine((body) => body.instruction || body.templateId, {
+  message: 'Either instruction or templateId is required',
+  path: ['instruction'],
+});
+const updateScheduleSchema = z.object(scheduleFields).partial();
+
+const scheduleIdSchema = z.uuid();
+
+/**
+ * Map API fields to scheduled_scrapes columns, skipping fields that were not sent
+ * @param {Object} body - Parsed request body
+ * @returns {Object}
+ */
+function toScheduleRow(body) {
+  const row = {};
+  if (body.name !== undefined) row.name = body.name;
+  if (body.url !== undefined) row.url = body.url;
+  if (body.instruction !== undefined) row.instruction = body.instruction;
+  if (body.templateId !== undefined) row.template_id = body.templateId;
+  if (body.model !== undefined) row.model = body.model;
+  if (body.maxItems !== undefined) row.max_items = body.maxItems;
+  if (body.cron !== undefined) row.cron = body.cron;
+  if (body.timezone !== undefined) row.timezone = body.timezone;
+  if (body.enabled !== undefined) row.enabled = body.enabled;
+  if (body.destination !== undefined) {
+    row.destination_type = body.destination.type;
+    row.spreadsheet_id = body.destination.spreadsheetId || null;
+    row.tab_name = body.destination.tabName || null;
+    row.webhook_url = body.destination.url || null;
+  }
+  return row;
+}
+
+function invalidBody(res, error) {
+  return res.status(400).json({
+    success: false,
+    error: 'Invalid request body',
+    details: error.flatten(),
+  });
+}
+
+/**
+ * Check the parts of a schedule zod can't: cron/timezone, public URLs and template access
+ * @param {string} userId
+ * @param {Object} row - Schedule columns
+ * @param {string|null} [organizationId] - Active organization (its shared templates are allowed)
+ * @returns {Promise<string|null>} Error message, or null when valid
+ */
+async function validateScheduleRow(userId, row, organizationId = null) {
+  if (row.cron !== undefined || row.timezone !== undefined) {
+    const cronError = validateCron(row.cron, row.timezone);
+    if (cronError) return cronError;
+  }
+
+  try {
+    if (row.url) assertPublicUrl(row.url);
+    if (row.webhook_url) assertPublicUrl(row.webhook_url);
+  } catch (err) {
+    return err.message;
+  }
+
+  if (row.template_id && !(await getTemplateForUser(userId, row.template_id, organizationId))) {
+    return 'Template not found';
+  }
+
+  return null;
+}
+
+/**
+ * GET /api/user/schedules
+ * List the user's scheduled scrapes
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from('scheduled_scrapes')
+      .select('*')
+      .eq('user_id', req.userId)
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      logger.error('[Schedules] Error listing schedules:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to fetch schedules'
+      });
+    }
+
+    res.json({
+      success: true,
+      schedules: (data || []).map(toScheduleResponse)
+    });
+  } catch (error) {
+    logger.error('[Schedules] Exception listing schedules:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * GET /api/user/schedules/:id
+ * Fetch a single schedule with its last run status
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    if (!scheduleIdSchema.safeParse(req.params.id).success) {
+      return res.status(404).json({ success: false, error: 'Schedule not found' });
+    }
+
+    const schedule = await getScheduleForUser(req.userId, req.params.id);
+    if (!schedule) {
+      return res.status(404).json({ success: false, error: 'Schedule not found' });
+    }
+
+    res.json({
+      success: true,
+      schedule: toScheduleResponse(schedule)
+    });
+  } catch (error) {
+    logger.error('[Schedules] Exception fetching schedule:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * POST /api/user/schedules
+ * Register a recurring scrape
+ *
+ * Body:
+ *   {
+ *     name: string,
+ *     url: string,                 // Page fetched server-side on every run
+ *     instruction?: string,        // Required unless templateId is given
+ *     templateId?: string,
+ *     model?: string,
+ *     maxItems?: number,
+ *     cron: string,                // 5-field cron, e.g. "0 8 * * 1-5"
+ *     timezone?: string,           // IANA timezone for cron (default: UTC)
+ *     destination:
+ *       | { type: 'new_sheet' }
+ *       | { type: 'append_sheet', spreadsheetId: string, tabName?: string }
+ *       | { type: 'webhook', url: string },
+ *     enabled?: boolean            // Default: true
+ *   }
+ *
+ * Response (201): { success, schedule, secret? }. Webhook destinations get a signing secret, only
+ * returned here: requests carry X-Webhook-Signature like webhook endpoints.
+ */
+router.post('/', requirePlanFeature('schedules'), async (req, res) => {
+  try {
+    const parsed = createScheduleSchema.safeParse(req.body);
+    if (!parsed.success) {
+      return invalidBody(res, parsed.error);
+    }
+
+    const row = { timezone: 'UTC', enabled: true, ...toScheduleRow(parsed.data) };
+    if (row.destination_type === 'webhook') {
+      row.webhook_secret = generateSecret();
+    }
+    const validationError = await validateScheduleRow(req.userId, row, req.organization?.id);
+    if (validationError) {
+      return res.status(400).json({ success: false, error: validationError });
+    }
+
+    const { count, error: countError } = await supabase
+      .from('scheduled_scrapes')
+      .select('id', { count: 'exact', head: true })
+      .eq('user_id', req.userId);
+
+    if (countError) {
+      logger.error('[Schedules] Error counting schedules:', countError);
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to create schedule'
+      });
+    }
+
+    if (count >= MAX_SCHEDULES_PER_USER) {
+      return res.status(403).json({
+        success: false,
+        error: `You can have at most ${MAX_SCHEDULES_PER_USER} schedules`
+      });
+    }
+
+    logger.info('[Schedules] Creating schedule:', { userId: req.userId, name: row.name, cron: row.cron });
+
+    const now = new Date().toISOString();
+    const { data, error } = await supabase
+      .from('scheduled_scrapes')
+      .insert({
+        ...row,
+        user_id: req.userId,
+        next_run_at: computeNextRun(row.cron, row.timezone).toISOString(),
+        failure_count: 0,
+        created_at: now,
+        updated_at: now
+      })
+      .select()
+      .single();
+
+    if (error) {
+      logger.error('[Schedules] Error creating schedule:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to create schedule'
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      schedule: toScheduleResponse(data),
+      ...(row.webhook_secret && { secret: row.webhook_secret })
+    });
+  } catch (error) {
+    logger.error('[Schedules] Exception creating schedule:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * PATCH /api/user/schedules/:id
+ * Update any subset of a schedule's fields (destination is replaced as a whole).
+ * Changing cron/timezone or re-enabling recomputes the next run and resets the failure count.
+ * Switching the destination to a webhook generates a signing secret, returned once as `secret`.
+ */
+router.patch('/:id', async (req, res) => {
+  try {
+    if (!scheduleIdSchema.safeParse(req.params.id).success) {
+      return res.status(404).json({ success: false, error: 'Schedule not found' });
+    }
+
+    const parsed = updateScheduleSchema.safeParse(req.body);
+    if (!parsed.success) {
+      return invalidBody(res, parsed.error);
+    }
+
+    const existing = await getScheduleForUser(req.userId, req.params.id);
+    if (!existing) {
+      return res.status(404).json({ success: false, error: 'Schedule not found' });
+    }
+
+    const changes = toScheduleRow(parsed.data);
+    const merged = { ...existing, ...changes };
+    if (!merged.instruction && !merged.template_id) {
+      return res.status(400).json({ success: false, error: 'Either instruction or templateId is required' });
+    }
+
+    const validationError = await validateScheduleRow(req.userId, {
+      ...changes,
+      ...((changes.cron !== undefined || changes.timezone !== undefined) && {
+        cron: merged.cron,
+        timezone: merged.timezone,
+      }),
+    }, req.organization?.id);
+    if (validationError) {
+      return res.status(400).json({ success: false, error: validationError });
+    }
+
+    if (changes.destination_type !== undefined) {
+      changes.webhook_secret = changes.destination_type === 'webhook'
+        ? existing.webhook_secret || generateSecret()
+        : null;
+    }
+    const newSecret = changes.webhook_secret && changes.webhook_secret !== existing.webhook_secret
+      ? changes.webhook_secret
+      : null;
+
+    if (changes.cron !== undefined || changes.timezone !== undefined || (changes.enabled && !existing.enabled)) {
+      changes.next_run_at = computeNextRun(merged.cron, merged.timezone).toISOString();
+      changes.failure_count = 0;
+    }
+
+    logger.info('[Schedules] Updating schedule:', { userId: req.userId, scheduleId: req.params.id });
+
+    const { data, error } = await supabase
+      .from('scheduled_scrapes')
+      .update({
+        ...changes,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', req.params.id)
+      .eq('user_id', req.userId)
+      .select()
+      .maybeSingle();
+
+    if (error) {
+      logger.error('[Schedules] Error updating schedule:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to update schedule'
+      });
+    }
+
+    if (!data) {
+      return res.status(404).json({ success: false, error: 'Schedule not found' });
+    }
+
+    res.json({
+      success: true,
+      schedule: toScheduleResponse(data),
+      ...(newSecret && { secret: newSecret })
+    });
+  } catch (error) {
+    logger.error('[Schedules] Exception updating schedule:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * POST /api/user/schedules/:id/run
+ * Run an enabled schedule on the next scheduler poll instead of waiting for its cron time.
+ * Like cron times, manual runs are at least SCHEDULE_MIN_INTERVAL_MINUTES apart (429 otherwise)
+ * and are refused while a run is in progress (409).
+ */
+router.post('/:id/run', requirePlanFeature('schedules'), async (req, res) => {
+  try {
+    if (!scheduleIdSchema.safeParse(req.params.id).success) {
+      return res.status(404).json({ success: false, error: 'Schedule not found' });
+    }
+
+    const schedule = await getScheduleForUser(req.userId, req.params.id);
+    if (!schedule || !schedule.enabled) {
+      return res.status(404).json({ success: false, error: 'Schedule not found or disabled' });
+    }
+
+    if (schedule.last_status === 'running') {
+      return res.status(409).json({ success: false, error: 'Schedule is already running' });
+    }
+
+    const cooldownMs = SCHEDULE_MIN_INTERVAL_MINUTES * 60 * 1000;
+    const nextAllowedAt = schedule.last_run_at ? new Date(schedule.last_run_at).getTime() + cooldownMs : 0;
+    if (nextAllowedAt > Date.now()) {
+      const retryAfter = Math.ceil((nextAllowedAt - Date.now()) / 1000);
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({
+        success: false,
+        error: `Schedules cannot run more often than every ${SCHEDULE_MIN_INTERVAL_MINUTES} minutes`,
+        retryAfter
+      });
+    }
+
+    // Conditional on last_run_at so a run claimed meanwhile is not triggered again
+    const cutoff = new Date(Date.now() - cooldownMs).toISOString();
+    const { data, error } = await supabase
+      .from('scheduled_scrapes')
+      .update({ next_run_at: new Date().toISOString() })
+      .eq('id', req.params.id)
+      .eq('user_id', req.userId)
+      .eq('enabled', true)
+      .or(`last_run_at.is.null,last_run_at.lt."${cutoff}"`)
+      .select()
+      .maybeSingle();
+
+    if (error) {
+      logger.error('[Schedules] Error triggering schedule:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to trigger schedule'
+      });
+    }
+
+    if (!data) {
+      return res.status(409).json({ success: false, error: 'Schedule was just run or changed, please try again later' });
+    }
+
+    logger.info('[Schedules] Schedule triggered manually:', { userId: req.userId, scheduleId: req.params.id });
+
+    res.status(202).json({
+      success: true,
+      schedule: toScheduleResponse(data)
+    });
+  } catch (error) {
+    logger.error('[Schedules] Exception triggering schedule:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * DELETE /api/user/schedules/:id
+ * Delete a schedule (past activities keep their history, scheduled_scrape_id is cleared)
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    if (!scheduleIdSchema.safeParse(req.params.id).success) {
+      return res.status(404).json({ success: false, error: 'Schedule not found' });
+    }
+
+    logger.info('[Schedules] Deleting schedule:', { userId: req.userId, scheduleId: req.params.id });
+
+    const { data, error } = await supabase
+      .from('scheduled_scrapes')
+      .delete()
+      .eq('id', req.params.id)
+      .eq('user_id', req.userId)
+      .select('id');
+
+    if (error) {
+      logger.error('[Schedules] Error deleting schedule:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to delete schedule'
+      });
+    }
+
+    if (!data || data.length === 0) {
+      return res.status(404).json({ success: false, error: 'Schedule not found' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Schedule deleted successfully'
+    });
+  } catch (error) {
+    logger.error('[Schedules] Exception deleting schedule:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
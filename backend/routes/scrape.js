@@ -1,27 +1,123 @@
 const express = require('express');
 const { z } = require('zod');
-const fs = require('fs');
-const path = require('path');
 const logger = require('../utils/logger');
-const { extractData, listAvailableModels } = require('../services/ai-extractor');
-const { cleanHTMLString } = require('../utils/html-cleaner');
-const { stripUrls } = require('../utils/url-stripper');
-const { requireAuth } = require('../middleware/auth');
+const { listAvailableModels, streamExtractData } = require('../services/ai-extractor');
+const {
+  SCRAPE_STRATEGIES,
+  runScrape,
+  loadSource,
+  prepareContent,
+  extractDirect,
+  cacheKeyFor,
+} = require('../services/scrape-pipeline');
+const { getCachedResult, setCachedResult } = require('../services/result-cache');
+const { FETCH_MAX_BYTES, FETCH_MAX_TIMEOUT_MS } = require('../services/page-fetcher');
+const { createJob, getJob } = require('../services/scrape-jobs');
+const { isRedisConnected } = require('../services/redis-service');
+const { requireAuth, allowApiKey } = require('../middleware/auth');
 const { supabase } = require('../services/supabase-service');
-const { resetMonthlyUsageIfNeeded, getEffectiveLimit } = require('../utils/usage');
+const { usageAccount, resetMonthlyUsageIfNeeded, multiPageUsageCost } = require('../utils/usage');
+const { MAX_PAGES_PER_SCRAPE, runMultiPageScrape } = require('../services/multi-page-scrape');
+const { outputSchemaDefinition } = require('../utils/output-schema');
+const { selectorsDefinition, isValidSelector } = require('../utils/selector-extractor');
+const { getTemplateForUser, applyTemplate } = require('../services/template-service');
+const { separateEvidence, splitEvidence } = require('../utils/evidence');
+const { createTokenUsage } = require('../utils/token-cost');
+const { recordModelUsage } = require('../services/token-usage-service');
+const { emitEvent } = require('../services/webhook-service');
+const { DEFAULT_MODEL } = require('../services/llm-providers');
+const { getAccountPlan, getScrapeLimit, resolvePlanModel } = require('../services/plan-service');
 
 const router = express.Router();
 
 // Apply authentication to main scrape endpoint
 // models endpoint is public for now
 
+// Options for fetching `url` server-side
+const fetchOptionsSchema = z.object({
+  userAgent: z.string().min(1).max(500).optional(),
+  headers: z.record(z.string().regex(/^[A-Za-z0-9-]+$/, 'Invalid header name'), z.string().max(4000)).optional(),
+  cookies: z.union([z.string().max(8000), z.record(z.string(), z.string().max(4000))]).optional(),
+  timeoutMs: z.number().int().min(1000).max(FETCH_MAX_TIMEOUT_MS).optional(),
+  maxBytes: z.number().int().positive().max(FETCH_MAX_BYTES).optional(),
+});
+
+// Multi-page mode with url: how to find the next page and when to stop
+const paginationSchema = z.object({
+  // Text the next page's URL contains (case-insensitive, matched literally, not a regex)
+  nextPattern: z.string().min(1).max(200).optional(),
+  nextText: z.string().trim().min(1).max(100).optional(),
+  nextSelector: z.string().trim().min(1).max(500)
+    .refine((selector) => isValidSelector(selector, 'css'), 'Invalid css selector').optional(),
+  maxPages: z.number().int().min(1).max(MAX_PAGES_PER_SCRAPE).optional(),
+});
+
 const requestSchema = z.object({
-  html: z.string().min(1, "HTML content is required"),
-  instruction: z.string().min(3).max(500),
+  // One of: html (pushed by the extension), url (fetched by the server) or pages (multi-page)
+  html: z.string().min(1, "HTML content is required").optional(),
+  url: z.url({ protocol: /^https?$/ }).optional(),
+  fetchOptions: fetchOptionsSchema.optional(),
+  pages: z.array(z.string().min(1)).min(1).max(MAX_PAGES_PER_SCRAPE).optional(),
+  // With url: follow next-page links (rel="next" unless nextPattern/nextText is given)
+  pagination: paginationSchema.optional(),
+  instruction: z.string().min(3).max(500).optional(),
   model: z.string().optional(),
   maxItems: z.number().int().positive().max(500).optional(),
+  // Optional column schema: [{ name, type, required, description }]
+  schema: outputSchemaDefinition.optional(),
+  // Saved template filling instruction/schema/model/maxItems when not given
+  templateId: z.uuid().optional(),
+  // Keep link/image URLs as [L1]/[I1] tokens the model can output (expanded to absolute URLs)
+  preserveLinks: z.boolean().optional(),
+  // Page URL relative links are resolved against (defaults to the fetched url)
+  baseUrl: z.url({ protocol: /^https?$/ }).optional(),
+  // auto: parse a table directly when one answers the request; table: always; llm: never;
+  // recipe: apply model-written CSS selectors cached per user and site (needs url or baseUrl)
+  strategy: z.enum(SCRAPE_STRATEGIES).optional(),
+  // Selector mode: { type: 'css'|'xpath', rows, columns: { name: selector | { selector?, attribute? } } }
+  selectors: selectorsDefinition.optional(),
+  // Skip the result cache and run the model again
+  noCache: z.boolean().optional(),
+  // Return a source snippet and confidence for every field, verified against the content
+  evidence: z.boolean().optional(),
+}).refine((body) => body.instruction || body.templateId || body.selectors, {
+  message: 'One of instruction, templateId or selectors is required',
+  path: ['instruction'],
+}).refine((body) => [body.html, body.url, body.pages].filter(Boolean).length === 1, {
+  message: 'Exactly one of html, url or pages is required',
+  path: ['html'],
+}).refine((body) => body.url || !body.fetchOptions, {
+  message: 'fetchOptions can only be used with url',
+  path: ['fetchOptions'],
+}).refine((body) => body.url || !body.pagination, {
+  message: 'pagination can only be used with url',
+  path: ['pagination'],
+}).refine((body) => body.preserveLinks || body.selectors || body.strategy === 'recipe' || !body.baseUrl, {
+  message: 'baseUrl can only be used with preserveLinks, selectors or the recipe strategy',
+  path: ['baseUrl'],
+}).refine((body) => !body.selectors || !body.strategy, {
+  message: 'strategy cannot be used with selectors',
+  path: ['strategy'],
+}).refine((body) => body.strategy !== 'recipe' || body.url || body.baseUrl, {
+  message: 'The recipe strategy needs url or baseUrl (recipes are cached per site)',
+  path: ['strategy'],
+}).refine((body) => !body.evidence || (!body.selectors && (!body.strategy || body.strategy === 'auto' || body.strategy === 'llm')), {
+  message: 'evidence is only available for model extraction (not with selectors or the table and recipe strategies)',
+  path: ['evidence'],
 });
 
+/**
+ * Move per-field evidence out of the rows into response fields
+ * @param {Array<Object>} data - Extracted rows
+ * @param {boolean} evidence - Evidence mode was requested
+ * @returns {Object} { data } or { data, evidence, flaggedFields }
+ */
+function responseRows(data, evidence) {
+  return evidence ? separateEvidence(data) : { data };
+}
+
+const isMultiPage = (options) => Boolean(options.pages || options.pagination);
+
 // Debug endpoint to list available models
 router.get('/models', async (_req, res) => {
   try {
@@ -36,134 +132,231 @@ router.get('/models', async (_req, res) => {
   }
 });
 
-router.post('/', requireAuth, async (req, res, next) => {
+/**
+ * Validate the scrape body, apply the template and check the monthly limit and allowed models of
+ * the plan of the user (or of their active organization).
+ * Sends the error response itself and returns null when the request cannot proceed.
+ * @returns {Promise<{ options: Object, effectiveLimit: number, currentUsage: number }|null>}
+ */
+async function prepareScrapeRequest(req, res) {
   const parsed = requestSchema.safeParse(req.body);
   if (!parsed.success) {
-    return res.status(400).json({
+    res.status(400).json({
       success: false,
       error: 'Invalid request body',
       details: parsed.error.flatten(),
     });
+    return null;
   }
 
-  const { html, instruction, model, maxItems } = parsed.data;
+  let options = parsed.data;
+  if (options.templateId) {
+    const template = await getTemplateForUser(req.userId, options.templateId, req.organization?.id);
+    if (!template) {
+      res.status(404).json({ success: false, error: 'Template not found' });
+      return null;
+    }
+    options = applyTemplate(options, template);
+  }
 
-  try {
-    // User is already attached to req by requireAuth middleware (full profile from cache/DB)
-    const user = req.user;
+  // User and active organization are attached to req by requireAuth middleware; limits and usage
+  // come from the organization when there is one
+  const account = usageAccount(req.user, req.organization);
+  const user = account.row;
 
-    await resetMonthlyUsageIfNeeded(supabase, user, req.userId);
-    const effectiveLimit = getEffectiveLimit(user);
+  await resetMonthlyUsageIfNeeded(supabase, user, account.id, account.table);
+  const effectiveLimit = getScrapeLimit(user);
 
-    // Check if user has reached their limit - BLOCK if limit reached
-    const limitReached = user.usage_this_month >= effectiveLimit;
+  // Check if user has reached their limit - BLOCK if limit reached
+  if (user.usage_this_month >= effectiveLimit) {
+    logger.warn('[Scrape API] User has reached usage limit:', {
+      userId: req.userId,
+      organizationId: req.organization?.id,
+      plan: user.plan,
+      usage: user.usage_this_month,
+      limit: effectiveLimit
+    });
 
-    if (limitReached) {
-      logger.warn('[Scrape API] User has reached usage limit:', {
-        userId: req.userId,
-        plan: user.plan,
-        usage: user.usage_this_month,
-        limit: user.plan_limits_scrapes
-      });
+    res.status(403).json({
+      success: false,
+      error: 'Usage limit reached',
+      message: user.subscription_status === 'past_due'
+        ? 'Your payment is past due. Please update your payment method to restore full access.'
+        : 'You have reached your monthly scraping limit. Please upgrade your plan or wait until next month.',
+      usage: {
+        current: user.usage_this_month,
+        limit: effectiveLimit,
+        limitReached: true,
+        plan: user.plan
+      }
+    });
+    return null;
+  }
+
+  try {
+    options = { ...options, model: resolvePlanModel(getAccountPlan(user), options.model, DEFAULT_MODEL) };
+  } catch (err) {
+    res.status(err.status || 500).json({ success: false, error: err.message });
+    return null;
+  }
 
-      return res.status(403).json({
+  if (isMultiPage(options)) {
+    // Extra pages count as scrapes; keep one scrape for the export
+    const extraPagesAllowed = effectiveLimit - user.usage_this_month - 1;
+    if (options.pages && multiPageUsageCost(options.pages.length) > extraPagesAllowed) {
+      res.status(403).json({
         success: false,
         error: 'Usage limit reached',
-        message: user.subscription_status === 'past_due'
-          ? 'Your payment is past due. Please update your payment method to restore full access.'
-          : 'You have reached your monthly scraping limit. Please upgrade your plan or wait until next month.',
+        message: `Scraping ${options.pages.length} pages counts as ${multiPageUsageCost(options.pages.length) + 1} scrapes, which exceeds your remaining monthly scrapes.`,
         usage: {
           current: user.usage_this_month,
           limit: effectiveLimit,
-          limitReached: true,
+          limitReached: false,
           plan: user.plan
         }
       });
+      return null;
     }
+    options = {
+      ...options,
+      maxPages: Math.min(options.pagination?.maxPages || MAX_PAGES_PER_SCRAPE, extraPagesAllowed + 1),
+    };
+  }
 
-    // Data provided directly from extension (Markdown or cleaned HTML)
-    const isMarkdown = html.startsWith('#') || html.includes('*') || html.includes('\n');
-
-    // Calculate sizes in bytes and KB
-    const initialSize = Buffer.byteLength(html, 'utf8');
-    const initialSizeKB = (initialSize / 1024).toFixed(2);
-
-    logger.info(`[Scrape API] Processing ${isMarkdown ? 'Markdown' : 'HTML'} from extension`, {
-      userId: req.userId,
-      length: html.length,
-      sizeBytes: initialSize,
-      sizeKB: initialSizeKB
-    });
-
-    // Log initial markdown to file
-    try {
-      const logsDir = path.join(__dirname, '../logs/markdown');
-      if (!fs.existsSync(logsDir)) {
-        fs.mkdirSync(logsDir, { recursive: true });
-      }
-      const timestamp = new Date().toISOString().replace(/:/g, '-').replace(/\..+/, '');
-      const initialMdPath = path.join(logsDir, `${timestamp}_initial.md`);
-      fs.writeFileSync(initialMdPath, html, 'utf8');
-      logger.info('[Scrape API] Initial markdown saved', { path: initialMdPath });
-    } catch (err) {
-      logger.error('[Scrape API] Failed to save initial markdown', { error: err.message });
-    }
-
-    // Skip aggressive HTML cleaning if it's already Markdown
-    let cleanedContent = html;
-    if (!isMarkdown) {
-      cleanedContent = cleanHTMLString(html);
-      logger.info('[Scrape API] HTML cleaned', { length: cleanedContent.length });
-    }
+  return { options, effectiveLimit, currentUsage: user.usage_this_month };
+}
 
-    // Strip all URLs from the content before sending to AI
-    const contentWithoutUrls = stripUrls(cleanedContent);
+/**
+ * POST /api/scrape
+ * Extract structured rows from a page.
+ *
+ * Body:
+ *   {
+ *     html?: string,             // Markdown or HTML captured by the extension
+ *     url?: string,              // Or: page fetched server-side (public http/https only)
+ *     fetchOptions?: { userAgent?, headers?, cookies?, timeoutMs?, maxBytes? }, // With url only
+ *     pages?: string[],          // Or: one payload per page of a listing (multi-page)
+ *     pagination?: { nextPattern?, nextText?, nextSelector?, maxPages? }, // With url: follow next-page links (multi-page; nextPattern: URL substring)
+ *     instruction?: string,      // Required unless templateId or selectors is given
+ *     model?: string,
+ *     maxItems?: number,
+ *     schema?: Array<{ name, type, required, description }>,
+ *     templateId?: string,
+ *     preserveLinks?: boolean,   // Let the model output link and image URLs
+ *     baseUrl?: string,          // With preserveLinks, selectors or recipe: URL of the submitted page
+ *     strategy?: 'auto'|'table'|'llm'|'recipe', // Default auto
+ *     selectors?: { type?: 'css'|'xpath', rows: string, columns: { [name]: string | { selector?, attribute? } } },
+ *     noCache?: boolean,         // Run the model even if the same content was extracted recently
+ *     evidence?: boolean         // Return source snippets and confidence per field
+ *   }
+ *
+ * With evidence, the response also has `evidence` (one object per row: { [field]: { quote,
+ * confidence, verified, flagged } }) and `flaggedFields`. `verified` says whether the quote occurs
+ * in the content; fields with an unverified quote or a confidence below EVIDENCE_MIN_CONFIDENCE
+ * are flagged. Only the model produces evidence, so tables are not parsed directly in this mode.
+ *
+ * When the model ran, `repair: { repaired, dropped, rounds }` reports its output validation:
+ * malformed JSON is recovered leniently, and rows that fail the schema (or the schema inferred
+ * from the other rows) are sent back to the model with the errors for up to REPAIR_MAX_ROUNDS
+ * rounds; `repaired` rows were fixed that way, `dropped` rows were still invalid and removed.
+ *
+ * Model extractions are cached by content hash: repeating a scrape of the same content with the
+ * same instruction, model and schema returns the stored rows with `cached: true`.
+ *
+ * Selector mode extracts one row per element matching `selectors.rows`, reading each column from
+ * its sub-selector (text, or `attribute`; href/src are resolved to absolute URLs). The model is not
+ * used and the content must be HTML. `strategy` in the response is 'selector'.
+ *
+ * The 'recipe' strategy asks the model once per site and instruction for such selectors, caches
+ * them in Redis and applies them on later scrapes; it falls back to regular extraction ('llm')
+ * when no working recipe is found.
+ *
+ * Pages that are plain tables (HTML <table> or Markdown pipe tables) are parsed directly when the
+ * table answers the request: every schema column matches a header, or the instruction names the
+ * table or its columns. `strategy` in the response says which produced the rows ('table' or 'llm').
+ *
+ * With preserveLinks, URLs are sent to the model as short tokens ([L12], [I3]) and expanded back
+ * to absolute URLs in the returned rows, so instructions like "name and link" work.
+ *
+ * Multi-page scrapes add `source_page` (1-based) to every row and `pages: [{ page, url, itemCount, strategy }]`
+ * to the response (`strategy` is 'mixed' when pages differ). Each page after the first counts as one scrape.
+ */
+router.post('/', allowApiKey('scrape'), requireAuth, async (req, res, next) => {
+  try {
+    const prepared = await prepareScrapeRequest(req, res);
+    if (!prepared) return;
 
-    // Calculate stripped content sizes
-    const strippedSize = Buffer.byteLength(contentWithoutUrls, 'utf8');
-    const strippedSizeKB = (strippedSize / 1024).toFixed(2);
-    const reduction = ((1 - strippedSize / initialSize) * 100).toFixed(1);
+    const { options, effectiveLimit, currentUsage } = prepared;
+    const {
+      html, url, fetchOptions, instruction, model, maxItems, schema, preserveLinks, baseUrl, strategy, selectors, noCache, evidence
+    } = options;
 
-    logger.info('[Scrape API] URLs stripped', {
-      originalLength: cleanedContent.length,
-      strippedLength: contentWithoutUrls.length,
-      originalSizeKB: initialSizeKB,
-      strippedSizeKB: strippedSizeKB,
-      reductionPercent: reduction
-    });
+    if (isMultiPage(options)) {
+      const result = await runMultiPageScrape({ ...options, userId: req.userId });
+      emitEvent(req.userId, 'scrape.completed', {
+        mode: 'sync',
+        url: url || null,
+        itemCount: result.data.length,
+        strategy: result.strategy,
+        cached: result.cached,
+        pageCount: result.pages.length,
+      });
 
-    // Log stripped markdown to file (sent to AI)
-    try {
-      const logsDir = path.join(__dirname, '../logs/markdown');
-      const timestamp = new Date().toISOString().replace(/:/g, '-').replace(/\..+/, '');
-      const strippedMdPath = path.join(logsDir, `${timestamp}_sent-to-ai.md`);
-      fs.writeFileSync(strippedMdPath, contentWithoutUrls, 'utf8');
-      logger.info('[Scrape API] Stripped markdown saved', { path: strippedMdPath });
-    } catch (err) {
-      logger.error('[Scrape API] Failed to save stripped markdown', { error: err.message });
+      return res.json({
+        success: true,
+        ...responseRows(result.data, evidence),
+        itemCount: result.data.length,
+        strategy: result.strategy,
+        cached: result.cached,
+        ...(result.repair && { repair: result.repair }),
+        pages: result.pages,
+        usage: {
+          current: result.usage ? result.usage.current : currentUsage,
+          limit: effectiveLimit,
+          limitReached: false
+        }
+      });
     }
 
-    logger.info('[Scrape API] Starting AI extraction...');
-    const data = await extractData({
-      html: contentWithoutUrls,
+    const { data, strategy: usedStrategy, cached, repair } = await runScrape({
+      evidence,
+      html,
+      url,
+      fetchOptions,
       instruction,
       model,
-      maxItems
+      maxItems,
+      schema,
+      preserveLinks,
+      baseUrl,
+      strategy,
+      selectors,
+      noCache,
+      userId: req.userId
     });
 
-    logger.info('[Scrape API] Extraction complete', { itemCount: data.length });
-
     // When usage is updated in another route (like sheets export), we should invalidate the cache.
     // However, this route doesn't update usage itself, it just reads it.
 
+    emitEvent(req.userId, 'scrape.completed', {
+      mode: 'sync',
+      url: url || null,
+      itemCount: data.length,
+      strategy: usedStrategy,
+      cached,
+    });
+
     return res.json({
       success: true,
-      data,
+      ...responseRows(data, evidence),
       itemCount: data.length,
+      strategy: usedStrategy,
+      cached,
+      ...(repair && { repair }),
       usage: {
-        current: user.usage_this_month,
+        current: currentUsage,
         limit: effectiveLimit,
-        limitReached: limitReached
+        limitReached: false
       }
     });
   } catch (err) {
@@ -172,4 +365,221 @@ router.post('/', requireAuth, async (req, res, next) => {
   }
 });
 
+/**
+ * POST /api/scrape/stream
+ * Same body as POST /api/scrape, but rows are sent as Server-Sent Events while the model writes them.
+ *
+ * Events:
+ *   event: row      data: { index: number, row: Object, evidence?: Object }
+ *   event: summary  data: { itemCount: number, strategy: 'selector'|'recipe'|'table'|'llm', cached: boolean, flaggedFields?: number, usage: { current, limit, limitReached } }
+ *   event: error    data: { error: string }
+ *
+ * Validation and usage-limit failures are returned as regular JSON responses before the stream starts.
+ */
+router.post('/stream', allowApiKey('scrape'), requireAuth, async (req, res, next) => {
+  let prepared;
+  try {
+    prepared = await prepareScrapeRequest(req, res);
+  } catch (err) {
+    logger.error('[Scrape API] Stream request failed', { error: err.message, stack: err.stack });
+    return next(err);
+  }
+  if (!prepared) return;
+
+  const { options, effectiveLimit, currentUsage } = prepared;
+  const {
+    html, url, fetchOptions, instruction, model, maxItems, schema, preserveLinks, baseUrl, strategy, selectors, noCache, evidence
+  } = options;
+
+  if (isMultiPage(options)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Multi-page scrapes cannot be streamed. Use POST /api/scrape or /api/scrape/jobs.'
+    });
+  }
+
+  // Fetch and look for tables before the stream starts so fetch errors (blocked URL, timeout, ...)
+  // and strategy errors are plain JSON responses
+  const tokenUsage = createTokenUsage();
+  let source;
+  let direct;
+  try {
+    source = await loadSource({ html, url, fetchOptions });
+    direct = await extractDirect(source.html, {
+      strategy,
+      selectors,
+      userId: req.userId,
+      instruction,
+      model,
+      schema,
+      maxItems,
+      preserveLinks,
+      baseUrl: baseUrl || source.sourceUrl,
+      evidence,
+      tokenUsage
+    });
+  } catch (err) {
+    logger.warn('[Scrape API] Failed to load content for stream', { url, error: err.message });
+    await recordModelUsage(req.userId, 'scrape', tokenUsage);
+    return next(err);
+  }
+
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+  res.setHeader('X-Accel-Buffering', 'no'); // Disable proxy buffering
+  res.flushHeaders();
+
+  let clientGone = false;
+  res.on('close', () => {
+    clientGone = !res.writableEnded;
+  });
+
+  const sendEvent = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  let itemCount = 0;
+  try {
+    let extraction = direct && direct.data;
+    let cacheKey = null;
+    let cached = false;
+    if (!direct) {
+      const pageBaseUrl = baseUrl || source.sourceUrl;
+      const { content, links } = prepareContent(source.html, { userId: req.userId, isHtml: source.isHtml, preserveLinks });
+      cacheKey = cacheKeyFor(content, links, { userId: req.userId, instruction, model, schema, maxItems, baseUrl: pageBaseUrl, evidence });
+
+      const cachedData = noCache ? null : await getCachedResult(cacheKey);
+      if (cachedData) {
+        extraction = cachedData;
+        cached = true;
+      } else {
+        extraction = streamExtractData({
+          html: content,
+          instruction,
+          model,
+          maxItems,
+          schema,
+          links,
+          baseUrl: pageBaseUrl,
+          evidence,
+          tokenUsage
+        });
+      }
+    }
+
+    const rows = [];
+    let flaggedFields = 0;
+    for await (const row of extraction) {
+      if (clientGone) {
+        logger.info('[Scrape API] Client disconnected, stopping stream', { userId: req.userId, itemCount });
+        return;
+      }
+      if (evidence) {
+        const { row: values, evidence: rowEvidence } = splitEvidence(row);
+        flaggedFields += Object.values(rowEvidence).filter(entry => entry.flagged).length;
+        sendEvent('row', { index: itemCount, row: values, evidence: rowEvidence });
+      } else {
+        sendEvent('row', { index: itemCount, row });
+      }
+      rows.push(row);
+      itemCount++;
+    }
+
+    if (cacheKey && !cached) await setCachedResult(cacheKey, rows);
+
+    logger.info('[Scrape API] Stream complete', { userId: req.userId, itemCount, cached });
+    emitEvent(req.userId, 'scrape.completed', {
+      mode: 'stream',
+      url: url || null,
+      itemCount,
+      strategy: direct ? direct.strategy : 'llm',
+      cached,
+    });
+    sendEvent('summary', {
+      itemCount,
+      strategy: direct ? direct.strategy : 'llm',
+      cached,
+      ...(evidence && { flaggedFields }),
+      usage: {
+        current: currentUsage,
+        limit: effectiveLimit,
+        limitReached: false
+      }
+    });
+  } catch (err) {
+    logger.error('[Scrape API] Stream failed', { error: err.message, stack: err.stack, itemCount });
+    if (!clientGone) sendEvent('error', { error: err.message });
+  } finally {
+    await recordModelUsage(req.userId, 'scrape', tokenUsage);
+  }
+
+  res.end();
+});
+
+/**
+ * POST /api/scrape/jobs
+ * Queue a scrape and return immediately. Same body as POST /api/scrape.
+ *
+ * Response (202):
+ *   { success: true, jobId: string, status: 'queued' }
+ */
+router.post('/jobs', allowApiKey('scrape'), requireAuth, async (req, res, next) => {
+  try {
+    const prepared = await prepareScrapeRequest(req, res);
+    if (!prepared) return;
+
+    // url pages are fetched by the worker
+    const {
+      html, url, fetchOptions, pages, pagination, maxPages, instruction, model, maxItems, schema, preserveLinks, baseUrl, strategy,
+      selectors, noCache, evidence
+    } = prepared.options;
+    const job = await createJob(req.userId, {
+      html, url, fetchOptions, pages, pagination, maxPages, instruction, model, maxItems, schema, preserveLinks, baseUrl, strategy,
+      selectors, noCache, evidence
+    });
+
+    return res.status(202).json({
+      success: true,
+      jobId: job.id,
+      status: job.status
+    });
+  } catch (err) {
+    logger.error('[Scrape API] Failed to queue job', { error: err.message, stack: err.stack });
+    return next(err);
+  }
+});
+
+/**
+ * GET /api/scrape/jobs/:id
+ * Poll a scrape job. `data` and `itemCount` are present once status is 'completed',
+ * `error` once it is 'failed'. 503 while the job queue (Redis) is unavailable.
+ *
+ * Response:
+ *   {
+ *     success: true,
+ *     job: { id, status: 'queued'|'running'|'completed'|'failed', progress, data?, itemCount?, strategy?, cached?, repair?, evidence?, flaggedFields?, error?, createdAt, updatedAt }
+ *   }
+ */
+router.get('/jobs/:id', allowApiKey('scrape'), requireAuth, async (req, res, next) => {
+  try {
+    // Jobs live in Redis: without it a job can't be looked up, which doesn't mean it is gone
+    if (!isRedisConnected()) {
+      return res.status(503).json({ success: false, error: 'Job queue is unavailable. Please try again shortly.' });
+    }
+
+    const job = await getJob(req.params.id);
+
+    if (!job || job.userId !== req.userId) {
+      return res.status(404).json({ success: false, error: 'Job not found' });
+    }
+
+    const { userId, ...publicJob } = job;
+    return res.json({ success: true, job: publicJob });
+  } catch (err) {
+    logger.error('[Scrape API] Failed to fetch job', { error: err.message, stack: err.stack });
+    return next(err);
+  }
+});
+
 module.exports = router;
@@ -1,75 +1,67 @@
 const express = require('express');
 const { z } = require('zod');
 const logger = require('../utils/logger');
-const { createSpreadsheet, generateSheetName } = require('../services/sheets-service');
-const { requireAuth } = require('../middleware/auth');
+const { createSpreadsheet, appendToSpreadsheet, upsertToSpreadsheet, generateSheetName } = require('../services/sheets-service');
+const { requireAuth, allowApiKey } = require('../middleware/auth');
 const { supabase } = require('../services/supabase-service');
+const { withGoogleToken } = require('../services/google-token-service');
+const { getTemplateForUser, applyTemplate } = require('../services/template-service');
+const { usageAccount, incrementUsageIfAllowed } = require('../utils/usage');
+const { getAccountPlan } = require('../services/plan-service');
+const { flaggedCells } = require('../utils/evidence');
+const { createTokenUsage, activityTokenFields } = require('../utils/token-cost');
+const { recordModelUsage } = require('../services/token-usage-service');
+const { emitEvent } = require('../services/webhook-service');
 
 const router = express.Router();
 
-/**
- * Refresh a user's Google OAuth access token using their stored refresh token.
- * Updates the new access token in the database and returns it.
- */
-async function refreshGoogleToken(userId) {
-  const { data: user, error } = await supabase
-    .from('users')
-    .select('google_provider_refresh_token')
-    .eq('id', userId)
-    .single();
-
-  if (error || !user?.google_provider_refresh_token) {
-    throw new Error('No Google refresh token available. Please sign in again.');
-  }
-
-  const params = new URLSearchParams({
-    grant_type: 'refresh_token',
-    refresh_token: user.google_provider_refresh_token,
-    client_id: process.env.GOOGLE_CLIENT_ID,
-    client_secret: process.env.GOOGLE_CLIENT_SECRET,
-  });
-
-  const resp = await fetch('https://oauth2.googleapis.com/token', {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
-    body: params.toString(),
-  });
-
-  if (!resp.ok) {
-    const body = await resp.text();
-    logger.error('[Auth] Google token refresh failed', { status: resp.status, body });
-    throw new Error('Failed to refresh Google token. Please sign in again.');
-  }
-
-  const tokens = await resp.json();
-  const newAccessToken = tokens.access_token;
-
-  await supabase
-    .from('users')
-    .update({ google_provider_token: newAccessToken, updated_at: new Date().toISOString() })
-    .eq('id', userId);
-
-  const { invalidateUserCache } = require('../services/user-cache-service');
-  await invalidateUserCache(userId);
-
-  logger.info('[Auth] Google token refreshed successfully and cache invalidated', { userId });
-  return newAccessToken;
-}
-
-// Apply authentication to all routes
-router.use(requireAuth);
+// Apply authentication to all routes (session, or API key with the export scope)
+router.use(allowApiKey('export'), requireAuth);
 
 // Request schema for export endpoint
 const exportSchema = z.object({
   data: z.array(z.record(z.string(), z.any())).min(1, 'Data array must contain at least 1 item'),
-  instruction: z.string().min(1).max(500),
-  smartFormatting: z.boolean().optional().default(true),
+  instruction: z.string().min(1).max(500).optional(),
+  smartFormatting: z.boolean().optional(),
+  templateId: z.uuid().optional(),
+  // Append to an existing spreadsheet instead of creating a new one
+  spreadsheetId: z.string().trim().min(1).max(200).optional(),
+  tabName: z.string().trim().min(1).max(100).optional(),
+  // Defaults to 'append' when spreadsheetId is given, 'create' otherwise
+  mode: z.enum(['create', 'append', 'upsert']).optional(),
+  // Upsert only: columns identifying a row, and whether to flag rows missing from this export
+  keyColumns: z.array(z.string().trim().min(1)).min(1).max(10).optional(),
+  markMissing: z.boolean().optional(),
+  // Create only: per-row evidence from an evidence-mode scrape; flagged cells are highlighted
+  evidence: z.array(z.record(z.string(), z.object({ flagged: z.boolean() }).passthrough().nullable())).optional(),
+}).refine((body) => body.instruction || body.templateId, {
+  message: 'Either instruction or templateId is required',
+  path: ['instruction'],
+}).refine((body) => !['append', 'upsert'].includes(body.mode) || body.spreadsheetId, {
+  message: 'spreadsheetId is required to append or upsert',
+  path: ['spreadsheetId'],
+}).refine((body) => body.mode !== 'create' || !body.spreadsheetId, {
+  message: 'spreadsheetId cannot be used with mode "create"',
+  path: ['spreadsheetId'],
+}).refine((body) => body.mode !== 'upsert' || body.keyColumns, {
+  message: 'keyColumns is required for upsert',
+  path: ['keyColumns'],
+}).refine((body) => body.mode === 'upsert' || (!body.keyColumns && body.markMissing === undefined), {
+  message: 'keyColumns and markMissing are only valid for upsert',
+  path: ['mode'],
+}).refine((body) => !body.evidence || (!body.spreadsheetId && (!body.mode || body.mode === 'create')), {
+  message: 'evidence can only be used when creating a spreadsheet',
+  path: ['evidence'],
+}).refine((body) => !body.evidence || body.evidence.length === body.data.length, {
+  message: 'evidence must have one entry per data row',
+  path: ['evidence'],
 });
 
 /**
  * POST /api/sheets/export
  * 
- * Creates a new Google Spreadsheet with AI-generated name and populates it with data
+ * Creates a new Google Spreadsheet with AI-generated name and populates it with data,
+ * or appends the data to an existing spreadsheet when spreadsheetId is given
  * 
  * Headers:
  *   Authorization: Bearer <access_token>
@@ -77,7 +69,15 @@ const exportSchema = z.object({
  * Body:
  *   {
  *     data: Array<Object>,      // Extracted data to export
- *     instruction: string        // Original user instruction (used for AI naming)
+ *     instruction: string,       // Original user instruction (used for AI naming)
+ *     smartFormatting?: boolean, // AI-powered formatting (default: true)
+ *     templateId?: string,       // Saved template filling instruction/smartFormatting
+ *     spreadsheetId?: string,    // Write to an existing spreadsheet instead of creating one
+ *     tabName?: string,          // Target tab when appending/upserting (created if missing, default: first tab)
+ *     mode?: 'create' | 'append' | 'upsert', // Default: 'append' with spreadsheetId, else 'create'
+ *     keyColumns?: string[],     // Upsert: columns identifying a row
+ *     markMissing?: boolean,     // Upsert: date existing rows missing from data in a "Missing Since" column
+ *     evidence?: Array<Object>   // Create: `evidence` from an evidence-mode scrape; flagged cells are highlighted
  *   }
  * 
  * Response:
@@ -85,7 +85,15 @@ const exportSchema = z.object({
  *     success: true,
  *     spreadsheetUrl: string,
  *     spreadsheetId: string,
- *     sheetName: string          // AI-generated name
+ *     sheetName: string,         // AI-generated name (or existing title when appending)
+ *     mode: 'create' | 'append' | 'upsert',
+ *     tabName?: string,          // Append/upsert only
+ *     appendedRows?: number,     // Append only
+ *     inserted?: number,         // Upsert only: new rows appended
+ *     updated?: number,          // Upsert only: existing rows with changed cells
+ *     unchanged?: number,        // Upsert only: existing rows already up to date
+ *     markedMissing?: number,    // Upsert only: existing rows newly marked missing
+ *     addedColumns?: string[]    // Append/upsert only: header columns added for new keys
  *   }
  */
 router.post('/export', async (req, res, next) => {
@@ -100,72 +108,58 @@ router.post('/export', async (req, res, next) => {
       });
     }
 
-    const { data, instruction, smartFormatting } = parsed.data;
-
-    logger.info('[Sheets API] Export request', {
-      userId: req.userId,
-      dataRows: data.length,
-      instructionLength: instruction.length,
-    });
-
-    // ATOMIC USAGE INCREMENT: Check and increment in a single DB transaction
-    // This prevents race conditions where multiple concurrent requests could bypass limits
-    const { data: usageResult, error: rpcError } = await supabase
-      .rpc('increment_usage_if_allowed', { p_user_id: req.userId });
-
-    if (rpcError) {
-      logger.error('[Sheets API] Failed to check/increment usage:', rpcError);
-      return res.status(500).json({
-        success: false,
-        error: 'Failed to process request. Please try again.'
-      });
+    let options = parsed.data;
+    if (options.templateId) {
+      const template = await getTemplateForUser(req.userId, options.templateId, req.organization?.id);
+      if (!template) {
+        return res.status(404).json({ success: false, error: 'Template not found' });
+      }
+      options = applyTemplate(options, template);
     }
 
-    if (!usageResult || usageResult.length === 0) {
-      logger.error('[Sheets API] RPC returned no data for user:', { userId: req.userId });
-      return res.status(500).json({
-        success: false,
-        error: 'Failed to verify usage limits.'
-      });
+    const {
+      data, instruction, templateId, spreadsheetId: targetSpreadsheetId, tabName, keyColumns, markMissing, evidence
+    } = options;
+    const smartFormatting = options.smartFormatting ?? true;
+    const mode = options.mode || (targetSpreadsheetId ? 'append' : 'create');
+
+    if (mode === 'upsert') {
+      const dataColumns = new Set(data.flatMap(row => Object.keys(row)));
+      const unknownKeys = keyColumns.filter(column => !dataColumns.has(column));
+      if (unknownKeys.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: `Key columns not found in data: ${unknownKeys.join(', ')}`,
+        });
+      }
     }
 
-    const { allowed, new_usage, effective_limit, plan, subscription_status } = usageResult[0];
-
-    // Check if request was allowed
-    if (!allowed) {
-      const errorMsg = subscription_status === 'past_due'
-        ? 'Your payment is past due. Please update your payment method.'
-        : plan === 'FREE'
-          ? 'Free plan limit reached. Please upgrade to continue.'
-          : 'Monthly limit reached. Limit resets next billing cycle.';
-
-      logger.warn('[Sheets API] Limit reached (atomic check):', {
-        userId: req.userId,
-        plan,
-        usage: new_usage,
-        limit: effective_limit
-      });
-
+    // Rows per export are limited by the plan of the user (or of their active organization)
+    const plan = getAccountPlan(usageAccount(req.user, req.organization).row);
+    if (plan.max_export_rows && data.length > plan.max_export_rows) {
       return res.status(403).json({
         success: false,
-        error: errorMsg,
-        usage: {
-          current: new_usage,
-          limit: effective_limit
-        }
+        error: `The ${plan.name} plan exports up to ${plan.max_export_rows} rows at a time`,
       });
     }
 
-    // ✅ Usage already incremented atomically! No race condition possible.
-    logger.info('[Sheets API] Usage incremented atomically', {
+    logger.info('[Sheets API] Export request', {
       userId: req.userId,
-      newUsage: new_usage,
-      limit: effective_limit
+      dataRows: data.length,
+      instructionLength: instruction.length,
     });
 
-    // Invalidate user cache since usage was updated
-    const { invalidateUserCache } = require('../services/user-cache-service');
-    await invalidateUserCache(req.userId);
+    // ATOMIC USAGE INCREMENT: Check and increment in a single DB transaction
+    // This prevents race conditions where multiple concurrent requests could bypass limits
+    const usageCheck = await incrementUsageIfAllowed(supabase, req.userId);
+    if (usageCheck.error) {
+      return res.status(usageCheck.status).json({
+        success: false,
+        error: usageCheck.error,
+        ...(usageCheck.usage && { usage: usageCheck.usage }),
+      });
+    }
+    const { usage } = usageCheck;
 
     // Get Google OAuth provider token from cached user profile
     const googleToken = req.user.google_provider_token;
@@ -180,29 +174,39 @@ router.post('/export', async (req, res, next) => {
 
     logger.info('[Sheets API] Using stored Google provider token');
 
-    // Generate AI-powered sheet name
-    logger.info('[Sheets API] Generating sheet name with AI...');
-    const sheetName = await generateSheetName(data, instruction);
-    logger.info('[Sheets API] Sheet name generated', { sheetName });
-
-    // Create spreadsheet with data using Google token, auto-refresh on 401
-    logger.info('[Sheets API] Creating spreadsheet...', { smartFormatting });
-    let activeToken = googleToken;
-    let spreadsheetId, spreadsheetUrl;
-    try {
-      ({ spreadsheetId, spreadsheetUrl } = await createSpreadsheet(
-        activeToken, sheetName, data, smartFormatting
+    let sheetName, spreadsheetId, spreadsheetUrl;
+    let appendResult = null;
+    let upsertResult = null;
+    const tokenUsage = createTokenUsage();
+
+    if (mode === 'upsert') {
+      // Update matching rows and append new ones, auto-refresh on 401
+      logger.info('[Sheets API] Upserting into existing spreadsheet...', { spreadsheetId: targetSpreadsheetId, tabName, keyColumns });
+      upsertResult = await withGoogleToken(req.userId, googleToken, (token) =>
+        upsertToSpreadsheet(token, targetSpreadsheetId, tabName, data, { keyColumns, markMissing })
+      );
+      ({ spreadsheetId, spreadsheetUrl } = upsertResult);
+      sheetName = upsertResult.title;
+    } else if (mode === 'append') {
+      // Append to an existing spreadsheet using Google token, auto-refresh on 401
+      logger.info('[Sheets API] Appending to existing spreadsheet...', { spreadsheetId: targetSpreadsheetId, tabName });
+      appendResult = await withGoogleToken(req.userId, googleToken, (token) =>
+        appendToSpreadsheet(token, targetSpreadsheetId, tabName, data)
+      );
+      ({ spreadsheetId, spreadsheetUrl } = appendResult);
+      sheetName = appendResult.title;
+    } else {
+      // Generate AI-powered sheet name
+      logger.info('[Sheets API] Generating sheet name with AI...');
+      sheetName = await generateSheetName(data, instruction, tokenUsage);
+      logger.info('[Sheets API] Sheet name generated', { sheetName });
+
+      // Create spreadsheet with data using Google token, auto-refresh on 401
+      const highlight = flaggedCells(evidence);
+      logger.info('[Sheets API] Creating spreadsheet...', { smartFormatting, highlightedCells: highlight.length });
+      ({ spreadsheetId, spreadsheetUrl } = await withGoogleToken(req.userId, googleToken, (token) =>
+        createSpreadsheet(token, sheetName, data, smartFormatting, { highlight, tokenUsage })
       ));
-    } catch (err) {
-      if (err.message.includes('expired') || err.message.includes('Invalid')) {
-        logger.info('[Sheets API] Token expired, attempting refresh...');
-        activeToken = await refreshGoogleToken(req.userId);
-        ({ spreadsheetId, spreadsheetUrl } = await createSpreadsheet(
-          activeToken, sheetName, data, smartFormatting
-        ));
-      } else {
-        throw err;
-      }
     }
 
     logger.info('[Sheets API] Export complete', {
@@ -216,11 +220,14 @@ router.post('/export', async (req, res, next) => {
       .from('activities')
       .insert({
         user_id: req.userId,
+        organization_id: req.organization?.id || null,
         sheet_name: sheetName,
         spreadsheet_url: spreadsheetUrl,
         spreadsheet_id: spreadsheetId,
         item_count: data.length,
         instruction: instruction,
+        template_id: templateId || null,
+        ...activityTokenFields(tokenUsage),
         timestamp: new Date().toISOString(),
       });
 
@@ -228,16 +235,37 @@ router.post('/export', async (req, res, next) => {
       logger.error('[Sheets API] Failed to save activity:', activityError);
       // Continue anyway - don't fail the request for activity logging
     }
+    await recordModelUsage(req.userId, 'export', tokenUsage);
+    emitEvent(req.userId, 'export.completed', {
+      destination: 'sheets',
+      mode,
+      sheetName,
+      spreadsheetId,
+      spreadsheetUrl,
+      itemCount: data.length,
+      templateId: templateId || null,
+    });
 
     return res.json({
       success: true,
       spreadsheetUrl,
       spreadsheetId,
       sheetName,
-      usage: {
-        current: new_usage,
-        limit: effective_limit
-      }
+      mode,
+      ...(appendResult && {
+        tabName: appendResult.tabName,
+        appendedRows: appendResult.appendedRows,
+        addedColumns: appendResult.addedColumns,
+      }),
+      ...(upsertResult && {
+        tabName: upsertResult.tabName,
+        inserted: upsertResult.inserted,
+        updated: upsertResult.updated,
+        unchanged: upsertResult.unchanged,
+        markedMissing: upsertResult.markedMissing,
+        addedColumns: upsertResult.addedColumns,
+      }),
+      usage,
     });
 
   } catch (error) {
@@ -257,6 +285,11 @@ router.post('/export', async (req, res, next) => {
         success: false,
         error: error.message,
       });
+    } else if (error.message.includes('Spreadsheet not found')) {
+      return res.status(404).json({
+        success: false,
+        error: error.message,
+      });
     } else if (error.message.includes('rate limit')) {
       return res.status(429).json({
         success: false,
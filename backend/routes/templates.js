@@ -0,0 +1,320 @@
+const express = require('express');
+const { z } = require('zod');
+const { supabase } = require('../services/supabase-service');
+const { templateAccessFilter, getTemplateForUser, toTemplateResponse } = require('../services/template-service');
+const { hasRole } = require('../services/organization-service');
+const { outputSchemaDefinition } = require('../utils/output-schema');
+const logger = require('../utils/logger');
+
+// Mounted under /api/user/templates by routes/user.js (authentication already applied)
+const router = express.Router();
+
+const templateSchema = z.object({
+  name: z.string().trim().min(1).max(100),
+  instruction: z.string().min(3).max(500),
+  schema: outputSchemaDefinition.nullable().optional(),
+  model: z.string().nullable().optional(),
+  maxItems: z.number().int().positive().max(500).nullable().optional(),
+  smartFormatting: z.boolean().nullable().optional(),
+});
+
+// shared: create the template in the active organization, for all its members
+const createTemplateSchema = templateSchema.extend({
+  shared: z.boolean().optional(),
+});
+
+const templateIdSchema = z.uuid();
+
+/**
+ * Map API fields to template table columns, skipping fields that were not sent
+ * @param {Object} body - Parsed request body
+ * @returns {Object}
+ */
+function toTemplateRow(body) {
+  const row = {};
+  if (body.name !== undefined) row.name = body.name;
+  if (body.instruction !== undefined) row.instruction = body.instruction;
+  if (body.schema !== undefined) row.schema = body.schema;
+  if (body.model !== undefined) row.model = body.model;
+  if (body.maxItems !== undefined) row.max_items = body.maxItems;
+  if (body.smartFormatting !== undefined) row.smart_formatting = body.smartFormatting;
+  return row;
+}
+
+/**
+ * Personal templates can be changed by their author; shared templates by their author and
+ * organization admins
+ * @param {Object} req - Authenticated request
+ * @param {Object} template - Template row visible to the user
+ * @returns {boolean}
+ */
+function canModifyTemplate(req, template) {
+  if (template.user_id === req.userId) return true;
+  return Boolean(template.organization_id && req.organization && hasRole(req.organization.role, 'admin'));
+}
+
+function forbidden(res) {
+  return res.status(403).json({
+    success: false,
+    error: 'Only the author or an organization admin can change this template',
+  });
+}
+
+function invalidBody(res, error) {
+  return res.status(400).json({
+    success: false,
+    error: 'Invalid request body',
+    details: error.flatten(),
+  });
+}
+
+/**
+ * GET /api/user/templates
+ * List the user's saved templates and those shared with their active organization
+ * (most recently updated first)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from('templates')
+      .select('*')
+      .or(templateAccessFilter(req.userId, req.organization?.id))
+      .order('updated_at', { ascending: false });
+
+    if (error) {
+      logger.error('[Templates] Error listing templates:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to fetch templates'
+      });
+    }
+
+    res.json({
+      success: true,
+      templates: (data || []).map(toTemplateResponse)
+    });
+  } catch (error) {
+    logger.error('[Templates] Exception listing templates:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * GET /api/user/templates/:id
+ * Fetch a single template
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    if (!templateIdSchema.safeParse(req.params.id).success) {
+      return res.status(404).json({ success: false, error: 'Template not found' });
+    }
+
+    const template = await getTemplateForUser(req.userId, req.params.id, req.organization?.id);
+    if (!template) {
+      return res.status(404).json({ success: false, error: 'Template not found' });
+    }
+
+    res.json({
+      success: true,
+      template: toTemplateResponse(template)
+    });
+  } catch (error) {
+    logger.error('[Templates] Exception fetching template:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * POST /api/user/templates
+ * Create a template
+ *
+ * Body:
+ *   {
+ *     name: string,
+ *     instruction: string,
+ *     schema?: Array<{ name, type, required, description }>,
+ *     model?: string,
+ *     maxItems?: number,
+ *     smartFormatting?: boolean,
+ *     shared?: boolean          // Share with the active organization
+ *   }
+ */
+router.post('/', async (req, res) => {
+  try {
+    const parsed = createTemplateSchema.safeParse(req.body);
+    if (!parsed.success) {
+      return invalidBody(res, parsed.error);
+    }
+    if (parsed.data.shared && !req.organization) {
+      return res.status(400).json({
+        success: false,
+        error: 'Switch to an organization to share templates'
+      });
+    }
+
+    logger.info('[Templates] Creating template:', { userId: req.userId, name: parsed.data.name });
+
+    const now = new Date().toISOString();
+    const { data, error } = await supabase
+      .from('templates')
+      .insert({
+        ...toTemplateRow(parsed.data),
+        user_id: req.userId,
+        organization_id: parsed.data.shared ? req.organization.id : null,
+        created_at: now,
+        updated_at: now
+      })
+      .select()
+      .single();
+
+    if (error) {
+      if (error.code === '23505') {
+        return res.status(409).json({
+          success: false,
+          error: 'A template with this name already exists'
+        });
+      }
+      logger.error('[Templates] Error creating template:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to create template'
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      template: toTemplateResponse(data)
+    });
+  } catch (error) {
+    logger.error('[Templates] Exception creating template:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * PATCH /api/user/templates/:id
+ * Update any subset of a template's fields (send null to clear an optional field)
+ */
+router.patch('/:id', async (req, res) => {
+  try {
+    if (!templateIdSchema.safeParse(req.params.id).success) {
+      return res.status(404).json({ success: false, error: 'Template not found' });
+    }
+
+    const parsed = templateSchema.partial().safeParse(req.body);
+    if (!parsed.success) {
+      return invalidBody(res, parsed.error);
+    }
+
+    const existing = await getTemplateForUser(req.userId, req.params.id, req.organization?.id);
+    if (!existing) {
+      return res.status(404).json({ success: false, error: 'Template not found' });
+    }
+    if (!canModifyTemplate(req, existing)) {
+      return forbidden(res);
+    }
+
+    logger.info('[Templates] Updating template:', { userId: req.userId, templateId: req.params.id });
+
+    const { data, error } = await supabase
+      .from('templates')
+      .update({
+        ...toTemplateRow(parsed.data),
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', req.params.id)
+      .select()
+      .maybeSingle();
+
+    if (error) {
+      if (error.code === '23505') {
+        return res.status(409).json({
+          success: false,
+          error: 'A template with this name already exists'
+        });
+      }
+      logger.error('[Templates] Error updating template:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to update template'
+      });
+    }
+
+    if (!data) {
+      return res.status(404).json({ success: false, error: 'Template not found' });
+    }
+
+    res.json({
+      success: true,
+      template: toTemplateResponse(data)
+    });
+  } catch (error) {
+    logger.error('[Templates] Exception updating template:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * DELETE /api/user/templates/:id
+ * Delete a template (past activities keep their history, template_id is cleared)
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    if (!templateIdSchema.safeParse(req.params.id).success) {
+      return res.status(404).json({ success: false, error: 'Template not found' });
+    }
+
+    const existing = await getTemplateForUser(req.userId, req.params.id, req.organization?.id);
+    if (!existing) {
+      return res.status(404).json({ success: false, error: 'Template not found' });
+    }
+    if (!canModifyTemplate(req, existing)) {
+      return forbidden(res);
+    }
+
+    logger.info('[Templates] Deleting template:', { userId: req.userId, templateId: req.params.id });
+
+    const { data, error } = await supabase
+      .from('templates')
+      .delete()
+      .eq('id', req.params.id)
+      .select('id');
+
+    if (error) {
+      logger.error('[Templates] Error deleting template:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to delete template'
+      });
+    }
+
+    if (!data || data.length === 0) {
+      return res.status(404).json({ success: false, error: 'Template not found' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Template deleted successfully'
+    });
+  } catch (error) {
+    logger.error('[Templates] Exception deleting template:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,13 +1,39 @@
 const express = require('express');
+const { z } = require('zod');
 const { supabase } = require('../services/supabase-service');
-const { requireAuth } = require('../middleware/auth');
+const { requireAuth, allowApiKey } = require('../middleware/auth');
 const logger = require('../utils/logger');
+const { getUsageSummary } = require('../services/token-usage-service');
+const { getScrapeLimit } = require('../services/plan-service');
+const { hasRole, listOrganizations, toOrganizationResponse } = require('../services/organization-service');
+const templatesRouter = require('./templates');
+const schedulesRouter = require('./schedules');
+const apiKeysRouter = require('./api-keys');
+const webhooksRouter = require('./webhooks');
 
 const router = express.Router();
 
+// Personal API keys may call these routes when they carry the matching scope; everything else
+// (settings, account deletion, key and webhook management) requires a session
+router.use('/templates', allowApiKey('templates'));
+router.use('/schedules', allowApiKey('schedules'));
+router.get(['/me', '/activities', '/usage'], allowApiKey('usage'));
+
 // All routes require authentication
 router.use(requireAuth);
 
+// Saved extraction templates: /api/user/templates
+router.use('/templates', templatesRouter);
+
+// Scheduled recurring scrapes: /api/user/schedules
+router.use('/schedules', schedulesRouter);
+
+// Personal API keys: /api/user/api-keys
+router.use('/api-keys', apiKeysRouter);
+
+// Outbound webhook endpoints: /api/user/webhooks
+router.use('/webhooks', webhooksRouter);
+
 /**
  * GET /api/user/me
  * Get current user profile combining auth.users and users table
@@ -27,12 +53,13 @@ router.get('/me', async (req, res) => {
       picture: userProfile.user_metadata?.avatar_url,
       plan: userProfile.plan,
       usage_this_month: userProfile.usage_this_month,
-      plan_limits_scrapes: userProfile.plan_limits_scrapes,
+      plan_limits_scrapes: getScrapeLimit(userProfile),
       plan_limits_period: userProfile.plan_limits_period,
       subscription_status: userProfile.subscription_status,
       smart_formatting: userProfile.smart_formatting,
       trial_start_date: userProfile.trial_start_date,
-      billing_date: userProfile.billing_date
+      billing_date: userProfile.billing_date,
+      organization: req.organization ? toOrganizationResponse(req.organization) : null
     };
     
     res.json({
@@ -48,18 +75,27 @@ router.get('/me', async (req, res) => {
   }
 });
 
+/**
+ * Restrict an activities query to the current workspace: the active organization's shared
+ * history, or the user's personal activities
+ */
+function scopeActivities(query, req) {
+  return req.organization
+    ? query.eq('organization_id', req.organization.id)
+    : query.eq('user_id', req.userId).is('organization_id', null);
+}
+
 /**
  * GET /api/user/activities
- * Fetch user's activity history (last 50, sorted by timestamp DESC)
+ * Fetch the activity history of the current workspace (last 50, sorted by timestamp DESC)
  */
 router.get('/activities', async (req, res) => {
   try {
-    logger.info('[User] Fetching activities:', { userId: req.userId });
+    logger.info('[User] Fetching activities:', { userId: req.userId, organizationId: req.organization?.id });
     
-    const { data: activities, error } = await supabase
+    const { data: activities, error } = await scopeActivities(supabase
       .from('activities')
-      .select('*')
-      .eq('user_id', req.userId)
+      .select('*'), req)
       .order('timestamp', { ascending: false })
       .limit(50);
     
@@ -86,16 +122,22 @@ router.get('/activities', async (req, res) => {
 
 /**
  * DELETE /api/user/activities
- * Clear all user activities
+ * Clear all activities of the current workspace (organization admins only for shared history)
  */
 router.delete('/activities', async (req, res) => {
   try {
-    logger.info('[User] Clearing activities:', { userId: req.userId });
+    if (req.organization && !hasRole(req.organization.role, 'admin')) {
+      return res.status(403).json({
+        success: false,
+        error: 'Only organization admins can clear the shared activity history'
+      });
+    }
+
+    logger.info('[User] Clearing activities:', { userId: req.userId, organizationId: req.organization?.id });
     
-    const { error } = await supabase
+    const { error } = await scopeActivities(supabase
       .from('activities')
-      .delete()
-      .eq('user_id', req.userId);
+      .delete(), req);
     
     if (error) {
       logger.error('[User] Error clearing activities:', error);
@@ -118,6 +160,86 @@ router.delete('/activities', async (req, res) => {
   }
 });
 
+const MAX_USAGE_PERIOD_DAYS = 366;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const usageQuerySchema = z.object({
+  from: z.iso.date().optional(),
+  to: z.iso.date().optional(),
+});
+
+/**
+ * GET /api/user/usage
+ * Model token usage and estimated cost of the current workspace over a period (UTC dates, `to`
+ * inclusive): all members' usage in the active organization, or the user's personal usage.
+ * Defaults to the current calendar month.
+ *
+ * Query: from?: YYYY-MM-DD, to?: YYYY-MM-DD (at most 366 days apart)
+ *
+ * Response:
+ *   {
+ *     success: true,
+ *     period: { from: string, to: string },
+ *     totals: { calls, inputTokens, outputTokens, costUsd },
+ *     byModel: [{ model, calls, inputTokens, outputTokens, costUsd }],
+ *     byOperation: [{ operation: 'scrape'|'export', calls, inputTokens, outputTokens, costUsd }]
+ *   }
+ */
+router.get('/usage', async (req, res) => {
+  try {
+    const parsed = usageQuerySchema.safeParse(req.query);
+    if (!parsed.success) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid query',
+        details: parsed.error.flatten()
+      });
+    }
+
+    const now = new Date();
+    const from = parsed.data.from
+      ? new Date(`${parsed.data.from}T00:00:00Z`)
+      : new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+    const to = parsed.data.to
+      ? new Date(new Date(`${parsed.data.to}T00:00:00Z`).getTime() + DAY_MS)
+      : now;
+
+    if (to <= from) {
+      return res.status(400).json({
+        success: false,
+        error: '"to" must not be before "from"'
+      });
+    }
+    if (to - from > MAX_USAGE_PERIOD_DAYS * DAY_MS) {
+      return res.status(400).json({
+        success: false,
+        error: `The period cannot be longer than ${MAX_USAGE_PERIOD_DAYS} days`
+      });
+    }
+
+    logger.info('[User] Fetching token usage:', {
+      userId: req.userId,
+      organizationId: req.organization?.id,
+      from: from.toISOString(),
+      to: to.toISOString()
+    });
+
+    const summary = await getUsageSummary(req.userId, { from, to }, req.organization?.id);
+
+    res.json({
+      success: true,
+      period: { from: from.toISOString(), to: to.toISOString() },
+      ...summary
+    });
+  } catch (error) {
+    logger.error('[User] Exception fetching token usage:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
 /**
  * PATCH /api/user/settings
  * Update user settings (smart_formatting, etc.)
@@ -182,6 +304,16 @@ router.delete('/delete-account', async (req, res) => {
 
     logger.info('[User] Deleting account:', { userId });
 
+    // Organizations would be left without an owner
+    const ownedOrganizations = (await listOrganizations(userId)).filter(org => org.role === 'owner');
+    if (ownedOrganizations.length > 0) {
+      return res.status(409).json({
+        success: false,
+        error: 'Delete the organizations you own before deleting your account',
+        organizations: ownedOrganizations.map(org => ({ id: org.id, name: org.name }))
+      });
+    }
+
     // 1) Delete user activities (non-fatal if none exist)
     const { error: activitiesError } = await supabase
       .from('activities')
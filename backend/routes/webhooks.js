@@ -0,0 +1,379 @@
+const express = require('express');
+const { z } = require('zod');
+const { supabase } = require('../services/supabase-service');
+const {
+  WEBHOOK_EVENTS,
+  generateSecret,
+  getWebhookEndpointForUser,
+  sendTestEvent,
+  toWebhookEndpointResponse,
+  toDeliveryResponse,
+} = require('../services/webhook-service');
+const { assertPublicUrl } = require('../services/page-fetcher');
+const { requirePlanFeature } = require('../middleware/auth');
+const logger = require('../utils/logger');
+
+// Mounted under /api/user/webhooks by routes/user.js (authentication already applied)
+const router = express.Router();
+
+const MAX_ENDPOINTS_PER_USER = 10;
+const MAX_DELIVERIES_LISTED = 100;
+
+const endpointFields = {
+  url: z.url({ protocol: /^https?$/ }),
+  description: z.string().trim().max(200).nullable().optional(),
+  events: z.array(z.enum(WEBHOOK_EVENTS)).min(1),
+  enabled: z.boolean().optional(),
+};
+
+const createEndpointSchema = z.object(endpointFields);
+const updateEndpointSchema = z.object(endpointFields).partial();
+
+const deliveriesQuerySchema = z.object({
+  limit: z.coerce.number().int().positive().max(MAX_DELIVERIES_LISTED).default(50),
+  status: z.enum(['pending', 'retrying', 'succeeded', 'failed']).optional(),
+});
+
+const endpointIdSchema = z.uuid();
+
+/**
+ * Map API fields to webhook_endpoints columns, skipping fields that were not sent
+ * @param {Object} body - Parsed request body
+ * @returns {Object}
+ */
+function toEndpointRow(body) {
+  const row = {};
+  if (body.url !== undefined) row.url = body.url;
+  if (body.description !== undefined) row.description = body.description;
+  if (body.events !== undefined) row.events = [...new Set(body.events)];
+  if (body.enabled !== undefined) row.enabled = body.enabled;
+  return row;
+}
+
+function invalidBody(res, error) {
+  return res.status(400).json({
+    success: false,
+    error: 'Invalid request body',
+    details: error.flatten(),
+  });
+}
+
+/**
+ * Load the endpoint in :id for the user (404 response when it doesn't exist)
+ * @returns {Promise<Object|null>} Endpoint row, or null when a response was sent
+ */
+async function loadEndpoint(req, res) {
+  const endpoint = endpointIdSchema.safeParse(req.params.id).success
+    ? await getWebhookEndpointForUser(req.userId, req.params.id)
+    : null;
+  if (!endpoint) {
+    res.status(404).json({ success: false, error: 'Webhook endpoint not found' });
+    return null;
+  }
+  return endpoint;
+}
+
+/**
+ * GET /api/user/webhooks
+ * List the user's webhook endpoints and the events they can subscribe to
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from('webhook_endpoints')
+      .select('*')
+      .eq('user_id', req.userId)
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      logger.error('[Webhooks] Error listing endpoints:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to fetch webhook endpoints'
+      });
+    }
+
+    res.json({
+      success: true,
+      endpoints: (data || []).map(toWebhookEndpointResponse),
+      events: WEBHOOK_EVENTS
+    });
+  } catch (error) {
+    logger.error('[Webhooks] Exception listing endpoints:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * POST /api/user/webhooks
+ * Register an endpoint. The signing secret is only returned in this response.
+ *
+ * Body:
+ *   {
+ *     url: string,              // Public http/https URL receiving JSON POSTs
+ *     description?: string,
+ *     events: Array<'scrape.completed'|'export.completed'|'usage.limit_reached'|'subscription.changed'>,
+ *     enabled?: boolean         // Default: true
+ *   }
+ *
+ * Response (201): { success, endpoint: { id, url, description, events, enabled, createdAt, updatedAt }, secret }
+ */
+router.post('/', requirePlanFeature('webhooks'), async (req, res) => {
+  try {
+    const parsed = createEndpointSchema.safeParse(req.body);
+    if (!parsed.success) {
+      return invalidBody(res, parsed.error);
+    }
+
+    try {
+      assertPublicUrl(parsed.data.url);
+    } catch (err) {
+      return res.status(400).json({ success: false, error: err.message });
+    }
+
+    const { count, error: countError } = await supabase
+      .from('webhook_endpoints')
+      .select('id', { count: 'exact', head: true })
+      .eq('user_id', req.userId);
+
+    if (countError) {
+      logger.error('[Webhooks] Error counting endpoints:', countError);
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to create webhook endpoint'
+      });
+    }
+
+    if (count >= MAX_ENDPOINTS_PER_USER) {
+      return res.status(403).json({
+        success: false,
+        error: `You can have at most ${MAX_ENDPOINTS_PER_USER} webhook endpoints`
+      });
+    }
+
+    const secret = generateSecret();
+    const now = new Date().toISOString();
+    const { data, error } = await supabase
+      .from('webhook_endpoints')
+      .insert({
+        enabled: true,
+        ...toEndpointRow(parsed.data),
+        user_id: req.userId,
+        secret,
+        created_at: now,
+        updated_at: now
+      })
+      .select()
+      .single();
+
+    if (error) {
+      logger.error('[Webhooks] Error creating endpoint:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to create webhook endpoint'
+      });
+    }
+
+    logger.info('[Webhooks] Endpoint created', { userId: req.userId, endpointId: data.id, events: data.events });
+
+    res.status(201).json({
+      success: true,
+      endpoint: toWebhookEndpointResponse(data),
+      secret
+    });
+  } catch (error) {
+    logger.error('[Webhooks] Exception creating endpoint:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * PATCH /api/user/webhooks/:id
+ * Update any subset of url, description, events and enabled
+ */
+router.patch('/:id', async (req, res) => {
+  try {
+    if (!endpointIdSchema.safeParse(req.params.id).success) {
+      return res.status(404).json({ success: false, error: 'Webhook endpoint not found' });
+    }
+
+    const parsed = updateEndpointSchema.safeParse(req.body);
+    if (!parsed.success) {
+      return invalidBody(res, parsed.error);
+    }
+
+    if (parsed.data.url) {
+      try {
+        assertPublicUrl(parsed.data.url);
+      } catch (err) {
+        return res.status(400).json({ success: false, error: err.message });
+      }
+    }
+
+    const { data, error } = await supabase
+      .from('webhook_endpoints')
+      .update({
+        ...toEndpointRow(parsed.data),
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', req.params.id)
+      .eq('user_id', req.userId)
+      .select()
+      .maybeSingle();
+
+    if (error) {
+      logger.error('[Webhooks] Error updating endpoint:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to update webhook endpoint'
+      });
+    }
+
+    if (!data) {
+      return res.status(404).json({ success: false, error: 'Webhook endpoint not found' });
+    }
+
+    res.json({
+      success: true,
+      endpoint: toWebhookEndpointResponse(data)
+    });
+  } catch (error) {
+    logger.error('[Webhooks] Exception updating endpoint:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * DELETE /api/user/webhooks/:id
+ * Delete an endpoint with its delivery log (pending retries are dropped)
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    if (!endpointIdSchema.safeParse(req.params.id).success) {
+      return res.status(404).json({ success: false, error: 'Webhook endpoint not found' });
+    }
+
+    const { data, error } = await supabase
+      .from('webhook_endpoints')
+      .delete()
+      .eq('id', req.params.id)
+      .eq('user_id', req.userId)
+      .select('id');
+
+    if (error) {
+      logger.error('[Webhooks] Error deleting endpoint:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to delete webhook endpoint'
+      });
+    }
+
+    if (!data || data.length === 0) {
+      return res.status(404).json({ success: false, error: 'Webhook endpoint not found' });
+    }
+
+    logger.info('[Webhooks] Endpoint deleted', { userId: req.userId, endpointId: req.params.id });
+
+    res.json({
+      success: true,
+      message: 'Webhook endpoint deleted successfully'
+    });
+  } catch (error) {
+    logger.error('[Webhooks] Exception deleting endpoint:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * GET /api/user/webhooks/:id/deliveries
+ * Delivery log of an endpoint, newest first
+ *
+ * Query: { limit?: number (default 50, max 100), status?: 'pending'|'retrying'|'succeeded'|'failed' }
+ *
+ * Response: { success, deliveries: [{ id, eventId, eventType, status, attempts, responseStatus, lastError, nextAttemptAt, deliveredAt, createdAt, payload }] }
+ */
+router.get('/:id/deliveries', async (req, res) => {
+  try {
+    const parsed = deliveriesQuerySchema.safeParse(req.query);
+    if (!parsed.success) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid query parameters',
+        details: parsed.error.flatten(),
+      });
+    }
+
+    const endpoint = await loadEndpoint(req, res);
+    if (!endpoint) return;
+
+    let query = supabase
+      .from('webhook_deliveries')
+      .select('*')
+      .eq('endpoint_id', endpoint.id)
+      .order('created_at', { ascending: false })
+      .limit(parsed.data.limit);
+    if (parsed.data.status) query = query.eq('status', parsed.data.status);
+
+    const { data, error } = await query;
+
+    if (error) {
+      logger.error('[Webhooks] Error listing deliveries:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to fetch webhook deliveries'
+      });
+    }
+
+    res.json({
+      success: true,
+      deliveries: (data || []).map(toDeliveryResponse)
+    });
+  } catch (error) {
+    logger.error('[Webhooks] Exception listing deliveries:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * POST /api/user/webhooks/:id/test
+ * Send a signed `webhook.test` event to the endpoint now and return the delivery result
+ * (attempted once, not retried)
+ *
+ * Response: { success, delivery: { id, eventType, status: 'succeeded'|'failed', responseStatus, lastError, ... } }
+ */
+router.post('/:id/test', async (req, res) => {
+  try {
+    const endpoint = await loadEndpoint(req, res);
+    if (!endpoint) return;
+
+    const delivery = await sendTestEvent(endpoint);
+
+    res.json({
+      success: true,
+      delivery: toDeliveryResponse(delivery)
+    });
+  } catch (error) {
+    logger.error('[Webhooks] Exception sending test event:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -19,7 +19,9 @@ const authRouter = require('./routes/auth');
 const userRouter = require('./routes/user');
 const scrapeRouter = require('./routes/scrape');
 const sheetsRouter = require('./routes/sheets');
+const exportRouter = require('./routes/export');
 const billingRouter = require('./routes/billing');
+const organizationsRouter = require('./routes/organizations');
 const helmet = require('helmet');
 const { generalLimiter, authLimiter, scrapeLimiter, sheetsLimiter } = require('./middleware/rate-limit');
 const pkg = require('./package.json');
@@ -91,6 +93,8 @@ const corsOptions = {
     callback(new Error(`Origin ${origin} not allowed by CORS`));
   },
   credentials: true,
+  // File downloads carry the file name and usage in headers
+  exposedHeaders: ['Content-Disposition', 'X-Usage-Current', 'X-Usage-Limit'],
   optionsSuccessStatus: 200
 };
 
@@ -122,6 +126,10 @@ app.use((req, res, next) => {
 });
 
 const { isRedisConnected } = require('./services/redis-service');
+const { startWorker, stopWorker } = require('./services/scrape-jobs');
+const { startScheduler, stopScheduler } = require('./services/scheduler');
+const { startWebhookWorker, stopWebhookWorker } = require('./services/webhook-service');
+const { startPlanRefresh, stopPlanRefresh } = require('./services/plan-service');
 const { supabase } = require('./services/supabase-service');
 
 // Health check for Railway and monitoring
@@ -174,7 +182,9 @@ app.use('/api/auth', authLimiter, authRouter);
 app.use('/api/user', userRouter);
 app.use('/api/scrape', scrapeLimiter, scrapeRouter);
 app.use('/api/sheets', sheetsLimiter, sheetsRouter);
+app.use('/api/export', sheetsLimiter, exportRouter);
 app.use('/api/billing', billingRouter);
+app.use('/api/organizations', organizationsRouter);
 
 if (process.env.SENTRY_DSN) {
   const Sentry = require('./instrument');
@@ -202,6 +212,20 @@ if (require.main === module) {
     logger.info(`Health check available at /health`);
   });
 
+  // Plan catalog (plans table), reloaded periodically
+  startPlanRefresh();
+
+  // Background worker for POST /api/scrape/jobs
+  startWorker();
+
+  // Retries of failed outbound webhook deliveries (/api/user/webhooks)
+  startWebhookWorker();
+
+  // Scheduled recurring scrapes (/api/user/schedules)
+  if (process.env.SCHEDULER_ENABLED !== 'false') {
+    startScheduler();
+  }
+
   // Track active connections for graceful shutdown
   const connections = new Set();
   
@@ -230,6 +254,10 @@ if (require.main === module) {
     }, 25000);
 
     try {
+      // Let running scrape jobs, scheduled runs and webhook deliveries finish, requeue unfinished jobs for another instance
+      await Promise.all([stopWorker(15000), stopScheduler(15000), stopWebhookWorker(15000)]);
+      stopPlanRefresh();
+
       connections.forEach((connection) => {
         connection.destroy();
       });
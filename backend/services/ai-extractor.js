@@ -1,54 +1,108 @@
-const { GoogleGenAI } = require('@google/genai');
 const logger = require('../utils/logger');
-const { buildPrompt } = require('../utils/prompt-builder');
+const { buildPrompt, buildRecipePrompt, buildRepairPrompt } = require('../utils/prompt-builder');
+const { chunkMarkdown } = require('../utils/markdown-chunker');
+const { applyOutputSchema, inferOutputSchema } = require('../utils/output-schema');
+const { expandLinkTokens } = require('../utils/url-stripper');
+const { EVIDENCE_KEY, createQuoteVerifier, splitEvidence, verifyEvidence } = require('../utils/evidence');
+const { createJsonArrayStreamParser } = require('../utils/json-stream-parser');
+const { parseJsonLenient } = require('../utils/json-repair');
+const { resolveModel, listConfiguredModels } = require('./llm-providers');
+const { recordTokens } = require('../utils/token-cost');
 
-let client;
+function stripCodeFence(text) {
+  let cleaned = text.trim();
+  if (cleaned.startsWith('```json')) {
+    cleaned = cleaned.replace(/```json\n?/g, '').replace(/```\n?$/g, '');
+  } else if (cleaned.startsWith('```')) {
+    cleaned = cleaned.replace(/```\n?/g, '');
+  }
+  return cleaned;
+}
 
-function getClient() {
-  if (!client) {
-    const apiKey = process.env.GEMINI_API_KEY;
-    if (!apiKey) {
-      logger.error('[AI Extractor] Missing required environment variable: GEMINI_API_KEY');
-      throw new Error('GEMINI_API_KEY environment variable is not set');
-    }
-    client = new GoogleGenAI({ apiKey });
+/**
+ * Check a row extracted without a schema against the schema inferred from its response
+ * @returns {Array<string>|null} Issues, or null when the row fits
+ */
+function inferredRowIssues(row, inferredColumns) {
+  const { rows, invalid } = applyOutputSchema([row], inferredColumns);
+  if (invalid.length > 0) return invalid[0].issues;
+  if (Object.values(rows[0]).every(value => value === null)) {
+    return [`Row has none of the keys used by the other rows (${inferredColumns.map(c => c.name).join(', ')})`];
   }
-  return client;
+  return null;
 }
 
-function safeParseJson(text) {
-  try {
-    let cleaned = text.trim();
-    if (cleaned.startsWith('```json')) {
-      cleaned = cleaned.replace(/```json\n?/g, '').replace(/```\n?$/g, '');
-    } else if (cleaned.startsWith('```')) {
-      cleaned = cleaned.replace(/```\n?/g, '');
-    }
+/**
+ * Post-process one row parsed from the model: expand link tokens, validate against the schema
+ * (or the schema inferred from the rest of the response) and, in evidence mode, verify each
+ * field's evidence against the content
+ * @param {*} raw - Row parsed from the model response
+ * @param {Object} [rowOptions]
+ * @param {Array<Object>} [rowOptions.columns] - Output column schema (rows are coerced to it)
+ * @param {Array<Object>} [rowOptions.inferredColumns] - Inferred schema (rows are only checked)
+ * @param {Function} [rowOptions.expandRow] - Link token expansion
+ * @param {Function} [rowOptions.verifyQuote] - Evidence snippet check (evidence mode)
+ * @returns {{ row: Object }|{ row: *, issues: Array<string> }} Final row, or the row and why it is invalid
+ */
+function finalizeRow(raw, { columns = null, inferredColumns = null, expandRow = null, verifyQuote = null } = {}) {
+  // Link tokens are expanded first so url columns validate against the real URLs
+  const expanded = expandRow ? expandRow(raw) : raw;
+  const { row, evidence } = verifyQuote ? splitEvidence(expanded) : { row: expanded };
 
-    const parsed = JSON.parse(cleaned);
-    if (Array.isArray(parsed)) return parsed;
-    if (parsed && Array.isArray(parsed.data)) return parsed.data;
-    throw new Error('Response was not a JSON array');
-  } catch (err) {
-    throw new Error(`Failed to parse AI response: ${err.message}`);
+  let final = row;
+  if (columns) {
+    const result = applyOutputSchema([row], columns);
+    if (result.invalid.length > 0) return { row, issues: result.invalid[0].issues };
+    final = result.rows[0];
+  } else if (!row || typeof row !== 'object' || Array.isArray(row)) {
+    return { row, issues: ['Row is not an object'] };
+  } else if (inferredColumns) {
+    const issues = inferredRowIssues(row, inferredColumns);
+    if (issues) return { row, issues };
   }
+
+  if (verifyQuote) final = { ...final, [EVIDENCE_KEY]: verifyEvidence(final, evidence, verifyQuote) };
+  return { row: final };
+}
+
+/**
+ * Post-process rows parsed from the model (see finalizeRow)
+ * @returns {{ rows: Array<Object>, invalid: Array<{ index: number, row: *, issues: Array<string> }> }}
+ */
+function finalizeRows(rows, rowOptions = {}) {
+  const valid = [];
+  const invalid = [];
+  rows.forEach((raw, index) => {
+    const result = finalizeRow(raw, rowOptions);
+    if (result.issues) invalid.push({ index, row: result.row, issues: result.issues });
+    else valid.push(result.row);
+  });
+  return { rows: valid, invalid };
+}
+
+/**
+ * Parse the rows out of a model response, recovering almost-JSON (see utils/json-repair)
+ * @param {string} text - Model response
+ * @returns {{ rows: Array, recovered: boolean }} recovered: the JSON had to be repaired or was truncated
+ * @throws {Error} When no JSON array can be recovered
+ */
+function parseModelRows(text) {
+  const { value, repaired, truncated } = parseJsonLenient(stripCodeFence(text));
+  if (Array.isArray(value)) return { rows: value, recovered: repaired };
+  if (value && Array.isArray(value.data)) return { rows: value.data, recovered: repaired };
+  if (truncated) return { rows: [], recovered: true };
+  throw new Error('Response was not a JSON array');
 }
 
 async function listAvailableModels() {
   try {
-    const apiKey = process.env.GEMINI_API_KEY;
-    if (!apiKey) {
-      logger.error('[AI Extractor] Missing required environment variable: GEMINI_API_KEY');
-      return { error: 'GEMINI_API_KEY not set' };
+    const models = listConfiguredModels();
+    if (models.length === 0) {
+      logger.error('[AI Extractor] No LLM provider configured (GEMINI_API_KEY, OPENAI_API_KEY/OPENAI_BASE_URL or ANTHROPIC_API_KEY)');
+      return { error: 'No LLM provider configured' };
     }
 
-    return {
-      models: [
-        { name: 'gemini-2.5-flash', provider: 'google', isDefault: true },
-        { name: 'gemini-1.5-flash', provider: 'google' },
-        { name: 'gemini-2.5-pro', provider: 'google' },
-      ]
-    };
+    return { models };
   } catch (err) {
     logger.error('Error listing models', { error: err.message });
     return { error: err.message };
@@ -58,6 +112,9 @@ async function listAvailableModels() {
 const MAX_ITEMS = parseInt(process.env.MAX_ITEMS || '500', 10);
 const API_TIMEOUT_MS = parseInt(process.env.API_TIMEOUT_MS || '60000', 10);
 const MAX_RETRIES = parseInt(process.env.MAX_RETRIES || '2', 10);
+const CHUNK_MAX_CHARS = parseInt(process.env.CHUNK_MAX_CHARS || '30000', 10);
+const CHUNK_CONCURRENCY = parseInt(process.env.CHUNK_CONCURRENCY || '3', 10);
+const REPAIR_MAX_ROUNDS = parseInt(process.env.REPAIR_MAX_ROUNDS || '1', 10);
 
 // Timeout wrapper for API calls
 function withTimeout(promise, timeoutMs, errorMessage) {
@@ -69,19 +126,25 @@ function withTimeout(promise, timeoutMs, errorMessage) {
   ]);
 }
 
-async function callGemini(prompt, model = null, retryCount = 0) {
-  const ai = getClient();
+/**
+ * Send a prompt to the model, retrying timeouts and rate limits
+ * @param {string} prompt
+ * @param {string} [requestedModel]
+ * @param {Object} [tokenUsage] - Token usage record the call is added to (see utils/token-cost)
+ * @param {number} [retryCount]
+ * @returns {Promise<string>} Response text
+ */
+async function generateText(prompt, requestedModel = null, tokenUsage = null, retryCount = 0) {
+  const { provider, model } = resolveModel(requestedModel);
 
   try {
-    logger.info(`[Gemini] Calling ${model || 'gemini-2.5-flash'}`, { attempt: retryCount + 1, maxRetries: MAX_RETRIES + 1 });
-
-    const apiCall = ai.models.generateContent({
-      model: model || 'gemini-2.5-flash',
-      contents: prompt,
-      generationConfig: {
-        temperature: 0,
-        maxOutputTokens: parseInt(process.env.MAX_OUTPUT_TOKENS || '16384', 10),
-      },
+    logger.info(`[LLM] Calling ${provider.name}/${model}`, { attempt: retryCount + 1, maxRetries: MAX_RETRIES + 1 });
+
+    const apiCall = provider.generate({
+      prompt,
+      model,
+      temperature: 0,
+      maxOutputTokens: parseInt(process.env.MAX_OUTPUT_TOKENS || '16384', 10),
     });
 
     const response = await withTimeout(
@@ -90,17 +153,17 @@ async function callGemini(prompt, model = null, retryCount = 0) {
       `API timeout after ${API_TIMEOUT_MS}ms`
     );
 
+    recordTokens(tokenUsage, model, response.usage);
+
     const text = response.text;
     if (!text) {
-      throw new Error('Empty response from Gemini');
+      throw new Error(`Empty response from ${provider.name}`);
     }
 
-    logger.info('[Gemini] Success');
-    const parsed = safeParseJson(text);
-
-    return { data: parsed, rawResponse: text };
+    logger.info('[LLM] Success', { provider: provider.name, usage: response.usage });
+    return text;
   } catch (err) {
-    logger.error('[Gemini] Error', { error: err.message });
+    logger.error('[LLM] Error', { provider: provider.name, error: err.message });
 
     if (retryCount < MAX_RETRIES) {
       const isRetryable =
@@ -111,9 +174,9 @@ async function callGemini(prompt, model = null, retryCount = 0) {
 
       if (isRetryable) {
         const delay = Math.min(1000 * Math.pow(2, retryCount), 5000);
-        logger.info('[Gemini] Retrying', { delayMs: delay });
+        logger.info('[LLM] Retrying', { delayMs: delay });
         await new Promise(resolve => setTimeout(resolve, delay));
-        return callGemini(prompt, model, retryCount + 1);
+        return generateText(prompt, requestedModel, tokenUsage, retryCount + 1);
       }
     }
 
@@ -121,20 +184,372 @@ async function callGemini(prompt, model = null, retryCount = 0) {
   }
 }
 
-async function extractData({ html: markdown, instruction, model, maxItems }) {
-  logger.info('[AI Extractor] Processing request', { markdownLength: markdown.length });
+/**
+ * Run an extraction prompt and validate the rows. Malformed JSON is recovered leniently; when
+ * the response still cannot be parsed, or rows fail validation against the schema (or the schema
+ * inferred from the response), the model is re-prompted with the errors for up to
+ * REPAIR_MAX_ROUNDS rounds. Rows still invalid after that are dropped.
+ * @param {string} prompt
+ * @param {string} [requestedModel]
+ * @param {Object} [rowOptions] - See finalizeRow
+ * @param {Object} [tokenUsage] - Token usage record every call is added to
+ * @returns {Promise<{ data: Array<Object>, rawResponse: string, repair: { repaired: number, dropped: number, rounds: number } }>}
+ */
+async function callModel(prompt, requestedModel = null, rowOptions = {}, tokenUsage = null) {
+  const repair = { repaired: 0, dropped: 0, rounds: 0 };
+
+  let rawResponse = await generateText(prompt, requestedModel, tokenUsage);
+  let parsed;
+  for (;;) {
+    try {
+      parsed = parseModelRows(rawResponse);
+      break;
+    } catch (err) {
+      if (repair.rounds >= REPAIR_MAX_ROUNDS) {
+        throw new Error(`Failed to parse AI response: ${err.message}`);
+      }
+      repair.rounds++;
+      logger.warn('[AI Extractor] Response is not valid JSON, asking the model again', { error: err.message, round: repair.rounds });
+      rawResponse = await generateText(buildRepairPrompt(prompt, { parseError: err.message }), requestedModel, tokenUsage);
+    }
+  }
+  if (parsed.recovered) {
+    logger.info('[AI Extractor] Recovered malformed JSON response', { rows: parsed.rows.length });
+  }
+
+  const checkOptions = rowOptions.columns
+    ? rowOptions
+    : { ...rowOptions, inferredColumns: inferOutputSchema(parsed.rows) };
+
+  // Valid rows keep their position; invalid ones are re-prompted and put back in place when fixed
+  const slots = [];
+  let pending = [];
+  parsed.rows.forEach((raw, index) => {
+    const result = finalizeRow(raw, checkOptions);
+    slots[index] = result.issues ? null : result.row;
+    if (result.issues) pending.push({ index, row: result.row, issues: result.issues });
+  });
+
+  while (pending.length > 0 && repair.rounds < REPAIR_MAX_ROUNDS) {
+    repair.rounds++;
+    logger.info('[AI Extractor] Asking the model to repair invalid rows', {
+      invalid: pending.length,
+      round: repair.rounds,
+      sampleIssues: pending.slice(0, 3).map(entry => entry.issues),
+    });
+
+    let fixes;
+    try {
+      const text = await generateText(buildRepairPrompt(prompt, { invalidRows: pending }), requestedModel, tokenUsage);
+      fixes = parseModelRows(text).rows;
+    } catch (err) {
+      logger.warn('[AI Extractor] Repair round failed', { error: err.message, round: repair.rounds });
+      break;
+    }
+
+    const stillInvalid = [];
+    pending.forEach((entry, i) => {
+      const fix = fixes[i];
+      if (fix === null || fix === undefined) {
+        stillInvalid.push(entry);
+        return;
+      }
+      const result = finalizeRow(fix, checkOptions);
+      if (result.issues) {
+        stillInvalid.push({ index: entry.index, row: result.row, issues: result.issues });
+      } else {
+        slots[entry.index] = result.row;
+        repair.repaired++;
+      }
+    });
+    pending = stillInvalid;
+  }
+
+  repair.dropped = pending.length;
+  if (repair.dropped > 0) {
+    logger.warn('[AI Extractor] Dropped rows that failed validation', {
+      dropped: repair.dropped,
+      sampleIssues: pending.slice(0, 3).map(entry => entry.issues),
+    });
+  }
+
+  return { data: slots.filter(row => row !== null), rawResponse, repair };
+}
+
+/**
+ * Stable key for a row, independent of property order, used for deduplication
+ * @param {Object} row
+ * @returns {string}
+ */
+function rowKey(row) {
+  if (!row || typeof row !== 'object') return JSON.stringify(row);
+  return JSON.stringify(Object.keys(row).filter(key => key !== EVIDENCE_KEY).sort().map(key => [key, row[key]]));
+}
+
+/**
+ * Build the row transform that turns link tokens back into absolute URLs
+ * @param {Map<string, string>|null} links - Token → URL map from tokenizeUrls
+ * @param {string|null} baseUrl - Page URL relative links are resolved against
+ * @returns {Function|null}
+ */
+function linkExpander(links, baseUrl) {
+  return links ? (row) => expandLinkTokens(row, links, baseUrl) : null;
+}
+
+/**
+ * Run extraction over each chunk with bounded concurrency.
+ * Stops starting new chunks once the chunks completed so far (in page order)
+ * already hold itemCap rows.
+ * @returns {Promise<{ results: Array<Array<Object>>, repair: Object }>} Rows per chunk, in chunk order,
+ *   and the repair counts summed over the chunks
+ */
+async function extractChunks(chunks, instruction, model, rowOptions, itemCap, onProgress, tokenUsage) {
+  const results = new Array(chunks.length);
+  const repair = { repaired: 0, dropped: 0, rounds: 0 };
+  let nextIndex = 0;
+  let completed = 0;
+  let capReached = false;
+
+  const rowsInCompletedPrefix = () => {
+    let count = 0;
+    for (let i = 0; i < results.length && results[i]; i++) {
+      count += results[i].length;
+    }
+    return count;
+  };
+
+  const worker = async () => {
+    while (nextIndex < chunks.length && !capReached) {
+      const index = nextIndex++;
+      const prompt = buildPrompt(chunks[index], instruction, {
+        part: { index: index + 1, total: chunks.length },
+        columns: rowOptions.columns,
+        linkTokens: Boolean(rowOptions.expandRow),
+        evidence: Boolean(rowOptions.verifyQuote)
+      });
+
+      logger.info('[AI Extractor] Extracting chunk', { chunk: index + 1, totalChunks: chunks.length, length: chunks[index].length });
+      const result = await callModel(prompt, model, rowOptions, tokenUsage);
+      results[index] = result.data || [];
+      Object.keys(repair).forEach(key => { repair[key] += result.repair[key]; });
+      completed++;
+      if (onProgress) onProgress({ completedChunks: completed, totalChunks: chunks.length });
+
+      if (rowsInCompletedPrefix() >= itemCap) {
+        capReached = true;
+      }
+    }
+  };
+
+  const workerCount = Math.max(1, Math.min(CHUNK_CONCURRENCY, chunks.length));
+  await Promise.all(Array.from({ length: workerCount }, worker));
+
+  return { results: results.filter(Boolean), repair };
+}
+
+/**
+ * Extract rows from prepared content
+ * @param {Object} options
+ * @param {string} options.html - Content from prepareContent
+ * @param {string} options.instruction
+ * @param {string} [options.model]
+ * @param {number} [options.maxItems]
+ * @param {Array<Object>} [options.schema] - Output column schema
+ * @param {Function} [options.onProgress] - Called with { completedChunks, totalChunks }
+ * @param {Map<string, string>} [options.links] - Link tokens in the content (link-preserving mode)
+ * @param {string} [options.baseUrl] - Page URL link tokens are resolved against
+ * @param {boolean} [options.evidence] - Ask for per-field source snippets and confidence; each row gets
+ *   a verified "_evidence" object (see utils/evidence)
+ * @param {Object} [options.tokenUsage] - Token usage record every model call is added to (see utils/token-cost)
+ * @returns {Promise<{ data: Array<Object>, repair: { repaired: number, dropped: number, rounds: number } }>}
+ *   Rows, and how many invalid rows the model repaired or were dropped (see callModel)
+ */
+async function extractData({
+  html: markdown,
+  instruction,
+  model,
+  maxItems,
+  schema,
+  onProgress,
+  links = null,
+  baseUrl = null,
+  evidence = false,
+  tokenUsage = null,
+}) {
+  logger.info('[AI Extractor] Processing request', { markdownLength: markdown.length, linkTokens: links ? links.size : 0, evidence });
+
+  const rowOptions = {
+    columns: schema,
+    expandRow: linkExpander(links, baseUrl),
+    verifyQuote: evidence ? createQuoteVerifier(markdown) : null,
+  };
+  const itemCap = Math.min(maxItems || MAX_ITEMS, MAX_ITEMS);
+  const chunks = chunkMarkdown(markdown, CHUNK_MAX_CHARS);
+
+  if (chunks.length <= 1) {
+    const prompt = buildPrompt(markdown, instruction, { columns: schema, linkTokens: Boolean(links), evidence });
+
+    const result = await callModel(prompt, model, rowOptions, tokenUsage);
+    const final = (result.data || []).slice(0, itemCap);
+    if (onProgress) onProgress({ completedChunks: 1, totalChunks: 1 });
+
+    logger.info('[AI Extractor] Extraction complete', { itemsExtracted: final.length, repair: result.repair });
+    return { data: final, repair: result.repair };
+  }
+
+  logger.info('[AI Extractor] Content split into chunks', { chunks: chunks.length, chunkMaxChars: CHUNK_MAX_CHARS });
+  const { results: chunkResults, repair } = await extractChunks(chunks, instruction, model, rowOptions, itemCap, onProgress, tokenUsage);
+
+  // Merge in page order, dropping rows repeated across chunk boundaries
+  const seen = new Set();
+  const final = [];
+  let duplicates = 0;
+  for (const rows of chunkResults) {
+    for (const row of rows) {
+      const key = rowKey(row);
+      if (seen.has(key)) {
+        duplicates++;
+        continue;
+      }
+      seen.add(key);
+      final.push(row);
+    }
+  }
+
+  const capped = final.slice(0, itemCap);
+  logger.info('[AI Extractor] Extraction complete', {
+    itemsExtracted: capped.length,
+    chunksProcessed: chunkResults.length,
+    duplicatesRemoved: duplicates,
+    repair
+  });
+  return { data: capped, repair };
+}
+
+/**
+ * Ask the model for a CSS selector recipe ({ rows, columns }) that extracts the requested data
+ * @param {Object} options
+ * @param {string} options.html - Cleaned HTML sample of the page
+ * @param {string} options.instruction
+ * @param {string} [options.model]
+ * @param {Array<Object>} [options.schema] - Output column schema
+ * @param {Object} [options.tokenUsage] - Token usage record the call is added to
+ * @returns {Promise<Object>} Recipe as returned by the model (not validated)
+ * @throws {Error} When the model fails or does not return a JSON object
+ */
+async function generateSelectorRecipe({ html, instruction, model: requestedModel, schema, tokenUsage = null }) {
+  const { provider, model } = resolveModel(requestedModel);
+  logger.info(`[LLM] Requesting selector recipe from ${provider.name}/${model}`, { htmlLength: html.length });
+
+  const response = await withTimeout(
+    provider.generate({
+      prompt: buildRecipePrompt(html, instruction, { columns: schema }),
+      model,
+      temperature: 0,
+      maxOutputTokens: 2048,
+    }),
+    API_TIMEOUT_MS,
+    `API timeout after ${API_TIMEOUT_MS}ms`
+  );
+  recordTokens(tokenUsage, model, response.usage);
+
+  let recipe;
+  try {
+    recipe = JSON.parse(stripCodeFence(response.text || ''));
+  } catch (err) {
+    throw new Error(`Failed to parse selector recipe: ${err.message}`);
+  }
+  if (!recipe || typeof recipe !== 'object' || Array.isArray(recipe)) {
+    throw new Error('Failed to parse selector recipe: response was not a JSON object');
+  }
+  return recipe;
+}
+
+/**
+ * Streaming variant of extractData: yields each row as soon as the model has finished writing it.
+ * Chunks are processed one after another so rows stay in page order. Takes the options of
+ * extractData except onProgress; token counts are added to options.tokenUsage as each chunk's
+ * stream ends.
+ * @returns {AsyncGenerator<Object>}
+ */
+async function* streamExtractData({
+  html: markdown,
+  instruction,
+  model: requestedModel,
+  maxItems,
+  schema,
+  links = null,
+  baseUrl = null,
+  evidence = false,
+  tokenUsage = null,
+}) {
+  logger.info('[AI Extractor] Processing streaming request', { markdownLength: markdown.length });
 
+  const { provider, model } = resolveModel(requestedModel);
+  const rowOptions = {
+    columns: schema,
+    expandRow: linkExpander(links, baseUrl),
+    verifyQuote: evidence ? createQuoteVerifier(markdown) : null,
+  };
   const itemCap = Math.min(maxItems || MAX_ITEMS, MAX_ITEMS);
-  const prompt = buildPrompt(markdown, instruction);
+  const chunks = chunkMarkdown(markdown, CHUNK_MAX_CHARS);
+  const seen = new Set();
+  let emitted = 0;
 
-  const result = await callGemini(prompt, model);
-  const final = (result.data || []).slice(0, itemCap);
+  for (let index = 0; index < chunks.length; index++) {
+    const prompt = buildPrompt(chunks[index], instruction, {
+      part: { index: index + 1, total: chunks.length },
+      columns: schema,
+      linkTokens: Boolean(links),
+      evidence
+    });
+    const parser = createJsonArrayStreamParser();
+
+    logger.info(`[LLM] Streaming ${provider.name}/${model}`, { chunk: index + 1, totalChunks: chunks.length });
+    let usageReported = false;
+    const stream = provider.generateStream({
+      prompt,
+      model,
+      temperature: 0,
+      maxOutputTokens: parseInt(process.env.MAX_OUTPUT_TOKENS || '16384', 10),
+      onUsage: (usage) => {
+        usageReported = true;
+        recordTokens(tokenUsage, model, usage);
+      },
+    });
+
+    try {
+      for await (const text of stream) {
+        for (const parsedRow of parser.push(text)) {
+          const { rows } = finalizeRows([parsedRow], rowOptions);
+
+          for (const row of rows) {
+            const key = rowKey(row);
+            if (seen.has(key)) continue;
+            seen.add(key);
+
+            yield row;
+            emitted++;
+            if (emitted >= itemCap) {
+              logger.info('[AI Extractor] Streaming extraction reached item cap', { itemsExtracted: emitted });
+              return;
+            }
+          }
+        }
+      }
+    } finally {
+      // Streams stopped early (item cap, client gone) end before the counts arrive: count the call
+      if (!usageReported) recordTokens(tokenUsage, model, null);
+    }
+  }
 
-  logger.info('[AI Extractor] Extraction complete', { itemsExtracted: final.length });
-  return final;
+  logger.info('[AI Extractor] Streaming extraction complete', { itemsExtracted: emitted });
 }
 
 module.exports = {
   extractData,
+  streamExtractData,
+  generateSelectorRecipe,
   listAvailableModels,
+  rowKey,
 };
@@ -0,0 +1,253 @@
+const crypto = require('crypto');
+const { supabase } = require('./supabase-service');
+const { redisClient, isRedisConnected } = require('./redis-service');
+const logger = require('../utils/logger');
+
+/**
+ * Personal API Keys
+ *
+ * Long-lived bearer credentials for scripts and CI jobs, used instead of a Supabase session token:
+ * `Authorization: Bearer sk_...`. Only a SHA-256 hash of the key is stored; the key itself is
+ * returned once, when it is created. Each key carries scopes naming the endpoint groups it may
+ * call (see allowApiKey in middleware/auth.js); account, billing, organization and key management
+ * endpoints always require a session.
+ *
+ * Verified keys are cached in Redis (when connected) by hash; revoking a key drops it from the cache.
+ */
+
+const API_KEY_PREFIX = 'sk_';
+const API_KEY_SCOPES = ['scrape', 'export', 'templates', 'schedules', 'usage'];
+const MAX_KEYS_PER_USER = 20;
+
+const CACHE_PREFIX = 'apikey:';
+const CACHE_TTL = 300; // 5 minutes in seconds
+// last_used_at is written at most this often per key
+const LAST_USED_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Whether a bearer token has the API key format (not a Supabase JWT)
+ * @param {string} token
+ * @returns {boolean}
+ */
+function isApiKey(token) {
+  return typeof token === 'string' && token.startsWith(API_KEY_PREFIX);
+}
+
+const hashApiKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+async function getCachedKey(keyHash) {
+  if (!isRedisConnected()) return undefined;
+  try {
+    const data = await redisClient.get(`${CACHE_PREFIX}${keyHash}`);
+    return data ? JSON.parse(data) : undefined;
+  } catch (error) {
+    logger.error('[ApiKeys] Cache get error:', error);
+    return undefined;
+  }
+}
+
+async function setCachedKey(keyHash, row) {
+  if (!isRedisConnected()) return;
+  try {
+    await redisClient.set(`${CACHE_PREFIX}${keyHash}`, JSON.stringify(row), { EX: CACHE_TTL });
+  } catch (error) {
+    logger.error('[ApiKeys] Cache set error:', error);
+  }
+}
+
+async function invalidateCachedKey(keyHash) {
+  if (!isRedisConnected()) return;
+  try {
+    await redisClient.del(`${CACHE_PREFIX}${keyHash}`);
+  } catch (error) {
+    logger.error('[ApiKeys] Cache invalidate error:', error);
+  }
+}
+
+/**
+ * Look up an API key
+ * @param {string} key - Full key from the Authorization header
+ * @returns {Promise<Object|null>} Key row, or null when unknown, revoked or expired
+ */
+async function findApiKey(key) {
+  const keyHash = hashApiKey(key);
+
+  let row = await getCachedKey(keyHash);
+  if (row === undefined) {
+    const { data, error } = await supabase
+      .from('api_keys')
+      .select('*')
+      .eq('key_hash', keyHash)
+      .maybeSingle();
+
+    if (error) {
+      logger.error('[ApiKeys] Error looking up key:', error);
+      throw new Error('Failed to verify API key');
+    }
+    row = data;
+    if (row) await setCachedKey(keyHash, row);
+  }
+
+  if (!row || row.revoked_at) return null;
+  if (row.expires_at && new Date(row.expires_at) <= new Date()) return null;
+  return row;
+}
+
+/**
+ * The verified API key of a request, looked up once per request (the rate limiter and
+ * requireAuth both need it)
+ * @param {Object} req - Express request
+ * @returns {Promise<Object|null>} Key row, or null when the request has no valid API key
+ */
+function getRequestApiKey(req) {
+  if (req.apiKeyLookup === undefined) {
+    const authHeader = req.headers.authorization || '';
+    const token = authHeader.startsWith('Bearer ') ? authHeader.substring(7) : '';
+    req.apiKeyLookup = isApiKey(token) ? findApiKey(token) : Promise.resolve(null);
+  }
+  return req.apiKeyLookup;
+}
+
+/**
+ * Record that a key was used (throttled to LAST_USED_INTERVAL_MS; failures are only logged)
+ * @param {Object} apiKey - Key row
+ */
+async function touchApiKey(apiKey) {
+  const lastUsed = apiKey.last_used_at ? new Date(apiKey.last_used_at).getTime() : 0;
+  if (Date.now() - lastUsed < LAST_USED_INTERVAL_MS) return;
+
+  const now = new Date().toISOString();
+  const { error } = await supabase
+    .from('api_keys')
+    .update({ last_used_at: now })
+    .eq('id', apiKey.id);
+
+  if (error) {
+    logger.error('[ApiKeys] Failed to record key use', { keyId: apiKey.id, error: error.message });
+    return;
+  }
+  await setCachedKey(apiKey.key_hash, { ...apiKey, last_used_at: now });
+}
+
+/**
+ * Create a key. The full key is only returned here.
+ * @param {string} userId
+ * @param {{ name: string, scopes: Array<string>, expiresAt?: string|null }} options
+ * @returns {Promise<{ apiKey: Object, key: string }>}
+ * @throws {Error} status 409 when the user has MAX_KEYS_PER_USER active keys
+ */
+async function createApiKey(userId, { name, scopes, expiresAt = null }) {
+  const { count, error: countError } = await supabase
+    .from('api_keys')
+    .select('id', { count: 'exact', head: true })
+    .eq('user_id', userId)
+    .is('revoked_at', null);
+
+  if (countError) {
+    logger.error('[ApiKeys] Error counting keys:', countError);
+    throw new Error('Failed to create API key');
+  }
+  if (count >= MAX_KEYS_PER_USER) {
+    const error = new Error(`You can have at most ${MAX_KEYS_PER_USER} active API keys. Revoke one first.`);
+    error.status = 409;
+    throw error;
+  }
+
+  const key = `${API_KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+  const { data, error } = await supabase
+    .from('api_keys')
+    .insert({
+      user_id: userId,
+      name,
+      key_prefix: key.substring(0, API_KEY_PREFIX.length + 6),
+      key_hash: hashApiKey(key),
+      scopes: [...new Set(scopes)],
+      expires_at: expiresAt,
+    })
+    .select()
+    .single();
+
+  if (error) {
+    logger.error('[ApiKeys] Error creating key:', error);
+    throw new Error('Failed to create API key');
+  }
+
+  logger.info('[ApiKeys] Key created', { userId, keyId: data.id, scopes: data.scopes });
+  return { apiKey: data, key };
+}
+
+/**
+ * List the user's keys that were not revoked (newest first)
+ * @param {string} userId
+ * @returns {Promise<Array<Object>>} Key rows
+ */
+async function listApiKeys(userId) {
+  const { data, error } = await supabase
+    .from('api_keys')
+    .select('*')
+    .eq('user_id', userId)
+    .is('revoked_at', null)
+    .order('created_at', { ascending: false });
+
+  if (error) {
+    logger.error('[ApiKeys] Error listing keys:', error);
+    throw new Error('Failed to load API keys');
+  }
+
+  return data || [];
+}
+
+/**
+ * Revoke a key; it stops working immediately
+ * @param {string} userId
+ * @param {string} keyId
+ * @returns {Promise<boolean>} False when the user has no such active key
+ */
+async function revokeApiKey(userId, keyId) {
+  const { data, error } = await supabase
+    .from('api_keys')
+    .update({ revoked_at: new Date().toISOString() })
+    .eq('id', keyId)
+    .eq('user_id', userId)
+    .is('revoked_at', null)
+    .select('id, key_hash');
+
+  if (error) {
+    logger.error('[ApiKeys] Error revoking key:', error);
+    throw new Error('Failed to revoke API key');
+  }
+  if (!data || data.length === 0) return false;
+
+  await invalidateCachedKey(data[0].key_hash);
+  logger.info('[ApiKeys] Key revoked', { userId, keyId });
+  return true;
+}
+
+/**
+ * Map a key row to its API representation (never includes the key or its hash)
+ * @param {Object} row - Key row
+ * @returns {Object}
+ */
+function toApiKeyResponse(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    prefix: row.key_prefix,
+    scopes: row.scopes,
+    lastUsedAt: row.last_used_at,
+    expiresAt: row.expires_at,
+    createdAt: row.created_at,
+  };
+}
+
+module.exports = {
+  API_KEY_SCOPES,
+  isApiKey,
+  findApiKey,
+  getRequestApiKey,
+  touchApiKey,
+  createApiKey,
+  listApiKeys,
+  revokeApiKey,
+  toApiKeyResponse,
+};
@@ -0,0 +1,158 @@
+const ExcelJS = require('exceljs');
+const logger = require('../utils/logger');
+const { convertToCSV, collectHeaders } = require('../utils/csv-converter');
+
+/**
+ * File Export
+ *
+ * Builds downloadable files from extracted rows for users exporting without Google Sheets.
+ * XLSX files reuse the smart formatting column types (currency, date, number, percentage, url)
+ * as cell number formats.
+ */
+
+const FILE_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' },
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+  ndjson: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' },
+};
+
+// Excel number formats matching the Google Sheets smart formatting patterns
+const NUMBER_FORMATS = {
+  currency: '$#,##0.00',
+  date: 'mmm dd, yyyy',
+  number: '#,##0.##',
+  percentage: '0.00%',
+};
+
+/**
+ * Parse a numeric cell such as "$1,299.99" or "12.5%"
+ * @param {*} value
+ * @param {string} type - Column type
+ * @returns {number|null}
+ */
+function toNumber(value, type) {
+  if (typeof value === 'number') return value;
+  if (typeof value !== 'string') return null;
+
+  const trimmed = value.trim();
+  const isPercent = trimmed.endsWith('%');
+  const cleaned = trimmed.replace(/[^0-9.\-]/g, '');
+  if (!cleaned || !/^-?\d*\.?\d+$/.test(cleaned)) return null;
+
+  const number = parseFloat(cleaned);
+  // "12.5%" is stored as 0.125 so the percentage format displays it correctly
+  return type === 'percentage' && isPercent ? number / 100 : number;
+}
+
+/**
+ * Convert a value to an XLSX cell value for its column type
+ * Values that don't parse as the column type are written as text.
+ * @param {*} value
+ * @param {string} [type] - Smart formatting column type
+ * @returns {*}
+ */
+function toXlsxCell(value, type) {
+  if (value === null || value === undefined) return null;
+  if (typeof value === 'object') return JSON.stringify(value);
+
+  if (type === 'currency' || type === 'number' || type === 'percentage') {
+    const number = toNumber(value, type);
+    if (number !== null) return number;
+  } else if (type === 'date') {
+    const date = new Date(value);
+    if (!isNaN(date.getTime())) {
+      // Excel dates have no timezone; keep the calendar date that was extracted
+      return /^\d{4}-\d{2}-\d{2}$/.test(String(value))
+        ? new Date(`${value}T00:00:00Z`)
+        : new Date(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()));
+    }
+  } else if (type === 'url' && /^https?:\/\//i.test(String(value))) {
+    return { text: String(value), hyperlink: String(value) };
+  }
+
+  return typeof value === 'string' ? value : String(value);
+}
+
+/**
+ * Build an XLSX workbook buffer
+ * @param {Array<Object>} data
+ * @param {Object} [formatting] - Smart formatting config ({ columnTypes, freezeColumns })
+ * @returns {Promise<Buffer>}
+ */
+async function buildXlsx(data, formatting = null) {
+  const headers = collectHeaders(data);
+  const columnTypes = formatting?.columnTypes || {};
+
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet('Data', {
+    views: [{
+      state: 'frozen',
+      ySplit: 1,
+      xSplit: formatting?.freezeColumns > 0 ? formatting.freezeColumns : 0,
+    }],
+  });
+
+  sheet.columns = headers.map(header => ({
+    header,
+    key: header,
+    width: Math.min(Math.max(header.length + 2, 12), 50),
+    style: NUMBER_FORMATS[columnTypes[header]] ? { numFmt: NUMBER_FORMATS[columnTypes[header]] } : {},
+  }));
+  sheet.getRow(1).font = { bold: true };
+
+  data.forEach(row => {
+    const values = {};
+    headers.forEach(header => {
+      values[header] = toXlsxCell(row[header], columnTypes[header]);
+    });
+    sheet.addRow(values);
+  });
+
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+/**
+ * Build a downloadable file from extracted rows
+ * @param {Array<Object>} data - Extracted rows
+ * @param {string} format - csv | xlsx | json | ndjson
+ * @param {Object} [options]
+ * @param {Object} [options.formatting] - Smart formatting config applied to XLSX
+ * @returns {Promise<Object>} - { body, contentType, extension }
+ */
+async function buildExportFile(data, format, { formatting = null } = {}) {
+  const fileFormat = FILE_FORMATS[format];
+  if (!fileFormat) {
+    throw new Error(`Unsupported export format: ${format}`);
+  }
+
+  let body;
+  switch (format) {
+    case 'csv':
+      // BOM so Excel detects UTF-8
+      body = '\uFEFF' + convertToCSV(data);
+      break;
+    case 'xlsx':
+      body = await buildXlsx(data, formatting);
+      break;
+    case 'json':
+      body = JSON.stringify(data, null, 2);
+      break;
+    case 'ndjson':
+      body = data.map(row => JSON.stringify(row)).join('\n') + '\n';
+      break;
+  }
+
+  logger.info('[File Export] File built', {
+    format,
+    rows: data.length,
+    sizeBytes: Buffer.byteLength(body),
+  });
+
+  return { body, ...fileFormat };
+}
+
+module.exports = {
+  FILE_FORMATS,
+  buildExportFile,
+};
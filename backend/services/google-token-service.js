@@ -0,0 +1,77 @@
+const { supabase } = require('./supabase-service');
+const logger = require('../utils/logger');
+
+/**
+ * Refresh a user's Google OAuth access token using their stored refresh token.
+ * Updates the new access token in the database and returns it.
+ * @param {string} userId - User UUID
+ * @returns {Promise<string>} New access token
+ */
+async function refreshGoogleToken(userId) {
+  const { data: user, error } = await supabase
+    .from('users')
+    .select('google_provider_refresh_token')
+    .eq('id', userId)
+    .single();
+
+  if (error || !user?.google_provider_refresh_token) {
+    throw new Error('No Google refresh token available. Please sign in again.');
+  }
+
+  const params = new URLSearchParams({
+    grant_type: 'refresh_token',
+    refresh_token: user.google_provider_refresh_token,
+    client_id: process.env.GOOGLE_CLIENT_ID,
+    client_secret: process.env.GOOGLE_CLIENT_SECRET,
+  });
+
+  const resp = await fetch('https://oauth2.googleapis.com/token', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: params.toString(),
+  });
+
+  if (!resp.ok) {
+    const body = await resp.text();
+    logger.error('[Auth] Google token refresh failed', { status: resp.status, body });
+    throw new Error('Failed to refresh Google token. Please sign in again.');
+  }
+
+  const tokens = await resp.json();
+  const newAccessToken = tokens.access_token;
+
+  await supabase
+    .from('users')
+    .update({ google_provider_token: newAccessToken, updated_at: new Date().toISOString() })
+    .eq('id', userId);
+
+  const { invalidateUserCache } = require('./user-cache-service');
+  await invalidateUserCache(userId);
+
+  logger.info('[Auth] Google token refreshed successfully and cache invalidated', { userId });
+  return newAccessToken;
+}
+
+/**
+ * Run a Sheets operation with the user's Google token, refreshing it once if it has expired
+ * @param {string} userId - User UUID (for the refresh)
+ * @param {string} accessToken - Stored Google access token
+ * @param {Function} operation - async (accessToken) => result
+ */
+async function withGoogleToken(userId, accessToken, operation) {
+  try {
+    return await operation(accessToken);
+  } catch (err) {
+    if (err.message.includes('expired') || err.message.includes('Invalid')) {
+      logger.info('[Sheets API] Token expired, attempting refresh...');
+      const refreshedToken = await refreshGoogleToken(userId);
+      return operation(refreshedToken);
+    }
+    throw err;
+  }
+}
+
+module.exports = {
+  refreshGoogleToken,
+  withGoogleToken,
+};
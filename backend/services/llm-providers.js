@@ -0,0 +1,333 @@
+const { GoogleGenAI } = require('@google/genai');
+const logger = require('../utils/logger');
+
+/**
+ * LLM Provider Layer
+ *
+ * Routes a model name to the provider that serves it:
+ * - google:    Gemini via @google/genai (GEMINI_API_KEY)
+ * - openai:    any OpenAI-compatible /chat/completions endpoint, including local
+ *              Ollama or llama.cpp servers (OPENAI_BASE_URL, OPENAI_API_KEY)
+ * - anthropic: Anthropic Messages API (ANTHROPIC_API_KEY)
+ *
+ * Each provider implements generate() → { text, usage } and generateStream() → async iterable of
+ * text deltas. usage is { inputTokens, outputTokens } from the provider's response metadata (null
+ * when the server does not report it); streams pass it to the optional onUsage callback once known.
+ *
+ * A model may be addressed explicitly as "<provider>:<model>" (e.g. "openai:llama3.1:8b"),
+ * otherwise it is matched against each provider's configured model list and naming pattern.
+ */
+
+const DEFAULT_MODEL = process.env.LLM_DEFAULT_MODEL || 'gemini-2.5-flash';
+
+/**
+ * Parse a comma-separated model list from an environment variable
+ * @param {string} value - Raw env value
+ * @param {Array<string>} fallback - Models to use when the variable is unset
+ * @returns {Array<string>}
+ */
+function parseModelList(value, fallback) {
+  if (!value) return fallback;
+  return value.split(',').map(m => m.trim()).filter(Boolean);
+}
+
+/**
+ * Build an Error carrying an HTTP status for the Express error handler
+ */
+function httpError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Read the `data:` payloads of a server-sent events response body
+ * @param {Response} resp - fetch response
+ * @returns {AsyncGenerator<string>}
+ */
+async function* readSseData(resp) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  for await (const chunk of resp.body) {
+    buffer += decoder.decode(chunk, { stream: true });
+    let newline;
+    while ((newline = buffer.indexOf('\n')) >= 0) {
+      const line = buffer.slice(0, newline).trim();
+      buffer = buffer.slice(newline + 1);
+      if (line.startsWith('data:')) yield line.slice(5).trim();
+    }
+  }
+}
+
+/**
+ * Build a usage record from provider token counts
+ * @param {number} [inputTokens]
+ * @param {number} [outputTokens]
+ * @returns {{ inputTokens: number, outputTokens: number }|null}
+ */
+function tokenUsage(inputTokens, outputTokens) {
+  if (inputTokens === undefined && outputTokens === undefined) return null;
+  return { inputTokens: inputTokens || 0, outputTokens: outputTokens || 0 };
+}
+
+/**
+ * Usage record from a Gemini response's usageMetadata (thinking tokens are billed as output)
+ * @param {Object} [metadata]
+ * @returns {{ inputTokens: number, outputTokens: number }|null}
+ */
+function geminiUsage(metadata) {
+  if (!metadata) return null;
+  return tokenUsage(metadata.promptTokenCount, (metadata.candidatesTokenCount || 0) + (metadata.thoughtsTokenCount || 0));
+}
+
+let geminiClient;
+
+function getGeminiClient() {
+  if (!geminiClient) {
+    const apiKey = process.env.GEMINI_API_KEY;
+    if (!apiKey) {
+      logger.error('[LLM] Missing required environment variable: GEMINI_API_KEY');
+      throw new Error('GEMINI_API_KEY environment variable is not set');
+    }
+    geminiClient = new GoogleGenAI({ apiKey });
+  }
+  return geminiClient;
+}
+
+const googleProvider = {
+  name: 'google',
+  pattern: /^gemini-/,
+  isConfigured: () => !!process.env.GEMINI_API_KEY,
+  models: () => parseModelList(process.env.GEMINI_MODELS, ['gemini-2.5-flash', 'gemini-1.5-flash', 'gemini-2.5-pro']),
+
+  async generate({ prompt, model, temperature, maxOutputTokens }) {
+    const ai = getGeminiClient();
+    const response = await ai.models.generateContent({
+      model,
+      contents: prompt,
+      generationConfig: {
+        temperature,
+        maxOutputTokens,
+      },
+    });
+    return { text: response.text, usage: geminiUsage(response.usageMetadata) };
+  },
+
+  async *generateStream({ prompt, model, temperature, maxOutputTokens, onUsage }) {
+    const ai = getGeminiClient();
+    const stream = await ai.models.generateContentStream({
+      model,
+      contents: prompt,
+      generationConfig: {
+        temperature,
+        maxOutputTokens,
+      },
+    });
+    // Every chunk carries the running totals, the last one the final counts
+    let usage = null;
+    for await (const chunk of stream) {
+      if (chunk.usageMetadata) usage = geminiUsage(chunk.usageMetadata);
+      if (chunk.text) yield chunk.text;
+    }
+    if (onUsage && usage) onUsage(usage);
+  },
+};
+
+const openaiProvider = {
+  name: 'openai',
+  pattern: /^(gpt-|o\d)/,
+  isConfigured: () => !!(process.env.OPENAI_API_KEY || process.env.OPENAI_BASE_URL),
+  models: () => parseModelList(process.env.OPENAI_MODELS, ['gpt-4o-mini']),
+
+  request({ prompt, model, temperature, maxOutputTokens, stream = false }) {
+    const baseUrl = (process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1').replace(/\/+$/, '');
+    const headers = { 'Content-Type': 'application/json' };
+    // Local servers (Ollama, llama.cpp) usually run without a key
+    if (process.env.OPENAI_API_KEY) {
+      headers.Authorization = `Bearer ${process.env.OPENAI_API_KEY}`;
+    }
+
+    return fetch(`${baseUrl}/chat/completions`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({
+        model,
+        messages: [{ role: 'user', content: prompt }],
+        temperature,
+        max_tokens: maxOutputTokens,
+        stream,
+        // The final stream chunk then carries the token counts
+        ...(stream && { stream_options: { include_usage: true } }),
+      }),
+    });
+  },
+
+  async generate(params) {
+    const resp = await this.request(params);
+
+    if (!resp.ok) {
+      const body = await resp.text();
+      throw new Error(`OpenAI-compatible API error ${resp.status}: ${body.substring(0, 200)}`);
+    }
+
+    const json = await resp.json();
+    return {
+      text: json.choices?.[0]?.message?.content || '',
+      usage: json.usage ? tokenUsage(json.usage.prompt_tokens, json.usage.completion_tokens) : null,
+    };
+  },
+
+  async *generateStream(params) {
+    const resp = await this.request({ ...params, stream: true });
+
+    if (!resp.ok) {
+      const body = await resp.text();
+      throw new Error(`OpenAI-compatible API error ${resp.status}: ${body.substring(0, 200)}`);
+    }
+
+    for await (const data of readSseData(resp)) {
+      if (data === '[DONE]') return;
+      const event = JSON.parse(data);
+      if (event.usage && params.onUsage) {
+        params.onUsage(tokenUsage(event.usage.prompt_tokens, event.usage.completion_tokens));
+      }
+      const delta = event.choices?.[0]?.delta?.content;
+      if (delta) yield delta;
+    }
+  },
+};
+
+const anthropicProvider = {
+  name: 'anthropic',
+  pattern: /^claude-/,
+  isConfigured: () => !!process.env.ANTHROPIC_API_KEY,
+  models: () => parseModelList(process.env.ANTHROPIC_MODELS, ['claude-3-5-haiku-latest']),
+
+  request({ prompt, model, temperature, maxOutputTokens, stream = false }) {
+    const baseUrl = (process.env.ANTHROPIC_BASE_URL || 'https://api.anthropic.com/v1').replace(/\/+$/, '');
+
+    return fetch(`${baseUrl}/messages`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'x-api-key': process.env.ANTHROPIC_API_KEY,
+        'anthropic-version': '2023-06-01',
+      },
+      body: JSON.stringify({
+        model,
+        max_tokens: maxOutputTokens,
+        temperature,
+        messages: [{ role: 'user', content: prompt }],
+        stream,
+      }),
+    });
+  },
+
+  async generate(params) {
+    const resp = await this.request(params);
+
+    if (!resp.ok) {
+      const body = await resp.text();
+      throw new Error(`Anthropic API error ${resp.status}: ${body.substring(0, 200)}`);
+    }
+
+    const json = await resp.json();
+    const text = (json.content || [])
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join('');
+    return {
+      text,
+      usage: json.usage ? tokenUsage(json.usage.input_tokens, json.usage.output_tokens) : null,
+    };
+  },
+
+  async *generateStream(params) {
+    const resp = await this.request({ ...params, stream: true });
+
+    if (!resp.ok) {
+      const body = await resp.text();
+      throw new Error(`Anthropic API error ${resp.status}: ${body.substring(0, 200)}`);
+    }
+
+    // Input tokens arrive with message_start, the output count with message_delta
+    let inputTokens;
+    for await (const data of readSseData(resp)) {
+      const event = JSON.parse(data);
+      if (event.type === 'content_block_delta' && event.delta?.type === 'text_delta') {
+        yield event.delta.text;
+      } else if (event.type === 'message_start') {
+        inputTokens = event.message?.usage?.input_tokens;
+      } else if (event.type === 'message_delta' && event.usage && params.onUsage) {
+        params.onUsage(tokenUsage(inputTokens, event.usage.output_tokens));
+      } else if (event.type === 'message_stop') {
+        return;
+      }
+    }
+  },
+};
+
+const PROVIDERS = [googleProvider, openaiProvider, anthropicProvider];
+
+/**
+ * Resolve a requested model name to its provider
+ * @param {string} [requestedModel] - Model from the request (defaults to LLM_DEFAULT_MODEL)
+ * @returns {{ provider: Object, model: string }} Provider and provider-native model name
+ * @throws {Error} status 400 when the model is unknown or its provider is not configured
+ */
+function resolveModel(requestedModel) {
+  const requested = requestedModel || DEFAULT_MODEL;
+
+  let provider = null;
+  let model = requested;
+
+  // 1. Explicit "<provider>:<model>" prefix
+  const sep = requested.indexOf(':');
+  if (sep > 0) {
+    const explicit = PROVIDERS.find(p => p.name === requested.substring(0, sep));
+    if (explicit) {
+      provider = explicit;
+      model = requested.substring(sep + 1);
+    }
+  }
+
+  // 2. Exact match in a configured model list, then 3. naming pattern
+  if (!provider) {
+    provider = PROVIDERS.find(p => p.isConfigured() && p.models().includes(requested))
+      || PROVIDERS.find(p => p.pattern.test(requested));
+  }
+
+  if (!provider) {
+    throw httpError(`Unsupported model: ${requested}`, 400);
+  }
+
+  if (!provider.isConfigured()) {
+    throw httpError(`Model provider "${provider.name}" is not configured on this server`, 400);
+  }
+
+  return { provider, model };
+}
+
+/**
+ * List models from every configured provider
+ * @returns {Array<{ name: string, provider: string, isDefault?: boolean }>}
+ */
+function listConfiguredModels() {
+  const models = [];
+  PROVIDERS.filter(p => p.isConfigured()).forEach(provider => {
+    provider.models().forEach(name => {
+      const entry = { name, provider: provider.name };
+      if (name === DEFAULT_MODEL || `${provider.name}:${name}` === DEFAULT_MODEL) entry.isDefault = true;
+      models.push(entry);
+    });
+  });
+  return models;
+}
+
+module.exports = {
+  DEFAULT_MODEL,
+  geminiUsage,
+  resolveModel,
+  listConfiguredModels,
+};
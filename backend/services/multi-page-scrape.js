@@ -0,0 +1,197 @@
+const logger = require('../utils/logger');
+const { rowKey } = require('./ai-extractor');
+const { extractFromContent } = require('./scrape-pipeline');
+const { fetchPage } = require('./page-fetcher');
+const { supabase } = require('./supabase-service');
+const { findNextPageUrl } = require('../utils/pagination');
+const { multiPageUsageCost, incrementUsageIfAllowed } = require('../utils/usage');
+const { createTokenUsage } = require('../utils/token-cost');
+const { recordModelUsage } = require('./token-usage-service');
+
+/**
+ * Multi-Page Scrapes
+ *
+ * Extracts several pages of a listing into one result set. Pages are either submitted by the
+ * client (`pages`: one HTML/Markdown payload per page) or fetched server-side starting at `url`
+ * and following the next-page link up to `maxPages`. Every row gets a `source_page` column
+ * (1-based page number), rows repeated across pages are dropped, and the pages after the first
+ * are counted against the user's plan (see multiPageUsageCost). Each page is read from its
+ * table or by the model on its own, so the overall strategy can be 'mixed'.
+ */
+
+const MAX_PAGES_PER_SCRAPE = parseInt(process.env.MAX_PAGES_PER_SCRAPE || '10', 10);
+const MAX_ITEMS = parseInt(process.env.MAX_ITEMS || '500', 10);
+
+/**
+ * Iterate over the pages to extract
+ * @returns {AsyncGenerator<{ page: number, url: string|null, content: string, isHtml: boolean }>}
+ */
+async function* iteratePages({ pages, url, fetchOptions, pagination = {}, maxPages }) {
+  if (pages) {
+    for (let i = 0; i < Math.min(pages.length, maxPages); i++) {
+      yield { page: i + 1, url: null, content: pages[i], isHtml: false };
+    }
+    return;
+  }
+
+  const visited = new Set();
+  let nextUrl = url;
+  for (let page = 1; nextUrl && page <= maxPages; page++) {
+    const fetched = await fetchPage(nextUrl, fetchOptions);
+    visited.add(nextUrl);
+    visited.add(fetched.finalUrl);
+
+    yield { page, url: fetched.finalUrl, content: fetched.html, isHtml: true };
+
+    nextUrl = findNextPageUrl(fetched.html, fetched.finalUrl, pagination);
+    if (nextUrl && visited.has(nextUrl)) {
+      logger.info('[Multi-Page] Next page already visited, stopping', { url: nextUrl });
+      nextUrl = null;
+    }
+  }
+}
+
+/**
+ * Extract rows from several pages and count the extra pages against the user's plan
+ * @param {Object} options
+ * @param {Array<string>} [options.pages] - Page payloads (Markdown or HTML), in order
+ * @param {string} [options.url] - First page to fetch when pages are not given
+ * @param {Object} [options.fetchOptions] - Options for fetching each page
+ * @param {Object} [options.pagination] - { nextPattern, nextText, nextSelector } for finding the next page
+ * @param {number} [options.maxPages] - Page cap (at most MAX_PAGES_PER_SCRAPE)
+ * @param {string} options.instruction
+ * @param {string} [options.model]
+ * @param {number} [options.maxItems] - Cap on rows across all pages
+ * @param {Array<Object>} [options.schema] - Output column schema
+ * @param {boolean} [options.preserveLinks] - Let the model output link and image URLs
+ * @param {string} [options.baseUrl] - Base URL for relative links in submitted pages (fetched pages use their own URL)
+ * @param {string} [options.strategy] - 'auto' | 'table' | 'llm' | 'recipe'
+ * @param {boolean} [options.noCache] - Skip the result cache
+ * @param {boolean} [options.evidence] - Rows carry a verified "_evidence" object per field
+ * @param {Object} [options.selectors] - Row and column selectors applied to every page
+ * @param {string} options.userId - User charged for the extra pages
+ * @param {Function} [options.onProgress] - Called with { completedPages, maxPages }
+ * @returns {Promise<Object>} - { data, pages: [{ page, url, itemCount, strategy }], strategy, cached, repair, tokenUsage, usage }
+ *   (cached: every page came from the result cache; repair: summed over the pages the model ran on, or null;
+ *   tokenUsage: model tokens and cost of all pages, also stored in the token_usage ledger)
+ * @throws {Error} status 403 when the extra pages exceed the user's remaining scrapes
+ */
+async function runMultiPageScrape({
+  pages,
+  url,
+  fetchOptions,
+  pagination,
+  maxPages,
+  instruction,
+  model,
+  maxItems,
+  schema,
+  preserveLinks,
+  baseUrl,
+  strategy,
+  selectors,
+  noCache,
+  evidence,
+  userId,
+  onProgress,
+}) {
+  const pageCap = Math.min(maxPages || MAX_PAGES_PER_SCRAPE, MAX_PAGES_PER_SCRAPE);
+  const itemCap = Math.min(maxItems || MAX_ITEMS, MAX_ITEMS);
+
+  logger.info('[Multi-Page] Starting multi-page scrape', {
+    userId,
+    mode: pages ? 'pages' : 'url',
+    pageCap,
+  });
+
+  const seen = new Set();
+  let allCached = true;
+  let repair = null;
+  const tokenUsage = createTokenUsage();
+  const data = [];
+  const pageSummaries = [];
+  let duplicates = 0;
+
+  try {
+    for await (const { page, url: pageUrl, content, isHtml } of iteratePages({ pages, url, fetchOptions, pagination, maxPages: pageCap })) {
+      const result = await extractFromContent(content, {
+        instruction,
+        model,
+        maxItems: itemCap - data.length,
+        schema,
+        userId,
+        isHtml,
+        preserveLinks,
+        baseUrl: pageUrl || baseUrl,
+        strategy,
+        selectors,
+        noCache,
+        evidence,
+        tokenUsage,
+      });
+      const rows = result.data;
+      if (!result.cached) allCached = false;
+      if (result.repair) {
+        repair = repair || { repaired: 0, dropped: 0, rounds: 0 };
+        Object.keys(repair).forEach(key => { repair[key] += result.repair[key]; });
+      }
+
+      let added = 0;
+      for (const row of rows) {
+        const key = rowKey(row);
+        if (seen.has(key)) {
+          duplicates++;
+          continue;
+        }
+        seen.add(key);
+        data.push({ ...row, source_page: page });
+        added++;
+      }
+
+      pageSummaries.push({ page, url: pageUrl, itemCount: added, strategy: result.strategy });
+      if (onProgress) onProgress({ completedPages: page, maxPages: pageCap });
+      logger.info('[Multi-Page] Page extracted', { page, url: pageUrl, rows: rows.length, added });
+
+      if (data.length >= itemCap) {
+        logger.info('[Multi-Page] Item cap reached, stopping', { itemCap });
+        break;
+      }
+    }
+  } finally {
+    // Pages extracted before a failure still cost their model calls
+    await recordModelUsage(userId, 'scrape', tokenUsage);
+  }
+
+  let usage = null;
+  const cost = multiPageUsageCost(pageSummaries.length);
+  if (cost > 0) {
+    const usageCheck = await incrementUsageIfAllowed(supabase, userId, cost);
+    if (usageCheck.error) {
+      const error = new Error(usageCheck.status === 403
+        ? `This scrape covered ${pageSummaries.length} pages, which exceeds your remaining monthly scrapes.`
+        : usageCheck.error);
+      error.status = usageCheck.status;
+      throw error;
+    }
+    usage = usageCheck.usage;
+  }
+
+  const strategies = new Set(pageSummaries.map(p => p.strategy));
+  const overallStrategy = strategies.size === 1 ? pageSummaries[0].strategy : 'mixed';
+
+  logger.info('[Multi-Page] Multi-page scrape complete', {
+    userId,
+    pages: pageSummaries.length,
+    itemCount: data.length,
+    duplicates,
+    usageCost: cost,
+    strategy: overallStrategy,
+  });
+
+  return { data, pages: pageSummaries, strategy: overallStrategy, cached: allCached, repair, tokenUsage, usage };
+}
+
+module.exports = {
+  MAX_PAGES_PER_SCRAPE,
+  runMultiPageScrape,
+};
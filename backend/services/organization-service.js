@@ -0,0 +1,522 @@
+const crypto = require('crypto');
+const { supabase } = require('./supabase-service');
+const { invalidateUserCache } = require('./user-cache-service');
+const { getDefaultPlan, getScrapeLimit } = require('./plan-service');
+const logger = require('../utils/logger');
+
+/**
+ * Organizations
+ *
+ * An organization is a team workspace: one plan, Stripe subscription and monthly usage counter
+ * shared by its members, plus shared templates and activity history. Each user works in one
+ * workspace at a time (users.active_organization_id, NULL for the personal workspace);
+ * requireAuth attaches it as req.organization and increment_usage_if_allowed counts usage
+ * against it.
+ *
+ * Roles: owner (billing, deleting the organization), admin (members and invitations), member.
+ *
+ * Every organization has its own usage pool, so a user owns at most FREE_ORGANIZATIONS_PER_USER
+ * organizations without a subscription; more free organizations would multiply the free quota.
+ */
+
+const ROLE_RANK = { member: 1, admin: 2, owner: 3 };
+const INVITATION_TTL_DAYS = 7;
+const FREE_ORGANIZATIONS_PER_USER = 1;
+
+function orgError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Whether a role grants at least the permissions of another
+ * @param {string} role
+ * @param {'member'|'admin'|'owner'} minimumRole
+ * @returns {boolean}
+ */
+function hasRole(role, minimumRole) {
+  return (ROLE_RANK[role] || 0) >= ROLE_RANK[minimumRole];
+}
+
+/**
+ * Fetch an organization with the user's role in it
+ * @param {string} userId
+ * @param {string} organizationId
+ * @returns {Promise<Object|null>} Organization row with `role`, or null when the user is not a member
+ * @throws {Error} On database errors
+ */
+async function getMembership(userId, organizationId) {
+  const { data, error } = await supabase
+    .from('organization_members')
+    .select('role, organizations(*)')
+    .eq('organization_id', organizationId)
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (error) {
+    logger.error('[Organizations] Error fetching membership:', error);
+    throw new Error('Failed to load organization');
+  }
+
+  if (!data || !data.organizations) return null;
+  return { ...data.organizations, role: data.role };
+}
+
+/**
+ * The user's active organization (null for the personal workspace or after leaving it)
+ * @param {Object} user - User row
+ * @returns {Promise<Object|null>} Organization row with the user's `role`
+ */
+async function getActiveOrganization(user) {
+  if (!user.active_organization_id) return null;
+  return getMembership(user.id, user.active_organization_id);
+}
+
+/**
+ * List the organizations a user belongs to
+ * @param {string} userId
+ * @returns {Promise<Array<Object>>} Organization rows with the user's `role`
+ */
+async function listOrganizations(userId) {
+  const { data, error } = await supabase
+    .from('organization_members')
+    .select('role, organizations(*)')
+    .eq('user_id', userId)
+    .order('created_at', { ascending: true });
+
+  if (error) {
+    logger.error('[Organizations] Error listing organizations:', error);
+    throw new Error('Failed to load organizations');
+  }
+
+  return (data || [])
+    .filter(row => row.organizations)
+    .map(row => ({ ...row.organizations, role: row.role }));
+}
+
+/**
+ * Switch the user's workspace
+ * @param {string} userId
+ * @param {string|null} organizationId - null for the personal workspace
+ * @returns {Promise<Object|null>} The organization with the user's role, or null
+ * @throws {Error} status 404 when the user is not a member
+ */
+async function setActiveOrganization(userId, organizationId) {
+  const organization = organizationId ? await getMembership(userId, organizationId) : null;
+  if (organizationId && !organization) {
+    throw orgError('Organization not found', 404);
+  }
+
+  const { error } = await supabase
+    .from('users')
+    .update({ active_organization_id: organizationId, updated_at: new Date().toISOString() })
+    .eq('id', userId);
+
+  if (error) {
+    logger.error('[Organizations] Error switching organization:', error);
+    throw new Error('Failed to switch organization');
+  }
+
+  await invalidateUserCache(userId);
+  return organization;
+}
+
+/**
+ * Count the organizations a user owns without a subscription
+ * @param {string} userId
+ * @returns {Promise<number>}
+ */
+async function countFreeOwnedOrganizations(userId) {
+  const { data, error } = await supabase
+    .from('organization_members')
+    .select('organizations(stripe_subscription_id)')
+    .eq('user_id', userId)
+    .eq('role', 'owner');
+
+  if (error) {
+    logger.error('[Organizations] Error counting owned organizations:', error);
+    throw new Error('Failed to create organization');
+  }
+
+  return (data || []).filter(row => row.organizations && !row.organizations.stripe_subscription_id).length;
+}
+
+/**
+ * Create an organization owned by the user and make it their active workspace
+ * @param {string} userId
+ * @param {string} name
+ * @returns {Promise<Object>} Organization row with role 'owner'
+ * @throws {Error} status 403 when the user already owns FREE_ORGANIZATIONS_PER_USER organizations
+ * without a subscription
+ */
+async function createOrganization(userId, name) {
+  if (await countFreeOwnedOrganizations(userId) >= FREE_ORGANIZATIONS_PER_USER) {
+    throw orgError('You already own a free organization. Upgrade it to a paid plan before creating another one.', 403);
+  }
+
+  const now = new Date().toISOString();
+  const plan = getDefaultPlan();
+  const { data: organization, error } = await supabase
+    .from('organizations')
+    .insert({
+      name,
+      plan: plan.id,
+      plan_limits_scrapes: plan.scrapes_per_month,
+      billing_date: now,
+      created_at: now,
+      updated_at: now,
+    })
+    .select()
+    .single();
+
+  if (error) {
+    logger.error('[Organizations] Error creating organization:', error);
+    throw new Error('Failed to create organization');
+  }
+
+  const { error: memberError } = await supabase
+    .from('organization_members')
+    .insert({ organization_id: organization.id, user_id: userId, role: 'owner' });
+
+  if (memberError) {
+    logger.error('[Organizations] Error adding owner, removing organization:', memberError);
+    await supabase.from('organizations').delete().eq('id', organization.id);
+    throw new Error('Failed to create organization');
+  }
+
+  await setActiveOrganization(userId, organization.id);
+  logger.info('[Organizations] Organization created', { organizationId: organization.id, userId });
+  return { ...organization, role: 'owner' };
+}
+
+/**
+ * Rename an organization
+ * @param {Object} organization - Organization with the acting user's `role`
+ * @param {string} name
+ * @returns {Promise<Object>} Updated organization with the same `role`
+ */
+async function renameOrganization(organization, name) {
+  const { data, error } = await supabase
+    .from('organizations')
+    .update({ name, updated_at: new Date().toISOString() })
+    .eq('id', organization.id)
+    .select()
+    .single();
+
+  if (error) {
+    logger.error('[Organizations] Error renaming organization:', error);
+    throw new Error('Failed to update organization');
+  }
+
+  return { ...data, role: organization.role };
+}
+
+/**
+ * List an organization's members with their email addresses
+ * @param {string} organizationId
+ * @returns {Promise<Array<{ userId: string, email: string|null, role: string, joinedAt: string }>>}
+ */
+async function listMembers(organizationId) {
+  const { data, error } = await supabase
+    .from('organization_members')
+    .select('user_id, role, created_at')
+    .eq('organization_id', organizationId)
+    .order('created_at', { ascending: true });
+
+  if (error) {
+    logger.error('[Organizations] Error listing members:', error);
+    throw new Error('Failed to load members');
+  }
+
+  // Email addresses live in Supabase Auth, not the users table
+  return Promise.all((data || []).map(async (member) => {
+    const { data: authData } = await supabase.auth.admin.getUserById(member.user_id);
+    return {
+      userId: member.user_id,
+      email: authData?.user?.email || null,
+      role: member.role,
+      joinedAt: member.created_at,
+    };
+  }));
+}
+
+/**
+ * Change a member's role. Only the owner grants or revokes admin; the owner's role is fixed.
+ * @param {Object} organization - Organization with the acting user's `role`
+ * @param {string} userId - Member to change
+ * @param {'admin'|'member'} role
+ * @throws {Error} status 403 or 404
+ */
+async function updateMemberRole(organization, userId, role) {
+  const member = await getMembership(userId, organization.id);
+  if (!member) throw orgError('Member not found', 404);
+  if (member.role === 'owner') throw orgError('The owner\'s role cannot be changed', 403);
+  if ((role === 'admin' || member.role === 'admin') && organization.role !== 'owner') {
+    throw orgError('Only the owner can change admin roles', 403);
+  }
+
+  const { error } = await supabase
+    .from('organization_members')
+    .update({ role })
+    .eq('organization_id', organization.id)
+    .eq('user_id', userId);
+
+  if (error) {
+    logger.error('[Organizations] Error updating member role:', error);
+    throw new Error('Failed to update member');
+  }
+}
+
+/**
+ * Remove a member (or leave, when userId is the acting user). The owner cannot leave;
+ * admins can only remove members.
+ * @param {Object} organization - Organization with the acting user's `role`
+ * @param {string} actorId - Acting user
+ * @param {string} userId - Member to remove
+ * @throws {Error} status 403 or 404
+ */
+async function removeMember(organization, actorId, userId) {
+  const member = await getMembership(userId, organization.id);
+  if (!member) throw orgError('Member not found', 404);
+  if (member.role === 'owner') {
+    throw orgError('The owner cannot be removed. Delete the organization instead.', 403);
+  }
+  if (userId !== actorId && !hasRole(organization.role, member.role === 'admin' ? 'owner' : 'admin')) {
+    throw orgError('You do not have permission to remove this member', 403);
+  }
+
+  const { error } = await supabase
+    .from('organization_members')
+    .delete()
+    .eq('organization_id', organization.id)
+    .eq('user_id', userId);
+
+  if (error) {
+    logger.error('[Organizations] Error removing member:', error);
+    throw new Error('Failed to remove member');
+  }
+
+  // Back to the personal workspace if the organization was active
+  await supabase
+    .from('users')
+    .update({ active_organization_id: null })
+    .eq('id', userId)
+    .eq('active_organization_id', organization.id);
+  await invalidateUserCache(userId);
+
+  logger.info('[Organizations] Member removed', { organizationId: organization.id, userId, by: actorId });
+}
+
+/**
+ * Invite someone by email. The token is only returned here; the database keeps its hash.
+ * @param {string} organizationId
+ * @param {string} invitedBy - Acting user
+ * @param {{ email: string, role: 'admin'|'member' }} invitation
+ * @returns {Promise<{ invitation: Object, token: string }>}
+ */
+async function createInvitation(organizationId, invitedBy, { email, role }) {
+  const token = crypto.randomBytes(32).toString('base64url');
+  const expiresAt = new Date(Date.now() + INVITATION_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+  const { data, error } = await supabase
+    .from('organization_invitations')
+    .insert({
+      organization_id: organizationId,
+      email: email.toLowerCase(),
+      role,
+      token_hash: hashToken(token),
+      invited_by: invitedBy,
+      expires_at: expiresAt.toISOString(),
+    })
+    .select()
+    .single();
+
+  if (error) {
+    logger.error('[Organizations] Error creating invitation:', error);
+    throw new Error('Failed to create invitation');
+  }
+
+  logger.info('[Organizations] Invitation created', { organizationId, invitationId: data.id, role });
+  return { invitation: data, token };
+}
+
+/**
+ * List invitations that were not accepted and have not expired
+ * @param {string} organizationId
+ * @returns {Promise<Array<Object>>} Invitation rows
+ */
+async function listPendingInvitations(organizationId) {
+  const { data, error } = await supabase
+    .from('organization_invitations')
+    .select('*')
+    .eq('organization_id', organizationId)
+    .is('accepted_at', null)
+    .gt('expires_at', new Date().toISOString())
+    .order('created_at', { ascending: false });
+
+  if (error) {
+    logger.error('[Organizations] Error listing invitations:', error);
+    throw new Error('Failed to load invitations');
+  }
+
+  return data || [];
+}
+
+/**
+ * Revoke a pending invitation
+ * @param {string} organizationId
+ * @param {string} invitationId
+ * @returns {Promise<boolean>} False when no pending invitation matched
+ */
+async function revokeInvitation(organizationId, invitationId) {
+  const { data, error } = await supabase
+    .from('organization_invitations')
+    .delete()
+    .eq('id', invitationId)
+    .eq('organization_id', organizationId)
+    .is('accepted_at', null)
+    .select('id');
+
+  if (error) {
+    logger.error('[Organizations] Error revoking invitation:', error);
+    throw new Error('Failed to revoke invitation');
+  }
+
+  return Boolean(data && data.length > 0);
+}
+
+/**
+ * Accept an invitation: join the organization and make it the active workspace
+ * @param {string} userId
+ * @param {string} email - The user's sign-in email (must match the invitation)
+ * @param {string} token - Invitation token
+ * @returns {Promise<Object>} Organization with the user's role
+ * @throws {Error} status 404 (unknown, expired or used token), 403 (email mismatch) or 409 (already a member)
+ */
+async function acceptInvitation(userId, email, token) {
+  const { data: invitation, error } = await supabase
+    .from('organization_invitations')
+    .select('*')
+    .eq('token_hash', hashToken(token))
+    .maybeSingle();
+
+  if (error) {
+    logger.error('[Organizations] Error fetching invitation:', error);
+    throw new Error('Failed to load invitation');
+  }
+
+  if (!invitation || invitation.accepted_at || new Date(invitation.expires_at) <= new Date()) {
+    throw orgError('Invitation not found or expired', 404);
+  }
+  if (!email || invitation.email !== email.toLowerCase()) {
+    throw orgError('This invitation was sent to a different email address', 403);
+  }
+  if (await getMembership(userId, invitation.organization_id)) {
+    throw orgError('You are already a member of this organization', 409);
+  }
+
+  // Claim the invitation first so it can only be used once (released if the member can't be added)
+  const acceptedAt = new Date().toISOString();
+  const { data: claimed, error: claimError } = await supabase
+    .from('organization_invitations')
+    .update({ accepted_at: acceptedAt })
+    .eq('id', invitation.id)
+    .is('accepted_at', null)
+    .select('id');
+
+  if (claimError) {
+    logger.error('[Organizations] Error accepting invitation:', claimError);
+    throw new Error('Failed to accept invitation');
+  }
+  if (!claimed || claimed.length === 0) {
+    throw orgError('Invitation not found or expired', 404);
+  }
+
+  const { error: memberError } = await supabase
+    .from('organization_members')
+    .insert({ organization_id: invitation.organization_id, user_id: userId, role: invitation.role });
+
+  if (memberError) {
+    logger.error('[Organizations] Error adding member, releasing invitation:', memberError);
+    await supabase
+      .from('organization_invitations')
+      .update({ accepted_at: null })
+      .eq('id', invitation.id)
+      .eq('accepted_at', acceptedAt);
+    throw new Error('Failed to accept invitation');
+  }
+
+  logger.info('[Organizations] Invitation accepted', { organizationId: invitation.organization_id, userId });
+  return setActiveOrganization(userId, invitation.organization_id);
+}
+
+/**
+ * Delete an organization. Shared templates go with it; activities stay with their authors.
+ * @param {Object} organization - Organization row
+ * @throws {Error} status 409 while a subscription is active
+ */
+async function deleteOrganization(organization) {
+  if (organization.stripe_subscription_id) {
+    throw orgError('Cancel the organization\'s subscription before deleting it', 409);
+  }
+
+  const { data: members } = await supabase
+    .from('organization_members')
+    .select('user_id')
+    .eq('organization_id', organization.id);
+
+  const { error } = await supabase
+    .from('organizations')
+    .delete()
+    .eq('id', organization.id);
+
+  if (error) {
+    logger.error('[Organizations] Error deleting organization:', error);
+    throw new Error('Failed to delete organization');
+  }
+
+  // active_organization_id is cleared by the foreign key; cached profiles still have it
+  await Promise.all((members || []).map(member => invalidateUserCache(member.user_id)));
+  logger.info('[Organizations] Organization deleted', { organizationId: organization.id });
+}
+
+/**
+ * Map an organization row to its API representation
+ * @param {Object} organization - Organization row with the user's `role`
+ * @returns {Object}
+ */
+function toOrganizationResponse(organization) {
+  return {
+    id: organization.id,
+    name: organization.name,
+    role: organization.role,
+    plan: organization.plan,
+    usage: organization.usage_this_month,
+    limit: getScrapeLimit(organization),
+    subscriptionStatus: organization.subscription_status,
+    createdAt: organization.created_at,
+  };
+}
+
+module.exports = {
+  FREE_ORGANIZATIONS_PER_USER,
+  hasRole,
+  getMembership,
+  getActiveOrganization,
+  listOrganizations,
+  setActiveOrganization,
+  createOrganization,
+  renameOrganization,
+  listMembers,
+  updateMemberRole,
+  removeMember,
+  createInvitation,
+  listPendingInvitations,
+  revokeInvitation,
+  acceptInvitation,
+  deleteOrganization,
+  toOrganizationResponse,
+};
@@ -0,0 +1,357 @@
+const http = require('http');
+const https = require('https');
+const dns = require('dns');
+const net = require('net');
+const zlib = require('zlib');
+const logger = require('../utils/logger');
+
+/**
+ * Page Fetcher
+ *
+ * Fetches user-supplied URLs server-side. Every connection (including each redirect hop)
+ * is checked against private, loopback and link-local ranges at DNS lookup time, so a
+ * hostname cannot be used to reach internal services (SSRF), even if it re-resolves.
+ */
+
+const FETCH_TIMEOUT_MS = parseInt(process.env.FETCH_TIMEOUT_MS || '15000', 10);
+const FETCH_MAX_BYTES = parseInt(process.env.FETCH_MAX_BYTES || String(5 * 1024 * 1024), 10); // 5MB
+const FETCH_MAX_TIMEOUT_MS = 60000; // Upper bound for caller-supplied timeouts
+const MAX_REDIRECTS = 5;
+
+// Headers callers may not set (managed by the fetcher or hop-by-hop)
+const RESERVED_HEADERS = new Set([
+  'host', 'content-length', 'transfer-encoding', 'connection', 'keep-alive',
+  'upgrade', 'te', 'trailer', 'proxy-authorization', 'accept-encoding',
+]);
+// Headers dropped when a redirect leaves the original origin
+const CREDENTIAL_HEADERS = ['cookie', 'authorization'];
+
+// Content types that can be fed to the extraction pipeline
+const TEXT_CONTENT_TYPE = /^(text\/|application\/(xhtml\+xml|xml|rss\+xml|atom\+xml)\b)/i;
+const DEFAULT_USER_AGENT = process.env.FETCH_USER_AGENT
+  || 'Mozilla/5.0 (compatible; ScraperBot/1.0)';
+
+const blockedAddresses = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16],
+  ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4],
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8], ['64:ff9b::', 96],
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv6'));
+
+function fetchError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Check whether an IP address is private, loopback, link-local or otherwise not public
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean}
+ */
+function isBlockedAddress(address) {
+  const family = net.isIP(address);
+  if (!family) return true;
+  return blockedAddresses.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * dns.lookup replacement that refuses to connect to blocked addresses
+ */
+function safeLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+
+    const blocked = addresses.find(({ address }) => isBlockedAddress(address));
+    if (blocked) {
+      return callback(fetchError(`Fetching private or local addresses is not allowed (${hostname})`));
+    }
+
+    if (options.all) return callback(null, addresses);
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+/**
+ * Validate a URL before requesting it
+ * @param {string} rawUrl
+ * @returns {URL}
+ * @throws {Error} status 400 for unsupported or blocked URLs
+ */
+function assertPublicUrl(rawUrl) {
+  let url;
+  try {
+    url = new URL(rawUrl);
+  } catch (err) {
+    throw fetchError('Invalid URL');
+  }
+
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    throw fetchError('Only http and https URLs can be fetched');
+  }
+  if (url.username || url.password) {
+    throw fetchError('URLs with credentials are not allowed');
+  }
+
+  // IP literals skip DNS lookup, so check them here
+  const host = url.hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(host) && isBlockedAddress(host)) {
+    throw fetchError('Fetching private or local addresses is not allowed');
+  }
+  if (host === 'localhost' || host.endsWith('.localhost')) {
+    throw fetchError('Fetching private or local addresses is not allowed');
+  }
+
+  return url;
+}
+
+/**
+ * Build request headers from caller options
+ * @param {Object} options
+ * @param {string} [options.userAgent]
+ * @param {Object} [options.headers] - Extra headers (reserved headers are ignored)
+ * @param {string|Object} [options.cookies] - "a=1; b=2" or { a: '1', b: '2' }
+ * @returns {Object} Headers with lowercase names
+ */
+function buildRequestHeaders({ userAgent, headers = {}, cookies } = {}) {
+  const result = {};
+  for (const [name, value] of Object.entries(headers)) {
+    const key = name.toLowerCase();
+    if (!RESERVED_HEADERS.has(key)) result[key] = String(value);
+  }
+
+  if (userAgent) result['user-agent'] = userAgent;
+  if (cookies) {
+    result.cookie = typeof cookies === 'string'
+      ? cookies
+      : Object.entries(cookies).map(([name, value]) => `${name}=${value}`).join('; ');
+  }
+  return result;
+}
+
+/**
+ * Detect the character encoding of a page: BOM, then Content-Type, then <meta> in the first bytes
+ * @param {Buffer} body
+ * @param {string} contentType - Content-Type response header
+ * @returns {string} Encoding label (defaults to utf-8)
+ */
+function detectCharset(body, contentType = '') {
+  if (body[0] === 0xef && body[1] === 0xbb && body[2] === 0xbf) return 'utf-8';
+  if (body[0] === 0xff && body[1] === 0xfe) return 'utf-16le';
+  if (body[0] === 0xfe && body[1] === 0xff) return 'utf-16be';
+
+  const headerMatch = contentType.match(/charset=["']?([\w.:-]+)/i);
+  if (headerMatch) return headerMatch[1].toLowerCase();
+
+  // Covers <meta charset="..."> and <meta http-equiv="Content-Type" content="text/html; charset=...">
+  const head = body.subarray(0, 4096).toString('latin1');
+  const metaMatch = head.match(/<meta[^>]+charset=["']?\s*([\w.:-]+)/i);
+  if (metaMatch) return metaMatch[1].toLowerCase();
+
+  return 'utf-8';
+}
+
+// windows-1252 characters for bytes 0x80-0x9F (Node's TextDecoder maps them to C1 controls)
+const WINDOWS_1252_HIGH = '\u20ac\u0081\u201a\u0192\u201e\u2026\u2020\u2021\u02c6\u2030\u0160\u2039\u0152\u008d\u017d\u008f'
+  + '\u0090\u2018\u2019\u201c\u201d\u2022\u2013\u2014\u02dc\u2122\u0161\u203a\u0153\u009d\u017e\u0178';
+
+/**
+ * Decode a page body with its detected charset, falling back to UTF-8 for unknown labels
+ * @param {Buffer} body
+ * @param {string} contentType
+ * @returns {{ text: string, charset: string }}
+ */
+function decodeBody(body, contentType) {
+  const charset = detectCharset(body, contentType);
+  try {
+    // TextDecoder strips a matching BOM
+    const decoder = new TextDecoder(charset);
+    let text = decoder.decode(body);
+    // Browsers treat latin1/ascii labels as windows-1252 too
+    if (decoder.encoding === 'windows-1252') {
+      text = text.replace(/[\u0080-\u009f]/g, ch => WINDOWS_1252_HIGH[ch.charCodeAt(0) - 0x80]);
+    }
+    return { text, charset };
+  } catch (err) {
+    logger.warn('[Fetcher] Unknown charset, decoding as UTF-8', { charset });
+    return { text: new TextDecoder('utf-8').decode(body), charset: 'utf-8' };
+  }
+}
+
+/**
+ * Perform a single request (no redirect handling). timeoutMs bounds the whole request, from
+ * connecting to the last body byte, so a server sending a trickle of bytes can't hold it open.
+ * @returns {Promise<Object>} { status, headers, body: Buffer }
+ */
+function requestOnce(url, { method = 'GET', headers, body, timeoutMs, maxBytes }) {
+  return new Promise((settleResolve, settleReject) => {
+    let deadline = null;
+    const resolve = (value) => { clearTimeout(deadline); settleResolve(value); };
+    const reject = (err) => { clearTimeout(deadline); settleReject(err); };
+
+    const client = url.protocol === 'https:' ? https : http;
+    const req = client.request(url, {
+      method,
+      headers: {
+        'user-agent': DEFAULT_USER_AGENT,
+        'accept': 'text/html,application/xhtml+xml;q=0.9,*/*;q=0.8',
+        ...headers,
+        'accept-encoding': 'gzip, deflate, br',
+      },
+      lookup: safeLookup,
+    }, (res) => {
+      const status = res.statusCode;
+
+      // Redirects are followed by the caller after re-validating the target
+      if (status >= 300 && status < 400) {
+        res.resume();
+        return resolve({ status, headers: res.headers, body: Buffer.alloc(0) });
+      }
+
+      let stream = res;
+      const encoding = (res.headers['content-encoding'] || '').toLowerCase();
+      if (encoding === 'gzip' || encoding === 'x-gzip') stream = res.pipe(zlib.createGunzip());
+      else if (encoding === 'deflate') stream = res.pipe(zlib.createInflate());
+      else if (encoding === 'br') stream = res.pipe(zlib.createBrotliDecompress());
+
+      const chunks = [];
+      let size = 0;
+      stream.on('data', (chunk) => {
+        size += chunk.length;
+        if (size > maxBytes) {
+          req.destroy();
+          reject(fetchError(`Page is larger than the ${Math.round(maxBytes / 1024)}KB limit`, 413));
+          return;
+        }
+        chunks.push(chunk);
+      });
+      stream.on('end', () => resolve({ status, headers: res.headers, body: Buffer.concat(chunks) }));
+      stream.on('error', (err) => reject(fetchError(`Failed to read page: ${err.message}`, 502)));
+    });
+
+    deadline = setTimeout(() => {
+      reject(fetchError(`Timed out fetching page after ${timeoutMs}ms`, 504));
+      req.destroy();
+    }, timeoutMs);
+    req.on('error', (err) => {
+      reject(err.status ? err : fetchError(`Failed to fetch page: ${err.message}`, 502));
+    });
+    req.end(body);
+  });
+}
+
+/**
+ * Fetch a public web page, following redirects safely
+ * Each redirect target is re-validated, and cookies/authorization are dropped when a redirect
+ * leaves the original origin.
+ * @param {string} rawUrl - Page URL
+ * @param {Object} [options]
+ * @param {string} [options.userAgent] - User-Agent header (default: FETCH_USER_AGENT)
+ * @param {Object} [options.headers] - Extra request headers
+ * @param {string|Object} [options.cookies] - Cookie header string or name → value map
+ * @param {number} [options.timeoutMs] - Total time allowed for each request, including its body (capped at 60s)
+ * @param {number} [options.maxBytes] - Maximum decoded body size (capped at FETCH_MAX_BYTES)
+ * @returns {Promise<Object>} - { html, finalUrl, status, contentType, charset }
+ * @throws {Error} with status 400 (blocked URL), 413 (too large), 415 (not a text page),
+ *   502 (upstream error) or 504 (timeout)
+ */
+async function fetchPage(rawUrl, { userAgent, headers, cookies, timeoutMs = FETCH_TIMEOUT_MS, maxBytes = FETCH_MAX_BYTES } = {}) {
+  let url = assertPublicUrl(rawUrl);
+  const origin = url.origin;
+  let requestHeaders = buildRequestHeaders({ userAgent, headers, cookies });
+  const limits = {
+    timeoutMs: Math.min(timeoutMs, FETCH_MAX_TIMEOUT_MS),
+    maxBytes: Math.min(maxBytes, FETCH_MAX_BYTES),
+  };
+
+  for (let redirects = 0; ; redirects++) {
+    const response = await requestOnce(url, { headers: requestHeaders, ...limits });
+
+    if (response.status >= 300 && response.status < 400 && response.headers.location) {
+      if (redirects >= MAX_REDIRECTS) {
+        throw fetchError('Too many redirects', 502);
+      }
+      url = assertPublicUrl(new URL(response.headers.location, url).toString());
+      if (url.origin !== origin) {
+        requestHeaders = { ...requestHeaders };
+        CREDENTIAL_HEADERS.forEach(name => delete requestHeaders[name]);
+      }
+      continue;
+    }
+
+    if (response.status >= 400) {
+      throw fetchError(`Page returned HTTP ${response.status}`, 502);
+    }
+
+    const contentType = response.headers['content-type'] || '';
+    if (contentType && !TEXT_CONTENT_TYPE.test(contentType)) {
+      throw fetchError(`Unsupported content type: ${contentType.split(';')[0]}`, 415);
+    }
+
+    const { text, charset } = decodeBody(response.body, contentType);
+    logger.info('[Fetcher] Page fetched', {
+      url: url.toString(),
+      status: response.status,
+      contentType,
+      charset,
+      sizeBytes: response.body.length,
+      redirects,
+    });
+
+    return {
+      html: text,
+      finalUrl: url.toString(),
+      status: response.status,
+      contentType,
+      charset,
+    };
+  }
+}
+
+/**
+ * POST a JSON body to a public URL (redirects are not followed)
+ * @param {string} rawUrl - Target URL
+ * @param {Object} payload - JSON body
+ * @param {Object} [options]
+ * @param {Object} [options.headers] - Extra request headers
+ * @param {number} [options.timeoutMs] - Request timeout
+ * @returns {Promise<Object>} - { status }
+ * @throws {Error} with status 400 (blocked URL), 502 (network error or non-2xx response) or 504 (timeout)
+ */
+async function postJson(rawUrl, payload, { headers = {}, timeoutMs = FETCH_TIMEOUT_MS } = {}) {
+  const url = assertPublicUrl(rawUrl);
+  const body = JSON.stringify(payload);
+
+  const response = await requestOnce(url, {
+    method: 'POST',
+    headers: {
+      ...buildRequestHeaders({ headers }),
+      'content-type': 'application/json',
+      'content-length': Buffer.byteLength(body),
+      'accept': '*/*',
+    },
+    body,
+    timeoutMs,
+    maxBytes: 64 * 1024,
+  });
+
+  if (response.status < 200 || response.status >= 300) {
+    throw fetchError(`Webhook returned HTTP ${response.status}`, 502);
+  }
+
+  return { status: response.status };
+}
+
+module.exports = {
+  FETCH_MAX_BYTES,
+  FETCH_MAX_TIMEOUT_MS,
+  fetchPage,
+  postJson,
+  assertPublicUrl,
+  isBlockedAddress,
+  safeLookup,
+  detectCharset,
+};
@@ -0,0 +1,244 @@
+const { supabase } = require('./supabase-service');
+const logger = require('../utils/logger');
+
+/**
+ * Plan Catalog
+ *
+ * Plans live in the plans table (migrations/add_plans.sql) so quotas and prices change without a
+ * deploy. The catalog is loaded at startup and refreshed every PLANS_REFRESH_INTERVAL_MS; lookups
+ * are synchronous and read the cached copy. Until the first load succeeds the built-in plans
+ * (the rows the migration seeds) apply.
+ *
+ * users.plan and organizations.plan hold a plan id. The default plan is given to new accounts
+ * and canceled subscriptions, and its quota applies while a payment is past due.
+ * A plan without a Stripe price in the table uses STRIPE_<ID>_PRICE_ID as its monthly price.
+ * Features (PLAN_FEATURES) are only included when the plan's features set them to true.
+ */
+
+const BILLING_INTERVALS = ['monthly', 'annual'];
+const PLAN_FEATURES = ['schedules', 'webhooks', 'apiKeys'];
+const REFRESH_INTERVAL_MS = parseInt(process.env.PLANS_REFRESH_INTERVAL_MS, 10) || 5 * 60 * 1000;
+
+const ALL_FEATURES = Object.fromEntries(PLAN_FEATURES.map(feature => [feature, true]));
+
+let plans = [
+  { id: 'FREE', name: 'Free', scrapes_per_month: 5, is_default: true, features: ALL_FEATURES, sort_order: 0 },
+  { id: 'STARTER', name: 'Starter', scrapes_per_month: 250, features: ALL_FEATURES, sort_order: 1 },
+  { id: 'PRO', name: 'Pro', scrapes_per_month: 999999, features: ALL_FEATURES, sort_order: 2 },
+].map(normalizePlan);
+
+let refreshTimer = null;
+
+/**
+ * Fill in defaults for a plan row
+ * @param {Object} row - plans row
+ * @returns {Object} Plan
+ */
+function normalizePlan(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    description: row.description ?? null,
+    stripe_price_monthly: row.stripe_price_monthly || process.env[`STRIPE_${row.id}_PRICE_ID`] || null,
+    stripe_price_annual: row.stripe_price_annual || null,
+    scrapes_per_month: row.scrapes_per_month,
+    max_export_rows: row.max_export_rows ?? null,
+    allowed_models: row.allowed_models?.length ? row.allowed_models : null,
+    features: row.features || {},
+    is_default: Boolean(row.is_default),
+    active: row.active !== false,
+    sort_order: row.sort_order ?? 0,
+  };
+}
+
+/**
+ * Load the catalog from the plans table into the cache
+ * @returns {Promise<Array<Object>>} Plans
+ * @throws {Error} when the table can't be read or has no default plan (the cache is kept)
+ */
+async function loadPlans() {
+  const { data, error } = await supabase
+    .from('plans')
+    .select('*')
+    .order('sort_order', { ascending: true });
+
+  if (error) {
+    throw new Error(`Failed to load plans: ${error.message}`);
+  }
+  if (!data || !data.some(row => row.is_default)) {
+    throw new Error('The plan catalog has no default plan');
+  }
+
+  plans = data.map(normalizePlan);
+  logger.info('[Plans] Plan catalog loaded', { plans: plans.map(plan => plan.id) });
+  return plans;
+}
+
+/**
+ * Load the catalog now and refresh it periodically (failures keep the cached catalog)
+ */
+function startPlanRefresh() {
+  if (refreshTimer) return;
+
+  const refresh = () => loadPlans().catch((err) => {
+    logger.error('[Plans] Failed to refresh plan catalog, keeping the cached one', { error: err.message });
+  });
+
+  refresh();
+  refreshTimer = setInterval(refresh, REFRESH_INTERVAL_MS);
+  refreshTimer.unref();
+}
+
+function stopPlanRefresh() {
+  clearInterval(refreshTimer);
+  refreshTimer = null;
+}
+
+/**
+ * Plans offered to customers, in display order
+ * @returns {Array<Object>}
+ */
+function listPlans() {
+  return plans.filter(plan => plan.active);
+}
+
+/**
+ * @param {string} planId
+ * @returns {Object|null} Plan, also when inactive
+ */
+function getPlan(planId) {
+  return plans.find(plan => plan.id === planId) || null;
+}
+
+/**
+ * Plan of new accounts and canceled subscriptions
+ * @returns {Object}
+ */
+function getDefaultPlan() {
+  return plans.find(plan => plan.is_default) || plans[0];
+}
+
+/**
+ * Find the plan a Stripe price belongs to
+ * @param {string} priceId
+ * @returns {{ plan: Object, interval: 'monthly'|'annual' }|null}
+ */
+function getPlanByPriceId(priceId) {
+  if (!priceId) return null;
+  for (const plan of plans) {
+    if (plan.stripe_price_monthly === priceId) return { plan, interval: 'monthly' };
+    if (plan.stripe_price_annual === priceId) return { plan, interval: 'annual' };
+  }
+  return null;
+}
+
+/**
+ * @param {Object} plan
+ * @param {'monthly'|'annual'} interval
+ * @returns {string|null} Stripe price id
+ */
+function getPriceId(plan, interval) {
+  return interval === 'annual' ? plan.stripe_price_annual : plan.stripe_price_monthly;
+}
+
+/**
+ * Plan of a user or organization row; accounts on a plan missing from the catalog get the
+ * default plan's models, row limit and features
+ * @param {Object} account - User or organization row
+ * @returns {Object}
+ */
+function getAccountPlan(account) {
+  return getPlan(account.plan) || getDefaultPlan();
+}
+
+/**
+ * Monthly scrape quota of a user or organization row: the default plan's while a payment is past
+ * due, otherwise its plan's (the row's plan_limits_scrapes for plans missing from the catalog).
+ * Mirrors increment_usage_if_allowed.
+ * @param {Object} account - User or organization row
+ * @returns {number}
+ */
+function getScrapeLimit(account) {
+  if (account.subscription_status === 'past_due') {
+    return getDefaultPlan().scrapes_per_month;
+  }
+  return getPlan(account.plan)?.scrapes_per_month ?? account.plan_limits_scrapes;
+}
+
+/**
+ * @param {Object} plan
+ * @param {string} model - Requested model
+ * @returns {boolean}
+ */
+function isModelAllowed(plan, model) {
+  return !plan.allowed_models || plan.allowed_models.includes(model);
+}
+
+/**
+ * Model a request runs with under the plan: the requested model when the plan allows it (or the
+ * default one); without a requested model, the plan's first model when it excludes the default
+ * @param {Object} plan
+ * @param {string} [requestedModel]
+ * @param {string} defaultModel - LLM_DEFAULT_MODEL
+ * @returns {string|undefined} undefined: the default model
+ * @throws {Error} status 403 when the plan does not include the requested model
+ */
+function resolvePlanModel(plan, requestedModel, defaultModel) {
+  if (isModelAllowed(plan, requestedModel || defaultModel)) return requestedModel;
+  if (!requestedModel) return plan.allowed_models[0];
+
+  const error = new Error(`The ${plan.name} plan does not include the model ${requestedModel}`);
+  error.status = 403;
+  throw error;
+}
+
+/**
+ * Features are only included when the plan sets them to true, so a feature added later is off
+ * until plans turn it on
+ * @param {Object} plan
+ * @param {string} feature - One of PLAN_FEATURES
+ * @returns {boolean}
+ */
+function hasFeature(plan, feature) {
+  return plan.features[feature] === true;
+}
+
+/**
+ * Map a plan to its public representation (Stripe price ids stay private)
+ * @param {Object} plan
+ * @returns {Object}
+ */
+function toPlanResponse(plan) {
+  return {
+    id: plan.id,
+    name: plan.name,
+    description: plan.description,
+    scrapesPerMonth: plan.scrapes_per_month,
+    maxExportRows: plan.max_export_rows,
+    allowedModels: plan.allowed_models,
+    features: {
+      ...plan.features,
+      ...Object.fromEntries(PLAN_FEATURES.map(feature => [feature, hasFeature(plan, feature)])),
+    },
+    intervals: BILLING_INTERVALS.filter(interval => getPriceId(plan, interval)),
+    isDefault: plan.is_default,
+  };
+}
+
+module.exports = {
+  BILLING_INTERVALS,
+  PLAN_FEATURES,
+  loadPlans,
+  startPlanRefresh,
+  stopPlanRefresh,
+  listPlans,
+  getPlan,
+  getDefaultPlan,
+  getPlanByPriceId,
+  getPriceId,
+  getAccountPlan,
+  getScrapeLimit,
+  resolvePlanModel,
+  hasFeature,
+  toPlanResponse,
+};
@@ -0,0 +1,88 @@
+const crypto = require('crypto');
+const { redisClient, isRedisConnected } = require('./redis-service');
+const logger = require('../utils/logger');
+
+/**
+ * Extraction Result Cache
+ *
+ * Model extractions are cached in Redis keyed by a hash of everything that determines the
+ * output: the content sent to the model (whitespace-normalized), instruction, model, schema,
+ * item cap, evidence mode and, in link-preserving mode, the base URL the links are resolved against.
+ * Scraping the same page twice within the TTL returns the stored rows without calling the model.
+ * Results are cached per user: a `cached` response would otherwise tell one user what another
+ * recently extracted.
+ */
+
+const RESULT_CACHE_PREFIX = 'scrape:result:';
+const RESULT_CACHE_TTL = parseInt(process.env.RESULT_CACHE_TTL_SECONDS || '3600', 10);
+
+/**
+ * Cache key for an extraction
+ * @param {Object} request
+ * @param {string} request.userId - Owner of the cached result
+ * @param {string} request.content - Content sent to the model (after cleaning and URL stripping)
+ * @param {string} request.instruction
+ * @param {string} [request.model]
+ * @param {Array<Object>} [request.schema]
+ * @param {number} [request.maxItems]
+ * @param {string} [request.baseUrl] - Only relevant when links are preserved
+ * @param {boolean} [request.evidence] - Rows carry per-field evidence
+ * @returns {string}
+ */
+function resultCacheKey({ userId, content, instruction, model, schema, maxItems, baseUrl, evidence }) {
+  const hash = crypto.createHash('sha256')
+    .update(JSON.stringify({
+      content: content.replace(/\s+/g, ' ').trim(),
+      instruction: (instruction || '').trim(),
+      model: model || null,
+      schema: schema || null,
+      maxItems: maxItems || null,
+      baseUrl: baseUrl || null,
+      evidence: Boolean(evidence),
+    }))
+    .digest('hex');
+  return `${RESULT_CACHE_PREFIX}${userId}:${hash}`;
+}
+
+/**
+ * Get cached rows
+ * @param {string} key
+ * @returns {Promise<Array<Object>|null>}
+ */
+async function getCachedResult(key) {
+  if (!isRedisConnected()) return null;
+
+  try {
+    const data = await redisClient.get(key);
+    if (data) {
+      logger.debug('[ResultCache] Hit:', key);
+      return JSON.parse(data);
+    }
+    return null;
+  } catch (error) {
+    logger.error('[ResultCache] Get error:', error);
+    return null;
+  }
+}
+
+/**
+ * Store rows (empty results are not cached, they are often transient)
+ * @param {string} key
+ * @param {Array<Object>} data
+ */
+async function setCachedResult(key, data) {
+  if (!isRedisConnected() || data.length === 0) return;
+
+  try {
+    await redisClient.set(key, JSON.stringify(data), { EX: RESULT_CACHE_TTL });
+    logger.debug('[ResultCache] Saved:', key);
+  } catch (error) {
+    logger.error('[ResultCache] Set error:', error);
+  }
+}
+
+module.exports = {
+  resultCacheKey,
+  getCachedResult,
+  setCachedResult,
+};
@@ -0,0 +1,130 @@
+const cronParser = require('cron-parser');
+const { supabase } = require('./supabase-service');
+const logger = require('../utils/logger');
+
+const SCHEDULE_MIN_INTERVAL_MINUTES = parseInt(process.env.SCHEDULE_MIN_INTERVAL_MINUTES || '15', 10);
+
+/**
+ * Check that a timezone name is known to the runtime
+ * @param {string} timezone - IANA timezone (e.g. "Europe/Paris")
+ * @returns {boolean}
+ */
+function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * Compute the next run time of a cron expression
+ * @param {string} cron - 5-field cron expression
+ * @param {string} [timezone] - IANA timezone the expression is evaluated in (default: UTC)
+ * @param {Date} [from] - Compute the first run strictly after this time
+ * @returns {Date}
+ */
+function computeNextRun(cron, timezone = 'UTC', from = new Date()) {
+  return cronParser.parseExpression(cron, { currentDate: from, tz: timezone }).next().toDate();
+}
+
+/**
+ * Validate a cron expression and timezone for a schedule
+ * Rejects expressions that would run more often than SCHEDULE_MIN_INTERVAL_MINUTES.
+ * @param {string} cron
+ * @param {string} [timezone]
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateCron(cron, timezone = 'UTC') {
+  if (!isValidTimezone(timezone)) {
+    return `Unknown timezone: ${timezone}`;
+  }
+  if (cron.trim().split(/\s+/).length !== 5) {
+    return 'Cron expression must have 5 fields (minute hour day-of-month month day-of-week)';
+  }
+
+  let interval;
+  try {
+    interval = cronParser.parseExpression(cron, { tz: timezone });
+  } catch (err) {
+    return `Invalid cron expression: ${err.message}`;
+  }
+
+  // Check the gap between a sample of upcoming runs
+  let previous = interval.next().getTime();
+  for (let i = 0; i < 24; i++) {
+    const next = interval.next().getTime();
+    if (next - previous < SCHEDULE_MIN_INTERVAL_MINUTES * 60 * 1000) {
+      return `Schedules cannot run more often than every ${SCHEDULE_MIN_INTERVAL_MINUTES} minutes`;
+    }
+    previous = next;
+  }
+
+  return null;
+}
+
+/**
+ * Fetch a schedule owned by the user
+ * @param {string} userId - User UUID
+ * @param {string} scheduleId - Schedule UUID
+ * @returns {Promise<Object|null>} Schedule row or null when not found
+ * @throws {Error} On database errors
+ */
+async function getScheduleForUser(userId, scheduleId) {
+  const { data, error } = await supabase
+    .from('scheduled_scrapes')
+    .select('*')
+    .eq('id', scheduleId)
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (error) {
+    logger.error('[Schedules] Error fetching schedule:', error);
+    throw new Error('Failed to load schedule');
+  }
+
+  return data;
+}
+
+/**
+ * Map a schedule row to its API representation
+ * @param {Object} row - Schedule row
+ * @returns {Object}
+ */
+function toScheduleResponse(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    url: row.url,
+    instruction: row.instruction,
+    templateId: row.template_id,
+    model: row.model,
+    maxItems: row.max_items,
+    cron: row.cron,
+    timezone: row.timezone,
+    destination: {
+      type: row.destination_type,
+      ...(row.spreadsheet_id && { spreadsheetId: row.spreadsheet_id }),
+      ...(row.tab_name && { tabName: row.tab_name }),
+      ...(row.webhook_url && { url: row.webhook_url }),
+    },
+    enabled: row.enabled,
+    nextRunAt: row.next_run_at,
+    lastRunAt: row.last_run_at,
+    lastStatus: row.last_status,
+    lastError: row.last_error,
+    lastItemCount: row.last_item_count,
+    failureCount: row.failure_count,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+module.exports = {
+  SCHEDULE_MIN_INTERVAL_MINUTES,
+  computeNextRun,
+  validateCron,
+  getScheduleForUser,
+  toScheduleResponse,
+};
@@ -0,0 +1,324 @@
+const { supabase } = require('./supabase-service');
+const { fetchPage, postJson } = require('./page-fetcher');
+const { runScrape } = require('./scrape-pipeline');
+const { createSpreadsheet, appendToSpreadsheet, generateSheetName } = require('./sheets-service');
+const { withGoogleToken } = require('./google-token-service');
+const { getTemplateForUser, applyTemplate } = require('./template-service');
+const { computeNextRun } = require('./schedule-service');
+const { getActiveOrganization } = require('./organization-service');
+const { usageAccount, resetMonthlyUsageIfNeeded, incrementUsageIfAllowed } = require('../utils/usage');
+const { createTokenUsage, mergeTokenUsage, activityTokenFields } = require('../utils/token-cost');
+const { recordModelUsage } = require('./token-usage-service');
+const { getAccountPlan, getScrapeLimit, hasFeature, resolvePlanModel } = require('./plan-service');
+const { signPayload } = require('./webhook-service');
+const { DEFAULT_MODEL } = require('./llm-providers');
+const logger = require('../utils/logger');
+
+/**
+ * Scheduled Scrapes
+ *
+ * Every instance polls scheduled_scrapes for due rows. A run is claimed by moving its
+ * next_run_at forward with a conditional update (only one instance wins), then the page is
+ * fetched server-side, extracted with the regular pipeline and sent to its destination:
+ * a new spreadsheet, an existing spreadsheet (append) or a webhook. Webhook requests carry an
+ * X-Webhook-Signature header like webhook endpoints (see webhook-service), signed with the
+ * schedule's webhook_secret.
+ */
+
+const POLL_INTERVAL_MS = parseInt(process.env.SCHEDULER_POLL_INTERVAL_MS || '60000', 10);
+const MAX_CONSECUTIVE_FAILURES = parseInt(process.env.SCHEDULE_MAX_FAILURES || '5', 10);
+const BATCH_SIZE = 10;
+
+let schedulerRunning = false;
+let schedulerLoop = null;
+let wakeUp = null;
+
+const sleep = (ms) => new Promise(resolve => {
+  const timer = setTimeout(resolve, ms);
+  wakeUp = () => {
+    clearTimeout(timer);
+    resolve();
+  };
+});
+
+/**
+ * Claim a due schedule by advancing next_run_at (compare-and-set on the old value)
+ * @param {Object} schedule - Schedule row
+ * @returns {Promise<Object|null>} Claimed row, or null if another instance claimed it first
+ */
+async function claimSchedule(schedule) {
+  const now = new Date();
+  const { data, error } = await supabase
+    .from('scheduled_scrapes')
+    .update({
+      next_run_at: computeNextRun(schedule.cron, schedule.timezone, now).toISOString(),
+      last_run_at: now.toISOString(),
+      last_status: 'running',
+    })
+    .eq('id', schedule.id)
+    .eq('next_run_at', schedule.next_run_at)
+    .select()
+    .maybeSingle();
+
+  if (error) {
+    logger.error('[Scheduler] Failed to claim schedule', { scheduleId: schedule.id, error: error.message });
+    return null;
+  }
+  return data;
+}
+
+/**
+ * Send extracted rows to the schedule's destination
+ * @param {Object} tokenUsage - Token usage record for sheet naming and formatting
+ * @returns {Promise<Object>} - { sheetName, spreadsheetId, spreadsheetUrl } (nulls for webhooks)
+ */
+async function deliver(schedule, user, data, { instruction, smartFormatting }, tokenUsage) {
+  const runAt = new Date().toISOString();
+
+  if (schedule.destination_type === 'webhook') {
+    const payload = {
+      scheduleId: schedule.id,
+      name: schedule.name,
+      url: schedule.url,
+      runAt,
+      itemCount: data.length,
+      data,
+    };
+    await postJson(schedule.webhook_url, payload, {
+      headers: { 'x-webhook-signature': signPayload(schedule.webhook_secret, JSON.stringify(payload)) },
+    });
+    return { sheetName: schedule.name, spreadsheetId: null, spreadsheetUrl: null };
+  }
+
+  if (!user.google_provider_token) {
+    throw new Error('Google authentication not found. Please sign in again to reconnect Google Sheets.');
+  }
+
+  if (schedule.destination_type === 'append_sheet') {
+    const result = await withGoogleToken(user.id, user.google_provider_token, (token) =>
+      appendToSpreadsheet(token, schedule.spreadsheet_id, schedule.tab_name || undefined, data)
+    );
+    return { sheetName: result.title, spreadsheetId: result.spreadsheetId, spreadsheetUrl: result.spreadsheetUrl };
+  }
+
+  const sheetName = await generateSheetName(data, instruction, tokenUsage);
+  const result = await withGoogleToken(user.id, user.google_provider_token, (token) =>
+    createSpreadsheet(token, sheetName, data, smartFormatting ?? true, { tokenUsage })
+  );
+  return { sheetName, spreadsheetId: result.spreadsheetId, spreadsheetUrl: result.spreadsheetUrl };
+}
+
+/**
+ * Record the outcome of a run on the schedule row
+ */
+async function finishRun(schedule, changes) {
+  const { error } = await supabase
+    .from('scheduled_scrapes')
+    .update({ ...changes, updated_at: new Date().toISOString() })
+    .eq('id', schedule.id);
+
+  if (error) {
+    logger.error('[Scheduler] Failed to record run result', { scheduleId: schedule.id, error: error.message });
+  }
+}
+
+/**
+ * Run one schedule: fetch → extract → count usage → deliver → log activity
+ * @param {Object} schedule - Claimed schedule row
+ */
+async function runSchedule(schedule) {
+  const userId = schedule.user_id;
+  logger.info('[Scheduler] Running schedule', { scheduleId: schedule.id, userId, url: schedule.url });
+
+  try {
+    const { data: user, error: userError } = await supabase
+      .from('users')
+      .select('*')
+      .eq('id', userId)
+      .single();
+
+    if (userError || !user) {
+      throw new Error('User profile not found');
+    }
+
+    // Runs count against the user's active organization, like their requests
+    const organization = await getActiveOrganization(user);
+    const account = usageAccount(user, organization);
+
+    // Skip cheaply when the account is already at its limit (the atomic check below is authoritative)
+    await resetMonthlyUsageIfNeeded(supabase, account.row, account.id, account.table);
+    if (account.row.usage_this_month >= getScrapeLimit(account.row)) {
+      logger.warn('[Scheduler] Skipping run, usage limit reached', { scheduleId: schedule.id, userId });
+      return finishRun(schedule, { last_status: 'skipped', last_error: 'Monthly limit reached' });
+    }
+
+    // The plan may have changed since the schedule was created
+    const plan = getAccountPlan(account.row);
+    if (!hasFeature(plan, 'schedules')) {
+      logger.warn('[Scheduler] Skipping run, plan does not include schedules', { scheduleId: schedule.id, plan: plan.id });
+      return finishRun(schedule, { last_status: 'skipped', last_error: `The ${plan.name} plan does not include scheduled scrapes` });
+    }
+
+    let options = {
+      instruction: schedule.instruction ?? undefined,
+      model: schedule.model ?? undefined,
+      maxItems: schedule.max_items ?? undefined,
+    };
+    if (schedule.template_id) {
+      const template = await getTemplateForUser(userId, schedule.template_id, organization?.id);
+      if (template) options = applyTemplate(options, template);
+    }
+    if (!options.instruction) {
+      throw new Error('Template not found and no instruction set');
+    }
+    options.model = resolvePlanModel(plan, options.model, DEFAULT_MODEL);
+    if (plan.max_export_rows) {
+      options.maxItems = Math.min(options.maxItems ?? plan.max_export_rows, plan.max_export_rows);
+    }
+
+    const page = await fetchPage(schedule.url);
+    const { data, tokenUsage: scrapeTokens } = await runScrape({
+      html: page.html,
+      isHtml: true,
+      instruction: options.instruction,
+      model: options.model,
+      maxItems: options.maxItems,
+      schema: options.schema,
+      userId,
+    });
+
+    if (data.length === 0) {
+      logger.info('[Scheduler] Run extracted no rows, nothing delivered', { scheduleId: schedule.id });
+      return finishRun(schedule, { last_status: 'completed', last_error: null, last_item_count: 0, failure_count: 0 });
+    }
+
+    const usageCheck = await incrementUsageIfAllowed(supabase, userId);
+    if (usageCheck.error) {
+      logger.warn('[Scheduler] Run not delivered', { scheduleId: schedule.id, error: usageCheck.error });
+      return finishRun(schedule, { last_status: 'skipped', last_error: usageCheck.error });
+    }
+
+    const exportTokens = createTokenUsage();
+    const { sheetName, spreadsheetId, spreadsheetUrl } = await deliver(schedule, user, data, options, exportTokens);
+    await recordModelUsage(userId, 'export', exportTokens);
+
+    const { error: activityError } = await supabase
+      .from('activities')
+      .insert({
+        user_id: userId,
+        organization_id: organization?.id || null,
+        sheet_name: sheetName,
+        spreadsheet_url: spreadsheetUrl,
+        spreadsheet_id: spreadsheetId,
+        item_count: data.length,
+        instruction: options.instruction,
+        template_id: schedule.template_id || null,
+        scheduled_scrape_id: schedule.id,
+        ...activityTokenFields(mergeTokenUsage(mergeTokenUsage(createTokenUsage(), scrapeTokens), exportTokens)),
+        timestamp: new Date().toISOString(),
+      });
+
+    if (activityError) {
+      logger.error('[Scheduler] Failed to save activity:', activityError);
+    }
+
+    logger.info('[Scheduler] Schedule run complete', { scheduleId: schedule.id, itemCount: data.length });
+    await finishRun(schedule, {
+      last_status: 'completed',
+      last_error: null,
+      last_item_count: data.length,
+      failure_count: 0,
+    });
+  } catch (err) {
+    const failureCount = (schedule.failure_count || 0) + 1;
+    const disable = failureCount >= MAX_CONSECUTIVE_FAILURES;
+
+    logger.error('[Scheduler] Schedule run failed', {
+      scheduleId: schedule.id,
+      error: err.message,
+      failureCount,
+      disabled: disable,
+    });
+
+    await finishRun(schedule, {
+      last_status: 'failed',
+      last_error: err.message,
+      failure_count: failureCount,
+      ...(disable && { enabled: false }),
+    });
+  }
+}
+
+/**
+ * Claim and run every schedule that is due
+ */
+async function runDueSchedules() {
+  const { data: due, error } = await supabase
+    .from('scheduled_scrapes')
+    .select('*')
+    .eq('enabled', true)
+    .lte('next_run_at', new Date().toISOString())
+    .order('next_run_at', { ascending: true })
+    .limit(BATCH_SIZE);
+
+  if (error) {
+    logger.error('[Scheduler] Failed to load due schedules', { error: error.message });
+    return;
+  }
+
+  for (const schedule of due || []) {
+    if (!schedulerRunning) break;
+
+    const claimed = await claimSchedule(schedule);
+    if (claimed) await runSchedule(claimed);
+  }
+}
+
+async function pollSchedules() {
+  while (schedulerRunning) {
+    try {
+      await runDueSchedules();
+    } catch (err) {
+      logger.error('[Scheduler] Poll failed', { error: err.message });
+    }
+    if (schedulerRunning) await sleep(POLL_INTERVAL_MS);
+  }
+}
+
+/**
+ * Start polling for due schedules
+ */
+function startScheduler() {
+  if (schedulerRunning) return;
+
+  schedulerRunning = true;
+  schedulerLoop = pollSchedules();
+  logger.info('[Scheduler] Started', { pollIntervalMs: POLL_INTERVAL_MS });
+}
+
+/**
+ * Stop polling and wait for the run in progress (if any) to finish
+ * @param {number} timeoutMs - How long to wait for the current run
+ */
+async function stopScheduler(timeoutMs = 15000) {
+  if (!schedulerRunning) return;
+
+  schedulerRunning = false;
+  if (wakeUp) wakeUp();
+
+  let timer;
+  await Promise.race([
+    schedulerLoop,
+    new Promise(resolve => { timer = setTimeout(resolve, timeoutMs); }),
+  ]);
+  clearTimeout(timer);
+
+  logger.info('[Scheduler] Stopped');
+}
+
+module.exports = {
+  runSchedule,
+  runDueSchedules,
+  startScheduler,
+  stopScheduler,
+};
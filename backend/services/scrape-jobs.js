@@ -0,0 +1,330 @@
+const crypto = require('crypto');
+const { redisClient, isRedisConnected } = require('./redis-service');
+const { runScrape } = require('./scrape-pipeline');
+const { runMultiPageScrape } = require('./multi-page-scrape');
+const { separateEvidence } = require('../utils/evidence');
+const { emitEvent } = require('./webhook-service');
+const logger = require('../utils/logger');
+
+/**
+ * Asynchronous Scrape Jobs
+ *
+ * Jobs are stored in Redis and processed by an in-process worker on every instance:
+ * - scrape:job:<id>          job record (status, progress, result), kept for JOB_TTL_SECONDS
+ * - scrape:job:<id>:payload  submitted content, deleted once the job finishes
+ * - scrape:job:<id>:lease    held by the worker running the job, refreshed while it runs
+ * - scrape:jobs:queue        ids waiting to run (LPUSH in, LMOVE out from the right)
+ * - scrape:jobs:processing   ids currently running on some worker
+ *
+ * A job whose lease expires (its instance died) is put back on the queue by any worker.
+ */
+
+const JOB_PREFIX = 'scrape:job:';
+const QUEUE_KEY = 'scrape:jobs:queue';
+const PROCESSING_KEY = 'scrape:jobs:processing';
+
+const JOB_TTL = parseInt(process.env.JOB_TTL_SECONDS || '86400', 10); // 24 hours
+const JOB_CONCURRENCY = parseInt(process.env.JOB_CONCURRENCY || '2', 10);
+const MAX_JOB_ATTEMPTS = parseInt(process.env.MAX_JOB_ATTEMPTS || '3', 10);
+const LEASE_TTL = 60; // seconds
+const POLL_INTERVAL_MS = 1000;
+const REAP_INTERVAL_MS = 30000;
+
+const jobKey = (id) => `${JOB_PREFIX}${id}`;
+const payloadKey = (id) => `${JOB_PREFIX}${id}:payload`;
+const leaseKey = (id) => `${JOB_PREFIX}${id}:lease`;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const workerId = crypto.randomUUID();
+const activeJobs = new Map(); // id -> promise
+const leaseTimers = new Map(); // id -> lease refresh interval
+const requeuedOnShutdown = new Set();
+let workerRunning = false;
+let workerLoop = null;
+let lastReapAt = 0;
+
+/**
+ * Create a job and put it on the queue
+ * @param {string} userId - Owner
+ * @param {Object} payload - { html | url | pages, fetchOptions, pagination, maxPages, instruction, model, maxItems, schema }
+ * @returns {Promise<Object>} Job record
+ * @throws {Error} status 503 when Redis is unavailable
+ */
+async function createJob(userId, payload) {
+  if (!isRedisConnected()) {
+    const error = new Error('Job queue is unavailable. Please use synchronous scraping.');
+    error.status = 503;
+    throw error;
+  }
+
+  const now = new Date().toISOString();
+  const job = {
+    id: crypto.randomUUID(),
+    userId,
+    status: 'queued',
+    progress: null,
+    attempts: 0,
+    createdAt: now,
+    updatedAt: now,
+  };
+
+  await redisClient.multi()
+    .set(jobKey(job.id), JSON.stringify(job), { EX: JOB_TTL })
+    .set(payloadKey(job.id), JSON.stringify(payload), { EX: JOB_TTL })
+    .lPush(QUEUE_KEY, job.id)
+    .exec();
+
+  logger.info('[Jobs] Job queued', { jobId: job.id, userId });
+  return job;
+}
+
+/**
+ * Get a job record
+ * @param {string} id - Job id
+ * @returns {Promise<Object|null>}
+ */
+async function getJob(id) {
+  if (!isRedisConnected()) return null;
+
+  const data = await redisClient.get(jobKey(id));
+  return data ? JSON.parse(data) : null;
+}
+
+/**
+ * Merge changes into a job record
+ * @param {string} id - Job id
+ * @param {Object} changes
+ * @returns {Promise<Object|null>} Updated job, or null if it no longer exists
+ */
+async function updateJob(id, changes) {
+  const job = await getJob(id);
+  if (!job) return null;
+
+  const updated = { ...job, ...changes, updatedAt: new Date().toISOString() };
+  await redisClient.set(jobKey(id), JSON.stringify(updated), { EX: JOB_TTL });
+  return updated;
+}
+
+/**
+ * Put a job back on the queue (shutdown or expired lease)
+ * @param {string} id - Job id
+ * @param {string} reason - For logging
+ */
+async function requeueJob(id, reason) {
+  await redisClient.multi()
+    .lRem(PROCESSING_KEY, 0, id)
+    .rPush(QUEUE_KEY, id) // right end: picked up next
+    .del(leaseKey(id))
+    .exec();
+  await updateJob(id, { status: 'queued', progress: null });
+  logger.info('[Jobs] Job requeued', { jobId: id, reason });
+}
+
+/**
+ * Run a single job taken from the queue
+ * @param {string} id - Job id
+ */
+async function processJob(id) {
+  const job = await getJob(id);
+  const rawPayload = await redisClient.get(payloadKey(id));
+
+  if (!job || !rawPayload) {
+    logger.warn('[Jobs] Job or payload expired before processing', { jobId: id });
+    await redisClient.lRem(PROCESSING_KEY, 0, id);
+    return;
+  }
+
+  const payload = JSON.parse(rawPayload);
+  await redisClient.set(leaseKey(id), workerId, { EX: LEASE_TTL });
+  const leaseTimer = setInterval(() => {
+    redisClient.expire(leaseKey(id), LEASE_TTL).catch(err => {
+      logger.error('[Jobs] Failed to refresh lease', { jobId: id, error: err.message });
+    });
+  }, (LEASE_TTL * 1000) / 3);
+  leaseTimers.set(id, leaseTimer);
+
+  await updateJob(id, {
+    status: 'running',
+    attempts: job.attempts + 1,
+    startedAt: new Date().toISOString(),
+  });
+  logger.info('[Jobs] Job started', { jobId: id, attempt: job.attempts + 1 });
+
+  try {
+    const onProgress = (progress) => {
+      updateJob(id, { progress }).catch(err => {
+        logger.error('[Jobs] Failed to record progress', { jobId: id, error: err.message });
+      });
+    };
+
+    const result = payload.pages || payload.pagination
+      ? await runMultiPageScrape({ ...payload, userId: job.userId, onProgress })
+      : await runScrape({ ...payload, userId: job.userId, onProgress });
+    const { data, evidence, flaggedFields } = payload.evidence
+      ? separateEvidence(result.data)
+      : { data: result.data };
+
+    if (requeuedOnShutdown.has(id)) return;
+
+    await updateJob(id, {
+      status: 'completed',
+      data,
+      itemCount: data.length,
+      ...(evidence && { evidence, flaggedFields }),
+      strategy: result.strategy,
+      cached: result.cached,
+      ...(result.repair && { repair: result.repair }),
+      ...(result.pages && { pages: result.pages }),
+      completedAt: new Date().toISOString(),
+    });
+    await redisClient.del(payloadKey(id));
+    logger.info('[Jobs] Job completed', { jobId: id, itemCount: data.length });
+    emitEvent(job.userId, 'scrape.completed', {
+      mode: 'job',
+      jobId: id,
+      url: payload.url || null,
+      itemCount: data.length,
+      strategy: result.strategy,
+      cached: result.cached,
+      ...(result.pages && { pageCount: result.pages.length }),
+    });
+  } catch (err) {
+    if (requeuedOnShutdown.has(id)) return;
+
+    logger.error('[Jobs] Job failed', { jobId: id, error: err.message });
+    await updateJob(id, {
+      status: 'failed',
+      error: err.message,
+      completedAt: new Date().toISOString(),
+    });
+    await redisClient.del(payloadKey(id));
+  } finally {
+    clearInterval(leaseTimer);
+    leaseTimers.delete(id);
+    if (!requeuedOnShutdown.has(id)) {
+      await redisClient.multi()
+        .lRem(PROCESSING_KEY, 0, id)
+        .del(leaseKey(id))
+        .exec();
+    }
+  }
+}
+
+/**
+ * Requeue jobs whose worker stopped refreshing the lease (crashed or killed instance)
+ */
+async function reapExpiredJobs() {
+  const ids = await redisClient.lRange(PROCESSING_KEY, 0, -1);
+
+  for (const id of ids) {
+    if (activeJobs.has(id)) continue;
+    if (await redisClient.exists(leaseKey(id))) continue;
+
+    const job = await getJob(id);
+    if (!job) {
+      await redisClient.lRem(PROCESSING_KEY, 0, id);
+      continue;
+    }
+
+    // The lease is set right after the job is moved; give that window time to pass
+    if (Date.now() - new Date(job.updatedAt).getTime() < LEASE_TTL * 1000) continue;
+
+    if (job.attempts >= MAX_JOB_ATTEMPTS) {
+      await redisClient.multi().lRem(PROCESSING_KEY, 0, id).del(payloadKey(id)).exec();
+      await updateJob(id, {
+        status: 'failed',
+        error: 'Job was interrupted too many times',
+        completedAt: new Date().toISOString(),
+      });
+      logger.warn('[Jobs] Job abandoned after repeated interruptions', { jobId: id });
+      continue;
+    }
+
+    await requeueJob(id, 'lease expired');
+  }
+}
+
+async function pollQueue() {
+  while (workerRunning) {
+    if (!isRedisConnected() || activeJobs.size >= JOB_CONCURRENCY) {
+      await sleep(POLL_INTERVAL_MS);
+      continue;
+    }
+
+    try {
+      if (Date.now() - lastReapAt > REAP_INTERVAL_MS) {
+        lastReapAt = Date.now();
+        await reapExpiredJobs();
+      }
+
+      const id = await redisClient.lMove(QUEUE_KEY, PROCESSING_KEY, 'RIGHT', 'LEFT');
+      if (!id) {
+        await sleep(POLL_INTERVAL_MS);
+        continue;
+      }
+
+      const promise = processJob(id)
+        .catch(err => logger.error('[Jobs] Unexpected worker error', { jobId: id, error: err.message }))
+        .finally(() => activeJobs.delete(id));
+      activeJobs.set(id, promise);
+    } catch (err) {
+      logger.error('[Jobs] Queue poll failed', { error: err.message });
+      await sleep(POLL_INTERVAL_MS);
+    }
+  }
+}
+
+/**
+ * Start the background worker (no-op without Redis)
+ */
+function startWorker() {
+  if (workerRunning) return;
+  if (!redisClient) {
+    logger.info('[Jobs] REDIS_URL not set - scrape job worker disabled');
+    return;
+  }
+
+  workerRunning = true;
+  workerLoop = pollQueue();
+  logger.info('[Jobs] Worker started', { workerId, concurrency: JOB_CONCURRENCY });
+}
+
+/**
+ * Stop taking new jobs, wait for running jobs, then requeue whatever is still running
+ * @param {number} timeoutMs - How long to wait for running jobs to finish
+ */
+async function stopWorker(timeoutMs = 15000) {
+  if (!workerRunning) return;
+
+  workerRunning = false;
+  await workerLoop;
+
+  if (activeJobs.size > 0) {
+    logger.info('[Jobs] Waiting for running jobs to finish', { count: activeJobs.size, timeoutMs });
+    await Promise.race([
+      Promise.allSettled(activeJobs.values()),
+      sleep(timeoutMs),
+    ]);
+  }
+
+  for (const id of activeJobs.keys()) {
+    requeuedOnShutdown.add(id);
+    clearInterval(leaseTimers.get(id));
+    leaseTimers.delete(id);
+    try {
+      await requeueJob(id, 'shutdown');
+    } catch (err) {
+      logger.error('[Jobs] Failed to requeue job on shutdown', { jobId: id, error: err.message });
+    }
+  }
+
+  logger.info('[Jobs] Worker stopped');
+}
+
+module.exports = {
+  createJob,
+  getJob,
+  startWorker,
+  stopWorker,
+};
@@ -0,0 +1,399 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+const { extractData } = require('./ai-extractor');
+const { cleanHTMLString, removeBoilerplate } = require('../utils/html-cleaner');
+const { stripUrls, tokenizeUrls } = require('../utils/url-stripper');
+const { fetchPage } = require('./page-fetcher');
+const { findTables, selectTable } = require('../utils/table-extractor');
+const { extractWithSelectors } = require('../utils/selector-extractor');
+const { extractWithRecipe } = require('./selector-recipes');
+const { resultCacheKey, getCachedResult, setCachedResult } = require('./result-cache');
+const { applyOutputSchema } = require('../utils/output-schema');
+const { createTokenUsage } = require('../utils/token-cost');
+const { recordModelUsage } = require('./token-usage-service');
+
+/**
+ * Scrape Pipeline
+ *
+ * Shared by the synchronous scrape route and background scrape jobs:
+ * submitted content (or a page fetched from url) → cleanHTMLString (HTML only) → stripUrls → extractData
+ *
+ * With preserveLinks, URLs are replaced with [L1]/[I1] tokens instead of being stripped, and
+ * extractData expands the tokens in the model output back to absolute URLs.
+ *
+ * Content that is a plain table is parsed directly instead (see extractTableRows), scrapes
+ * with caller-supplied selectors never use the model (see extractSelectorRows), and the 'recipe'
+ * strategy applies model-written selectors cached per user and site (see selector-recipes): the `strategy`
+ * of a scrape is 'selector', 'recipe', 'table' or 'llm' depending on which produced the rows.
+ * Model results are cached per user by content hash (see result-cache) and flagged `cached` when reused.
+ * Model calls are counted in a token usage record (see utils/token-cost) that runScrape stores in
+ * the token_usage ledger and returns as `tokenUsage`.
+ * In evidence mode every row carries an "_evidence" object (see utils/evidence), so only the
+ * model is used.
+ */
+
+const SCRAPE_STRATEGIES = ['auto', 'table', 'llm', 'recipe'];
+const looksLikeHtml = (content) => /<[a-z][^>]*>/i.test(content);
+const MAX_ITEMS = parseInt(process.env.MAX_ITEMS || '500', 10);
+
+/**
+ * Save a copy of the markdown under logs/markdown for debugging
+ * @param {string} content
+ * @param {string} suffix - File name suffix (e.g. "initial", "sent-to-ai")
+ */
+function saveMarkdownLog(content, suffix) {
+  try {
+    const logsDir = path.join(__dirname, '../logs/markdown');
+    if (!fs.existsSync(logsDir)) {
+      fs.mkdirSync(logsDir, { recursive: true });
+    }
+    const timestamp = new Date().toISOString().replace(/:/g, '-').replace(/\..+/, '');
+    const filePath = path.join(logsDir, `${timestamp}_${suffix}.md`);
+    fs.writeFileSync(filePath, content, 'utf8');
+    logger.info(`[Scrape Pipeline] Markdown saved (${suffix})`, { path: filePath });
+  } catch (err) {
+    logger.error(`[Scrape Pipeline] Failed to save markdown (${suffix})`, { error: err.message });
+  }
+}
+
+/**
+ * Clean submitted content and strip (or tokenize) URLs before it is sent to the AI
+ * @param {string} html - Markdown or HTML from the extension
+ * @param {Object} [context]
+ * @param {string} [context.userId] - For logging
+ * @param {boolean} [context.isHtml] - Content is known to be raw HTML (fetched server-side)
+ * @param {boolean} [context.preserveLinks] - Replace URLs with tokens instead of removing them
+ * @returns {{ content: string, links: Map<string, string>|null }} Content ready for extraction
+ *   and, with preserveLinks, the token → URL map
+ */
+function prepareContent(html, { userId, isHtml = false, preserveLinks = false } = {}) {
+  // Data provided directly from extension (Markdown or cleaned HTML)
+  const isMarkdown = !isHtml && (html.startsWith('#') || html.includes('*') || html.includes('\n'));
+
+  // Calculate sizes in bytes and KB
+  const initialSize = Buffer.byteLength(html, 'utf8');
+  const initialSizeKB = (initialSize / 1024).toFixed(2);
+
+  logger.info(`[Scrape Pipeline] Processing ${isMarkdown ? 'Markdown' : 'HTML'} from extension`, {
+    userId,
+    length: html.length,
+    sizeBytes: initialSize,
+    sizeKB: initialSizeKB
+  });
+
+  saveMarkdownLog(html, 'initial');
+
+  // Skip aggressive HTML cleaning if it's already Markdown
+  let cleanedContent = html;
+  if (!isMarkdown) {
+    cleanedContent = cleanHTMLString(html);
+    logger.info('[Scrape Pipeline] HTML cleaned', { length: cleanedContent.length });
+  }
+
+  // Strip all URLs from the content before sending to AI (or swap them for short tokens)
+  let contentWithoutUrls;
+  let links = null;
+  if (preserveLinks) {
+    ({ content: contentWithoutUrls, links } = tokenizeUrls(cleanedContent));
+  } else {
+    contentWithoutUrls = stripUrls(cleanedContent);
+  }
+
+  // Calculate stripped content sizes
+  const strippedSize = Buffer.byteLength(contentWithoutUrls, 'utf8');
+  const strippedSizeKB = (strippedSize / 1024).toFixed(2);
+  const reduction = ((1 - strippedSize / initialSize) * 100).toFixed(1);
+
+  logger.info(`[Scrape Pipeline] URLs ${preserveLinks ? 'tokenized' : 'stripped'}`, {
+    ...(links && { linkTokens: links.size }),
+    originalLength: cleanedContent.length,
+    strippedLength: contentWithoutUrls.length,
+    originalSizeKB: initialSizeKB,
+    strippedSizeKB: strippedSizeKB,
+    reductionPercent: reduction
+  });
+
+  // Log stripped markdown to file (sent to AI)
+  saveMarkdownLog(contentWithoutUrls, 'sent-to-ai');
+
+  return { content: contentWithoutUrls, links };
+}
+
+/**
+ * Get the content to scrape: the submitted html, or the page at url fetched server-side
+ * @param {Object} source
+ * @param {string} [source.html] - Markdown or HTML from the extension
+ * @param {string} [source.url] - Page to fetch instead
+ * @param {Object} [source.fetchOptions] - userAgent, headers, cookies, timeoutMs, maxBytes
+ * @returns {Promise<{ html: string, isHtml: boolean, sourceUrl: string|null }>}
+ */
+async function loadSource({ html, url, fetchOptions }) {
+  if (!url) {
+    return { html, isHtml: false, sourceUrl: null };
+  }
+
+  const page = await fetchPage(url, fetchOptions);
+  return { html: page.html, isHtml: true, sourceUrl: page.finalUrl };
+}
+
+/**
+ * Extract rows from the tables in the content without the model
+ * @param {string} html - Raw submitted or fetched content (HTML or Markdown)
+ * @param {Object} options
+ * @param {string} [options.strategy] - 'auto' (default): only when a table answers the request,
+ *   'table': always use the largest table, 'llm' and 'recipe': never
+ * @param {string} options.instruction
+ * @param {Array<Object>} [options.schema] - Output column schema
+ * @param {number} [options.maxItems]
+ * @param {boolean} [options.preserveLinks] - Tables only hold text, so 'auto' leaves link scrapes to the model
+ * @param {boolean} [options.evidence] - Table rows have no evidence, so 'auto' leaves evidence scrapes to the model
+ * @returns {Array<Object>|null} Rows, or null when the model should be used
+ * @throws {Error} status 422 when strategy is 'table' and the content has no usable table
+ */
+function extractTableRows(html, { strategy = 'auto', instruction, schema, maxItems, preserveLinks, evidence } = {}) {
+  if (strategy === 'llm' || strategy === 'recipe' || (strategy === 'auto' && (preserveLinks || evidence))) return null;
+
+  const tables = findTables(html);
+  const table = strategy === 'table'
+    ? [...tables].sort((a, b) => b.rows.length - a.rows.length)[0]
+    : selectTable(tables, { instruction, schema });
+
+  let rows = table ? table.rows : [];
+  if (table && schema) {
+    rows = applyOutputSchema(rows, schema).rows;
+  }
+
+  if (rows.length === 0) {
+    if (strategy === 'table') {
+      const error = new Error(table
+        ? 'No table rows match the output schema'
+        : 'No table found in the content');
+      error.status = 422;
+      throw error;
+    }
+    if (tables.length > 0) {
+      logger.info('[Scrape Pipeline] Tables found but none covers the request, using the model', { tables: tables.length });
+    }
+    return null;
+  }
+
+  const itemCap = Math.min(maxItems || MAX_ITEMS, MAX_ITEMS);
+  logger.info('[Scrape Pipeline] Extracted rows from table', {
+    tables: tables.length,
+    headers: table.headers,
+    rows: rows.length,
+  });
+  return rows.slice(0, itemCap);
+}
+
+/**
+ * Extract rows with caller-supplied selectors (boilerplate removed first, structure kept)
+ * @param {string} html - Raw submitted or fetched HTML
+ * @param {Object} options
+ * @param {Object} options.selectors - { type, rows, columns } (see selector-extractor)
+ * @param {Array<Object>} [options.schema] - Output column schema the rows are coerced to
+ * @param {number} [options.maxItems]
+ * @param {string} [options.baseUrl] - Page URL link attributes are resolved against
+ * @returns {Array<Object>}
+ * @throws {Error} status 422 when the content is not HTML
+ */
+function extractSelectorRows(html, { selectors, schema, maxItems, baseUrl }) {
+  if (!looksLikeHtml(html)) {
+    const error = new Error('Selector extraction needs HTML content, not Markdown');
+    error.status = 422;
+    throw error;
+  }
+
+  const itemCap = Math.min(maxItems || MAX_ITEMS, MAX_ITEMS);
+  let rows = extractWithSelectors(removeBoilerplate(html), selectors, { baseUrl, maxItems: itemCap });
+
+  if (schema) {
+    const { rows: valid, invalid } = applyOutputSchema(rows, schema);
+    if (invalid.length > 0) {
+      logger.warn('[Scrape Pipeline] Dropped selector rows that do not match the output schema', {
+        dropped: invalid.length,
+        kept: valid.length,
+      });
+    }
+    rows = valid;
+  }
+
+  logger.info('[Scrape Pipeline] Extracted rows with selectors', { type: selectors.type, rows: rows.length });
+  return rows;
+}
+
+/**
+ * Extract rows without running the model over the content when the request allows it
+ * (selectors, a selector recipe, or a table that answers the request)
+ * @param {string} html - Raw content (HTML or Markdown)
+ * @param {Object} options - See runScrape
+ * @returns {Promise<{ data: Array<Object>, strategy: 'selector'|'recipe'|'table' }|null>} Null when the model is needed
+ */
+async function extractDirect(html, options) {
+  if (options.selectors) {
+    return { data: extractSelectorRows(html, options), strategy: 'selector' };
+  }
+
+  if (options.strategy === 'recipe') {
+    if (!looksLikeHtml(html)) return null;
+    const result = await extractWithRecipe(html, {
+      pageUrl: options.baseUrl,
+      userId: options.userId,
+      instruction: options.instruction,
+      model: options.model,
+      schema: options.schema,
+      maxItems: Math.min(options.maxItems || MAX_ITEMS, MAX_ITEMS),
+      tokenUsage: options.tokenUsage,
+    });
+    return result ? { data: result.data, strategy: 'recipe' } : null;
+  }
+
+  const tableRows = extractTableRows(html, options);
+  return tableRows ? { data: tableRows, strategy: 'table' } : null;
+}
+
+/**
+ * Result cache key for prepared content
+ * @param {string} content - Output of prepareContent
+ * @param {Map<string, string>|null} links - Link tokens (the base URL only matters when present)
+ * @param {Object} options - See runScrape
+ * @returns {string}
+ */
+function cacheKeyFor(content, links, { userId, instruction, model, schema, maxItems, baseUrl, evidence }) {
+  return resultCacheKey({ userId, content, instruction, model, schema, maxItems, baseUrl: links ? baseUrl : null, evidence });
+}
+
+/**
+ * Extract rows from loaded content: with selectors or from a table when possible, otherwise with
+ * the model (or from the result cache, unless noCache is set)
+ * @param {string} html - Raw content (HTML or Markdown)
+ * @param {Object} options - See runScrape
+ * @returns {Promise<{ data: Array<Object>, strategy: 'selector'|'recipe'|'table'|'llm', cached: boolean, repair: Object|null }>}
+ *   repair: rows repaired or dropped by validation (see ai-extractor callModel) when the model ran
+ */
+async function extractFromContent(html, {
+  instruction,
+  model,
+  maxItems,
+  schema,
+  userId,
+  isHtml,
+  preserveLinks,
+  baseUrl,
+  strategy,
+  selectors,
+  noCache,
+  evidence,
+  tokenUsage,
+  onProgress,
+}) {
+  const direct = await extractDirect(html, {
+    strategy,
+    selectors,
+    userId,
+    instruction,
+    model,
+    schema,
+    maxItems,
+    preserveLinks,
+    baseUrl,
+    evidence,
+    tokenUsage,
+  });
+  if (direct) {
+    if (onProgress) onProgress({ completedChunks: 1, totalChunks: 1 });
+    return { ...direct, cached: false, repair: null };
+  }
+
+  const { content, links } = prepareContent(html, { userId, isHtml, preserveLinks });
+
+  const cacheKey = cacheKeyFor(content, links, { userId, instruction, model, schema, maxItems, baseUrl, evidence });
+  if (!noCache) {
+    const cachedData = await getCachedResult(cacheKey);
+    if (cachedData) {
+      logger.info('[Scrape Pipeline] Returning cached extraction', { userId, itemCount: cachedData.length });
+      if (onProgress) onProgress({ completedChunks: 1, totalChunks: 1 });
+      return { data: cachedData, strategy: 'llm', cached: true, repair: null };
+    }
+  }
+
+  logger.info('[Scrape Pipeline] Starting AI extraction...');
+  const { data, repair } = await extractData({
+    html: content,
+    instruction,
+    model,
+    maxItems,
+    schema,
+    onProgress,
+    links,
+    baseUrl,
+    evidence,
+    tokenUsage
+  });
+
+  await setCachedResult(cacheKey, data);
+  return { data, strategy: 'llm', cached: false, repair };
+}
+
+/**
+ * Run the full pipeline on submitted content
+ * @param {Object} options
+ * @param {string} [options.html] - Markdown or HTML
+ * @param {string} [options.url] - Page to fetch server-side instead of html
+ * @param {Object} [options.fetchOptions] - Options for fetching url
+ * @param {string} options.instruction
+ * @param {string} [options.model]
+ * @param {number} [options.maxItems]
+ * @param {Array<Object>} [options.schema] - Output column schema
+ * @param {string} [options.userId] - Owner of cached results and selector recipes; for logging and the token usage ledger
+ * @param {boolean} [options.isHtml] - Content is raw HTML fetched server-side
+ * @param {boolean} [options.preserveLinks] - Let the model output link and image URLs
+ * @param {string} [options.baseUrl] - Page URL relative links are resolved against (default: the fetched url)
+ * @param {string} [options.strategy] - 'auto' | 'table' | 'llm' (see extractTableRows) | 'recipe' (needs url or baseUrl)
+ * @param {Object} [options.selectors] - Row and column selectors (replaces the model and table detection)
+ * @param {boolean} [options.noCache] - Run the model even when a cached result exists
+ * @param {boolean} [options.evidence] - Rows carry a verified "_evidence" object per field
+ * @param {Function} [options.onProgress] - Called with { completedChunks, totalChunks }
+ * @returns {Promise<Object>} { data, strategy: 'selector'|'recipe'|'table'|'llm', cached, repair, tokenUsage }:
+ *   extracted rows, how they were produced, whether they came from the result cache, how many rows
+ *   the model repaired or were dropped (null when it did not run) and the model tokens and cost
+ */
+async function runScrape({ html, url, fetchOptions, isHtml, baseUrl, ...options }) {
+  const source = await loadSource({ html, url, fetchOptions });
+  const tokenUsage = createTokenUsage();
+
+  let result;
+  try {
+    result = await extractFromContent(source.html, {
+      ...options,
+      isHtml: isHtml || source.isHtml,
+      baseUrl: baseUrl || source.sourceUrl,
+      tokenUsage,
+    });
+  } finally {
+    // Failed extractions still cost the calls made before the failure
+    await recordModelUsage(options.userId, 'scrape', tokenUsage);
+  }
+
+  logger.info('[Scrape Pipeline] Extraction complete', {
+    itemCount: result.data.length,
+    strategy: result.strategy,
+    cached: result.cached,
+    repair: result.repair,
+    tokens: tokenUsage.inputTokens + tokenUsage.outputTokens,
+    costUsd: tokenUsage.costUsd,
+  });
+  return { ...result, tokenUsage };
+}
+
+module.exports = {
+  SCRAPE_STRATEGIES,
+  loadSource,
+  prepareContent,
+  extractTableRows,
+  extractDirect,
+  cacheKeyFor,
+  extractFromContent,
+  runScrape,
+};
@@ -0,0 +1,170 @@
+const crypto = require('crypto');
+const { redisClient, isRedisConnected } = require('./redis-service');
+const { generateSelectorRecipe } = require('./ai-extractor');
+const { cleanHTMLString, removeBoilerplate } = require('../utils/html-cleaner');
+const { selectorsDefinition, extractWithSelectors } = require('../utils/selector-extractor');
+const { applyOutputSchema } = require('../utils/output-schema');
+const logger = require('../utils/logger');
+
+/**
+ * Selector Recipes
+ *
+ * Instead of running the model over every visit to the same site layout, the model is asked
+ * once for a CSS selector recipe (row selector + column selectors). The recipe is checked
+ * against the current page, cached in Redis per user, domain and instruction, and applied directly
+ * on later scrapes of that user. Recipes are not shared between users: the domain comes from the
+ * caller's page URL, so a shared recipe could be planted for any site with crafted HTML. A cached recipe that no longer yields rows (the site changed) is replaced;
+ * when no working recipe can be produced the caller falls back to full extraction.
+ */
+
+const RECIPE_PREFIX = 'scrape:recipe:';
+const RECIPE_TTL = parseInt(process.env.RECIPE_CACHE_TTL_SECONDS || '604800', 10); // 7 days
+const RECIPE_SAMPLE_CHARS = parseInt(process.env.RECIPE_SAMPLE_CHARS || '20000', 10);
+
+/**
+ * Domain a recipe applies to ("www." is ignored)
+ * @param {string} pageUrl
+ * @returns {string|null}
+ */
+function recipeDomain(pageUrl) {
+  try {
+    return new URL(pageUrl).hostname.toLowerCase().replace(/^www\./, '');
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Redis key of a user's recipe for a domain, instruction and schema
+ * @param {string} userId
+ * @param {string} domain
+ * @param {string} instruction
+ * @param {Array<Object>} [schema]
+ * @returns {string}
+ */
+function recipeKey(userId, domain, instruction, schema) {
+  const hash = crypto.createHash('sha256')
+    .update(JSON.stringify({
+      instruction: (instruction || '').trim().replace(/\s+/g, ' ').toLowerCase(),
+      columns: schema ? schema.map(column => [column.name, column.type]) : null,
+    }))
+    .digest('hex');
+  return `${RECIPE_PREFIX}${userId}:${domain}:${hash}`;
+}
+
+async function getCachedRecipe(key) {
+  if (!isRedisConnected()) return null;
+
+  try {
+    const data = await redisClient.get(key);
+    return data ? JSON.parse(data) : null;
+  } catch (error) {
+    logger.error('[Recipes] Get error:', error);
+    return null;
+  }
+}
+
+async function setCachedRecipe(key, recipe) {
+  if (!isRedisConnected()) return;
+
+  try {
+    await redisClient.set(key, JSON.stringify(recipe), { EX: RECIPE_TTL });
+  } catch (error) {
+    logger.error('[Recipes] Set error:', error);
+  }
+}
+
+async function deleteCachedRecipe(key) {
+  if (!isRedisConnected()) return;
+
+  try {
+    await redisClient.del(key);
+  } catch (error) {
+    logger.error('[Recipes] Delete error:', error);
+  }
+}
+
+/**
+ * Apply a recipe to the page. It only counts as working when it yields rows and
+ * every column has a value in at least one row.
+ * @returns {Array<Object>|null} Rows, or null when the recipe does not work on this page
+ */
+function applyRecipe(html, recipe, { schema, maxItems, baseUrl }) {
+  let rows = extractWithSelectors(html, recipe, { baseUrl, maxItems });
+  if (rows.length === 0) return null;
+
+  const columnNames = Object.keys(recipe.columns);
+  if (!columnNames.every(name => rows.some(row => row[name] !== null))) return null;
+
+  if (schema) {
+    rows = applyOutputSchema(rows, schema).rows;
+    if (rows.length === 0) return null;
+  }
+  return rows;
+}
+
+/**
+ * Extract rows with a cached or newly generated selector recipe
+ * @param {string} html - Raw page HTML
+ * @param {Object} options
+ * @param {string} options.pageUrl - URL of the page (its domain scopes the recipe)
+ * @param {string} options.userId - Owner of the recipe
+ * @param {string} options.instruction
+ * @param {string} [options.model] - Model that writes the recipe
+ * @param {Array<Object>} [options.schema] - Output column schema
+ * @param {number} [options.maxItems]
+ * @param {Object} [options.tokenUsage] - Token usage record the recipe request is added to
+ * @returns {Promise<{ data: Array<Object>, cached: boolean }|null>} Null when no working recipe was found
+ */
+async function extractWithRecipe(html, { pageUrl, userId, instruction, model, schema, maxItems, tokenUsage = null }) {
+  const domain = recipeDomain(pageUrl);
+  if (!domain || !userId || !instruction) return null;
+
+  const key = recipeKey(userId, domain, instruction, schema);
+  const page = removeBoilerplate(html);
+  const applyOptions = { schema, maxItems, baseUrl: pageUrl };
+
+  const cached = await getCachedRecipe(key);
+  if (cached) {
+    const rows = applyRecipe(page, cached, applyOptions);
+    if (rows) {
+      logger.info('[Recipes] Applied cached recipe', { domain, rows: rows.length });
+      return { data: rows, cached: true };
+    }
+    logger.info('[Recipes] Cached recipe no longer matches the page, regenerating', { domain });
+    await deleteCachedRecipe(key);
+  }
+
+  let recipe;
+  try {
+    const sample = cleanHTMLString(html).slice(0, RECIPE_SAMPLE_CHARS);
+    const parsed = selectorsDefinition.safeParse({
+      ...(await generateSelectorRecipe({ html: sample, instruction, model, schema, tokenUsage })),
+      type: 'css',
+    });
+    if (!parsed.success) {
+      logger.warn('[Recipes] Model returned an invalid recipe', { domain, issues: parsed.error.issues.slice(0, 3) });
+      return null;
+    }
+    recipe = parsed.data;
+  } catch (err) {
+    logger.warn('[Recipes] Failed to generate recipe', { domain, error: err.message });
+    return null;
+  }
+
+  const rows = applyRecipe(page, recipe, applyOptions);
+  if (!rows) {
+    logger.info('[Recipes] Generated recipe does not match the page', { domain, rows: recipe.rows });
+    return null;
+  }
+
+  await setCachedRecipe(key, recipe);
+  logger.info('[Recipes] Generated and cached recipe', { domain, rows: rows.length });
+  return { data: rows, cached: false };
+}
+
+module.exports = {
+  recipeDomain,
+  recipeKey,
+  extractWithRecipe,
+};
@@ -1,6 +1,11 @@
 const { google } = require('googleapis');
 const { GoogleGenAI } = require('@google/genai');
 const logger = require('../utils/logger');
+const { geminiUsage } = require('./llm-providers');
+const { recordTokens } = require('../utils/token-cost');
+
+// Model used for sheet names and formatting suggestions
+const SHEETS_AI_MODEL = 'gemini-2.5-flash';
 
 let aiClient;
 
@@ -20,9 +25,10 @@ function getAIClient() {
  * Generate a descriptive sheet name using AI based on extracted data and user instruction
  * @param {Array} data - Array of extracted data objects
  * @param {string} instruction - Original user instruction
+ * @param {Object} [tokenUsage] - Token usage record the model call is added to (see utils/token-cost)
  * @returns {Promise<string>} - AI-generated sheet name
  */
-async function generateSheetName(data, instruction) {
+async function generateSheetName(data, instruction, tokenUsage = null) {
   try {
     // Fallback name with timestamp
     const fallbackName = `Scrape ${new Date().toISOString().slice(0, 16).replace('T', ' ')}`;
@@ -59,13 +65,14 @@ Sheet Name:`;
     logger.debug('[SheetName] Calling AI to generate name');
     
     const response = await ai.models.generateContent({
-      model: 'gemini-2.5-flash',
+      model: SHEETS_AI_MODEL,
       contents: prompt,
       generationConfig: {
         temperature: 0.7,
         maxOutputTokens: 100,
       },
     });
+    recordTokens(tokenUsage, SHEETS_AI_MODEL, geminiUsage(response.usageMetadata));
 
     const generatedName = response.text.trim();
     
@@ -317,9 +324,10 @@ function buildSmartFormattingRequests(sheetId, headers, values, formatting) {
  * Use AI to analyze data and generate smart formatting suggestions
  * @param {Array} data - The data array (array of objects)
  * @param {Array} headers - Column headers
+ * @param {Object} [tokenUsage] - Token usage record the model call is added to
  * @returns {Promise<Object>} - Formatting configuration
  */
-async function generateSmartFormatting(data, headers) {
+async function generateSmartFormatting(data, headers, tokenUsage = null) {
   try {
     // Sample first 10 rows for analysis
     const sampleData = data.slice(0, 10);
@@ -352,13 +360,14 @@ Leave columnWidths empty (we'll auto-resize).`;
 
     const ai = getAIClient();
     const response = await ai.models.generateContent({
-      model: 'gemini-2.5-flash',
+      model: SHEETS_AI_MODEL,
       contents: prompt,
       generationConfig: {
         temperature: 0.3,
         maxOutputTokens: 500,
       },
     });
+    recordTokens(tokenUsage, SHEETS_AI_MODEL, geminiUsage(response.usageMetadata));
 
     const text = response.text.trim();
     // Remove markdown code blocks if present
@@ -418,15 +427,50 @@ function dataTo2DArray(data) {
   return [headers, ...rows];
 }
 
+/**
+ * Build requests giving cells a light yellow background (low-confidence values)
+ * @param {number} sheetId
+ * @param {Array} headers - Header row
+ * @param {Array<{ row: number, column: string }>} cells - 0-based data row index and column name
+ * @returns {Array} - batchUpdate requests
+ */
+function buildHighlightRequests(sheetId, headers, cells) {
+  return cells
+    .filter(({ column }) => headers.includes(column))
+    .map(({ row, column }) => {
+      const columnIndex = headers.indexOf(column);
+      return {
+        repeatCell: {
+          range: {
+            sheetId,
+            startRowIndex: row + 1, // Skip header row
+            endRowIndex: row + 2,
+            startColumnIndex: columnIndex,
+            endColumnIndex: columnIndex + 1,
+          },
+          cell: {
+            userEnteredFormat: {
+              backgroundColor: { red: 1, green: 0.95, blue: 0.6 },
+            },
+          },
+          fields: 'userEnteredFormat.backgroundColor',
+        },
+      };
+    });
+}
+
 /**
  * Create a new Google Spreadsheet with data
  * @param {string} accessToken - User's OAuth access token
  * @param {string} title - Spreadsheet title
  * @param {Array} data - Array of objects to populate
  * @param {boolean} smartFormatting - Whether to use AI-powered formatting (default: true)
+ * @param {Object} [options]
+ * @param {Array<{ row: number, column: string }>} [options.highlight] - Cells to highlight (flagged evidence)
+ * @param {Object} [options.tokenUsage] - Token usage record the smart formatting call is added to
  * @returns {Promise<Object>} - { spreadsheetId, spreadsheetUrl }
  */
-async function createSpreadsheet(accessToken, title, data, smartFormatting = true) {
+async function createSpreadsheet(accessToken, title, data, smartFormatting = true, { highlight = [], tokenUsage = null } = {}) {
   try {
     logger.info('[Sheets] Creating spreadsheet', { title, rows: data?.length || 0 });
     
@@ -477,7 +521,7 @@ async function createSpreadsheet(accessToken, title, data, smartFormatting = tru
         // Calculate range (A1 notation)
         const startRow = startIdx + 1; // +1 for 1-based indexing
         const endRow = endIdx;
-        const endCol = String.fromCharCode(65 + (values[0]?.length || 1) - 1); // A, B, C, etc.
+        const endCol = columnLetter((values[0]?.length || 1) - 1); // A, B, ..., Z, AA, etc.
         const range = `Data!A${startRow}:${endCol}${endRow}`;
         
         logger.debug('[Sheets] Writing batch', { 
@@ -505,7 +549,7 @@ async function createSpreadsheet(accessToken, title, data, smartFormatting = tru
       // Conditionally use AI-powered formatting or basic formatting
       if (smartFormatting) {
         logger.info('[Sheets] Generating smart formatting with AI...');
-        const formatting = await generateSmartFormatting(data, headers);
+        const formatting = await generateSmartFormatting(data, headers, tokenUsage);
         
         // Apply AI-powered formatting
         requests.push(...buildSmartFormattingRequests(sheetId, headers, values, formatting));
@@ -536,6 +580,9 @@ async function createSpreadsheet(accessToken, title, data, smartFormatting = tru
         });
       }
       
+      // Highlight after the column formatting so the background is not overwritten
+      requests.push(...buildHighlightRequests(sheetId, headers, highlight));
+
       // Apply all formatting
       await sheets.spreadsheets.batchUpdate({
         spreadsheetId,
@@ -545,7 +592,8 @@ async function createSpreadsheet(accessToken, title, data, smartFormatting = tru
       logger.info('[Sheets] Data written and formatted', { 
         rows: data.length,
         formattingType: smartFormatting ? 'AI-powered' : 'Basic',
-        formattingRules: requests.length
+        formattingRules: requests.length,
+        highlightedCells: highlight.length
       });
     }
     
@@ -574,9 +622,392 @@ async function createSpreadsheet(accessToken, title, data, smartFormatting = tru
   }
 }
 
+/**
+ * Convert a 0-based column index to A1 column letters (0 → A, 26 → AA)
+ * @param {number} index
+ * @returns {string}
+ */
+function columnLetter(index) {
+  let letters = '';
+  let n = index + 1;
+  while (n > 0) {
+    const rem = (n - 1) % 26;
+    letters = String.fromCharCode(65 + rem) + letters;
+    n = Math.floor((n - 1) / 26);
+  }
+  return letters;
+}
+
+/**
+ * Quote a tab name for use in an A1 range ("Q1 'Data'" → 'Q1 ''Data''')
+ * @param {string} tabName
+ * @returns {string}
+ */
+function quoteTabName(tabName) {
+  return `'${tabName.replace(/'/g, "''")}'`;
+}
+
+/**
+ * Convert a cell value the same way dataTo2DArray does
+ */
+function toCellValue(value) {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+/**
+ * Line data up with an existing header row, adding headers for keys the sheet lacks
+ * @param {Array<string>} existingHeaders - Current header row (may be empty)
+ * @param {Array<Object>} data - Rows to write
+ * @returns {{ headers: Array<string>, addedColumns: Array<string>, rows: Array<Array<string>> }}
+ */
+function alignRowsToHeaders(existingHeaders, data) {
+  const headers = [...existingHeaders];
+  const addedColumns = [];
+
+  data.forEach(row => {
+    Object.keys(row).forEach(key => {
+      if (!headers.includes(key)) {
+        headers.push(key);
+        addedColumns.push(key);
+      }
+    });
+  });
+
+  const rows = data.map(obj => headers.map(header => toCellValue(obj[header])));
+  return { headers, addedColumns, rows };
+}
+
+/**
+ * Map a Google API error to the messages the sheets route understands
+ * @param {Error} error - googleapis error
+ * @param {string} action - e.g. "append to spreadsheet"
+ * @returns {Error}
+ */
+function toSheetsError(error, action) {
+  if (error.code === 401 || error.status === 401) {
+    return new Error('Invalid or expired access token. Please re-authenticate.');
+  } else if (error.code === 403 || error.status === 403) {
+    return new Error('Permission denied. Please ensure Sheets API is enabled and authorized.');
+  } else if (error.code === 404 || error.status === 404) {
+    return new Error('Spreadsheet not found. It may have been deleted or was not created with this app.');
+  } else if (error.code === 429 || error.status === 429) {
+    return new Error('API rate limit exceeded. Please try again in a few minutes.');
+  }
+  return new Error(`Failed to ${action}: ${error.message}`);
+}
+
+/**
+ * Find a tab by title, creating it when it does not exist.
+ * Without a tab name the first tab is used.
+ * @returns {Promise<{ title: string, sheetId: number, created: boolean }>}
+ */
+async function resolveTab(sheets, spreadsheet, tabName) {
+  const tabs = spreadsheet.sheets || [];
+
+  if (!tabName) {
+    const first = tabs[0].properties;
+    return { title: first.title, sheetId: first.sheetId, created: false };
+  }
+
+  const existing = tabs.find(tab => tab.properties.title === tabName);
+  if (existing) {
+    return { title: tabName, sheetId: existing.properties.sheetId, created: false };
+  }
+
+  const response = await sheets.spreadsheets.batchUpdate({
+    spreadsheetId: spreadsheet.spreadsheetId,
+    requestBody: {
+      requests: [{
+        addSheet: {
+          properties: {
+            title: tabName,
+            gridProperties: { frozenRowCount: 1 },
+          },
+        },
+      }],
+    },
+  });
+
+  const sheetId = response.data.replies[0].addSheet.properties.sheetId;
+  logger.info('[Sheets] Tab created', { tabName, sheetId });
+  return { title: tabName, sheetId, created: true };
+}
+
+/**
+ * Append rows to an existing spreadsheet, below its existing data.
+ * Columns are matched by header name; keys the sheet lacks are added as new header columns.
+ * Only spreadsheets created by this app (or opened with it) are accessible with the drive.file scope.
+ * @param {string} accessToken - User's OAuth access token
+ * @param {string} spreadsheetId - Target spreadsheet
+ * @param {string} [tabName] - Target tab (created if missing, defaults to the first tab)
+ * @param {Array} data - Array of objects to append
+ * @returns {Promise<Object>} - { spreadsheetId, spreadsheetUrl, title, tabName, appendedRows, addedColumns }
+ */
+async function appendToSpreadsheet(accessToken, spreadsheetId, tabName, data) {
+  try {
+    logger.info('[Sheets] Appending to spreadsheet', { spreadsheetId, tabName, rows: data?.length || 0 });
+
+    const auth = new google.auth.OAuth2();
+    auth.setCredentials({ access_token: accessToken });
+
+    const sheets = google.sheets({ version: 'v4', auth });
+
+    const { data: spreadsheet } = await sheets.spreadsheets.get({
+      spreadsheetId,
+      fields: 'spreadsheetId,spreadsheetUrl,properties.title,sheets.properties',
+    });
+
+    const tab = await resolveTab(sheets, spreadsheet, tabName);
+    const quotedTab = quoteTabName(tab.title);
+
+    // Read the current header row
+    const headerResponse = await sheets.spreadsheets.values.get({
+      spreadsheetId,
+      range: `${quotedTab}!1:1`,
+    });
+    const existingHeaders = (headerResponse.data.values?.[0] || []).map(String);
+
+    const { headers, addedColumns, rows } = alignRowsToHeaders(existingHeaders, data);
+
+    if (addedColumns.length > 0 || existingHeaders.length === 0) {
+      await sheets.spreadsheets.values.update({
+        spreadsheetId,
+        range: `${quotedTab}!A1:${columnLetter(headers.length - 1)}1`,
+        valueInputOption: 'RAW',
+        requestBody: { values: [headers] },
+      });
+      logger.info('[Sheets] Header row updated', { addedColumns });
+    }
+
+    // Append in batches; the API finds the end of the existing table
+    const BATCH_SIZE = 500;
+    for (let i = 0; i < rows.length; i += BATCH_SIZE) {
+      await sheets.spreadsheets.values.append({
+        spreadsheetId,
+        range: `${quotedTab}!A1`,
+        valueInputOption: 'RAW',
+        insertDataOption: 'INSERT_ROWS',
+        requestBody: { values: rows.slice(i, i + BATCH_SIZE) },
+      });
+    }
+
+    logger.info('[Sheets] Rows appended', { spreadsheetId, tab: tab.title, rows: rows.length });
+
+    return {
+      spreadsheetId,
+      spreadsheetUrl: spreadsheet.spreadsheetUrl,
+      title: spreadsheet.properties.title,
+      tabName: tab.title,
+      appendedRows: rows.length,
+      addedColumns,
+    };
+  } catch (error) {
+    logger.error('[Sheets] Error appending to spreadsheet', {
+      error: error.message,
+      code: error.code,
+      status: error.status,
+    });
+    throw toSheetsError(error, 'append to spreadsheet');
+  }
+}
+
+const MISSING_SINCE_COLUMN = 'Missing Since';
+
+/**
+ * Build the lookup key for a row from its key column values
+ * @param {Array<string>} values - Key cell values
+ * @returns {string|null} Key, or null when every key value is empty
+ */
+function buildRowKey(values) {
+  const normalized = values.map(value => toCellValue(value).trim());
+  return normalized.every(value => value === '') ? null : JSON.stringify(normalized);
+}
+
+/**
+ * Upsert rows into an existing spreadsheet tab, matching rows on one or more key columns.
+ * Changed cells of matching rows are updated in place, new rows are appended, and with
+ * markMissing existing rows absent from the new data get today's date in a "Missing Since" column
+ * (cleared again when the row reappears).
+ * @param {string} accessToken - User's OAuth access token
+ * @param {string} spreadsheetId - Target spreadsheet
+ * @param {string} [tabName] - Target tab (created if missing, defaults to the first tab)
+ * @param {Array} data - Array of objects to upsert
+ * @param {Object} options
+ * @param {Array<string>} options.keyColumns - Columns identifying a row
+ * @param {boolean} [options.markMissing] - Flag existing rows missing from data
+ * @returns {Promise<Object>} - { spreadsheetId, spreadsheetUrl, title, tabName, inserted, updated, unchanged, markedMissing, addedColumns }
+ */
+async function upsertToSpreadsheet(accessToken, spreadsheetId, tabName, data, { keyColumns, markMissing = false }) {
+  try {
+    logger.info('[Sheets] Upserting into spreadsheet', { spreadsheetId, tabName, keyColumns, rows: data?.length || 0 });
+
+    const auth = new google.auth.OAuth2();
+    auth.setCredentials({ access_token: accessToken });
+
+    const sheets = google.sheets({ version: 'v4', auth });
+
+    const { data: spreadsheet } = await sheets.spreadsheets.get({
+      spreadsheetId,
+      fields: 'spreadsheetId,spreadsheetUrl,properties.title,sheets.properties',
+    });
+
+    const tab = await resolveTab(sheets, spreadsheet, tabName);
+    const quotedTab = quoteTabName(tab.title);
+
+    // Read the whole tab (header + rows) as raw values for comparison
+    const tabResponse = await sheets.spreadsheets.values.get({
+      spreadsheetId,
+      range: quotedTab,
+      valueRenderOption: 'UNFORMATTED_VALUE',
+    });
+    const existingValues = tabResponse.data.values || [];
+    const existingHeaders = (existingValues[0] || []).map(String);
+    const existingRows = existingValues.slice(1);
+
+    const { headers, addedColumns } = alignRowsToHeaders(existingHeaders, data);
+    if (markMissing && !headers.includes(MISSING_SINCE_COLUMN)) {
+      headers.push(MISSING_SINCE_COLUMN);
+      addedColumns.push(MISSING_SINCE_COLUMN);
+    }
+    const keyIndexes = keyColumns.map(column => headers.indexOf(column));
+    const missingIndex = headers.indexOf(MISSING_SINCE_COLUMN);
+
+    // Index existing rows by key (first occurrence wins)
+    const rowIndexByKey = new Map();
+    existingRows.forEach((row, i) => {
+      const key = buildRowKey(keyIndexes.map(index => row[index]));
+      if (key && !rowIndexByKey.has(key)) rowIndexByKey.set(key, i);
+    });
+
+    const cellUpdates = [];
+    const newRows = [];
+    const seenKeys = new Set();
+    let updated = 0;
+    let unchanged = 0;
+    let markedMissing = 0;
+
+    const queueCellUpdate = (rowIndex, colIndex, value) => {
+      // +2: 1-based rows and the header row
+      cellUpdates.push({
+        range: `${quotedTab}!${columnLetter(colIndex)}${rowIndex + 2}`,
+        values: [[value]],
+      });
+    };
+
+    data.forEach(obj => {
+      const key = buildRowKey(keyColumns.map(column => obj[column]));
+      if (key && seenKeys.has(key)) return; // Duplicate key in the new data: first row wins
+      if (key) seenKeys.add(key);
+
+      const existingIndex = key ? rowIndexByKey.get(key) : undefined;
+      if (existingIndex === undefined) {
+        newRows.push(headers.map(header => toCellValue(obj[header])));
+        return;
+      }
+
+      const existingRow = existingRows[existingIndex];
+      let changed = false;
+      headers.forEach((header, colIndex) => {
+        if (!Object.prototype.hasOwnProperty.call(obj, header)) return;
+        const value = toCellValue(obj[header]);
+        if (toCellValue(existingRow[colIndex]) !== value) {
+          queueCellUpdate(existingIndex, colIndex, value);
+          changed = true;
+        }
+      });
+      if (markMissing && toCellValue(existingRow[missingIndex]) !== '') {
+        queueCellUpdate(existingIndex, missingIndex, '');
+        changed = true;
+      }
+
+      if (changed) updated++;
+      else unchanged++;
+    });
+
+    if (markMissing) {
+      const today = new Date().toISOString().slice(0, 10);
+      rowIndexByKey.forEach((rowIndex, key) => {
+        if (seenKeys.has(key)) return;
+        if (toCellValue(existingRows[rowIndex][missingIndex]) !== '') return; // Already marked
+        queueCellUpdate(rowIndex, missingIndex, today);
+        markedMissing++;
+      });
+    }
+
+    if (addedColumns.length > 0 || existingHeaders.length === 0) {
+      await sheets.spreadsheets.values.update({
+        spreadsheetId,
+        range: `${quotedTab}!A1:${columnLetter(headers.length - 1)}1`,
+        valueInputOption: 'RAW',
+        requestBody: { values: [headers] },
+      });
+      logger.info('[Sheets] Header row updated', { addedColumns });
+    }
+
+    const BATCH_SIZE = 500;
+    for (let i = 0; i < cellUpdates.length; i += BATCH_SIZE) {
+      await sheets.spreadsheets.values.batchUpdate({
+        spreadsheetId,
+        requestBody: {
+          valueInputOption: 'RAW',
+          data: cellUpdates.slice(i, i + BATCH_SIZE),
+        },
+      });
+    }
+
+    for (let i = 0; i < newRows.length; i += BATCH_SIZE) {
+      await sheets.spreadsheets.values.append({
+        spreadsheetId,
+        range: `${quotedTab}!A1`,
+        valueInputOption: 'RAW',
+        insertDataOption: 'INSERT_ROWS',
+        requestBody: { values: newRows.slice(i, i + BATCH_SIZE) },
+      });
+    }
+
+    const result = {
+      spreadsheetId,
+      spreadsheetUrl: spreadsheet.spreadsheetUrl,
+      title: spreadsheet.properties.title,
+      tabName: tab.title,
+      inserted: newRows.length,
+      updated,
+      unchanged,
+      markedMissing,
+      addedColumns,
+    };
+
+    logger.info('[Sheets] Upsert complete', {
+      spreadsheetId,
+      tab: tab.title,
+      inserted: result.inserted,
+      updated,
+      unchanged,
+      markedMissing,
+      cellsUpdated: cellUpdates.length,
+    });
+
+    return result;
+  } catch (error) {
+    logger.error('[Sheets] Error upserting into spreadsheet', {
+      error: error.message,
+      code: error.code,
+      status: error.status,
+    });
+    throw toSheetsError(error, 'upsert into spreadsheet');
+  }
+}
+
 module.exports = {
   createSpreadsheet,
+  appendToSpreadsheet,
+  upsertToSpreadsheet,
   generateSheetName,
   generateSmartFormatting,
+  columnLetter,
+  quoteTabName,
+  alignRowsToHeaders,
 };
 
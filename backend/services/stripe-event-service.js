@@ -0,0 +1,157 @@
+const { supabase } = require('./supabase-service');
+const logger = require('../utils/logger');
+
+/**
+ * Stripe Event Log
+ *
+ * Every verified Stripe webhook event is recorded in stripe_events by event id before it is
+ * handled, so redelivered events are recognized and not applied twice:
+ * - processing  claimed by a request that is handling it
+ * - processed   applied
+ * - skipped     nothing to apply (unknown account or price, or older than the last applied change)
+ * - failed      handling threw; Stripe redelivers it, or an admin replays it
+ *
+ * A processing record whose request died is taken over after STALE_PROCESSING_MS.
+ */
+
+const STALE_PROCESSING_MS = 5 * 60 * 1000;
+const SETTLED_STATUSES = ['processed', 'skipped'];
+
+/**
+ * Claim an event for processing
+ * @param {Object} event - Verified Stripe event
+ * @returns {Promise<'claimed'|'duplicate'|'in_progress'>} duplicate: already applied or skipped;
+ *   in_progress: another request is handling it
+ * @throws {Error} when the event log can't be read or written
+ */
+async function claimStripeEvent(event) {
+  const now = new Date().toISOString();
+  const { error } = await supabase
+    .from('stripe_events')
+    .insert({
+      id: event.id,
+      type: event.type,
+      status: 'processing',
+      payload: event,
+      attempts: 1,
+      stripe_created_at: new Date(event.created * 1000).toISOString(),
+      received_at: now,
+      updated_at: now,
+    });
+
+  if (!error) return 'claimed';
+  if (error.code !== '23505') {
+    throw new Error(`Failed to record Stripe event: ${error.message}`);
+  }
+
+  // Seen before: only failed and abandoned events are processed again
+  const existing = await getStripeEvent(event.id);
+  if (!existing || SETTLED_STATUSES.includes(existing.status)) return 'duplicate';
+  if (existing.status === 'processing' && Date.now() - new Date(existing.updated_at).getTime() < STALE_PROCESSING_MS) {
+    return 'in_progress';
+  }
+
+  // Compare-and-set on the record we read, so concurrent redeliveries claim it once
+  const { data, error: claimError } = await supabase
+    .from('stripe_events')
+    .update({ status: 'processing', attempts: existing.attempts + 1, updated_at: now })
+    .eq('id', event.id)
+    .eq('status', existing.status)
+    .eq('updated_at', existing.updated_at)
+    .select('id')
+    .maybeSingle();
+
+  if (claimError) {
+    throw new Error(`Failed to claim Stripe event: ${claimError.message}`);
+  }
+  return data ? 'claimed' : 'in_progress';
+}
+
+/**
+ * Record the outcome of processing a claimed event (failures are only logged)
+ * @param {string} eventId
+ * @param {'processed'|'skipped'|'failed'} status
+ * @param {string|null} [errorMessage] - For failed events
+ */
+async function finishStripeEvent(eventId, status, errorMessage = null) {
+  const now = new Date().toISOString();
+  const { error } = await supabase
+    .from('stripe_events')
+    .update({
+      status,
+      last_error: errorMessage,
+      processed_at: status === 'failed' ? null : now,
+      updated_at: now,
+    })
+    .eq('id', eventId);
+
+  if (error) {
+    logger.error('[Billing] Failed to record Stripe event result', { eventId, status, error: error.message });
+  }
+}
+
+/**
+ * Fetch a logged event
+ * @param {string} eventId - Stripe event id (evt_...)
+ * @returns {Promise<Object|null>} Event record (payload: the full Stripe event)
+ */
+async function getStripeEvent(eventId) {
+  const { data, error } = await supabase
+    .from('stripe_events')
+    .select('*')
+    .eq('id', eventId)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to load Stripe event: ${error.message}`);
+  }
+  return data;
+}
+
+/**
+ * List logged events, newest first
+ * @param {Object} [options]
+ * @param {string} [options.status] - Only events with this status
+ * @param {number} [options.limit]
+ * @returns {Promise<Array<Object>>} Event records
+ */
+async function listStripeEvents({ status, limit = 50 } = {}) {
+  let query = supabase
+    .from('stripe_events')
+    .select('*')
+    .order('received_at', { ascending: false })
+    .limit(limit);
+  if (status) query = query.eq('status', status);
+
+  const { data, error } = await query;
+  if (error) {
+    throw new Error(`Failed to list Stripe events: ${error.message}`);
+  }
+  return data || [];
+}
+
+/**
+ * Map an event record to its API representation (without the payload)
+ * @param {Object} row - Event record
+ * @returns {Object}
+ */
+function toStripeEventResponse(row) {
+  return {
+    id: row.id,
+    type: row.type,
+    status: row.status,
+    attempts: row.attempts,
+    lastError: row.last_error,
+    stripeCreatedAt: row.stripe_created_at,
+    receivedAt: row.received_at,
+    processedAt: row.processed_at,
+  };
+}
+
+module.exports = {
+  claimStripeEvent,
+  finishStripeEvent,
+  getStripeEvent,
+  listStripeEvents,
+  toStripeEventResponse,
+};
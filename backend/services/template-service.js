@@ -0,0 +1,82 @@
+const { supabase } = require('./supabase-service');
+const logger = require('../utils/logger');
+
+/**
+ * PostgREST `or` filter for the templates a user can use: their personal templates and, with an
+ * active organization, the templates shared with it
+ * @param {string} userId - User UUID
+ * @param {string|null} [organizationId] - Active organization UUID
+ * @returns {string}
+ */
+function templateAccessFilter(userId, organizationId = null) {
+  const personal = `and(user_id.eq.${userId},organization_id.is.null)`;
+  return organizationId ? `${personal},organization_id.eq.${organizationId}` : personal;
+}
+
+/**
+ * Fetch a template owned by the user or shared with their active organization
+ * @param {string} userId - User UUID
+ * @param {string} templateId - Template UUID
+ * @param {string|null} [organizationId] - Active organization UUID
+ * @returns {Promise<Object|null>} Template row or null when not found
+ * @throws {Error} On database errors
+ */
+async function getTemplateForUser(userId, templateId, organizationId = null) {
+  const { data, error } = await supabase
+    .from('templates')
+    .select('*')
+    .eq('id', templateId)
+    .or(templateAccessFilter(userId, organizationId))
+    .maybeSingle();
+
+  if (error) {
+    logger.error('[Templates] Error fetching template:', error);
+    throw new Error('Failed to load template');
+  }
+
+  return data;
+}
+
+/**
+ * Fill request options from a template. Values given explicitly in the request win.
+ * @param {Object} options - Parsed request body
+ * @param {Object} template - Template row
+ * @returns {Object} Options with instruction, schema, model, maxItems and smartFormatting filled in
+ */
+function applyTemplate(options, template) {
+  return {
+    ...options,
+    instruction: options.instruction ?? template.instruction,
+    schema: options.schema ?? template.schema ?? undefined,
+    model: options.model ?? template.model ?? undefined,
+    maxItems: options.maxItems ?? template.max_items ?? undefined,
+    smartFormatting: options.smartFormatting ?? template.smart_formatting ?? undefined,
+  };
+}
+
+/**
+ * Map a template row to its API representation
+ * @param {Object} row - Template row
+ * @returns {Object}
+ */
+function toTemplateResponse(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    instruction: row.instruction,
+    schema: row.schema,
+    model: row.model,
+    maxItems: row.max_items,
+    smartFormatting: row.smart_formatting,
+    shared: Boolean(row.organization_id),
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+module.exports = {
+  templateAccessFilter,
+  getTemplateForUser,
+  applyTemplate,
+  toTemplateResponse,
+};
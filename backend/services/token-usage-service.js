@@ -0,0 +1,100 @@
+const { supabase } = require('./supabase-service');
+const logger = require('../utils/logger');
+
+/**
+ * Token Usage Ledger
+ *
+ * Every operation that calls a model stores one token_usage row per model with its token counts
+ * and estimated cost (see utils/token-cost): 'scrape' for extraction (including selector recipes
+ * and repair rounds), 'export' for sheet naming and smart formatting. Rows are attributed to the
+ * user's active organization when they are stored (migrations/add_token_usage_organizations.sql).
+ * The ledger backs the per-workspace totals of GET /api/user/usage and the token_usage_monthly
+ * finance view.
+ */
+
+/**
+ * Store the model usage of an operation (failures are logged, never thrown)
+ * @param {string} userId
+ * @param {'scrape'|'export'} operation
+ * @param {Object|null} tokenUsage - Record from createTokenUsage
+ * @returns {Promise<void>}
+ */
+async function recordModelUsage(userId, operation, tokenUsage) {
+  if (!userId || !tokenUsage || tokenUsage.calls === 0) return;
+
+  const rows = Object.entries(tokenUsage.models).map(([model, entry]) => ({
+    user_id: userId,
+    operation,
+    model,
+    calls: entry.calls,
+    input_tokens: entry.inputTokens,
+    output_tokens: entry.outputTokens,
+    cost_usd: entry.costUsd,
+  }));
+
+  try {
+    const { error } = await supabase.from('token_usage').insert(rows);
+    if (error) {
+      logger.error('[TokenUsage] Failed to record usage', { userId, operation, error: error.message });
+    }
+  } catch (err) {
+    logger.error('[TokenUsage] Failed to record usage', { userId, operation, error: err.message });
+  }
+}
+
+const emptyTotals = () => ({ calls: 0, inputTokens: 0, outputTokens: 0, costUsd: 0 });
+
+function addTotals(totals, row) {
+  totals.calls += Number(row.calls);
+  totals.inputTokens += Number(row.input_tokens);
+  totals.outputTokens += Number(row.output_tokens);
+  totals.costUsd = Math.round((totals.costUsd + Number(row.cost_usd)) * 1e6) / 1e6;
+}
+
+/**
+ * Sum the token usage of a workspace over a period: all members' usage in an organization, or the
+ * user's personal usage
+ * @param {string} userId
+ * @param {Object} period
+ * @param {Date} period.from - Inclusive
+ * @param {Date} period.to - Exclusive
+ * @param {string|null} [organizationId] - Active organization UUID
+ * @returns {Promise<Object>} { totals, byModel: [{ model, ...totals }], byOperation: [{ operation, ...totals }] }
+ *   (lists ordered by cost, highest first)
+ */
+async function getUsageSummary(userId, { from, to }, organizationId = null) {
+  const { data, error } = await supabase.rpc('token_usage_summary', {
+    p_user_id: userId,
+    p_organization_id: organizationId,
+    p_from: from.toISOString(),
+    p_to: to.toISOString(),
+  });
+
+  if (error) {
+    logger.error('[TokenUsage] Failed to load usage summary', { userId, organizationId, error: error.message });
+    throw new Error('Failed to load usage');
+  }
+
+  const totals = emptyTotals();
+  const byModel = new Map();
+  const byOperation = new Map();
+  (data || []).forEach(row => {
+    addTotals(totals, row);
+    if (!byModel.has(row.model)) byModel.set(row.model, { model: row.model, ...emptyTotals() });
+    addTotals(byModel.get(row.model), row);
+    if (!byOperation.has(row.operation)) byOperation.set(row.operation, { operation: row.operation, ...emptyTotals() });
+    addTotals(byOperation.get(row.operation), row);
+  });
+
+  const byCost = (a, b) => b.costUsd - a.costUsd;
+  return {
+    totals,
+    byModel: [...byModel.values()].sort(byCost),
+    byOperation: [...byOperation.values()].sort(byCost),
+  };
+}
+
+module.exports = {
+  recordModelUsage,
+  getUsageSummary,
+};
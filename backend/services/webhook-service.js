@@ -0,0 +1,436 @@
+const crypto = require('crypto');
+const { supabase } = require('./supabase-service');
+const { redisClient, isRedisConnected } = require('./redis-service');
+const { postJson } = require('./page-fetcher');
+const logger = require('../utils/logger');
+
+/**
+ * Outbound Webhooks
+ *
+ * Users register endpoints (webhook_endpoints) with the events they want. emitEvent() stores one
+ * webhook_deliveries row per subscribed endpoint (the delivery log) and sends it right away in the
+ * background. Every request is a JSON POST of { id, type, createdAt, data } with headers:
+ * - X-Webhook-Event      event type
+ * - X-Webhook-Delivery   delivery id (the same for every attempt)
+ * - X-Webhook-Signature  t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<raw body>" with the endpoint secret>
+ *
+ * Failed attempts are retried with exponential backoff (RETRY_BASE_MS, doubling) up to
+ * WEBHOOK_MAX_ATTEMPTS attempts. Pending retries live in a Redis sorted set scored by their due
+ * time, so they survive restarts and are picked up by whichever instance polls first; without
+ * Redis a delivery is attempted once. A retry is claimed by moving its score to a lease deadline
+ * (RETRY_LEASE_MS) and only removed once the attempt settled, so retries of an instance that dies
+ * mid-attempt become due again.
+ */
+
+const WEBHOOK_EVENTS = ['scrape.completed', 'export.completed', 'usage.limit_reached', 'subscription.changed'];
+const TEST_EVENT = 'webhook.test';
+
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '6', 10);
+const RETRY_BASE_MS = 30 * 1000;
+const DELIVERY_TIMEOUT_MS = 10000;
+const RETRY_KEY = 'webhooks:retry';
+const RETRY_LEASE_MS = 2 * 60 * 1000;
+const POLL_INTERVAL_MS = 5000;
+const BATCH_SIZE = 20;
+
+const inFlight = new Set(); // delivery promises, awaited on shutdown
+let workerRunning = false;
+let workerLoop = null;
+let wakeUp = null;
+
+const sleep = (ms) => new Promise(resolve => {
+  const timer = setTimeout(resolve, ms);
+  wakeUp = () => {
+    clearTimeout(timer);
+    resolve();
+  };
+});
+
+/**
+ * Generate an endpoint signing secret
+ * @returns {string}
+ */
+function generateSecret() {
+  return `whsec_${crypto.randomBytes(24).toString('base64url')}`;
+}
+
+/**
+ * Signature header for a request body
+ * @param {string} secret - Endpoint secret
+ * @param {string} body - Raw JSON body
+ * @param {number} [timestamp] - Unix seconds (default: now)
+ * @returns {string} `t=<timestamp>,v1=<hex signature>`
+ */
+function signPayload(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+  const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+}
+
+/**
+ * Delay before the attempt after the given (1-based) failed attempt
+ * @param {number} attempt
+ * @returns {number} Milliseconds
+ */
+function retryDelayMs(attempt) {
+  return RETRY_BASE_MS * 2 ** (attempt - 1);
+}
+
+/**
+ * Fetch a webhook endpoint owned by the user
+ * @param {string} userId
+ * @param {string} endpointId
+ * @returns {Promise<Object|null>} Endpoint row, or null when not found
+ */
+async function getWebhookEndpointForUser(userId, endpointId) {
+  const { data, error } = await supabase
+    .from('webhook_endpoints')
+    .select('*')
+    .eq('id', endpointId)
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (error) {
+    logger.error('[Webhooks] Error fetching endpoint:', error);
+    throw new Error('Failed to load webhook endpoint');
+  }
+
+  return data;
+}
+
+/**
+ * Store a delivery for an endpoint
+ * @returns {Promise<Object>} Delivery row
+ */
+async function createDelivery(endpoint, event) {
+  const { data, error } = await supabase
+    .from('webhook_deliveries')
+    .insert({
+      endpoint_id: endpoint.id,
+      user_id: endpoint.user_id,
+      event_id: event.id,
+      event_type: event.type,
+      payload: event,
+      status: 'pending',
+      attempts: 0,
+    })
+    .select()
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to store webhook delivery: ${error.message}`);
+  }
+  return data;
+}
+
+async function updateDelivery(id, changes) {
+  const { data, error } = await supabase
+    .from('webhook_deliveries')
+    .update({ ...changes, updated_at: new Date().toISOString() })
+    .eq('id', id)
+    .select()
+    .maybeSingle();
+
+  if (error) {
+    logger.error('[Webhooks] Failed to record delivery result', { deliveryId: id, error: error.message });
+  }
+  return data;
+}
+
+/**
+ * Send one attempt of a delivery and record the outcome (never throws)
+ * @param {Object} delivery - Delivery row
+ * @param {Object} endpoint - Endpoint row
+ * @param {Object} [options]
+ * @param {boolean} [options.retry] - Schedule a retry when the attempt fails (default: true)
+ * @returns {Promise<Object>} Updated delivery row
+ */
+async function attemptDelivery(delivery, endpoint, { retry = true } = {}) {
+  const attempts = delivery.attempts + 1;
+  const body = JSON.stringify(delivery.payload);
+
+  try {
+    const { status } = await postJson(endpoint.url, delivery.payload, {
+      headers: {
+        'x-webhook-event': delivery.event_type,
+        'x-webhook-delivery': delivery.id,
+        'x-webhook-signature': signPayload(endpoint.secret, body),
+      },
+      timeoutMs: DELIVERY_TIMEOUT_MS,
+    });
+
+    logger.info('[Webhooks] Delivered', { deliveryId: delivery.id, eventType: delivery.event_type, attempts, status });
+    const updated = await updateDelivery(delivery.id, {
+      status: 'succeeded',
+      attempts,
+      response_status: status,
+      last_error: null,
+      next_attempt_at: null,
+      delivered_at: new Date().toISOString(),
+    });
+    return updated || { ...delivery, status: 'succeeded', attempts, response_status: status };
+  } catch (err) {
+    const canRetry = retry && attempts < MAX_ATTEMPTS && isRedisConnected();
+    const nextAttemptAt = canRetry ? Date.now() + retryDelayMs(attempts) : null;
+
+    if (canRetry) {
+      try {
+        await redisClient.zAdd(RETRY_KEY, { score: nextAttemptAt, value: delivery.id });
+      } catch (redisError) {
+        logger.error('[Webhooks] Failed to schedule retry', { deliveryId: delivery.id, error: redisError.message });
+      }
+    }
+
+    logger.warn('[Webhooks] Delivery attempt failed', {
+      deliveryId: delivery.id,
+      eventType: delivery.event_type,
+      attempts,
+      willRetry: canRetry,
+      error: err.message,
+    });
+    const changes = {
+      status: canRetry ? 'retrying' : 'failed',
+      attempts,
+      last_error: err.message,
+      next_attempt_at: canRetry ? new Date(nextAttemptAt).toISOString() : null,
+    };
+    const updated = await updateDelivery(delivery.id, changes);
+    return updated || { ...delivery, ...changes };
+  }
+}
+
+function track(promise) {
+  inFlight.add(promise);
+  promise.finally(() => inFlight.delete(promise));
+  return promise;
+}
+
+/**
+ * Raise an event for a user: store a delivery for each enabled endpoint subscribed to it and send
+ * them in the background. Never throws, so callers don't need to await it.
+ * @param {string} userId - User whose endpoints receive the event
+ * @param {string} type - One of WEBHOOK_EVENTS
+ * @param {Object} data - Event data
+ * @returns {Promise<number>} Number of deliveries queued
+ */
+async function emitEvent(userId, type, data) {
+  try {
+    const { data: endpoints, error } = await supabase
+      .from('webhook_endpoints')
+      .select('*')
+      .eq('user_id', userId)
+      .eq('enabled', true)
+      .contains('events', [type]);
+
+    if (error) {
+      logger.error('[Webhooks] Error loading endpoints:', error);
+      return 0;
+    }
+    if (!endpoints || endpoints.length === 0) return 0;
+
+    const event = { id: crypto.randomUUID(), type, createdAt: new Date().toISOString(), data };
+    let queued = 0;
+    for (const endpoint of endpoints) {
+      try {
+        const delivery = await createDelivery(endpoint, event);
+        track(attemptDelivery(delivery, endpoint));
+        queued++;
+      } catch (err) {
+        logger.error('[Webhooks] Failed to queue delivery', { endpointId: endpoint.id, eventType: type, error: err.message });
+      }
+    }
+
+    logger.info('[Webhooks] Event emitted', { userId, eventType: type, eventId: event.id, deliveries: queued });
+    return queued;
+  } catch (err) {
+    logger.error('[Webhooks] Failed to emit event', { userId, eventType: type, error: err.message });
+    return 0;
+  }
+}
+
+/**
+ * Send a webhook.test event to one endpoint and wait for the result (attempted once, also when
+ * the endpoint is disabled or not subscribed to anything)
+ * @param {Object} endpoint - Endpoint row
+ * @returns {Promise<Object>} Delivery row
+ */
+async function sendTestEvent(endpoint) {
+  const event = {
+    id: crypto.randomUUID(),
+    type: TEST_EVENT,
+    createdAt: new Date().toISOString(),
+    data: { endpointId: endpoint.id, message: 'Test delivery' },
+  };
+  const delivery = await createDelivery(endpoint, event);
+  return track(attemptDelivery(delivery, endpoint, { retry: false }));
+}
+
+// Push a due retry's score to its lease deadline; returns 1 when claimed, 0 when another
+// instance claimed it first (its score is no longer due)
+const CLAIM_RETRY_SCRIPT = `
+local score = redis.call('ZSCORE', KEYS[1], ARGV[1])
+if score and tonumber(score) <= tonumber(ARGV[2]) then
+  redis.call('ZADD', KEYS[1], ARGV[3], ARGV[1])
+  return 1
+end
+return 0
+`;
+
+/**
+ * Lease a due retry for this instance
+ * @param {string} id - Delivery id
+ * @returns {Promise<boolean>}
+ */
+async function claimRetry(id) {
+  const now = Date.now();
+  const claimed = await redisClient.eval(CLAIM_RETRY_SCRIPT, {
+    keys: [RETRY_KEY],
+    arguments: [id, String(now), String(now + RETRY_LEASE_MS)],
+  });
+  return claimed === 1;
+}
+
+/**
+ * Claim due retries and send them. A claimed retry stays in the set until the attempt settled
+ * (rescheduled by attemptDelivery when it failed again).
+ */
+async function processDueRetries() {
+  const ids = await redisClient.zRangeByScore(RETRY_KEY, 0, Date.now(), {
+    LIMIT: { offset: 0, count: BATCH_SIZE },
+  });
+
+  for (const id of ids) {
+    if (!workerRunning) return;
+    if (!(await claimRetry(id))) continue; // another instance took it
+
+    const { data: delivery, error } = await supabase
+      .from('webhook_deliveries')
+      .select('*, webhook_endpoints(*)')
+      .eq('id', id)
+      .maybeSingle();
+
+    if (error) {
+      logger.error('[Webhooks] Failed to load delivery for retry', { deliveryId: id, error: error.message });
+      await redisClient.zAdd(RETRY_KEY, { score: Date.now() + RETRY_BASE_MS, value: id });
+      continue;
+    }
+    // Endpoint deleted (its deliveries cascade) or delivery already settled
+    if (!delivery || delivery.status !== 'retrying') {
+      await redisClient.zRem(RETRY_KEY, id);
+      continue;
+    }
+
+    const { webhook_endpoints: endpoint, ...row } = delivery;
+    if (!endpoint || !endpoint.enabled) {
+      await updateDelivery(id, { status: 'failed', last_error: 'Endpoint disabled', next_attempt_at: null });
+      await redisClient.zRem(RETRY_KEY, id);
+      continue;
+    }
+
+    const result = await track(attemptDelivery(row, endpoint));
+    if (result.status !== 'retrying') {
+      await redisClient.zRem(RETRY_KEY, id);
+    }
+  }
+}
+
+async function pollRetries() {
+  while (workerRunning) {
+    if (isRedisConnected()) {
+      try {
+        await processDueRetries();
+      } catch (err) {
+        logger.error('[Webhooks] Retry poll failed', { error: err.message });
+      }
+    }
+    if (workerRunning) await sleep(POLL_INTERVAL_MS);
+  }
+}
+
+/**
+ * Start retrying failed deliveries in the background (no-op without Redis)
+ */
+function startWebhookWorker() {
+  if (workerRunning) return;
+  if (!redisClient) {
+    logger.info('[Webhooks] REDIS_URL not set - webhook retries disabled');
+    return;
+  }
+
+  workerRunning = true;
+  workerLoop = pollRetries();
+  logger.info('[Webhooks] Retry worker started', { maxAttempts: MAX_ATTEMPTS });
+}
+
+/**
+ * Stop the retry worker and wait for deliveries in flight (unfinished retries stay in Redis)
+ * @param {number} timeoutMs - How long to wait for deliveries in flight
+ */
+async function stopWebhookWorker(timeoutMs = 15000) {
+  if (workerRunning) {
+    workerRunning = false;
+    if (wakeUp) wakeUp();
+    await workerLoop;
+  }
+
+  if (inFlight.size > 0) {
+    logger.info('[Webhooks] Waiting for deliveries in flight', { count: inFlight.size, timeoutMs });
+    await Promise.race([
+      Promise.allSettled(inFlight),
+      new Promise(resolve => setTimeout(resolve, timeoutMs).unref()),
+    ]);
+  }
+
+  logger.info('[Webhooks] Retry worker stopped');
+}
+
+/**
+ * Map an endpoint row to its API representation (the secret is only returned on creation)
+ * @param {Object} row - Endpoint row
+ * @returns {Object}
+ */
+function toWebhookEndpointResponse(row) {
+  return {
+    id: row.id,
+    url: row.url,
+    description: row.description,
+    events: row.events,
+    enabled: row.enabled,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+/**
+ * Map a delivery row to its API representation
+ * @param {Object} row - Delivery row
+ * @returns {Object}
+ */
+function toDeliveryResponse(row) {
+  return {
+    id: row.id,
+    eventId: row.event_id,
+    eventType: row.event_type,
+    status: row.status,
+    attempts: row.attempts,
+    responseStatus: row.response_status,
+    lastError: row.last_error,
+    nextAttemptAt: row.next_attempt_at,
+    deliveredAt: row.delivered_at,
+    createdAt: row.created_at,
+    payload: row.payload,
+  };
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  generateSecret,
+  signPayload,
+  retryDelayMs,
+  getWebhookEndpointForUser,
+  emitEvent,
+  sendTestEvent,
+  startWebhookWorker,
+  stopWebhookWorker,
+  toWebhookEndpointResponse,
+  toDeliveryResponse,
+};
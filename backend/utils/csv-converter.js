@@ -1,24 +1,52 @@
+// Characters that make Excel and Sheets read a cell as a formula
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+// Negative numbers like "-12.5" start with "-" but stay numbers
+const NUMERIC_STRING = /^-?\d+(\.\d+)?$/;
+
+/**
+ * Quote a value for CSV. Scraped text starting like a formula (=, +, -, @, tab, CR) is prefixed
+ * with ' so spreadsheet apps show it as text instead of evaluating it; numeric strings are kept.
+ * @param {*} field
+ * @returns {string}
+ */
 function escapeCSVField(field) {
   if (field === null || field === undefined) {
     return '';
   }
-  const str = String(field);
-  if (str.includes(',') || str.includes('"') || str.includes('\n')) {
+  let str = typeof field === 'object' ? JSON.stringify(field) : String(field);
+  if (typeof field === 'string' && FORMULA_PREFIX.test(str) && !NUMERIC_STRING.test(str)) {
+    str = `'${str}`;
+    return `"${str.replace(/"/g, '""')}"`;
+  }
+  if (str.includes(',') || str.includes('"') || str.includes('\n') || str.includes('\r')) {
     return `"${str.replace(/"/g, '""')}"`;
   }
   return str;
 }
 
+/**
+ * Collect headers from all rows (in first-seen order) since row structure may vary
+ * @param {Array<Object>} data
+ * @returns {Array<string>}
+ */
+function collectHeaders(data) {
+  const allKeys = new Set();
+  data.forEach(row => {
+    Object.keys(row).forEach(key => allKeys.add(key));
+  });
+  return Array.from(allKeys);
+}
+
 function convertToCSV(data) {
   if (!Array.isArray(data) || data.length === 0) {
     return '';
   }
 
-  const headers = Object.keys(data[0]);
+  const headers = collectHeaders(data);
   const headerRow = headers.map(escapeCSVField).join(',');
 
   const rows = data.map((item) => {
-    return headers.map((header) => escapeCSVField(item[header] || '')).join(',');
+    return headers.map((header) => escapeCSVField(item[header])).join(',');
   });
 
   return [headerRow, ...rows].join('\n');
@@ -26,5 +54,5 @@ function convertToCSV(data) {
 
 module.exports = {
   convertToCSV,
+  collectHeaders,
 };
-
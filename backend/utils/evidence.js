@@ -0,0 +1,125 @@
+const { normalizeKey } = require('./output-schema');
+
+/**
+ * Extraction Evidence
+ *
+ * In evidence mode the model returns, next to each row's values, an "_evidence" object with the
+ * verbatim page snippet every field was taken from and a 0-1 confidence. The server checks that
+ * each snippet really occurs in the content sent to the model; fields whose snippet is missing or
+ * not found, or whose confidence is below EVIDENCE_MIN_CONFIDENCE, are flagged.
+ */
+
+const EVIDENCE_KEY = '_evidence';
+const EVIDENCE_MIN_CONFIDENCE = parseFloat(process.env.EVIDENCE_MIN_CONFIDENCE || '0.5');
+
+// Whitespace and Markdown emphasis differ between the page and what the model copies
+const normalizeText = (text) => String(text)
+  .replace(/[*_`]/g, '')
+  .replace(/\s+/g, ' ')
+  .trim()
+  .toLowerCase();
+
+/**
+ * Build a checker for snippets of one piece of content
+ * @param {string} content - Content sent to the model
+ * @returns {(quote: string) => boolean}
+ */
+function createQuoteVerifier(content) {
+  const haystack = normalizeText(content);
+  return (quote) => {
+    const needle = normalizeText(quote);
+    return needle.length > 0 && haystack.includes(needle);
+  };
+}
+
+/**
+ * Split the model's evidence off a row
+ * @param {Object} row - Row as returned by the model
+ * @returns {{ row: Object, evidence: Object }} Row without the evidence key, and the raw evidence
+ */
+function splitEvidence(row) {
+  if (!row || typeof row !== 'object' || Array.isArray(row)) return { row, evidence: {} };
+
+  const { [EVIDENCE_KEY]: evidence, ...values } = row;
+  return { row: values, evidence: evidence && typeof evidence === 'object' ? evidence : {} };
+}
+
+/**
+ * Check the evidence of every non-empty field of a (validated) row
+ * @param {Object} row - Final row values
+ * @param {Object} rawEvidence - Evidence as returned by the model, keyed by (possibly unaligned) field name
+ * @param {Function} verifyQuote - From createQuoteVerifier
+ * @returns {Object} { [field]: { quote, confidence, verified, flagged } }
+ */
+function verifyEvidence(row, rawEvidence, verifyQuote) {
+  const byNormalizedKey = {};
+  Object.keys(rawEvidence).forEach(key => {
+    byNormalizedKey[normalizeKey(key)] = rawEvidence[key];
+  });
+
+  const checked = {};
+  Object.keys(row).forEach(field => {
+    const value = row[field];
+    if (value === null || value === undefined || value === '') return;
+
+    const entry = rawEvidence[field] ?? byNormalizedKey[normalizeKey(field)];
+    const quote = entry && typeof entry === 'object' ? entry.quote : entry;
+    const rawConfidence = entry && typeof entry === 'object' ? Number(entry.confidence) : NaN;
+    const confidence = Number.isFinite(rawConfidence) ? Math.min(1, Math.max(0, rawConfidence)) : null;
+    const verified = typeof quote === 'string' && verifyQuote(quote);
+
+    checked[field] = {
+      quote: typeof quote === 'string' ? quote : null,
+      confidence,
+      verified,
+      flagged: !verified || confidence === null || confidence < EVIDENCE_MIN_CONFIDENCE,
+    };
+  });
+  return checked;
+}
+
+/**
+ * Separate verified evidence from extracted rows for the API response
+ * @param {Array<Object>} rows - Rows carrying an "_evidence" key
+ * @returns {{ data: Array<Object>, evidence: Array<Object>, flaggedFields: number }}
+ *   Rows without evidence, and the evidence of each row at the same index
+ */
+function separateEvidence(rows) {
+  const data = [];
+  const evidence = [];
+  let flaggedFields = 0;
+
+  rows.forEach(row => {
+    const { row: values, evidence: rowEvidence } = splitEvidence(row);
+    data.push(values);
+    evidence.push(rowEvidence);
+    flaggedFields += Object.values(rowEvidence).filter(entry => entry && entry.flagged).length;
+  });
+
+  return { data, evidence, flaggedFields };
+}
+
+/**
+ * List the flagged cells of an export
+ * @param {Array<Object>} evidence - Evidence per row (same order as the exported data)
+ * @returns {Array<{ row: number, column: string }>} 0-based data row index and column name
+ */
+function flaggedCells(evidence) {
+  const cells = [];
+  (evidence || []).forEach((rowEvidence, row) => {
+    Object.entries(rowEvidence || {}).forEach(([column, entry]) => {
+      if (entry && entry.flagged) cells.push({ row, column });
+    });
+  });
+  return cells;
+}
+
+module.exports = {
+  EVIDENCE_KEY,
+  EVIDENCE_MIN_CONFIDENCE,
+  createQuoteVerifier,
+  splitEvidence,
+  verifyEvidence,
+  separateEvidence,
+  flaggedCells,
+};
@@ -447,18 +447,16 @@ function removeBalancedDivs(html, pattern) {
 }
 
 /**
- * String-based HTML cleaner for extension-provided HTML.
- * This runs in Node.js context (not browser), so we use regex and string manipulation.
- * Used when HTML is provided directly from the Chrome extension.
- * 
- * @param {string} htmlString - Raw HTML string from extension
- * @returns {string} Cleaned HTML string
+ * Remove boilerplate from an HTML string (scripts, styles, SVGs, comments, metadata,
+ * header/nav/footer, cookie banners and modals, presentational attributes) while keeping
+ * the document structure, classes and ids intact, so the result can still be queried with selectors.
+ *
+ * @param {string} htmlString - Raw HTML string
+ * @returns {string} HTML without boilerplate (whitespace untouched)
  */
-function cleanHTMLString(htmlString) {
+function removeBoilerplate(htmlString) {
   if (!htmlString) return '';
 
-  logger.debug('[Cleaner] String-based cleaning', { inputLength: htmlString.length });
-
   // Step 1: Remove scripts, styles, noscripts
   let cleaned = htmlString
     .replace(/<script[^>]*>[\s\S]*?<\/script>/gi, '')
@@ -492,6 +490,25 @@ function cleanHTMLString(htmlString) {
   // This removes styles, event handlers, and UI state attributes that don't contain data
   cleaned = cleaned.replace(/ (?:style|onclick|onmouseover|onmouseout|onmouseenter|onmouseleave|onfocus|onblur|onerror|onload|tabindex|aria-hidden|aria-controls|aria-labelledby|aria-describedby)="[^"]*"/gi, '');
 
+  return cleaned;
+}
+
+/**
+ * String-based HTML cleaner for extension-provided HTML.
+ * This runs in Node.js context (not browser), so we use regex and string manipulation.
+ * Used when HTML is provided directly from the Chrome extension.
+ * 
+ * @param {string} htmlString - Raw HTML string from extension
+ * @returns {string} Cleaned HTML string
+ */
+function cleanHTMLString(htmlString) {
+  if (!htmlString) return '';
+
+  logger.debug('[Cleaner] String-based cleaning', { inputLength: htmlString.length });
+
+  // Steps 1-6.5: boilerplate removal
+  let cleaned = removeBoilerplate(htmlString);
+
   // Step 7: Compress whitespace aggressively
   cleaned = cleaned
     .replace(/\s+/g, ' ')           // Multiple whitespace → single space
@@ -513,4 +530,5 @@ function cleanHTMLString(htmlString) {
 module.exports = {
   cleanRawHtml,      // For browser context (via page.evaluate() if needed)
   cleanHTMLString,   // For extension HTML (string-based in Node.js)
+  removeBoilerplate, // For selector extraction (keeps structure and whitespace)
 };
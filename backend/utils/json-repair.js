@@ -0,0 +1,157 @@
+/**
+ * Lenient JSON Parsing
+ *
+ * Model output is sometimes almost-JSON: cut off mid-array when the output token limit is hit,
+ * with trailing commas, unquoted or single-quoted keys, or single-quoted strings. When strict
+ * parsing fails these constructs are rewritten (outside string literals) and a truncated array
+ * is closed after its last complete row, so the rows before the cut are kept.
+ */
+
+// Bare words that are values (JavaScript and Python spellings); other bare words are quoted
+const BARE_VALUES = {
+  true: 'true',
+  false: 'false',
+  null: 'null',
+  True: 'true',
+  False: 'false',
+  None: 'null',
+  undefined: 'null',
+  NaN: 'null',
+};
+
+/**
+ * Read a string literal starting at text[start] (a " or ' quote)
+ * @returns {{ literal: string, end: number }|null} Double-quoted JSON literal and the index after it,
+ *   or null when the text ends inside the string
+ */
+function readString(text, start) {
+  const quote = text[start];
+  let value = '';
+  for (let i = start + 1; i < text.length; i++) {
+    const ch = text[i];
+    if (ch === '\\') {
+      if (i + 1 >= text.length) return null;
+      const next = text[i + 1];
+      // \' is not a JSON escape
+      value += quote === "'" && next === "'" ? "'" : ch + next;
+      i++;
+    } else if (ch === quote) {
+      return { literal: `"${value}"`, end: i + 1 };
+    } else if (ch === '"') {
+      value += '\\"';
+    } else if (ch === '\n') {
+      value += '\\n';
+    } else {
+      value += ch;
+    }
+  }
+  return null;
+}
+
+/**
+ * Remove a trailing comma (and the whitespace after it) from the output so far
+ * @param {string} output
+ * @returns {string}
+ */
+function dropTrailingComma(output) {
+  const trimmed = output.replace(/\s+$/, '');
+  return trimmed.endsWith(',') ? trimmed.slice(0, -1) : output;
+}
+
+/**
+ * Rewrite almost-JSON into JSON
+ * @param {string} text - Model output (anything before the first [ or { is skipped)
+ * @returns {{ text: string, truncated: boolean }|null} Null when there is no JSON value to recover
+ */
+function repairJsonText(text) {
+  const start = text.search(/[[{]/);
+  if (start < 0) return null;
+
+  let output = '';
+  const stack = [];
+  // Output length and open brackets after the last complete row (object directly in the rows array)
+  let checkpoint = null;
+  let truncated = false;
+
+  let i = start;
+  while (i < text.length) {
+    const ch = text[i];
+
+    if (ch === '"' || ch === "'") {
+      const string = readString(text, i);
+      if (!string) {
+        truncated = true;
+        break;
+      }
+      output += string.literal;
+      i = string.end;
+      continue;
+    }
+
+    if (ch === '{' || ch === '[') {
+      stack.push(ch);
+      output += ch;
+    } else if (ch === '}' || ch === ']') {
+      output = dropTrailingComma(output);
+      stack.pop();
+      output += ch;
+      if (stack.length === 0) break;
+
+      // Rows live in a top-level array, or in the "data" array of a top-level object
+      const inRowsArray = stack.length === 1 ? stack[0] === '[' : stack.length === 2 && stack[0] === '{' && stack[1] === '[';
+      if (ch === '}' && inRowsArray) checkpoint = { length: output.length, stack: [...stack] };
+    } else if (/[-\d]/.test(ch)) {
+      const number = text.slice(i).match(/^-?\d*(?:\.\d+)?(?:[eE][+-]?\d+)?/)[0] || ch;
+      output += number;
+      i += number.length;
+      continue;
+    } else if (/[A-Za-z_$]/.test(ch)) {
+      const word = text.slice(i).match(/^[\w$]+/)[0];
+      const isKey = /^\s*:/.test(text.slice(i + word.length));
+      output += !isKey && word in BARE_VALUES ? BARE_VALUES[word] : `"${word}"`;
+      i += word.length;
+      continue;
+    } else {
+      output += ch;
+    }
+    i++;
+  }
+
+  if (stack.length > 0) truncated = true;
+  if (!truncated) return { text: output, truncated: false };
+
+  // Cut after the last complete row and close what was open at that point
+  if (!checkpoint) {
+    return { text: stack[0] === '{' ? '{"data":[]}' : '[]', truncated: true };
+  }
+  let closed = output.slice(0, checkpoint.length);
+  for (let depth = checkpoint.stack.length - 1; depth >= 0; depth--) {
+    closed += checkpoint.stack[depth] === '[' ? ']' : '}';
+  }
+  return { text: closed, truncated: true };
+}
+
+/**
+ * Parse JSON, recovering common model output mistakes when strict parsing fails
+ * @param {string} text
+ * @returns {{ value: *, repaired: boolean, truncated: boolean }}
+ * @throws {Error} When the text cannot be recovered (message from the strict parse)
+ */
+function parseJsonLenient(text) {
+  try {
+    return { value: JSON.parse(text), repaired: false, truncated: false };
+  } catch (strictError) {
+    const repaired = repairJsonText(text);
+    if (!repaired) throw strictError;
+    try {
+      return { value: JSON.parse(repaired.text), repaired: true, truncated: repaired.truncated };
+    } catch (err) {
+      throw strictError;
+    }
+  }
+}
+
+module.exports = {
+  repairJsonText,
+  parseJsonLenient,
+};
@@ -0,0 +1,91 @@
+/**
+ * Incremental parser for a JSON array of objects arriving in pieces
+ * (e.g. streamed model output).
+ *
+ * Text before the first "[" (such as a ```json fence) is skipped. Each time a
+ * top-level object in the array is closed it is parsed and returned, so rows can
+ * be emitted long before the array is complete. Objects that fail to parse are skipped.
+ */
+
+/**
+ * Create a streaming parser
+ * @returns {{ push: (text: string) => Array<Object> }}
+ */
+function createJsonArrayStreamParser() {
+  let buffer = '';
+  let pos = 0;
+  let started = false;
+  let finished = false;
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+  let objectStart = -1;
+
+  /**
+   * Feed the next piece of text
+   * @param {string} text
+   * @returns {Array<Object>} Objects completed by this piece
+   */
+  function push(text) {
+    const rows = [];
+    if (finished || !text) return rows;
+
+    buffer += text;
+
+    for (; pos < buffer.length && !finished; pos++) {
+      const ch = buffer[pos];
+
+      if (!started) {
+        if (ch === '[') {
+          started = true;
+          depth = 1;
+        }
+        continue;
+      }
+
+      if (inString) {
+        if (escaped) escaped = false;
+        else if (ch === '\\') escaped = true;
+        else if (ch === '"') inString = false;
+        continue;
+      }
+
+      if (ch === '"') {
+        inString = true;
+      } else if (ch === '{' || ch === '[') {
+        if (depth === 1 && ch === '{') objectStart = pos;
+        depth++;
+      } else if (ch === '}' || ch === ']') {
+        depth--;
+        if (depth === 1 && ch === '}' && objectStart >= 0) {
+          try {
+            rows.push(JSON.parse(buffer.slice(objectStart, pos + 1)));
+          } catch (err) {
+            // Malformed object: skip it and keep going
+          }
+          objectStart = -1;
+        } else if (depth === 0) {
+          finished = true;
+        }
+      }
+    }
+
+    // Keep only the unfinished object so the buffer doesn't grow with the whole response
+    if (objectStart < 0) {
+      buffer = '';
+      pos = 0;
+    } else if (objectStart > 0) {
+      buffer = buffer.slice(objectStart);
+      pos -= objectStart;
+      objectStart = 0;
+    }
+
+    return rows;
+  }
+
+  return { push };
+}
+
+module.exports = {
+  createJsonArrayStreamParser
+};
@@ -0,0 +1,151 @@
+/**
+ * Splits large Markdown into chunks that each fit in a single model call.
+ *
+ * Splits only on structural boundaries so no item is cut in half:
+ * - Headings (# ...) start a new block
+ * - List items (-, *, +, 1.) start a new block
+ * - Every table row is its own block; the table header is repeated at the
+ *   top of any chunk that starts in the middle of a table
+ * - Blank lines end a paragraph block
+ *
+ * A single block larger than the chunk size is split by lines as a last resort.
+ */
+
+const HEADING = /^#{1,6}\s/;
+const LIST_ITEM = /^\s{0,3}(?:[-*+]|\d+[.)])\s/;
+const TABLE_ROW = /^\s*\|/;
+const TABLE_SEPARATOR = /^\s*\|?\s*:?-{3,}:?\s*(\|\s*:?-{3,}:?\s*)*\|?\s*$/;
+
+/**
+ * Group markdown lines into structural blocks
+ * @param {string} markdown
+ * @returns {Array<{ text: string, isHeading: boolean, tableHeader: string|null }>}
+ */
+function splitIntoBlocks(markdown) {
+  const lines = markdown.split('\n');
+  const blocks = [];
+  let current = [];
+  let tableHeader = null;
+  let inTable = false;
+
+  const flush = () => {
+    if (current.length === 0) return;
+    blocks.push({ text: current.join('\n'), isHeading: HEADING.test(current[0]), tableHeader: null });
+    current = [];
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+
+    if (TABLE_ROW.test(line)) {
+      if (!inTable) {
+        flush();
+        inTable = true;
+        tableHeader = null;
+        // A header row followed by a |---| separator is kept together
+        if (TABLE_SEPARATOR.test(lines[i + 1] || '')) {
+          tableHeader = `${line}\n${lines[i + 1]}`;
+          blocks.push({ text: tableHeader, isHeading: false, tableHeader: null });
+          i++;
+          continue;
+        }
+      }
+      blocks.push({ text: line, isHeading: false, tableHeader });
+      continue;
+    }
+
+    if (inTable) {
+      inTable = false;
+      tableHeader = null;
+    }
+
+    if (line.trim() === '') {
+      current.push(line);
+      flush();
+      continue;
+    }
+
+    if (HEADING.test(line) || LIST_ITEM.test(line)) {
+      flush();
+    }
+    current.push(line);
+  }
+  flush();
+
+  return blocks;
+}
+
+/**
+ * Hard-split text that is larger than one chunk, by lines and then by characters
+ * @param {string} text
+ * @param {number} maxChars
+ * @returns {Array<string>}
+ */
+function hardSplit(text, maxChars) {
+  const pieces = [];
+  let buffer = '';
+
+  text.split('\n').forEach(line => {
+    while (line.length > maxChars) {
+      if (buffer) {
+        pieces.push(buffer);
+        buffer = '';
+      }
+      pieces.push(line.substring(0, maxChars));
+      line = line.substring(maxChars);
+    }
+    if (buffer && buffer.length + line.length + 1 > maxChars) {
+      pieces.push(buffer);
+      buffer = '';
+    }
+    buffer = buffer ? `${buffer}\n${line}` : line;
+  });
+  if (buffer) pieces.push(buffer);
+
+  return pieces;
+}
+
+/**
+ * Split markdown into chunks of at most maxChars characters, in page order
+ * @param {string} markdown - The markdown content
+ * @param {number} maxChars - Maximum characters per chunk
+ * @returns {Array<string>} Chunks (a single chunk if the content already fits)
+ */
+function chunkMarkdown(markdown, maxChars) {
+  if (!markdown) return [];
+  if (markdown.length <= maxChars) return [markdown];
+
+  const chunks = [];
+  let buffer = '';
+
+  const pushBuffer = () => {
+    if (buffer.trim()) chunks.push(buffer);
+    buffer = '';
+  };
+
+  for (const block of splitIntoBlocks(markdown)) {
+    const wouldOverflow = buffer && buffer.length + block.text.length + 1 > maxChars;
+    // Prefer to start a new chunk at a heading once the current one is half full
+    const goodBreak = block.isHeading && buffer.length > maxChars / 2;
+
+    if (wouldOverflow || goodBreak) {
+      pushBuffer();
+      if (block.tableHeader) buffer = block.tableHeader;
+    }
+
+    if (block.text.length > maxChars) {
+      pushBuffer();
+      hardSplit(block.text, maxChars).forEach(piece => chunks.push(piece));
+      continue;
+    }
+
+    buffer = buffer ? `${buffer}\n${block.text}` : block.text;
+  }
+  pushBuffer();
+
+  return chunks;
+}
+
+module.exports = {
+  chunkMarkdown
+};
@@ -0,0 +1,206 @@
+const { z } = require('zod');
+
+/**
+ * User-defined output schema for extraction.
+ *
+ * A schema is an ordered list of columns. It is described to the model in the
+ * prompt, then every row the model returns is aligned to the column names
+ * (case- and punctuation-insensitive), coerced to the column type and validated.
+ */
+
+const COLUMN_TYPES = ['string', 'number', 'date', 'url', 'boolean'];
+
+const columnDefinition = z.object({
+  name: z.string().trim().min(1).max(100),
+  type: z.enum(COLUMN_TYPES).optional().default('string'),
+  required: z.boolean().optional().default(false),
+  description: z.string().max(300).optional(),
+});
+
+// Request-body schema for the `schema` field
+const outputSchemaDefinition = z.array(columnDefinition)
+  .min(1, 'Schema must define at least 1 column')
+  .max(50)
+  .refine(
+    (columns) => new Set(columns.map(c => normalizeKey(c.name))).size === columns.length,
+    { message: 'Column names must be unique' }
+  );
+
+/**
+ * Normalize a key for loose matching: "Price (USD)" → "priceusd"
+ * @param {string} key
+ * @returns {string}
+ */
+function normalizeKey(key) {
+  return String(key).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+function isEmpty(value) {
+  return value === null || value === undefined || (typeof value === 'string' && value.trim() === '');
+}
+
+const TRUE_VALUES = ['true', 'yes', 'y', '1', 'on', 'available', 'in stock'];
+const FALSE_VALUES = ['false', 'no', 'n', '0', 'off', 'unavailable', 'out of stock'];
+
+// Coercers return the converted value, or the original value so validation reports it
+const coercers = {
+  string: (value) => (typeof value === 'object' ? JSON.stringify(value) : String(value).trim()),
+
+  number: (value) => {
+    if (typeof value === 'number') return value;
+    // "$1,299.99" → 1299.99, "4.5 out of 5" → 4.5
+    const match = String(value).replace(/,/g, '').match(/-?\d+(?:\.\d+)?/);
+    return match ? parseFloat(match[0]) : value;
+  },
+
+  date: (value) => {
+    const text = String(value).trim();
+    if (/^\d{4}-\d{2}-\d{2}/.test(text)) return text.slice(0, 10);
+    const date = new Date(text);
+    if (Number.isNaN(date.getTime())) return value;
+    // Free-form dates parse as local midnight, so read back local components
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  },
+
+  url: (value) => String(value).trim(),
+
+  boolean: (value) => {
+    if (typeof value === 'boolean') return value;
+    const text = String(value).trim().toLowerCase();
+    if (TRUE_VALUES.includes(text)) return true;
+    if (FALSE_VALUES.includes(text)) return false;
+    return value;
+  },
+};
+
+const baseTypes = {
+  string: () => z.string(),
+  number: () => z.number(),
+  date: () => z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'Invalid date'),
+  url: () => z.url(),
+  boolean: () => z.boolean(),
+};
+
+/**
+ * Build a zod schema that coerces and validates a single aligned row
+ * @param {Array<Object>} columns - Parsed column definitions
+ * @returns {import('zod').ZodObject}
+ */
+function buildRowSchema(columns) {
+  const shape = {};
+  columns.forEach(column => {
+    const base = baseTypes[column.type]();
+    shape[column.name] = z.preprocess(
+      (value) => (isEmpty(value) ? null : coercers[column.type](value)),
+      column.required ? base : base.nullable()
+    );
+  });
+  return z.object(shape);
+}
+
+/**
+ * Map a model row onto the schema column names, dropping unknown keys
+ * @param {Object} row - Row as returned by the model
+ * @param {Array<Object>} columns
+ * @returns {Object}
+ */
+function alignRow(row, columns) {
+  const byNormalizedKey = {};
+  Object.keys(row).forEach(key => {
+    byNormalizedKey[normalizeKey(key)] = row[key];
+  });
+
+  const aligned = {};
+  columns.forEach(column => {
+    aligned[column.name] = column.name in row ? row[column.name] : byNormalizedKey[normalizeKey(column.name)];
+  });
+  return aligned;
+}
+
+/**
+ * Align, coerce and validate model output against a schema
+ * @param {Array} rows - Rows parsed from the model response
+ * @param {Array<Object>} columns - Parsed column definitions
+ * @returns {{ rows: Array<Object>, invalid: Array<{ index: number, row: *, issues: Array<string> }> }}
+ */
+function applyOutputSchema(rows, columns) {
+  const rowSchema = buildRowSchema(columns);
+  const valid = [];
+  const invalid = [];
+
+  rows.forEach((row, index) => {
+    if (!row || typeof row !== 'object' || Array.isArray(row)) {
+      invalid.push({ index, row, issues: ['Row is not an object'] });
+      return;
+    }
+
+    const result = rowSchema.safeParse(alignRow(row, columns));
+    if (result.success) {
+      valid.push(result.data);
+    } else {
+      invalid.push({
+        index,
+        row,
+        issues: result.error.issues.map(issue => `${issue.path.join('.')}: ${issue.message}`),
+      });
+    }
+  });
+
+  return { rows: valid, invalid };
+}
+
+/**
+ * Infer a schema from rows extracted without one, to catch rows that do not fit the rest:
+ * columns are the keys present in at least half the rows, typed number or boolean when at
+ * least 3 of every 4 values are, string otherwise. No column is required.
+ * @param {Array} rows - Rows parsed from the model response
+ * @returns {Array<Object>|null} Column definitions, or null when the rows share no keys
+ */
+function inferOutputSchema(rows) {
+  const objects = rows.filter(row => row && typeof row === 'object' && !Array.isArray(row));
+  if (objects.length === 0) return null;
+
+  const counts = new Map();
+  objects.forEach(row => {
+    Object.keys(row).forEach(key => counts.set(key, (counts.get(key) || 0) + 1));
+  });
+
+  const columns = [];
+  counts.forEach((count, name) => {
+    if (count < objects.length / 2) return;
+
+    const values = objects.map(row => row[name]).filter(value => !isEmpty(value));
+    const share = (type) => values.filter(value => typeof value === type).length / values.length;
+    let type = 'string';
+    // A single odd value is what should be caught, so a type needs at least 3 values to count
+    if (values.length >= 3 && share('number') >= 0.75) type = 'number';
+    else if (values.length >= 3 && share('boolean') >= 0.75) type = 'boolean';
+
+    columns.push({ name, type, required: false });
+  });
+
+  return columns.length > 0 ? columns : null;
+}
+
+/**
+ * Describe the schema for the extraction prompt
+ * @param {Array<Object>} columns
+ * @returns {string}
+ */
+function describeSchemaForPrompt(columns) {
+  return columns.map(column => {
+    const flags = [column.type, column.required ? 'required' : 'optional'].join(', ');
+    const description = column.description ? `: ${column.description}` : '';
+    return ` - "${column.name}" (${flags})${description}`;
+  }).join('\n');
+}
+
+module.exports = {
+  COLUMN_TYPES,
+  outputSchemaDefinition,
+  applyOutputSchema,
+  inferOutputSchema,
+  describeSchemaForPrompt,
+  normalizeKey,
+};
@@ -0,0 +1,122 @@
+const { extractWithSelectors } = require('./selector-extractor');
+
+/**
+ * Find the "next page" link in a fetched HTML page.
+ *
+ * Candidates are <a> and <link> tags with an href. The first match wins, checked in order:
+ * 1. nextSelector - CSS selector of the next-page link (parsed with a real HTML parser)
+ * 2. nextPattern  - text contained in the link's resolved URL (case-insensitive, not a regex)
+ * 3. nextText     - link text (or aria-label/title), compared case-insensitively
+ * 4. rel="next"   - the standard pagination hint, used when no option is given
+ */
+
+const MAX_HREF_LENGTH = 2000;
+
+function decodeEntities(text) {
+  return text
+    .replace(/&amp;/g, '&')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;|&apos;/g, "'")
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&nbsp;|&#160;/g, ' ');
+}
+
+function getAttribute(attributes, name) {
+  const match = attributes.match(new RegExp(`\\b${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)'|([^\\s>]+))`, 'i'));
+  if (!match) return null;
+  return decodeEntities(match[1] ?? match[2] ?? match[3]);
+}
+
+/**
+ * List the links in an HTML page
+ * @param {string} html
+ * @param {string} baseUrl - URL of the page, for resolving relative hrefs
+ * @returns {Array<{ url: string, text: string, rel: string }>}
+ */
+function extractLinks(html, baseUrl) {
+  const links = [];
+  const addLink = (attributes, text) => {
+    const href = getAttribute(attributes, 'href');
+    if (!href || href.length > MAX_HREF_LENGTH || href.startsWith('#') || /^(javascript|mailto|tel):/i.test(href)) {
+      return;
+    }
+
+    let url;
+    try {
+      url = new URL(href, baseUrl);
+    } catch (err) {
+      return;
+    }
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') return;
+    url.hash = '';
+
+    links.push({
+      url: url.toString(),
+      text: text || getAttribute(attributes, 'aria-label') || getAttribute(attributes, 'title') || '',
+      rel: (getAttribute(attributes, 'rel') || '').toLowerCase(),
+    });
+  };
+
+  for (const [, attributes] of html.matchAll(/<link\b([^>]*)>/gi)) {
+    addLink(attributes, '');
+  }
+  for (const [, attributes, inner] of html.matchAll(/<a\b([^>]*)>([\s\S]*?)<\/a>/gi)) {
+    addLink(attributes, decodeEntities(inner.replace(/<[^>]*>/g, ' ')).replace(/\s+/g, ' ').trim());
+  }
+
+  return links;
+}
+
+/**
+ * Find the URL of the next page
+ * @param {string} html - Raw HTML of the current page
+ * @param {string} baseUrl - URL of the current page
+ * @param {Object} [options]
+ * @param {string} [options.nextPattern] - Substring of the next page's URL
+ * @param {string} [options.nextText] - Link text of the next-page link (e.g. "Next", "›")
+ * @param {string} [options.nextSelector] - CSS selector of the next-page link (e.g. "a.pagination-next")
+ * @returns {string|null} Absolute URL, or null when there is no next page
+ */
+function findNextPageUrl(html, baseUrl, { nextPattern, nextText, nextSelector } = {}) {
+  const currentUrl = new URL(baseUrl);
+  currentUrl.hash = '';
+
+  if (nextSelector) {
+    const matches = extractWithSelectors(html, { rows: nextSelector, columns: { href: { attribute: 'href' } } }, { baseUrl });
+    const next = matches
+      .map(match => {
+        try {
+          const url = new URL(match.href);
+          url.hash = '';
+          return url.protocol === 'http:' || url.protocol === 'https:' ? url.toString() : null;
+        } catch (err) {
+          return null;
+        }
+      })
+      .find(url => url && url !== currentUrl.toString());
+    return next || null;
+  }
+
+  const links = extractLinks(html, baseUrl).filter(link => link.url !== currentUrl.toString());
+
+  let found;
+  if (nextPattern) {
+    // Literal match: a client-supplied regex could backtrack for seconds on a long href
+    const wanted = nextPattern.toLowerCase();
+    found = links.find(link => link.url.toLowerCase().includes(wanted));
+  } else if (nextText) {
+    const wanted = nextText.trim().toLowerCase();
+    found = links.find(link => link.text.toLowerCase() === wanted)
+      || links.find(link => link.text.toLowerCase().includes(wanted));
+  } else {
+    found = links.find(link => link.rel.split(/\s+/).includes('next'));
+  }
+
+  return found ? found.url : null;
+}
+
+module.exports = {
+  findNextPageUrl,
+  extractLinks,
+};
@@ -1,16 +1,49 @@
-function buildPrompt(markdown, instruction) {
+const { describeSchemaForPrompt } = require('./output-schema');
+
+/**
+ * Build the extraction prompt
+ * @param {string} markdown - Page content
+ * @param {string} instruction - User instruction
+ * @param {Object} [options]
+ * @param {{ index: number, total: number }} [options.part] - Chunk position when the page is split
+ * @param {Array<Object>} [options.columns] - User-defined output schema
+ * @param {boolean} [options.linkTokens] - URLs in the Markdown were replaced with [L1]/[I1] tokens
+ * @param {boolean} [options.evidence] - Ask for a source snippet and confidence per field
+ * @returns {string}
+ */
+function buildPrompt(markdown, instruction, { part = null, columns = null, linkTokens = false, evidence = false } = {}) {
+  const partNote = part && part.total > 1
+    ? `\n - This Markdown is part ${part.index} of ${part.total} of a longer page: extract only the items that appear in this part`
+    : '';
+
+  const keysRule = columns
+    ? 'Use EXACTLY the keys listed under "Output columns", in that order, and no others'
+    : 'Use consistent keys based on the instruction';
+
+  const columnsSection = columns
+    ? `\n\n Output columns:\n${describeSchemaForPrompt(columns)}\n - Use null when a value is not present on the page\n - Numbers must be plain JSON numbers, dates must be YYYY-MM-DD, booleans must be true/false`
+    : '';
+
+  const linksNote = linkTokens
+    ? '\n - Links appear as tokens like [L12] and images as tokens like [I3]: to output a link or image URL, copy its token exactly (e.g. "[L12]") and never write or invent URLs'
+    : '';
+
+  const evidenceNote = evidence
+    ? '\n - Add an "_evidence" key to every object: for each other key, {"quote": "<the exact text copied from the Markdown that the value comes from>", "confidence": <number from 0 to 1>}'
+    : '';
+
   return `Extract structured data from the Markdown below.
 
- Instruction: "${instruction}"
+ Instruction: "${instruction}"${columnsSection}
 
  Rules:
  - Return ONLY a valid JSON array of objects
  - Extract ALL matching items (no limits)
- - Use consistent keys based on the instruction
+ - ${keysRule}
  - If no data found, return []
  - Do not include markdown formatting or explanations
  - Be exhaustive - do not skip any items
- - Extract ALL matching items in the order they appear on the page
+ - Extract ALL matching items in the order they appear on the page${linksNote}${evidenceNote}${partNote}
 
  Markdown:
  ${markdown}
@@ -18,6 +51,74 @@ function buildPrompt(markdown, instruction) {
  JSON Array:`;
 }
 
+/**
+ * Build the prompt asking for a CSS selector recipe instead of the data itself
+ * @param {string} html - Cleaned HTML sample of the page
+ * @param {string} instruction - User instruction
+ * @param {Object} [options]
+ * @param {Array<Object>} [options.columns] - User-defined output schema (recipe columns must use its names)
+ * @returns {string}
+ */
+function buildRecipePrompt(html, instruction, { columns = null } = {}) {
+  const columnsRule = columns
+    ? `Use EXACTLY these column names: ${columns.map(c => JSON.stringify(c.name)).join(', ')}`
+    : 'Choose short, consistent column names based on the instruction';
+
+  return `Write CSS selectors that extract the data described below from this HTML page.
+
+ Instruction: "${instruction}"
+
+ Rules:
+ - Return ONLY a JSON object: {"rows": "<selector matching one element per item>", "columns": {"<column name>": "<selector inside the row>" or {"selector": "<selector inside the row>", "attribute": "<attribute name>"}}}
+ - Column selectors are evaluated inside each row element; omit "selector" to read the row element itself
+ - Use "attribute" for values held in attributes (e.g. "href" for links, "src" for images), otherwise the element text is used
+ - ${columnsRule}
+ - Prefer stable class names and element structure over positions (avoid :nth-child when possible)
+ - Do not include markdown formatting or explanations
+
+ HTML:
+ ${html}
+
+ JSON Object:`;
+}
+
+/**
+ * Build the follow-up prompt asking the model to fix its previous answer
+ * @param {string} prompt - The original extraction prompt (content included, so values can be re-read)
+ * @param {Object} problem
+ * @param {string} [problem.parseError] - The previous response was not valid JSON
+ * @param {Array<{ row: *, issues: Array<string> }>} [problem.invalidRows] - Rows that failed validation
+ * @returns {string}
+ */
+function buildRepairPrompt(prompt, { parseError = null, invalidRows = [] } = {}) {
+  const original = prompt.replace(/\s*JSON Array:\s*$/, '');
+
+  if (parseError) {
+    return `${original}
+
+ Your previous response could not be parsed as JSON (${parseError}).
+ Respond again with ONLY the complete JSON array, following the rules above.
+
+ JSON Array:`;
+  }
+
+  const problems = invalidRows
+    .map((entry, i) => ` ${i + 1}. ${JSON.stringify(entry.row)}\n    Problems: ${entry.issues.join('; ')}`)
+    .join('\n');
+
+  return `${original}
+
+ Some objects in your previous response failed validation:
+${problems}
+
+ Re-read the Markdown and return ONLY a JSON array with one corrected object for each of these ${invalidRows.length} objects, in the same order.
+ Use null in place of an object that does not correspond to a real item on the page.
+
+ JSON Array:`;
+}
+
 module.exports = {
   buildPrompt,
+  buildRecipePrompt,
+  buildRepairPrompt,
 };
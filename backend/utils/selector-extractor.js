@@ -0,0 +1,160 @@
+const { z } = require('zod');
+const { JSDOM } = require('jsdom');
+
+/**
+ * Selector-Based Extraction
+ *
+ * Extracts rows with caller-supplied selectors instead of the model: `rows` selects one element
+ * per row, and each column is read from a sub-selector evaluated inside the row (its text, or an
+ * attribute). Selectors are CSS or XPath; XPath column selectors should be relative (".//h2",
+ * "./a/@href").
+ */
+
+const SELECTOR_TYPES = ['css', 'xpath'];
+const URL_ATTRIBUTES = ['href', 'src', 'action', 'poster', 'data-src'];
+
+// Parsing an empty document once is enough to check selector syntax
+let syntaxDocument = null;
+function getSyntaxDocument() {
+  if (!syntaxDocument) syntaxDocument = new JSDOM('<!DOCTYPE html><html><body></body></html>').window.document;
+  return syntaxDocument;
+}
+
+/**
+ * Check that a selector parses
+ * @param {string} selector
+ * @param {'css'|'xpath'} type
+ * @returns {boolean}
+ */
+function isValidSelector(selector, type) {
+  const document = getSyntaxDocument();
+  try {
+    if (type === 'xpath') document.createExpression(selector, null);
+    else document.querySelector(selector);
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+const columnSelector = z.union([
+  z.string().trim().min(1).max(500),
+  z.object({
+    // Omitted: the row element itself
+    selector: z.string().trim().min(1).max(500).optional(),
+    // Omitted: the element text
+    attribute: z.string().trim().min(1).max(100).optional(),
+  }),
+]);
+
+// Request-body schema for the `selectors` field
+const selectorsDefinition = z.object({
+  type: z.enum(SELECTOR_TYPES).optional().default('css'),
+  rows: z.string().trim().min(1).max(500),
+  columns: z.record(z.string().trim().min(1).max(100), columnSelector)
+    .refine((columns) => Object.keys(columns).length >= 1, 'Define at least 1 column')
+    .refine((columns) => Object.keys(columns).length <= 50, 'Define at most 50 columns'),
+}).superRefine((selectors, ctx) => {
+  if (!isValidSelector(selectors.rows, selectors.type)) {
+    ctx.addIssue({ code: 'custom', message: `Invalid ${selectors.type} selector`, path: ['rows'] });
+  }
+  Object.entries(selectors.columns).forEach(([name, column]) => {
+    const selector = typeof column === 'string' ? column : column.selector;
+    if (selector && !isValidSelector(selector, selectors.type)) {
+      ctx.addIssue({ code: 'custom', message: `Invalid ${selectors.type} selector`, path: ['columns', name] });
+    }
+  });
+});
+
+/**
+ * Find the elements matching a selector inside a context node
+ * @returns {Array<Node>}
+ */
+function selectAll(window, context, selector, type) {
+  if (type === 'css') {
+    return Array.from(context.querySelectorAll(selector));
+  }
+  const result = window.document.evaluate(selector, context, null, window.XPathResult.ORDERED_NODE_SNAPSHOT_TYPE, null);
+  return Array.from({ length: result.snapshotLength }, (_, i) => result.snapshotItem(i));
+}
+
+function selectOne(window, context, selector, type) {
+  if (type === 'css') {
+    return context.querySelector(selector);
+  }
+  return window.document.evaluate(selector, context, null, window.XPathResult.FIRST_ORDERED_NODE_TYPE, null).singleNodeValue;
+}
+
+/**
+ * Read a column value from a node: an attribute (URLs resolved against baseUrl) or the text
+ * @returns {string|null}
+ */
+function readValue(node, attribute, baseUrl) {
+  if (!node) return null;
+
+  let value;
+  if (attribute) {
+    if (!node.getAttribute) return null;
+    value = node.getAttribute(attribute);
+    if (value && baseUrl && URL_ATTRIBUTES.includes(attribute.toLowerCase())) {
+      try {
+        value = new URL(value.trim(), baseUrl).href;
+      } catch (err) {
+        // Keep the raw value
+      }
+    }
+  } else {
+    // XPath can select attribute and text nodes directly
+    value = node.nodeType === 2 ? node.value : node.textContent;
+  }
+
+  if (value === null || value === undefined) return null;
+  const text = String(value).replace(/\s+/g, ' ').trim();
+  return text || null;
+}
+
+/**
+ * Extract rows from HTML with selectors
+ * @param {string} html - HTML document
+ * @param {Object} selectors - Parsed selectorsDefinition
+ * @param {Object} [options]
+ * @param {string} [options.baseUrl] - Page URL link attributes are resolved against
+ * @param {number} [options.maxItems] - Cap on rows
+ * @returns {Array<Object>} One row per matched row element (rows with no values are skipped)
+ */
+function extractWithSelectors(html, { type = 'css', rows: rowSelector, columns }, { baseUrl = null, maxItems = Infinity } = {}) {
+  const dom = new JSDOM(html);
+  const { window } = dom;
+
+  try {
+    const columnEntries = Object.entries(columns).map(([name, column]) => (
+      typeof column === 'string' ? [name, { selector: column }] : [name, column]
+    ));
+
+    const data = [];
+    for (const element of selectAll(window, window.document, rowSelector, type)) {
+      const row = {};
+      let hasValue = false;
+
+      for (const [name, { selector, attribute }] of columnEntries) {
+        const node = selector ? selectOne(window, element, selector, type) : element;
+        row[name] = readValue(node, attribute, baseUrl);
+        if (row[name] !== null) hasValue = true;
+      }
+
+      if (hasValue) data.push(row);
+      if (data.length >= maxItems) break;
+    }
+
+    return data;
+  } finally {
+    window.close();
+  }
+}
+
+module.exports = {
+  SELECTOR_TYPES,
+  selectorsDefinition,
+  isValidSelector,
+  extractWithSelectors,
+};
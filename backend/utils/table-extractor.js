@@ -0,0 +1,217 @@
+const { JSDOM } = require('jsdom');
+const { normalizeKey } = require('./output-schema');
+
+/**
+ * Deterministic Table Extraction
+ *
+ * Parses HTML <table>s and Markdown pipe tables into row objects keyed by the header cells,
+ * so pages that are plain tables can be scraped without the model. Spanning cells (colspan /
+ * rowspan) are copied into every grid position they cover. Layout tables (nested tables,
+ * a single column or no data rows) are ignored.
+ */
+
+const MIN_COLUMNS = 2;
+
+const cellText = (cell) => cell.textContent.replace(/\s+/g, ' ').trim();
+
+/**
+ * Give every header a unique, non-empty name ("Column 3", "Price 2", ...)
+ * @param {Array<string>} headers
+ * @returns {Array<string>}
+ */
+function uniqueHeaders(headers) {
+  const counts = {};
+  return headers.map((header, index) => {
+    const name = header || `Column ${index + 1}`;
+    counts[name] = (counts[name] || 0) + 1;
+    return counts[name] === 1 ? name : `${name} ${counts[name]}`;
+  });
+}
+
+/**
+ * Lay out a table's rows on a grid, expanding colspan and rowspan
+ * @param {Array<HTMLTableRowElement>} rows
+ * @returns {Array<Array<{ text: string, header: boolean }>>}
+ */
+function buildGrid(rows) {
+  const grid = [];
+  rows.forEach((row, rowIndex) => {
+    grid[rowIndex] = grid[rowIndex] || [];
+    let col = 0;
+
+    for (const cell of row.cells) {
+      while (grid[rowIndex][col]) col++;
+
+      const colspan = Math.max(1, Math.min(parseInt(cell.getAttribute('colspan'), 10) || 1, 100));
+      const rowspan = Math.max(1, Math.min(parseInt(cell.getAttribute('rowspan'), 10) || 1, rows.length - rowIndex));
+      const value = { text: cellText(cell), header: cell.tagName === 'TH' };
+
+      for (let r = rowIndex; r < rowIndex + rowspan; r++) {
+        grid[r] = grid[r] || [];
+        for (let c = col; c < col + colspan; c++) {
+          grid[r][c] = value;
+        }
+      }
+      col += colspan;
+    }
+  });
+  return grid;
+}
+
+/**
+ * Parse one <table> element
+ * @param {HTMLTableElement} table
+ * @returns {{ headers: Array<string>, rows: Array<Object> }|null} Null for layout or empty tables
+ */
+function parseHtmlTable(table) {
+  if (table.querySelector('table')) return null;
+
+  const rows = Array.from(table.rows).filter(row => row.cells.length > 0);
+  const grid = buildGrid(rows);
+  const width = Math.max(0, ...grid.map(cells => cells.length));
+  if (width < MIN_COLUMNS) return null;
+
+  // Header rows: the <thead>, otherwise the leading rows made only of <th> cells, otherwise the first row
+  let headerCount = table.tHead ? table.tHead.rows.length : 0;
+  if (headerCount === 0) {
+    while (headerCount < grid.length && grid[headerCount].every(cell => !cell || cell.header)) headerCount++;
+  }
+  if (headerCount === 0) headerCount = 1;
+  if (grid.length <= headerCount) return null;
+
+  // Stacked header rows are joined per column: "Price" over "Min" → "Price Min"
+  const headers = uniqueHeaders(Array.from({ length: width }, (_, col) => {
+    const parts = [];
+    for (let r = 0; r < headerCount; r++) {
+      const text = grid[r][col] ? grid[r][col].text : '';
+      if (text && parts[parts.length - 1] !== text) parts.push(text);
+    }
+    return parts.join(' ');
+  }));
+
+  const data = grid.slice(headerCount)
+    .filter(cells => cells.some(cell => cell && cell.text))
+    .map(cells => {
+      const row = {};
+      headers.forEach((header, col) => {
+        row[header] = cells[col] ? cells[col].text : '';
+      });
+      return row;
+    });
+
+  return data.length > 0 ? { headers, rows: data } : null;
+}
+
+/**
+ * Find the well-formed tables in an HTML document
+ * @param {string} html
+ * @returns {Array<{ headers: Array<string>, rows: Array<Object> }>}
+ */
+function parseHtmlTables(html) {
+  if (!/<table[\s>]/i.test(html)) return [];
+
+  const { document } = new JSDOM(html).window;
+  return Array.from(document.querySelectorAll('table'))
+    .map(parseHtmlTable)
+    .filter(Boolean);
+}
+
+const splitPipeRow = (line) => {
+  let text = line.trim();
+  if (text.startsWith('|')) text = text.slice(1);
+  if (text.endsWith('|') && !text.endsWith('\\|')) text = text.slice(0, -1);
+  return text.split(/(?<!\\)\|/).map(cell => cell.replace(/\\\|/g, '|').trim());
+};
+
+const isSeparatorRow = (line) => /^\s*\|?\s*:?-{3,}:?\s*(\|\s*:?-{3,}:?\s*)+\|?\s*$/.test(line);
+
+/**
+ * Find the pipe tables in Markdown (GitHub style: header row, separator row, body rows)
+ * @param {string} markdown
+ * @returns {Array<{ headers: Array<string>, rows: Array<Object> }>}
+ */
+function parseMarkdownTables(markdown) {
+  const lines = markdown.split(/\r?\n/);
+  const tables = [];
+
+  for (let i = 0; i < lines.length - 1; i++) {
+    if (!lines[i].includes('|') || !isSeparatorRow(lines[i + 1])) continue;
+
+    const headers = uniqueHeaders(splitPipeRow(lines[i]));
+    const rows = [];
+    let j = i + 2;
+    for (; j < lines.length && lines[j].includes('|') && lines[j].trim(); j++) {
+      const cells = splitPipeRow(lines[j]);
+      const row = {};
+      headers.forEach((header, col) => {
+        row[header] = cells[col] || '';
+      });
+      rows.push(row);
+    }
+
+    if (headers.length >= MIN_COLUMNS && rows.length > 0) {
+      tables.push({ headers, rows });
+    }
+    i = j - 1;
+  }
+
+  return tables;
+}
+
+/**
+ * Find the tables in submitted content (HTML tables, or Markdown pipe tables)
+ * Tables with the same headers (e.g. one table split by ads) are merged.
+ * @param {string} content - HTML or Markdown
+ * @returns {Array<{ headers: Array<string>, rows: Array<Object> }>}
+ */
+function findTables(content) {
+  if (!content) return [];
+
+  const tables = /<table[\s>]/i.test(content) ? parseHtmlTables(content) : parseMarkdownTables(content);
+  const merged = new Map();
+  for (const table of tables) {
+    const key = JSON.stringify(table.headers);
+    if (merged.has(key)) merged.get(key).rows.push(...table.rows);
+    else merged.set(key, { headers: table.headers, rows: [...table.rows] });
+  }
+  return Array.from(merged.values());
+}
+
+/**
+ * Pick the table that answers the request, if any.
+ * With a schema, every column must match a table header (case- and punctuation-insensitive).
+ * Without one, the instruction must name the table ("table", "all rows") or at least half of its headers.
+ * @param {Array<Object>} tables - From findTables
+ * @param {Object} request
+ * @param {string} request.instruction
+ * @param {Array<Object>} [request.schema] - Output column schema
+ * @returns {{ headers: Array<string>, rows: Array<Object> }|null}
+ */
+function selectTable(tables, { instruction, schema }) {
+  const byRows = [...tables].sort((a, b) => b.rows.length - a.rows.length);
+
+  if (schema) {
+    return byRows.find(table => {
+      const headerKeys = new Set(table.headers.map(normalizeKey));
+      return schema.every(column => headerKeys.has(normalizeKey(column.name)));
+    }) || null;
+  }
+
+  const text = normalizeKey(instruction || '');
+  const asksForTable = /\b(tables?|all rows)\b/i.test(instruction || '');
+  return byRows.find(table => {
+    if (asksForTable) return true;
+    const named = table.headers.filter(header => {
+      const key = normalizeKey(header);
+      return key && text.includes(key);
+    });
+    return named.length >= Math.ceil(table.headers.length / 2);
+  }) || null;
+}
+
+module.exports = {
+  parseHtmlTables,
+  parseMarkdownTables,
+  findTables,
+  selectTable,
+};
@@ -0,0 +1,139 @@
+const logger = require('./logger');
+
+/**
+ * Token Cost Estimation
+ *
+ * Providers report prompt (input) and output token counts with each response. Calls made for one
+ * operation (a scrape, an export) are summed per model into a token usage record and priced from
+ * MODEL_PRICES, in USD per million tokens. MODEL_PRICES_JSON overrides or extends the defaults,
+ * e.g. {"gemini-2.5-flash": {"input": 0.3, "output": 2.5}}. Models without a price are counted
+ * at zero cost and logged once.
+ */
+
+const DEFAULT_MODEL_PRICES = {
+  'gemini-2.5-flash': { input: 0.30, output: 2.50 },
+  'gemini-2.5-pro': { input: 1.25, output: 10.00 },
+  'gemini-1.5-flash': { input: 0.075, output: 0.30 },
+  'gpt-4o-mini': { input: 0.15, output: 0.60 },
+  'claude-3-5-haiku-latest': { input: 0.80, output: 4.00 },
+};
+
+/**
+ * Default prices merged with MODEL_PRICES_JSON
+ * @returns {Object<string, { input: number, output: number }>}
+ */
+function loadModelPrices() {
+  if (!process.env.MODEL_PRICES_JSON) return { ...DEFAULT_MODEL_PRICES };
+
+  try {
+    const overrides = JSON.parse(process.env.MODEL_PRICES_JSON);
+    const prices = { ...DEFAULT_MODEL_PRICES };
+    Object.entries(overrides).forEach(([model, price]) => {
+      if (price && Number.isFinite(price.input) && Number.isFinite(price.output)) {
+        prices[model] = { input: price.input, output: price.output };
+      } else {
+        logger.warn('[TokenCost] Ignoring invalid price in MODEL_PRICES_JSON', { model });
+      }
+    });
+    return prices;
+  } catch (err) {
+    logger.error('[TokenCost] MODEL_PRICES_JSON is not valid JSON, using default prices', { error: err.message });
+    return { ...DEFAULT_MODEL_PRICES };
+  }
+}
+
+const MODEL_PRICES = loadModelPrices();
+const unpricedModels = new Set();
+
+const roundUsd = (value) => Math.round(value * 1e6) / 1e6;
+
+/**
+ * Estimated cost of one call
+ * @param {string} model - Provider-native model name
+ * @param {{ inputTokens: number, outputTokens: number }} usage
+ * @returns {number} USD
+ */
+function estimateCost(model, { inputTokens = 0, outputTokens = 0 } = {}) {
+  const price = MODEL_PRICES[model];
+  if (!price) {
+    if (!unpricedModels.has(model)) {
+      unpricedModels.add(model);
+      logger.warn('[TokenCost] No price configured for model, counting it as free', { model });
+    }
+    return 0;
+  }
+  return roundUsd((inputTokens * price.input + outputTokens * price.output) / 1e6);
+}
+
+/**
+ * Empty token usage record for an operation
+ * @returns {{ calls: number, inputTokens: number, outputTokens: number, costUsd: number, models: Object }}
+ */
+function createTokenUsage() {
+  return { calls: 0, inputTokens: 0, outputTokens: 0, costUsd: 0, models: {} };
+}
+
+/**
+ * Add a call (or a summed record for one model) to a usage record
+ * @param {Object|null} tokenUsage - Record from createTokenUsage (nothing is recorded when null)
+ * @param {string} model - Provider-native model name
+ * @param {{ inputTokens: number, outputTokens: number, calls?: number }|null} usage - Token counts
+ *   (null when the provider did not report any: the call is still counted)
+ * @returns {Object|null} tokenUsage
+ */
+function recordTokens(tokenUsage, model, usage) {
+  if (!tokenUsage) return tokenUsage;
+
+  const inputTokens = usage ? usage.inputTokens : 0;
+  const outputTokens = usage ? usage.outputTokens : 0;
+  const calls = usage && usage.calls !== undefined ? usage.calls : 1;
+  const costUsd = estimateCost(model, { inputTokens, outputTokens });
+
+  const entry = tokenUsage.models[model] || { calls: 0, inputTokens: 0, outputTokens: 0, costUsd: 0 };
+  entry.calls += calls;
+  entry.inputTokens += inputTokens;
+  entry.outputTokens += outputTokens;
+  entry.costUsd = roundUsd(entry.costUsd + costUsd);
+  tokenUsage.models[model] = entry;
+
+  tokenUsage.calls += calls;
+  tokenUsage.inputTokens += inputTokens;
+  tokenUsage.outputTokens += outputTokens;
+  tokenUsage.costUsd = roundUsd(tokenUsage.costUsd + costUsd);
+  return tokenUsage;
+}
+
+/**
+ * Add every model of one usage record to another
+ * @param {Object} target
+ * @param {Object|null} source
+ * @returns {Object} target
+ */
+function mergeTokenUsage(target, source) {
+  if (!source) return target;
+  Object.entries(source.models).forEach(([model, entry]) => recordTokens(target, model, entry));
+  return target;
+}
+
+/**
+ * Activity columns for a usage record
+ * @param {Object|null} tokenUsage
+ * @returns {{ input_tokens: number, output_tokens: number, cost_usd: number }|{}}
+ */
+function activityTokenFields(tokenUsage) {
+  if (!tokenUsage || tokenUsage.calls === 0) return {};
+  return {
+    input_tokens: tokenUsage.inputTokens,
+    output_tokens: tokenUsage.outputTokens,
+    cost_usd: tokenUsage.costUsd,
+  };
+}
+
+module.exports = {
+  MODEL_PRICES,
+  estimateCost,
+  createTokenUsage,
+  recordTokens,
+  mergeTokenUsage,
+  activityTokenFields,
+};
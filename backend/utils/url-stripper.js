@@ -58,6 +58,134 @@ function stripUrls(markdown) {
   return cleaned;
 }
 
+/**
+ * Link-preserving variant of stripUrls: instead of deleting URLs, replace each one with a short
+ * placeholder token ([L1], [L2], ... for links and [I1], [I2], ... for images) so the model can
+ * still output them. The same URL always gets the same token.
+ * Works on Markdown and on cleaned HTML (href/src attributes).
+ * @param {string} content - Markdown or cleaned HTML
+ * @returns {{ content: string, links: Map<string, string> }} Tokenized content and token → original URL
+ */
+function tokenizeUrls(content) {
+  const links = new Map();
+  if (!content) return { content: '', links };
+
+  const tokensByUrl = new Map();
+  const counters = { L: 0, I: 0 };
+  const tokenFor = (url, kind = 'L') => {
+    const key = `${kind} ${url}`;
+    if (!tokensByUrl.has(key)) {
+      const token = `${kind}${++counters[kind]}`;
+      tokensByUrl.set(key, token);
+      links.set(token, url);
+    }
+    return `[${tokensByUrl.get(key)}]`;
+  };
+  // Targets that do not lead anywhere are dropped like in stripUrls
+  const isLinkable = (url) => url && !url.startsWith('#') && !/^javascript:/i.test(url);
+
+  let cleaned = content;
+
+  // 1. HTML attributes: href="url" and src="url"
+  cleaned = cleaned.replace(/\b(href|src)=(["'])(.*?)\2/gi, (match, attr, quote, value) => {
+    const url = value.trim().replace(/&amp;/g, '&');
+    if (!isLinkable(url)) return '';
+    return `${attr}=${quote}${tokenFor(url, attr.toLowerCase() === 'src' ? 'I' : 'L')}${quote}`;
+  });
+
+  // 2. Linked images: [![alt](image)](href) → alt [I1] [L1]
+  cleaned = cleaned.replace(/\[!\[([^\]]*)\]\(([^)\s]+)[^)]*\)\]\(([^)\s]+)[^)]*\)/g, (match, alt, src, href) => {
+    const parts = [alt.trim(), tokenFor(src, 'I')];
+    if (isLinkable(href)) parts.push(tokenFor(href));
+    return parts.filter(Boolean).join(' ');
+  });
+
+  // 3. Markdown images: ![alt](url "title") → alt [I1]
+  cleaned = cleaned.replace(/!\[([^\]]*)\]\(([^)\s]+)[^)]*\)/g, (match, alt, src) =>
+    [alt.trim(), tokenFor(src, 'I')].filter(Boolean).join(' ')
+  );
+
+  // 4. Markdown links: [text](url "title") → text [L1]
+  cleaned = cleaned.replace(/\[([^\]]+)\]\(([^)\s]+)[^)]*\)/g, (match, text, href) =>
+    isLinkable(href) ? `${text} ${tokenFor(href)}` : text
+  );
+
+  // 5. Broken/orphan link targets: ](url) with no opening [
+  cleaned = cleaned.replace(/\]\([^)]+\)/g, '');
+
+  // 6. Reference-style link definitions: [ref]: url "optional title"
+  cleaned = cleaned.replace(/^\s*\[([^\]]+)\]:\s+\S+.*$/gm, '');
+
+  // 7. Autolinks <http://example.com> and plain URLs
+  cleaned = cleaned.replace(/<(https?:\/\/[^>]+)>/g, (match, url) => tokenFor(url));
+  cleaned = cleaned.replace(/https?:\/\/[^\s)"'<>]+/g, (url) => tokenFor(url));
+
+  // 8. Bare relative paths and leftover artifacts, as in stripUrls
+  cleaned = cleaned.replace(/(?:^|\s)\/[a-zA-Z][a-zA-Z0-9_\-]*\/[a-zA-Z0-9_\-/.]+(?:\?[^\s)]*)?/gm, '');
+  cleaned = cleaned.replace(/\]\(\s*\)/g, '');
+
+  cleaned = cleaned
+    .replace(/\n\s*\n\s*\n/g, '\n\n')
+    .trim();
+
+  return { content: cleaned, links };
+}
+
+const TOKEN_PATTERN = /\[([LI]\d+)\]/g;
+const WHOLE_TOKEN_PATTERN = /^\[([LI]\d+)\]$/;
+
+/**
+ * Resolve a URL found in the page against the page's base URL
+ * @param {string} url
+ * @param {string|null} baseUrl
+ * @returns {string} Absolute URL, or the URL unchanged when it cannot be resolved
+ */
+function resolveUrl(url, baseUrl) {
+  try {
+    return new URL(url, baseUrl || undefined).href;
+  } catch (err) {
+    return url;
+  }
+}
+
+/**
+ * Replace link tokens in an extracted row with absolute URLs.
+ * A value that is only a token becomes the URL (unknown tokens are kept as-is);
+ * tokens inside longer text are replaced in place (removed when unknown).
+ * Tokens must keep their brackets, so values like "L1" (a size) or "I2" (a code) are left alone.
+ * @param {Object} row - Row returned by the model
+ * @param {Map<string, string>} links - Token → URL map from tokenizeUrls
+ * @param {string|null} [baseUrl] - Page URL relative links are resolved against
+ * @returns {Object} Row with tokens expanded
+ */
+function expandLinkTokens(row, links, baseUrl = null) {
+  if (!row || typeof row !== 'object' || Array.isArray(row)) return row;
+
+  const expand = (value) => {
+    if (Array.isArray(value)) return value.map(expand);
+    if (typeof value !== 'string') return value;
+
+    const whole = value.trim().match(WHOLE_TOKEN_PATTERN);
+    if (whole) {
+      return links.has(whole[1]) ? resolveUrl(links.get(whole[1]), baseUrl) : value;
+    }
+    if (!value.includes('[')) return value;
+
+    return value
+      .replace(TOKEN_PATTERN, (match, token) => (links.has(token) ? resolveUrl(links.get(token), baseUrl) : ''))
+      .replace(/\s{2,}/g, ' ')
+      .trim();
+  };
+
+  const expanded = {};
+  Object.keys(row).forEach(key => {
+    expanded[key] = expand(row[key]);
+  });
+  return expanded;
+}
+
 module.exports = {
-  stripUrls
+  stripUrls,
+  tokenizeUrls,
+  expandLinkTokens
 };
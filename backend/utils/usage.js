@@ -1,15 +1,31 @@
 const logger = require('./logger');
+const { getDefaultPlan } = require('../services/plan-service');
+
+/**
+ * The account whose plan and usage counter apply to a user: their active organization
+ * (usage is pooled across its members) or the user themselves.
+ *
+ * @param {Object} user - User row
+ * @param {Object|null} organization - Active organization row (req.organization)
+ * @returns {{ table: 'users'|'organizations', id: string, row: Object }}
+ */
+function usageAccount(user, organization) {
+  return organization
+    ? { table: 'organizations', id: organization.id, row: organization }
+    : { table: 'users', id: user.id, row: user };
+}
 
 /**
  * Check and lazily reset monthly usage if billing period has rolled over.
  * Mutates the user object in-place if reset occurs.
  *
  * @param {Object} supabase - Supabase client
- * @param {Object} user - User row (must include billing_date, usage_this_month)
- * @param {string} userId - User UUID
+ * @param {Object} user - User or organization row (must include billing_date, usage_this_month)
+ * @param {string} userId - Row UUID
+ * @param {'users'|'organizations'} [table] - Table the row belongs to
  * @returns {Promise<void>}
  */
-async function resetMonthlyUsageIfNeeded(supabase, user, userId) {
+async function resetMonthlyUsageIfNeeded(supabase, user, userId, table = 'users') {
   if (!user.billing_date) return;
 
   const billingDate = new Date(user.billing_date);
@@ -20,7 +36,7 @@ async function resetMonthlyUsageIfNeeded(supabase, user, userId) {
 
   if (monthsSince >= 1) {
     await supabase
-      .from('users')
+      .from(table)
       .update({
         usage_this_month: 0,
         billing_date: now.toISOString(),
@@ -30,17 +46,75 @@ async function resetMonthlyUsageIfNeeded(supabase, user, userId) {
 
     user.usage_this_month = 0;
     user.billing_date = now.toISOString();
-    logger.info('[Usage] Monthly usage reset for user', { userId });
+    logger.info('[Usage] Monthly usage reset', { table, id: userId });
   }
 }
 
 /**
- * Get the effective scrape limit for a user, accounting for past_due status.
- * @param {Object} user - User row
+ * Number of scrapes a multi-page scrape counts as, on top of the export.
+ * Every page after the first counts as one scrape; the first is covered by the export,
+ * like a single-page scrape.
+ * @param {number} pageCount - Pages extracted
  * @returns {number}
  */
-function getEffectiveLimit(user) {
-  return user.subscription_status === 'past_due' ? 5 : user.plan_limits_scrapes;
+function multiPageUsageCost(pageCount) {
+  return Math.max(0, pageCount - 1);
+}
+
+/**
+ * Atomically check the user's limit and count usage (increment_usage_if_allowed RPC).
+ * Usage is counted against the user's active organization when they have one.
+ * Invalidates the user cache when usage was incremented, and raises the usage.limit_reached
+ * webhook event when the increment reaches the limit.
+ *
+ * @param {Object} supabase - Supabase client
+ * @param {string} userId - User UUID
+ * @param {number} [amount] - Scrapes to count (default: 1, one export)
+ * @returns {Promise<Object>} - { usage: { current, limit } } when allowed,
+ *   otherwise { status, error, usage? } describing the response to send
+ */
+async function incrementUsageIfAllowed(supabase, userId, amount = 1) {
+  // Check and increment in a single DB transaction so concurrent requests can't bypass limits
+  const { data: usageResult, error: rpcError } = await supabase
+    .rpc('increment_usage_if_allowed', { p_user_id: userId, p_amount: amount });
+
+  if (rpcError) {
+    logger.error('[Usage] Failed to check/increment usage:', rpcError);
+    return { status: 500, error: 'Failed to process request. Please try again.' };
+  }
+
+  if (!usageResult || usageResult.length === 0) {
+    logger.error('[Usage] RPC returned no data for user:', { userId });
+    return { status: 500, error: 'Failed to verify usage limits.' };
+  }
+
+  const { allowed, new_usage, effective_limit, plan, subscription_status } = usageResult[0];
+  const usage = { current: new_usage, limit: effective_limit };
+
+  if (!allowed) {
+    const error = subscription_status === 'past_due'
+      ? 'Your payment is past due. Please update your payment method.'
+      : plan === getDefaultPlan().id
+        ? `${getDefaultPlan().name} plan limit reached. Please upgrade to continue.`
+        : 'Monthly limit reached. Limit resets next billing cycle.';
+
+    logger.warn('[Usage] Limit reached (atomic check):', { userId, plan, usage: new_usage, limit: effective_limit });
+    return { status: 403, error, usage };
+  }
+
+  logger.info('[Usage] Usage incremented atomically', { userId, amount, newUsage: new_usage, limit: effective_limit });
+
+  // This increment used up the last scrapes of the period
+  if (new_usage >= effective_limit && new_usage - amount < effective_limit) {
+    const { emitEvent } = require('../services/webhook-service');
+    emitEvent(userId, 'usage.limit_reached', { usage, plan, subscriptionStatus: subscription_status });
+  }
+
+  // Invalidate user cache since usage was updated
+  const { invalidateUserCache } = require('../services/user-cache-service');
+  await invalidateUserCache(userId);
+
+  return { usage };
 }
 
-module.exports = { resetMonthlyUsageIfNeeded, getEffectiveLimit };
+module.exports = { usageAccount, resetMonthlyUsageIfNeeded, multiPageUsageCost, incrementUsageIfAllowed };